@@ -8,6 +8,8 @@ import OnboardingPage from './pages/Onboarding/OnboardingPage.jsx'
 import DashboardLayout from './pages/Dashboard/DashboardLayout.jsx'
 import DashboardHome from './pages/Dashboard/DashboardHome.jsx'
 import CallsPage from './pages/Dashboard/CallsPage.jsx'
+import VoicemailsPage from './pages/Dashboard/VoicemailsPage.jsx'
+import PhoneNumbersPage from './pages/Dashboard/PhoneNumbersPage.jsx'
 import CalendarPage from './pages/Dashboard/CalendarPage.jsx'
 import ConfigurationPage from './pages/Dashboard/Configuration/ConfigurationPage.jsx'
 import ScriptStudioPage from './pages/Dashboard/ScriptStudioPage.jsx'
@@ -45,7 +47,9 @@ export default function App() {
         }>        
           <Route index element={<DashboardHome />} />
           <Route path="calls" element={<CallsPage />} />
+          <Route path="voicemails" element={<VoicemailsPage />} />
           <Route path="calendar" element={<CalendarPage />} />
+          <Route path="phone-numbers" element={<PhoneNumbersPage />} />
           <Route path="configuration/*" element={<ConfigurationPage />} />
           <Route path="scripts" element={<ScriptStudioPage />} />
           <Route path="integrations" element={<IntegrationsPage />} />
@@ -88,6 +88,58 @@ class APIClient {
     return this.request(endpoint, { method: 'DELETE' });
   }
 
+  // Binary responses (audio) need the auth header too, so fetch them as blobs
+  async getBlob(endpoint) {
+    const response = await fetch(`${this.baseURL}/api${endpoint}`, {
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+    });
+
+    if (!response.ok) {
+      throw new Error(`Request failed with status ${response.status}`);
+    }
+
+    return response.blob();
+  }
+
+  // Server-sent events over fetch, since EventSource can't send the auth header.
+  // Resolves when the server closes the stream or the signal aborts it.
+  async stream(endpoint, onEvent, { signal } = {}) {
+    const response = await fetch(`${this.baseURL}/api${endpoint}`, {
+      headers: { ...this.getHeaders(), Accept: 'text/event-stream' },
+      signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Request failed with status ${response.status}`);
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += value;
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const message = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+
+          let event = 'message';
+          let data = '';
+          for (const line of message.split('\n')) {
+            if (line.startsWith('event: ')) event = line.slice(7);
+            else if (line.startsWith('data: ')) data += line.slice(6);
+          }
+          if (data) onEvent(event, JSON.parse(data));
+        }
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+    }
+  }
+
   // Auth endpoints
   auth = {
     register: (data) => this.post('/auth/register', data),
@@ -138,6 +190,36 @@ class APIClient {
     get: (id) => this.get(`/calls/${id}`),
     getAnalytics: (params) => this.get('/calls/analytics/summary', params),
     getPerformance: (params) => this.get('/calls/analytics/performance', params),
+    getRecording: (id) => this.getBlob(`/calls/${id}/recording`),
+    getLive: () => this.get('/calls/live'),
+    streamLive: (onEvent, options) => this.stream('/calls/live/stream', onEvent, options),
+  };
+
+  // Voicemail endpoints
+  voicemails = {
+    list: (params) => this.get('/voicemails', params),
+    getAudio: (id) => this.getBlob(`/voicemails/${id}/audio`),
+    markHandled: (id) => this.put(`/voicemails/${id}`, { status: 'handled' }),
+    markNew: (id) => this.put(`/voicemails/${id}`, { status: 'new' }),
+  };
+
+  // Appointment endpoints
+  appointments = {
+    list: (params) => this.get('/appointments', params),
+    get: (id) => this.get(`/appointments/${id}`),
+    create: (data) => this.post('/appointments', data),
+    update: (id, data) => this.put(`/appointments/${id}`, data),
+    cancel: (id) => this.put(`/appointments/${id}`, { status: 'cancelled' }),
+    setStatus: (id, status) => this.put(`/appointments/${id}`, { status }),
+  };
+
+  // Phone number endpoints
+  phoneNumbers = {
+    list: () => this.get('/phone-numbers'),
+    searchAvailable: (params) => this.get('/phone-numbers/available', params),
+    purchase: (data) => this.post('/phone-numbers', data),
+    update: (id, data) => this.put(`/phone-numbers/${id}`, data),
+    release: (id) => this.delete(`/phone-numbers/${id}`),
   };
 
   // Services endpoints
@@ -176,4 +258,4 @@ const apiClient = new APIClient();
 export default apiClient;
 
 // Named exports for convenience
-export const { auth, user, organizations, dashboard, calls, services, onboarding, voice } = apiClient;
\ No newline at end of file
+export const { auth, user, organizations, dashboard, calls, voicemails, appointments, phoneNumbers, services, onboarding, voice } = apiClient;
\ No newline at end of file
@@ -1,109 +1,124 @@
-import { useApi } from '../../hooks/useApi'
-import { organizations } from '../../lib/api'
-import { Card, CardHeader, CardTitle, CardContent } from '../../components/ui/Card.jsx'
+import { useState } from 'react'
+import { useApi, useMutation } from '../../hooks/useApi'
+import { appointments, organizations, services } from '../../lib/api'
+import { Card, CardContent } from '../../components/ui/Card.jsx'
 import Button from '../../components/ui/Button.jsx'
-import { useState, useEffect } from 'react'
-import { useAuth } from '../../contexts/AuthContext'
+import Input from '../../components/ui/Input.jsx'
+import Select from '../../components/ui/Select.jsx'
 
-export default function CalendarPage() {
-  const { user } = useAuth()
-  const [viewMode, setViewMode] = useState('upcoming') // upcoming, all, week
-  const { data: events, loading, error, refetch } = useApi(organizations.getCalendarEvents)
-  const { data: integrations } = useApi(organizations.getIntegrations)
-  
-  // Filter events based on view mode
-  const filteredEvents = events?.events?.filter(event => {
-    const eventDate = new Date(event.start)
-    const now = new Date()
-    const oneWeekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000)
-    
-    switch (viewMode) {
-      case 'upcoming':
-        return eventDate >= now
-      case 'week':
-        return eventDate >= now && eventDate <= oneWeekFromNow
-      case 'all':
-      default:
-        return true
-    }
-  }) || []
+const DAY_MS = 24 * 60 * 60 * 1000
 
-  // Format date for display
-  const formatDate = (dateString) => {
-    const date = new Date(dateString)
-    return date.toLocaleDateString('en-US', {
-      weekday: 'short',
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric'
-    })
+const RANGES = [
+  { value: 'today', label: 'Today' },
+  { value: 'week', label: 'Next 7 days' },
+  { value: 'month', label: 'Next 30 days' },
+  { value: 'past', label: 'Past 30 days' },
+]
+
+const STATUSES = [
+  { value: 'scheduled', label: 'Scheduled', className: 'bg-blue-100 text-blue-800' },
+  { value: 'confirmed', label: 'Confirmed', className: 'bg-green-100 text-green-800' },
+  { value: 'pending_confirmation', label: 'Needs confirmation', className: 'bg-yellow-100 text-yellow-800' },
+  { value: 'pending_callback', label: 'Callback requested', className: 'bg-orange-100 text-orange-800' },
+  { value: 'completed', label: 'Completed', className: 'bg-gray-100 text-gray-800' },
+  { value: 'no_show', label: 'No-show', className: 'bg-red-100 text-red-800' },
+  { value: 'cancelled', label: 'Cancelled', className: 'bg-gray-100 text-gray-500 line-through' },
+]
+
+const ACTIVE_STATUSES = 'scheduled,confirmed,pending_confirmation,pending_callback'
+
+function rangeFor(range) {
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+  switch (range) {
+    case 'today':
+      return { from: today, to: new Date(today.getTime() + DAY_MS) }
+    case 'month':
+      return { from: today, to: new Date(today.getTime() + 30 * DAY_MS) }
+    case 'past':
+      return { from: new Date(today.getTime() - 30 * DAY_MS), to: new Date() }
+    case 'week':
+    default:
+      return { from: today, to: new Date(today.getTime() + 7 * DAY_MS) }
   }
+}
+
+// <input type="datetime-local"> works in local time without a zone
+function toLocalInput(dateString) {
+  if (!dateString) return ''
+  const date = new Date(dateString)
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+function formatDay(dateString) {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'short',
+    day: 'numeric'
+  })
+}
+
+function formatTime(dateString) {
+  return new Date(dateString).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+  })
+}
+
+export default function CalendarPage() {
+  const [range, setRange] = useState('week')
+  const [status, setStatus] = useState(ACTIVE_STATUSES)
+  const [service, setService] = useState('')
+  const [provider, setProvider] = useState('')
+  const [editing, setEditing] = useState(null) // appointment being edited, or 'new'
+  const [actionError, setActionError] = useState(null)
 
-  const formatTime = (dateString) => {
-    const date = new Date(dateString)
-    return date.toLocaleTimeString('en-US', {
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
+  const { data, loading, error, refetch } = useApi(() => {
+    const { from, to } = rangeFor(range)
+    return appointments.list({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      status,
+      ...(service && { service }),
+      ...(provider && { provider }),
     })
-  }
+  }, [range, status, service, provider])
+  const { data: serviceList } = useApi(() => services.list(), [])
+  const { data: integrations } = useApi(organizations.getIntegrations)
 
-  // Check if user has calendar integrations
-  const hasCalendarIntegrations = integrations?.some(i => 
-    ['google-calendar', 'outlook-calendar', 'apple-calendar'].includes(i.type) && 
-    i.status === 'active'
+  const { mutate: saveAppointment, loading: saving } = useMutation(
+    ({ id, ...changes }) => id ? appointments.update(id, changes) : appointments.create(changes),
+    { onSuccess: () => { setEditing(null); refetch() }, onError: setActionError }
+  )
+  const { mutate: setAppointmentStatus } = useMutation(
+    ({ id, status }) => appointments.setStatus(id, status),
+    { onSuccess: () => refetch(), onError: setActionError }
   )
 
-  if (loading) {
-    return (
-      <div>
-        <h2 className="text-2xl font-semibold mb-6">Calendar</h2>
-        <div className="grid gap-4">
-          {[...Array(5)].map((_, i) => (
-            <div key={i} className="glass rounded-lg p-4 animate-pulse">
-              <div className="h-4 bg-gray-200 rounded w-24 mb-2"></div>
-              <div className="h-3 bg-gray-200 rounded w-32"></div>
-            </div>
-          ))}
-        </div>
-      </div>
-    )
+  async function handleStatus(appointment, nextStatus) {
+    if (nextStatus === 'cancelled' && !window.confirm(`Cancel the ${appointment.service || 'appointment'} on ${formatDay(appointment.startAt)} at ${formatTime(appointment.startAt)}?`)) return
+    setActionError(null)
+    await setAppointmentStatus({ id: appointment.id, status: nextStatus }).catch(() => {})
   }
 
-  if (error) {
-    return (
-      <div>
-        <h2 className="text-2xl font-semibold mb-6">Calendar</h2>
-        <Card>
-          <CardContent className="pt-6">
-            <div className="text-center">
-              {error.message?.includes('No active calendar integrations') ? (
-                <div>
-                  <div className="text-muted-foreground mb-4">
-                    <span className="text-4xl mb-4 block">📅</span>
-                    <h3 className="text-lg font-medium mb-2">No Calendar Integration</h3>
-                    <p>Connect your calendar to view and manage your appointments.</p>
-                  </div>
-                  <Button onClick={() => window.location.href = '/app/integrations'}>
-                    Connect Calendar
-                  </Button>
-                </div>
-              ) : (
-                <div className="text-red-600">
-                  <p className="mb-2">Error loading calendar events:</p>
-                  <p className="text-sm">{error.message}</p>
-                  <Button onClick={refetch} variant="outline" className="mt-4">
-                    Try Again
-                  </Button>
-                </div>
-              )}
-            </div>
-          </CardContent>
-        </Card>
-      </div>
-    )
+  async function handleSave(form) {
+    setActionError(null)
+    await saveAppointment(form).catch(() => {})
   }
 
+  const calendarIntegrations = integrations?.filter(i =>
+    ['google-calendar', 'outlook-calendar', 'apple-calendar'].includes(i.type) &&
+    i.status === 'active'
+  ) || []
+
+  const appointmentList = data?.appointments || []
+  const days = appointmentList.reduce((groups, appointment) => {
+    const day = formatDay(appointment.startAt)
+    ;(groups[day] = groups[day] || []).push(appointment)
+    return groups
+  }, {})
+
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
@@ -111,193 +126,266 @@ export default function CalendarPage() {
           <h2 className="text-2xl font-semibold">Calendar</h2>
           <p className="text-muted-foreground">View and manage your appointments</p>
         </div>
-        <Button onClick={refetch} variant="outline" size="sm">
-          Refresh
-        </Button>
+        <div className="flex gap-2">
+          <Button onClick={refetch} variant="outline" size="sm">
+            Refresh
+          </Button>
+          <Button onClick={() => { setActionError(null); setEditing('new') }} size="sm">
+            New Appointment
+          </Button>
+        </div>
       </div>
 
-      {/* View Mode Selector */}
-      <div className="flex gap-2">
-        <Button
-          variant={viewMode === 'upcoming' ? 'default' : 'outline'}
-          size="sm"
-          onClick={() => setViewMode('upcoming')}
-        >
-          Upcoming
-        </Button>
-        <Button
-          variant={viewMode === 'week' ? 'default' : 'outline'}
-          size="sm"
-          onClick={() => setViewMode('week')}
-        >
-          This Week
-        </Button>
-        <Button
-          variant={viewMode === 'all' ? 'default' : 'outline'}
-          size="sm"
-          onClick={() => setViewMode('all')}
-        >
-          All Events
-        </Button>
+      {/* Filters */}
+      <div className="grid gap-3 sm:grid-cols-4">
+        <Select value={range} onChange={(e) => setRange(e.target.value)}>
+          {RANGES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </Select>
+        <Select value={status} onChange={(e) => setStatus(e.target.value)}>
+          <option value={ACTIVE_STATUSES}>Active</option>
+          <option value="all">All statuses</option>
+          {STATUSES.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </Select>
+        <Select value={service} onChange={(e) => setService(e.target.value)}>
+          <option value="">All services</option>
+          {(serviceList || []).map(option => (
+            <option key={option.id || option.name} value={option.name}>{option.name}</option>
+          ))}
+        </Select>
+        <Input placeholder="Provider" value={provider} onChange={(e) => setProvider(e.target.value)} />
       </div>
 
-      {/* Calendar Stats */}
-      <div className="grid md:grid-cols-3 gap-4">
-        <Card>
-          <CardContent className="pt-6">
-            <div className="flex items-center gap-2">
-              <span className="text-2xl">📅</span>
-              <div>
-                <p className="text-2xl font-bold">{events?.total || 0}</p>
-                <p className="text-sm text-muted-foreground">Total Events</p>
-              </div>
-            </div>
-          </CardContent>
-        </Card>
-        <Card>
-          <CardContent className="pt-6">
-            <div className="flex items-center gap-2">
-              <span className="text-2xl">⏰</span>
-              <div>
-                <p className="text-2xl font-bold">{filteredEvents.filter(e => new Date(e.start) >= new Date()).length}</p>
-                <p className="text-sm text-muted-foreground">Upcoming</p>
-              </div>
-            </div>
-          </CardContent>
-        </Card>
+      {actionError && (
+        <div className="text-red-600 text-sm p-3 border border-red-200 rounded-md">
+          {actionError.message}
+        </div>
+      )}
+
+      {editing === 'new' && (
         <Card>
-          <CardContent className="pt-6">
-            <div className="flex items-center gap-2">
-              <span className="text-2xl">🔗</span>
-              <div>
-                <p className="text-2xl font-bold">{events?.integrations?.length || 0}</p>
-                <p className="text-sm text-muted-foreground">Integrations</p>
-              </div>
-            </div>
+          <CardContent className="pt-4">
+            <AppointmentForm
+              services={serviceList || []}
+              saving={saving}
+              onSave={handleSave}
+              onCancel={() => setEditing(null)}
+            />
           </CardContent>
         </Card>
-      </div>
-
-      {/* Events List */}
-      {filteredEvents.length > 0 ? (
-        <div className="space-y-4">
-          <h3 className="text-lg font-medium">
-            {viewMode === 'upcoming' ? 'Upcoming Events' : 
-             viewMode === 'week' ? 'This Week\'s Events' : 
-             'All Events'}
-          </h3>
-          <div className="space-y-3">
-            {filteredEvents.map((event, index) => (
-              <Card key={event.id || index} className="hover:shadow-md transition-shadow">
-                <CardContent className="pt-4">
-                  <div className="flex items-start justify-between">
-                    <div className="flex-1">
-                      <div className="flex items-center gap-2 mb-1">
-                        <h4 className="font-medium">{event.summary || 'Untitled Event'}</h4>
-                        <span className="px-2 py-1 rounded-full text-xs bg-blue-100 text-blue-800">
-                          {event.source || 'calendar'}
-                        </span>
-                      </div>
-                      
-                      <div className="flex items-center gap-4 text-sm text-muted-foreground">
-                        <div className="flex items-center gap-1">
-                          <span>📅</span>
-                          <span>{formatDate(event.start)}</span>
-                        </div>
-                        <div className="flex items-center gap-1">
-                          <span>⏰</span>
-                          <span>
-                            {formatTime(event.start)} 
-                            {event.end && ` - ${formatTime(event.end)}`}
-                          </span>
-                        </div>
-                        {event.isAllDay && (
-                          <span className="px-2 py-1 rounded-full text-xs bg-green-100 text-green-800">
-                            All Day
-                          </span>
-                        )}
-                      </div>
-
-                      {event.description && (
-                        <p className="text-sm text-muted-foreground mt-2 line-clamp-2">
-                          {event.description}
-                        </p>
-                      )}
-
-                      {event.location && (
-                        <div className="flex items-center gap-1 mt-2 text-sm text-muted-foreground">
-                          <span>📍</span>
-                          <span>{event.location}</span>
-                        </div>
-                      )}
-
-                      {event.attendees && event.attendees.length > 0 && (
-                        <div className="flex items-center gap-1 mt-2 text-sm text-muted-foreground">
-                          <span>👥</span>
-                          <span>{event.attendees.length} attendee{event.attendees.length > 1 ? 's' : ''}</span>
-                        </div>
-                      )}
-                    </div>
+      )}
 
-                    {event.htmlLink && (
-                      <Button
-                        variant="outline"
-                        size="sm"
-                        onClick={() => window.open(event.htmlLink, '_blank')}
-                      >
-                        View
-                      </Button>
+      {/* Appointments List */}
+      {error ? (
+        <div className="text-red-600 p-4 border border-red-200 rounded-md">
+          Error loading appointments: {error.message}
+          <Button onClick={refetch} variant="outline" className="ml-2">
+            Retry
+          </Button>
+        </div>
+      ) : loading ? (
+        <div className="grid gap-4">
+          {[...Array(5)].map((_, i) => (
+            <div key={i} className="glass rounded-lg p-4 animate-pulse">
+              <div className="h-4 bg-gray-200 rounded w-24 mb-2"></div>
+              <div className="h-3 bg-gray-200 rounded w-32"></div>
+            </div>
+          ))}
+        </div>
+      ) : appointmentList.length > 0 ? (
+        <div className="space-y-6">
+          {Object.entries(days).map(([day, dayAppointments]) => (
+            <div key={day} className="space-y-3">
+              <h3 className="text-lg font-medium">{day}</h3>
+              {dayAppointments.map(appointment => (
+                <Card key={appointment.id} className="hover:shadow-md transition-shadow">
+                  <CardContent className="pt-4">
+                    {editing?.id === appointment.id ? (
+                      <AppointmentForm
+                        appointment={appointment}
+                        services={serviceList || []}
+                        saving={saving}
+                        onSave={handleSave}
+                        onCancel={() => setEditing(null)}
+                      />
+                    ) : (
+                      <AppointmentRow
+                        appointment={appointment}
+                        onEdit={() => { setActionError(null); setEditing(appointment) }}
+                        onStatus={(nextStatus) => handleStatus(appointment, nextStatus)}
+                      />
                     )}
-                  </div>
-                </CardContent>
-              </Card>
-            ))}
-          </div>
+                  </CardContent>
+                </Card>
+              ))}
+            </div>
+          ))}
+          {data.pagination?.total > appointmentList.length && (
+            <p className="text-sm text-muted-foreground">
+              Showing the first {appointmentList.length} of {data.pagination.total} appointments. Narrow the filters to see the rest.
+            </p>
+          )}
         </div>
       ) : (
         <Card>
           <CardContent className="pt-6">
             <div className="text-center">
               <span className="text-4xl mb-4 block">📅</span>
-              <h3 className="text-lg font-medium mb-2">
-                {viewMode === 'upcoming' ? 'No Upcoming Events' : 
-                 viewMode === 'week' ? 'No Events This Week' : 
-                 'No Events Found'}
-              </h3>
-              <p className="text-muted-foreground mb-4">
-                {hasCalendarIntegrations ? 
-                  'Your calendar appears to be empty for the selected time period.' :
-                  'Connect your calendar to start viewing events.'
-                }
+              <h3 className="text-lg font-medium mb-2">No Appointments</h3>
+              <p className="text-muted-foreground">
+                Nothing matches these filters. Appointments booked by phone or added here will show up in this list.
               </p>
-              {!hasCalendarIntegrations && (
-                <Button onClick={() => window.location.href = '/app/integrations'}>
-                  Connect Calendar
-                </Button>
-              )}
             </div>
           </CardContent>
         </Card>
       )}
 
       {/* Integration Status */}
-      {events?.integrations && events.integrations.length > 0 && (
+      {calendarIntegrations.length > 0 ? (
         <Card className="bg-green-50 border-green-200">
           <CardContent className="pt-4">
             <div className="flex items-center gap-2">
               <span className="text-green-600">✓</span>
               <span className="text-green-800 font-medium">
-                Connected to {events.integrations.length} calendar integration{events.integrations.length > 1 ? 's' : ''}
+                Changes are synced to {calendarIntegrations.map(integration => integration.type).join(', ')}
               </span>
             </div>
-            <div className="mt-2 text-sm text-green-700">
-              {events.integrations.map(integration => integration.type).join(', ')}
-            </div>
           </CardContent>
         </Card>
+      ) : (
+        <p className="text-sm text-muted-foreground">
+          Connect a calendar on the <a className="underline" href="/app/integrations">Integrations</a> page to keep it in step with these appointments.
+        </p>
       )}
     </div>
   )
 }
 
+function AppointmentRow({ appointment, onEdit, onStatus }) {
+  const statusInfo = STATUSES.find(option => option.value === appointment.status) || STATUSES[0]
+  const isPast = new Date(appointment.startAt) < new Date()
+  const isOpen = !['completed', 'no_show', 'cancelled'].includes(appointment.status)
 
+  return (
+    <div className="flex items-start justify-between gap-4">
+      <div className="flex-1">
+        <div className="flex items-center gap-2 mb-1">
+          <h4 className="font-medium">{appointment.service || 'Appointment'}</h4>
+          <span className={`px-2 py-1 rounded-full text-xs ${statusInfo.className}`}>
+            {statusInfo.label}
+          </span>
+          {appointment.externalId && (
+            <span className="px-2 py-1 rounded-full text-xs bg-blue-100 text-blue-800">
+              {appointment.calendarProvider || 'calendar'}
+            </span>
+          )}
+        </div>
+
+        <div className="flex items-center gap-4 text-sm text-muted-foreground">
+          <div className="flex items-center gap-1">
+            <span>⏰</span>
+            <span>{formatTime(appointment.startAt)} - {formatTime(appointment.endAt)}</span>
+          </div>
+          {appointment.provider && (
+            <div className="flex items-center gap-1">
+              <span>👤</span>
+              <span>{appointment.provider}</span>
+            </div>
+          )}
+          {appointment.contactPhone && (
+            <div className="flex items-center gap-1">
+              <span>📞</span>
+              <span>{appointment.contactPhone}</span>
+            </div>
+          )}
+        </div>
+
+        {appointment.notes && (
+          <p className="text-sm text-muted-foreground mt-2 whitespace-pre-line line-clamp-3">
+            {appointment.notes}
+          </p>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="flex flex-wrap justify-end gap-2">
+          {!isPast && appointment.status !== 'confirmed' && (
+            <Button size="sm" variant="outline" onClick={() => onStatus('confirmed')}>Confirm</Button>
+          )}
+          {isPast && (
+            <>
+              <Button size="sm" variant="outline" onClick={() => onStatus('completed')}>Completed</Button>
+              <Button size="sm" variant="outline" onClick={() => onStatus('no_show')}>No-show</Button>
+            </>
+          )}
+          <Button size="sm" variant="outline" onClick={onEdit}>Edit</Button>
+          <Button size="sm" variant="ghost" onClick={() => onStatus('cancelled')}>Cancel</Button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function AppointmentForm({ appointment, services, saving, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    startAt: toLocalInput(appointment?.startAt),
+    endAt: toLocalInput(appointment?.endAt),
+    service: appointment?.service || '',
+    provider: appointment?.provider || '',
+    contactPhone: appointment?.contactPhone || '',
+    notes: appointment?.notes || '',
+  })
+
+  const field = (name) => ({
+    value: form[name],
+    onChange: (e) => setForm(f => ({ ...f, [name]: e.target.value })),
+  })
+
+  function submit(e) {
+    e.preventDefault()
+    onSave({
+      ...(appointment && { id: appointment.id }),
+      ...form,
+      startAt: new Date(form.startAt).toISOString(),
+      // Left empty, a new appointment runs for the service's duration and a moved one keeps its length
+      endAt: form.endAt && form.endAt !== toLocalInput(appointment?.endAt) ? new Date(form.endAt).toISOString() : undefined,
+    })
+  }
+
+  return (
+    <form className="space-y-3" onSubmit={submit}>
+      <div className="font-medium">{appointment ? 'Edit appointment' : 'New appointment'}</div>
+      <div className="grid gap-3 sm:grid-cols-2">
+        <label className="text-sm space-y-1">
+          <span className="text-muted-foreground">Starts</span>
+          <Input type="datetime-local" required {...field('startAt')} />
+        </label>
+        <label className="text-sm space-y-1">
+          <span className="text-muted-foreground">Ends (optional)</span>
+          <Input type="datetime-local" {...field('endAt')} />
+        </label>
+      </div>
+      <div className="grid gap-3 sm:grid-cols-3">
+        <Select {...field('service')}>
+          <option value="">Service</option>
+          {services.map(option => (
+            <option key={option.id || option.name} value={option.name}>{option.name}</option>
+          ))}
+          {form.service && !services.some(option => option.name === form.service) && (
+            <option value={form.service}>{form.service}</option>
+          )}
+        </Select>
+        <Input placeholder="Provider" {...field('provider')} />
+        <Input placeholder="Phone" type="tel" maxLength={20} {...field('contactPhone')} />
+      </div>
+      <Input placeholder="Notes" {...field('notes')} />
+      <div className="flex gap-2">
+        <Button size="sm" type="submit" disabled={saving}>Save</Button>
+        <Button size="sm" variant="ghost" type="button" onClick={onCancel}>Cancel</Button>
+      </div>
+    </form>
+  )
+}
@@ -1,4 +1,4 @@
-import { useState } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { useApi } from '../../hooks/useApi'
 import { calls } from '../../lib/api'
 import Button from '../../components/ui/Button.jsx'
@@ -43,6 +43,7 @@ export default function CallsPage() {
                 <th className="text-left p-3">Summary</th>
                 <th className="text-left p-3">Duration</th>
                 <th className="text-left p-3">Status</th>
+                <th className="text-left p-3">Recording</th>
               </tr>
             </thead>
             <tbody>
@@ -53,6 +54,7 @@ export default function CallsPage() {
                   <td className="p-3"><div className="h-4 bg-gray-200 rounded w-48"></div></td>
                   <td className="p-3"><div className="h-4 bg-gray-200 rounded w-16"></div></td>
                   <td className="p-3"><div className="h-4 bg-gray-200 rounded w-20"></div></td>
+                  <td className="p-3"><div className="h-4 bg-gray-200 rounded w-16"></div></td>
                 </tr>
               ))}
             </tbody>
@@ -108,6 +110,8 @@ export default function CallsPage() {
         </div>
       </div>
 
+      <LiveCallsPanel />
+
       {totalCalls > 0 && (
         <div className="text-sm text-muted-foreground mb-3">
           Showing {callsList.length} of {totalCalls} calls
@@ -123,6 +127,7 @@ export default function CallsPage() {
               <th className="text-left p-3">Summary</th>
               <th className="text-left p-3">Duration</th>
               <th className="text-left p-3">Status</th>
+              <th className="text-left p-3">Recording</th>
             </tr>
           </thead>
           <tbody>
@@ -146,11 +151,18 @@ export default function CallsPage() {
                       {call.status || 'unknown'}
                     </span>
                   </td>
+                  <td className="p-3">
+                    {call.recordingUrl ? (
+                      <RecordingPlayer id={call.id} />
+                    ) : (
+                      <span className="text-xs text-muted-foreground">None</span>
+                    )}
+                  </td>
                 </tr>
               ))
             ) : (
               <tr>
-                <td colSpan={5} className="p-8 text-center text-muted-foreground">
+                <td colSpan={6} className="p-8 text-center text-muted-foreground">
                   <div>
                     <p>No calls found</p>
                     <p className="text-sm mt-1">
@@ -194,4 +206,183 @@ export default function CallsPage() {
   )
 }
 
+// Recordings are behind auth, so load them as a blob on demand instead of pointing <audio> at the API
+function RecordingPlayer({ id }) {
+  const [audioUrl, setAudioUrl] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    return () => {
+      if (audioUrl) URL.revokeObjectURL(audioUrl)
+    }
+  }, [audioUrl])
+
+  async function loadRecording() {
+    try {
+      setLoading(true)
+      setError(null)
+      const blob = await calls.getRecording(id)
+      setAudioUrl(URL.createObjectURL(blob))
+    } catch (err) {
+      setError(err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (audioUrl) {
+    return <audio className="w-56" src={audioUrl} controls autoPlay />
+  }
+
+  return (
+    <div>
+      <Button size="sm" variant="glass" onClick={loadRecording} disabled={loading}>
+        {loading ? 'Loading…' : 'Play'}
+      </Button>
+      {error && <span className="ml-2 text-xs text-red-600">Could not load recording</span>}
+    </div>
+  )
+}
+
+const LIVE_RECONNECT_MS = 5000
+
+// Calls in progress, updated over server-sent events as they happen
+function LiveCallsPanel() {
+  const [liveCalls, setLiveCalls] = useState({}) // callSid -> call
+  const [interim, setInterim] = useState({}) // callSid -> what the caller is saying right now
+  const [connected, setConnected] = useState(false)
+  const [, setTick] = useState(0) // re-render every second for call durations
+
+  useEffect(() => {
+    const controller = new AbortController()
+    let retryTimer = null
+
+    function handleEvent(event, data) {
+      if (event === 'snapshot') {
+        setConnected(true)
+        setLiveCalls(Object.fromEntries(data.calls.map(call => [call.callSid, call])))
+      } else if (event === 'call') {
+        setLiveCalls(prev => ({ ...prev, [data.call.callSid]: data.call }))
+        setInterim(prev => ({ ...prev, [data.call.callSid]: null }))
+      } else if (event === 'interim') {
+        setInterim(prev => ({ ...prev, [data.callSid]: data.text }))
+      } else if (event === 'ended') {
+        setLiveCalls(({ [data.callSid]: ended, ...rest }) => rest)
+      }
+    }
+
+    async function connect() {
+      try {
+        await calls.streamLive(handleEvent, { signal: controller.signal })
+      } catch (err) {
+        if (err.name === 'AbortError') return
+      }
+      if (controller.signal.aborted) return
+      setConnected(false)
+      retryTimer = setTimeout(connect, LIVE_RECONNECT_MS)
+    }
+    connect()
+
+    const clock = setInterval(() => setTick(t => t + 1), 1000)
+    return () => {
+      controller.abort()
+      clearTimeout(retryTimer)
+      clearInterval(clock)
+    }
+  }, [])
+
+  const callList = Object.values(liveCalls).sort((a, b) => a.startedAt.localeCompare(b.startedAt))
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center gap-2 mb-2">
+        <h3 className="font-medium">Live Calls</h3>
+        <span
+          className={`h-2 w-2 rounded-full ${connected ? 'bg-green-500' : 'bg-gray-300'}`}
+          title={connected ? 'Connected' : 'Reconnecting…'}
+        />
+        {callList.length > 0 && (
+          <span className="px-2 py-0.5 rounded-full text-xs bg-primary/20 text-primary">
+            {callList.length} in progress
+          </span>
+        )}
+      </div>
+
+      {callList.length > 0 ? (
+        <div className="grid gap-3 md:grid-cols-2">
+          {callList.map(call => (
+            <LiveCallCard key={call.callSid} call={call} interim={interim[call.callSid]} />
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-muted-foreground">No calls in progress</p>
+      )}
+    </div>
+  )
+}
+
+function LiveCallCard({ call, interim }) {
+  const transcriptRef = useRef(null)
+  const elapsed = Math.max(0, Math.floor((Date.now() - new Date(call.startedAt)) / 1000))
+  const slots = Object.entries(call.slots || {}).filter(([, value]) => value)
+  const latency = call.latency
+
+  // Follow the conversation as it grows
+  useEffect(() => {
+    const box = transcriptRef.current
+    if (box) box.scrollTop = box.scrollHeight
+  }, [call.transcript.length, interim])
+
+  return (
+    <div className="rounded-md border border-border p-4">
+      <div className="flex justify-between items-start gap-4">
+        <div>
+          <div className="font-medium">{call.callerPhone || 'Unknown caller'}</div>
+          <div className="text-xs text-muted-foreground">
+            {Math.floor(elapsed / 60)}:{(elapsed % 60).toString().padStart(2, '0')} · {call.turns} turns
+            {call.language && ` · ${call.language}`}
+          </div>
+        </div>
+        <span className="px-2 py-1 rounded-full text-xs bg-blue-100 text-blue-800">
+          {call.mode === 'conversation' ? call.state : call.mode}
+        </span>
+      </div>
+
+      {slots.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-2">
+          {slots.map(([name, value]) => (
+            <span key={name} className="px-2 py-0.5 rounded text-xs bg-secondary">
+              {name}: {String(value)}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div ref={transcriptRef} className="mt-3 max-h-48 overflow-y-auto space-y-1 text-sm">
+        {call.transcript.map((line, i) => (
+          <p key={i}>
+            <span className="font-medium">{line.speaker === 'caller' ? 'Caller' : 'Assistant'}:</span>{' '}
+            {line.text}
+            {line.interrupted && <span className="text-xs text-muted-foreground"> (interrupted)</span>}
+          </p>
+        ))}
+        {interim && (
+          <p className="italic text-muted-foreground">
+            <span className="font-medium">Caller:</span> {interim}…
+          </p>
+        )}
+      </div>
 
+      {latency && (
+        <div className="mt-2 text-xs text-muted-foreground">
+          Last turn: {[
+            latency.llmMs != null && `LLM ${latency.llmMs}ms`,
+            latency.firstSentenceMs != null && `first sentence ${latency.firstSentenceMs}ms`,
+            latency.totalMs != null && `total ${latency.totalMs}ms`,
+          ].filter(Boolean).join(' · ')}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -7,6 +7,7 @@ import Button from '../../../components/ui/Button.jsx'
 export default function VoiceScriptEditor() {
   const [localVoiceConfig, setLocalVoiceConfig] = useState({
     greeting: 'Hi, thanks for calling! How can I help you today?',
+    returningGreeting: '',
     fallback: "I'm sorry, could you repeat that?"
   })
 
@@ -86,6 +87,17 @@ export default function VoiceScriptEditor() {
           {localVoiceConfig.greeting.length} characters
         </div>
       </div>
+      <div>
+        <label className="block text-sm mb-1">Returning Caller Greeting (optional)</label>
+        <Input 
+          placeholder="Welcome back {{firstName|there}}! How can I help you today?"
+          value={localVoiceConfig.returningGreeting || ''} 
+          onChange={(e) => updateField('returningGreeting', e.target.value)} 
+        />
+        <p className="text-xs text-muted-foreground mt-1">
+          {'Played to callers with past calls or appointments. Variables: {{callerName}}, {{firstName}}, {{nextAppointment}}, {{nextAppointmentService}}, {{lastService}}, {{organizationName}}. Add a fallback with {{firstName|there}}.'}
+        </p>
+      </div>
       <div>
         <label className="block text-sm mb-1">Fallback</label>
         <Input 
@@ -27,9 +27,35 @@ const AVAILABLE_VOICES = [
   { id: 'zeus', name: 'Zeus', description: 'Strong, commanding male voice' }
 ]
 
+const AVAILABLE_LANGUAGES = [
+  { id: 'en', name: 'English' },
+  { id: 'es', name: 'Spanish' }
+]
+
+const STT_PROVIDERS = [
+  { id: 'deepgram', name: 'Deepgram', description: 'Cloud streaming recognition (recommended)' },
+  { id: 'local', name: 'Local (offline)', description: 'On-premises recognizer such as whisper.cpp or Vosk' }
+]
+
+const TTS_PROVIDERS = [
+  { id: 'deepgram', name: 'Deepgram Aura', description: 'Natural cloud voices (recommended)' },
+  { id: 'local', name: 'Local (offline)', description: 'On-premises synthesizer such as Piper or espeak-ng' }
+]
+
+const TURN_DETECTION_MODES = [
+  { id: 'fast', name: 'Fast', description: 'Answers as soon as the caller pauses; best for short, simple calls' },
+  { id: 'balanced', name: 'Balanced', description: 'Waits a moment after the caller pauses (recommended)' },
+  { id: 'patient', name: 'Patient', description: 'Gives callers extra time to think; fewer interruptions, slower replies' }
+]
+
 export default function VoiceSettingsEditor() {
   const { user } = useAuth()
   const [selectedVoice, setSelectedVoice] = useState('')
+  const [languages, setLanguages] = useState(['en'])
+  const [sttProvider, setSttProvider] = useState('deepgram')
+  const [ttsProvider, setTtsProvider] = useState('deepgram')
+  const [turnDetectionMode, setTurnDetectionMode] = useState('balanced')
+  const [fillersEnabled, setFillersEnabled] = useState(true)
   const [testScript, setTestScript] = useState('Hello! This is a test of your selected voice. How does it sound?')
   const [isLoading, setIsLoading] = useState(false)
   const [isTesting, setIsTesting] = useState(false)
@@ -51,6 +77,20 @@ export default function VoiceSettingsEditor() {
       if (config.voiceSettings?.voiceModel) {
         setSelectedVoice(config.voiceSettings.voiceModel)
       }
+      const savedLanguages = config.voiceSettings?.languages || config.languages
+      if (savedLanguages?.length) {
+        setLanguages(savedLanguages)
+      }
+      if (config.voiceSettings?.sttProvider) {
+        setSttProvider(config.voiceSettings.sttProvider)
+      }
+      if (config.voiceSettings?.ttsProvider) {
+        setTtsProvider(config.voiceSettings.ttsProvider)
+      }
+      if (config.voiceSettings?.turnDetection?.mode) {
+        setTurnDetectionMode(config.voiceSettings.turnDetection.mode)
+      }
+      setFillersEnabled(config.voiceSettings?.fillers?.enabled !== false)
     } catch (error) {
       console.error('Error loading voice settings:', error)
     } finally {
@@ -67,7 +107,14 @@ export default function VoiceSettingsEditor() {
     try {
       setIsSaving(true)
       await apiClient.post('/voice/settings', {
-        voiceModel: selectedVoice
+        voiceModel: selectedVoice,
+        languages,
+        sttProvider,
+        ttsProvider,
+        // Keep any fine-tuned waits, just switch the mode
+        turnDetection: { ...currentSettings?.voiceSettings?.turnDetection, mode: turnDetectionMode },
+        // Keep any custom phrases, just switch fillers on or off
+        fillers: { ...currentSettings?.voiceSettings?.fillers, enabled: fillersEnabled }
       })
       alert('Voice settings saved successfully!')
       await loadCurrentSettings()
@@ -79,6 +126,14 @@ export default function VoiceSettingsEditor() {
     }
   }
 
+  // The first language stays the default; at least one must remain selected
+  const toggleLanguage = (id) => {
+    setLanguages(prev => {
+      if (!prev.includes(id)) return [...prev, id]
+      return prev.length > 1 ? prev.filter(language => language !== id) : prev
+    })
+  }
+
   const testVoice = async () => {
     if (!selectedVoice || !testScript.trim()) {
       alert('Please select a voice and enter a test script')
@@ -96,7 +151,8 @@ export default function VoiceSettingsEditor() {
         headers: apiClient.getHeaders(),
         body: JSON.stringify({
           text: testScript,
-          voiceModel: selectedVoice
+          voiceModel: selectedVoice,
+          ttsProvider
         })
       })
 
@@ -199,6 +255,83 @@ export default function VoiceSettingsEditor() {
             ))}
           </div>
 
+          <div>
+            <h4 className="font-medium text-sm mb-2">Caller Languages</h4>
+            <p className="text-sm text-muted-foreground mb-2">
+              With more than one language, the assistant detects the caller's language in the first few turns and answers in it.
+            </p>
+            <div className="flex gap-4">
+              {AVAILABLE_LANGUAGES.map((language) => (
+                <label key={language.id} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={languages.includes(language.id)}
+                    onChange={() => toggleLanguage(language.id)}
+                  />
+                  {language.name}
+                  {languages[0] === language.id && <span className="text-muted-foreground">(default)</span>}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h4 className="font-medium text-sm mb-2">Speech Recognition</h4>
+            <Select value={sttProvider} onChange={(e) => setSttProvider(e.target.value)}>
+              {STT_PROVIDERS.map((provider) => (
+                <option key={provider.id} value={provider.id}>
+                  {provider.name}
+                </option>
+              ))}
+            </Select>
+            <p className="text-sm text-muted-foreground mt-1">
+              {STT_PROVIDERS.find(provider => provider.id === sttProvider)?.description}
+            </p>
+          </div>
+
+          <div>
+            <h4 className="font-medium text-sm mb-2">Speech Synthesis</h4>
+            <Select value={ttsProvider} onChange={(e) => setTtsProvider(e.target.value)}>
+              {TTS_PROVIDERS.map((provider) => (
+                <option key={provider.id} value={provider.id}>
+                  {provider.name}
+                </option>
+              ))}
+            </Select>
+            <p className="text-sm text-muted-foreground mt-1">
+              {TTS_PROVIDERS.find(provider => provider.id === ttsProvider)?.description}
+            </p>
+          </div>
+
+          <div>
+            <h4 className="font-medium text-sm mb-2">Turn-Taking</h4>
+            <Select value={turnDetectionMode} onChange={(e) => setTurnDetectionMode(e.target.value)}>
+              {TURN_DETECTION_MODES.map((mode) => (
+                <option key={mode.id} value={mode.id}>
+                  {mode.name}
+                </option>
+              ))}
+            </Select>
+            <p className="text-sm text-muted-foreground mt-1">
+              {TURN_DETECTION_MODES.find(mode => mode.id === turnDetectionMode)?.description}
+            </p>
+          </div>
+
+          <div>
+            <h4 className="font-medium text-sm mb-2">Filler Phrases</h4>
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={fillersEnabled}
+                onChange={(e) => setFillersEnabled(e.target.checked)}
+              />
+              Say "One moment" when a reply takes a while
+            </label>
+            <p className="text-sm text-muted-foreground mt-1">
+              Plays a short acknowledgement instead of silence while the assistant works out a slow answer
+            </p>
+          </div>
+
           <div className="flex gap-2">
             <Button
               onClick={saveVoiceSettings}
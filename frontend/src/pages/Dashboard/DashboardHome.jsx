@@ -83,10 +83,10 @@ export default function DashboardHome() {
       </div>
 
       {/* Key Metrics Grid */}
-      <div className="grid lg:grid-cols-4 md:grid-cols-2 gap-6">
+      <div className="grid lg:grid-cols-5 md:grid-cols-2 gap-6">
         {metricsLoading ? (
           // Loading state
-          Array.from({length: 4}).map((_, i) => (
+          Array.from({length: 5}).map((_, i) => (
             <Card key={i} className="p-6 animate-pulse">
               <div className="h-4 bg-muted rounded w-3/4 mb-2"></div>
               <div className="h-8 bg-muted rounded w-1/2 mb-1"></div>
@@ -110,6 +110,14 @@ export default function DashboardHome() {
               variant="info"
             />
             
+            <MetricCard
+              title="Active Calls"
+              value={`${metrics?.concurrency?.active || 0} / ${metrics?.concurrency?.limit || 0}`}
+              subvalue={`Concurrent calls on the ${metrics?.concurrency?.plan || 'starter'} plan`}
+              icon="📶"
+              variant={(metrics?.concurrency?.active || 0) >= (metrics?.concurrency?.limit || 1) ? 'warning' : 'info'}
+            />
+            
             <MetricCard
               title="Booking Success Rate"
               value={`${metrics?.bookingRate || 0}%`}
@@ -57,7 +57,9 @@ function NavItem({ to, label }) {
 const navItems = [
   { to: '', label: 'Overview' },
   { to: '/calls', label: 'Call Logs' },
+  { to: '/voicemails', label: 'Voicemails' },
   { to: '/calendar', label: 'Calendar' },
+  { to: '/phone-numbers', label: 'Phone Numbers' },
   { to: '/configuration', label: 'Configuration' },
   { to: '/scripts', label: 'Script Studio' },
   { to: '/integrations', label: 'Integrations' },
@@ -0,0 +1,230 @@
+import { useState } from 'react'
+import { useApi, useMutation } from '../../hooks/useApi'
+import { phoneNumbers } from '../../lib/api'
+import Button from '../../components/ui/Button.jsx'
+import Input from '../../components/ui/Input.jsx'
+import Select from '../../components/ui/Select.jsx'
+
+const LANGUAGES = [
+  { value: '', label: 'Organization default' },
+  { value: 'en', label: 'English' },
+  { value: 'es', label: 'Spanish' },
+]
+
+export default function PhoneNumbersPage() {
+  const { data, loading, error, refetch } = useApi(() => phoneNumbers.list(), [])
+  const [editingId, setEditingId] = useState(null)
+  const [actionError, setActionError] = useState(null)
+
+  const { mutate: updateNumber } = useMutation(
+    ({ id, ...changes }) => phoneNumbers.update(id, changes),
+    { onSuccess: () => { setEditingId(null); refetch() }, onError: setActionError }
+  )
+  const { mutate: releaseNumber } = useMutation(phoneNumbers.release, {
+    onSuccess: () => refetch(),
+    onError: setActionError,
+  })
+
+  async function handleRelease(number) {
+    if (!window.confirm(`Release ${number.number}? Callers will no longer reach you on it.`)) return
+    setActionError(null)
+    await releaseNumber(number.id).catch(() => {})
+  }
+
+  if (error) {
+    return (
+      <div>
+        <h2 className="text-xl font-semibold mb-4">Phone Numbers</h2>
+        <div className="text-red-600 p-4 border border-red-200 rounded-md">
+          Error loading phone numbers: {error.message}
+          <Button onClick={refetch} variant="outline" className="ml-2">
+            Retry
+          </Button>
+        </div>
+      </div>
+    )
+  }
+
+  const numberList = data?.phoneNumbers || []
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold mb-1">Phone Numbers</h2>
+      <p className="text-sm text-muted-foreground mb-4">
+        Each number can have its own location, language, greeting and voice. Calls to a number use its settings.
+      </p>
+
+      {actionError && (
+        <div className="text-red-600 text-sm p-3 mb-4 border border-red-200 rounded-md">
+          {actionError.message}
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {loading ? (
+          [...Array(2)].map((_, i) => (
+            <div key={i} className="rounded-md border border-border p-4 animate-pulse">
+              <div className="h-4 bg-gray-200 rounded w-48 mb-3"></div>
+              <div className="h-4 bg-gray-200 rounded w-full"></div>
+            </div>
+          ))
+        ) : numberList.length > 0 ? (
+          numberList.map((number) => (
+            <div key={number.id} className="rounded-md border border-border p-4">
+              {editingId === number.id ? (
+                <NumberRoutingForm
+                  number={number}
+                  onSave={(changes) => updateNumber({ id: number.id, ...changes }).catch(() => {})}
+                  onCancel={() => setEditingId(null)}
+                />
+              ) : (
+                <div className="flex justify-between items-start gap-4">
+                  <div>
+                    <div className="font-medium">
+                      {number.number}
+                      {number.isPrimary && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-primary/20 text-primary">Primary</span>
+                      )}
+                    </div>
+                    <div className="text-xs text-muted-foreground">
+                      {[number.label, number.location, LANGUAGES.find(l => l.value === number.language)?.label]
+                        .filter(Boolean)
+                        .join(' · ') || 'Uses the organization defaults'}
+                    </div>
+                    {number.greeting && <p className="text-sm mt-2">“{number.greeting}”</p>}
+                  </div>
+                  <div className="flex gap-2 shrink-0">
+                    {!number.isPrimary && (
+                      <Button size="sm" variant="ghost" onClick={() => updateNumber({ id: number.id, isPrimary: true }).catch(() => {})}>
+                        Make primary
+                      </Button>
+                    )}
+                    <Button size="sm" variant="outline" onClick={() => setEditingId(number.id)}>
+                      Edit
+                    </Button>
+                    <Button size="sm" variant="ghost" onClick={() => handleRelease(number)}>
+                      Release
+                    </Button>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))
+        ) : (
+          <div className="rounded-md border border-border p-8 text-center text-muted-foreground">
+            <p>No phone numbers</p>
+            <p className="text-sm mt-1">Buy a number below to start taking calls</p>
+          </div>
+        )}
+      </div>
+
+      <BuyNumber onPurchased={refetch} />
+    </div>
+  )
+}
+
+function NumberRoutingForm({ number, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    label: number.label || '',
+    location: number.location || '',
+    language: number.language || '',
+    greeting: number.greeting || '',
+  })
+
+  const field = (name) => ({
+    value: form[name],
+    onChange: (e) => setForm(f => ({ ...f, [name]: e.target.value })),
+  })
+
+  return (
+    <form
+      className="space-y-3"
+      onSubmit={(e) => { e.preventDefault(); onSave(form) }}
+    >
+      <div className="font-medium">{number.number}</div>
+      <div className="grid gap-3 sm:grid-cols-3">
+        <Input placeholder="Label (e.g. Downtown)" {...field('label')} />
+        <Input placeholder="Location" {...field('location')} />
+        <Select {...field('language')}>
+          {LANGUAGES.map(language => (
+            <option key={language.value} value={language.value}>{language.label}</option>
+          ))}
+        </Select>
+      </div>
+      <Input placeholder="Greeting (leave empty for the organization greeting)" maxLength={500} {...field('greeting')} />
+      <div className="flex gap-2">
+        <Button size="sm" type="submit">Save</Button>
+        <Button size="sm" variant="ghost" type="button" onClick={onCancel}>Cancel</Button>
+      </div>
+    </form>
+  )
+}
+
+function BuyNumber({ onPurchased }) {
+  const [areaCode, setAreaCode] = useState('')
+  const [available, setAvailable] = useState(null)
+  const [searching, setSearching] = useState(false)
+  const [error, setError] = useState(null)
+
+  const { mutate: purchase, loading: purchasing } = useMutation(phoneNumbers.purchase, {
+    onSuccess: () => { setAvailable(null); onPurchased() },
+    onError: setError,
+  })
+
+  async function search(e) {
+    e.preventDefault()
+    try {
+      setSearching(true)
+      setError(null)
+      const result = await phoneNumbers.searchAvailable(areaCode ? { areaCode } : {})
+      setAvailable(result.numbers)
+    } catch (err) {
+      setError(err)
+    } finally {
+      setSearching(false)
+    }
+  }
+
+  return (
+    <div className="mt-6 rounded-md border border-border p-4">
+      <h3 className="font-medium mb-3">Add a number</h3>
+      <form className="flex gap-2" onSubmit={search}>
+        <Input
+          className="max-w-[10rem]"
+          placeholder="Area code"
+          inputMode="numeric"
+          maxLength={3}
+          value={areaCode}
+          onChange={(e) => setAreaCode(e.target.value.replace(/\D/g, ''))}
+        />
+        <Button type="submit" variant="outline" disabled={searching}>
+          {searching ? 'Searching…' : 'Search'}
+        </Button>
+      </form>
+
+      {error && <div className="mt-2 text-xs text-red-600">{error.message}</div>}
+
+      {available && (
+        <div className="mt-3 space-y-2">
+          {available.length > 0 ? available.map(number => (
+            <div key={number.phoneNumber} className="flex justify-between items-center text-sm">
+              <span>
+                {number.friendlyName}
+                {number.locality && <span className="text-muted-foreground"> · {number.locality}, {number.region}</span>}
+              </span>
+              <Button
+                size="sm"
+                disabled={purchasing}
+                onClick={() => purchase({ phoneNumber: number.phoneNumber }).catch(() => {})}
+              >
+                Buy
+              </Button>
+            </div>
+          )) : (
+            <p className="text-sm text-muted-foreground">No numbers available in that area code</p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,178 @@
+import { useState, useEffect } from 'react'
+import { useApi, useMutation } from '../../hooks/useApi'
+import { voicemails } from '../../lib/api'
+import Button from '../../components/ui/Button.jsx'
+
+export default function VoicemailsPage() {
+  const [page, setPage] = useState(1)
+  const [status, setStatus] = useState('new')
+
+  const { data: voicemailData, loading, error, refetch } = useApi(
+    () => voicemails.list({ page, status }),
+    [page, status]
+  )
+
+  const { mutate: markHandled } = useMutation(voicemails.markHandled, { onSuccess: () => refetch() })
+  const { mutate: markNew } = useMutation(voicemails.markNew, { onSuccess: () => refetch() })
+
+  function formatDuration(seconds) {
+    if (!seconds) return '0:00'
+    const minutes = Math.floor(seconds / 60)
+    const remainingSeconds = seconds % 60
+    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`
+  }
+
+  function formatDate(dateString) {
+    const date = new Date(dateString)
+    return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], {
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+  }
+
+  if (error) {
+    return (
+      <div>
+        <h2 className="text-xl font-semibold mb-4">Voicemails</h2>
+        <div className="text-red-600 p-4 border border-red-200 rounded-md">
+          Error loading voicemails: {error.message}
+          <Button onClick={refetch} variant="outline" className="ml-2">
+            Retry
+          </Button>
+        </div>
+      </div>
+    )
+  }
+
+  const voicemailList = voicemailData?.voicemails || []
+  const totalPages = voicemailData?.pagination?.pages || 1
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold">
+          Voicemails
+          {voicemailData?.unhandled > 0 && (
+            <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-primary/20 text-primary">
+              {voicemailData.unhandled} new
+            </span>
+          )}
+        </h2>
+        <select
+          className="rounded border border-input px-3 py-1.5 text-sm"
+          value={status}
+          onChange={(e) => { setStatus(e.target.value); setPage(1) }}
+        >
+          <option value="new">New</option>
+          <option value="handled">Handled</option>
+          <option value="all">All</option>
+        </select>
+      </div>
+
+      <div className="space-y-3">
+        {loading ? (
+          [...Array(3)].map((_, i) => (
+            <div key={i} className="rounded-md border border-border p-4 animate-pulse">
+              <div className="h-4 bg-gray-200 rounded w-48 mb-3"></div>
+              <div className="h-4 bg-gray-200 rounded w-full"></div>
+            </div>
+          ))
+        ) : voicemailList.length > 0 ? (
+          voicemailList.map((voicemail) => (
+            <div key={voicemail.id} className="rounded-md border border-border p-4">
+              <div className="flex justify-between items-start gap-4">
+                <div>
+                  <div className="font-medium">{voicemail.callerPhone || 'Unknown caller'}</div>
+                  <div className="text-xs text-muted-foreground">
+                    {formatDate(voicemail.createdAt)} · {formatDuration(voicemail.durationSeconds)}
+                  </div>
+                </div>
+                {voicemail.status === 'new' ? (
+                  <Button size="sm" variant="outline" onClick={() => markHandled(voicemail.id)}>
+                    Mark handled
+                  </Button>
+                ) : (
+                  <Button size="sm" variant="ghost" onClick={() => markNew(voicemail.id)}>
+                    Mark as new
+                  </Button>
+                )}
+              </div>
+              <p className="text-sm mt-3">
+                {voicemail.transcript || <span className="text-muted-foreground">No transcript available</span>}
+              </p>
+              <VoicemailPlayer id={voicemail.id} />
+            </div>
+          ))
+        ) : (
+          <div className="rounded-md border border-border p-8 text-center text-muted-foreground">
+            <p>No voicemails</p>
+            <p className="text-sm mt-1">Messages left by callers will appear here</p>
+          </div>
+        )}
+      </div>
+
+      {totalPages > 1 && (
+        <div className="flex justify-center items-center gap-3 mt-4">
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={page <= 1}
+            onClick={() => setPage(p => Math.max(1, p - 1))}
+          >
+            Previous
+          </Button>
+          <span className="text-sm">
+            Page {page} of {totalPages}
+          </span>
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={page >= totalPages}
+            onClick={() => setPage(p => Math.min(totalPages, p + 1))}
+          >
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Audio is behind auth, so load it as a blob on demand instead of pointing <audio> at the API
+function VoicemailPlayer({ id }) {
+  const [audioUrl, setAudioUrl] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    return () => {
+      if (audioUrl) URL.revokeObjectURL(audioUrl)
+    }
+  }, [audioUrl])
+
+  async function loadAudio() {
+    try {
+      setLoading(true)
+      setError(null)
+      const blob = await voicemails.getAudio(id)
+      setAudioUrl(URL.createObjectURL(blob))
+    } catch (err) {
+      setError(err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (audioUrl) {
+    return <audio className="mt-3 w-full" src={audioUrl} controls autoPlay />
+  }
+
+  return (
+    <div className="mt-3">
+      <Button size="sm" variant="glass" onClick={loadAudio} disabled={loading}>
+        {loading ? 'Loading…' : 'Play message'}
+      </Button>
+      {error && <span className="ml-2 text-xs text-red-600">Could not load audio</span>}
+    </div>
+  )
+}
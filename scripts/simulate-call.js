@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Call Simulator CLI
+ *
+ * Runs a scripted call against the media-stream websocket without dialing Twilio.
+ * By default the app is booted in-process with offline stand-in STT/TTS/LLM providers;
+ * with --url it drives an already running server (real providers need WAV steps).
+ *
+ * Run with: node scripts/simulate-call.js <script.json|script.txt> [options]
+ *   --url ws://localhost:3001/   drive a running server instead of an in-process one
+ *   --to +15551234567            number that was called (selects the organization)
+ *   --from +15557654321          caller number
+ *   --realtime                   pace WAV audio at real speed
+ *   --verbose                    keep the server's own logging
+ *
+ * Script files are a JSON array of steps ({ "say": "..." }, { "wav": "file.wav", "text": "..." },
+ * { "dtmf": "1" }, { "pause": 500 }, { "expect": "booked" }, { "hangup": true }) or plain text
+ * with one caller line per line, plus "dtmf: 1", "pause: 500" and "wav: file.wav" lines.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { CallSimulator, runScript, startSimulatedServer } = require('../src/simulator');
+
+const parseArgs = (argv) => {
+  const options = { script: null, url: null, to: undefined, from: undefined, realtime: false, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') options.url = argv[++i];
+    else if (arg === '--to') options.to = argv[++i];
+    else if (arg === '--from') options.from = argv[++i];
+    else if (arg === '--realtime') options.realtime = true;
+    else if (arg === '--verbose') options.verbose = true;
+    else if (!options.script) options.script = arg;
+  }
+  return options;
+};
+
+const loadScript = (file) => {
+  const contents = fs.readFileSync(file, 'utf8');
+  const baseDir = path.dirname(path.resolve(file));
+  const resolveWav = (step) => (step.wav ? { ...step, wav: path.resolve(baseDir, step.wav) } : step);
+
+  if (file.endsWith('.json')) {
+    return JSON.parse(contents).map(resolveWav);
+  }
+
+  return contents.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map((line) => {
+      const [, keyword, value] = /^(dtmf|pause|wav|expect):\s*(.*)$/i.exec(line) || [];
+      if (!keyword) return { say: line };
+      if (keyword.toLowerCase() === 'pause') return { pause: parseInt(value, 10) };
+      return resolveWav({ [keyword.toLowerCase()]: value });
+    });
+};
+
+const printUtterance = (utterance) => {
+  const text = utterance.text ?? `[${utterance.audioBytes} bytes of audio]`;
+  process.stdout.write(`🤖 Agent:  ${text}\n`);
+};
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.script) {
+    console.error('Usage: node scripts/simulate-call.js <script.json|script.txt> [--url ws://host/] [--to +1...] [--from +1...] [--realtime] [--verbose]');
+    process.exit(1);
+  }
+
+  const steps = loadScript(options.script);
+  const log = console.log;
+  if (!options.verbose) console.log = () => {};
+
+  let server = null;
+  try {
+    if (!options.url) server = await startSimulatedServer();
+    const call = new CallSimulator({
+      url: options.url || server.url,
+      to: options.to,
+      from: options.from,
+      realtime: options.realtime
+    });
+
+    const printCaller = (step) => {
+      if (step.say !== undefined) process.stdout.write(`📞 Caller: ${step.say}\n`);
+      else if (step.wav) process.stdout.write(`📞 Caller: [${path.basename(step.wav)}]${step.text ? ` ${step.text}` : ''}\n`);
+      else if (step.dtmf !== undefined) process.stdout.write(`🔢 Keypad: ${step.dtmf}\n`);
+    };
+
+    await call.start();
+    await runScript(call, steps, {
+      onUtterance: printUtterance,
+      onStep: printCaller
+    });
+
+    const spoken = call.transcript.filter(entry => entry.speaker === 'agent').length;
+    process.stdout.write(`\n✅ Call finished: ${spoken} agent utterances\n`);
+  } catch (error) {
+    console.error('❌ Simulation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    console.log = log;
+    if (server) await server.close();
+    // Per-call timers (conversation timeouts, state machine delays) would otherwise keep us alive
+    process.exit(process.exitCode || 0);
+  }
+}
+
+main();
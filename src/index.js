@@ -6,7 +6,7 @@ const fastify = require('fastify')({
   trustProxy: true 
 });
 const WebSocket = require('ws');
-const { interpret } = require('xstate');
+const { interpret, waitFor } = require('xstate');
 
 // Add content type parser for Twilio webhooks
 fastify.addContentTypeParser('application/x-www-form-urlencoded', { parseAs: 'string' }, function (req, body, done) {
@@ -36,15 +36,30 @@ fastify.addContentTypeParser('application/json', { parseAs: 'string' }, function
   }
 });
 
-const { handleIncomingCall, callStore } = require('./services/telephony');
-const { STTService } = require('./services/stt');
+const { handleIncomingCall, handleTransferWhisper, handleTransferStatus, getWebhookBaseUrl, callStore } = require('./services/telephony');
 const { processMessage, sessionManager, getCompletion } = require('./services/llm');
-const { createLLMService } = require('./services/llm_fast');
-const { TTSService } = require('./services/tts');
+const { getProviders } = require('./services/providers');
+const { moveSttListeners } = require('./services/sttProviders');
+const { SpeechQueue } = require('./services/speechQueue');
+const { EndOfTurnDetector, getTurnDetectionSettings } = require('./services/endOfTurn');
+const { FillerPicker, getFillerSettings } = require('./services/fillers');
 const { bookingMachine } = require('./services/stateMachine');
-const { createCall, createTurn, updateTurn, updateCall } = require('./services/db');
+const { createCall, createTurn, updateTurn, updateCall, getCallBySid, upsertCallBySid } = require('./services/db');
 const { performanceMonitor } = require('./services/performance');
 const { OrganizationContextService } = require('./services/organizationContext');
+const { ToolExecutor } = require('./services/tools');
+const { CallTransferService, estimatePlaybackMs } = require('./services/callTransfer');
+const { VoicemailRecorder, getVoicemailPrompt, saveVoicemail } = require('./services/voicemail');
+const { generateTone } = require('./services/audio');
+const { CallRecorder, isRecordingEnabled, saveCallRecording } = require('./services/callRecording');
+const { getBusinessHoursStatus } = require('./services/businessHours');
+const { CallConcurrency } = require('./services/concurrency');
+const { CallerProfileService, getGreeting } = require('./services/callerProfile');
+const { AvailabilityService } = require('./services/availability');
+const { LiveCallMonitor } = require('./services/liveCalls');
+const { getAfterHoursGreeting, getAfterHoursMessage, getAfterHoursInstruction } = require('./services/afterHours');
+const { DtmfCollector, getKeypadMenu, buildMenuPrompt, isImmediateKey, resolveKeypadInput, buildKeypadEvent, getKeypadPrompt } = require('./services/dtmf');
+const { LanguageDetector, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, getSupportedLanguages, getSttOptions, getLanguageGreetingHint } = require('./services/languageDetection');
 
 // Import enhanced voice agent services with lazy loading
 let EnhancedVoicePipeline = null;
@@ -80,6 +95,8 @@ function getGlobalEnhancedVoicePipeline() {
 
 // Default greeting for fallback scenarios only
 const FALLBACK_GREETING = "Hello! Thank you for calling. I'm here to help you schedule an appointment. How can I assist you today?";
+// How long a turn waits on a lookup or change to an existing appointment before replying
+const APPOINTMENT_CHANGE_TIMEOUT_MS = 8000;
 
 // Import route modules
 const authRoutes = require('./routes/auth');
@@ -90,9 +107,14 @@ const userRoutes = require('./routes/user');
 const servicesRoutes = require('./routes/services');
 const onboardingRoutes = require('./routes/onboarding');
 const voiceRoutes = require('./routes/voice');
+const voicemailRoutes = require('./routes/voicemails');
+const phoneNumberRoutes = require('./routes/phone-numbers');
+const callStatusRoutes = require('./routes/call-status');
+const appointmentRoutes = require('./routes/appointments');
 
 // Import middleware
 const { authMiddleware } = require('./middleware/auth');
+const { twilioSignatureMiddleware } = require('./middleware/twilioSignature');
 
 // Register CORS support
 fastify.register(require('@fastify/cors'), {
@@ -128,11 +150,27 @@ fastify.register(async function (fastify) {
   await fastify.register(servicesRoutes, { prefix: '/api/services' });
   await fastify.register(onboardingRoutes, { prefix: '/api/onboarding' });
   await fastify.register(voiceRoutes, { prefix: '/api/voice' });
+  await fastify.register(voicemailRoutes, { prefix: '/api/voicemails' });
+  await fastify.register(phoneNumberRoutes, { prefix: '/api/phone-numbers' });
+  await fastify.register(appointmentRoutes, { prefix: '/api/appointments' });
   await fastify.register(require('./routes/business-config'), { prefix: '/api/business-config' });
 });
 
-// Voice webhook endpoint
-fastify.post('/voice', handleIncomingCall);
+// Register Twilio webhooks with X-Twilio-Signature validation instead of JWT auth.
+// Any new Twilio webhook (e.g. SMS) belongs in this scope.
+fastify.register(async function (fastify) {
+  fastify.addHook('preHandler', twilioSignatureMiddleware);
+
+  // Voice webhook endpoint
+  fastify.post('/voice', handleIncomingCall);
+
+  // Warm transfer webhooks (whisper to the human, <Dial> result for the caller)
+  fastify.post('/voice/transfer/whisper', handleTransferWhisper);
+  fastify.post('/voice/transfer/status', handleTransferStatus);
+
+  // Call status callbacks
+  await fastify.register(callStatusRoutes, { prefix: '/api/calls' });
+});
 
 // WebSocket endpoint for Twilio Media Streams
 fastify.register(async function (fastify) {
@@ -153,22 +191,36 @@ fastify.register(async function (fastify) {
       'x-forwarded-proto': req.headers['x-forwarded-proto']
     });
 
+    // Public base URL Twilio can reach for transfer webhooks
+    const webhookBaseUrl = getWebhookBaseUrl(req);
+
     // Initialize organization context service
     const contextService = new OrganizationContextService();
     let organizationContext = null;
+    // What the business already knows about the caller (null for new callers)
+    let callerProfile = null;
+    // Snapshot of the call for the live calls dashboard, created on the Twilio start event
+    let liveCall = null;
+
+    // The default context carries a placeholder organization id with no row behind it,
+    // so only attach call records to organizations we actually resolved
+    const getCallOrganizationId = () => organizationContext?.twilioNumber ? organizationContext.organizationId : null;
     
     // Organization context will be loaded when we receive the Twilio start event
     console.log('⏳ Organization context will be loaded when Twilio start event is received...');
 
-    // Initialize services
-    const sttService = new STTService();
-    const ttsService = new TTSService();
+    // Initialize services (default STT provider, Deepgram TTS and OpenAI unless the simulator
+    // swapped in stand-ins). The organization's STT provider replaces this once its context loads.
+    const providers = getProviders();
+    let sttService = providers.createSTT();
+    const ttsService = providers.createTTS();
     
     // Initialize fast LLM service with gpt-4o model
-    const fastLLM = createLLMService({
+    const fastLLM = providers.createLLM({
       model: 'gpt-4o', // Use gpt-4o as requested, not gpt-4o-mini
       maxTokens: 160,
-      temperature: 0.4
+      temperature: 0.4,
+      availability: new AvailabilityService()
     });
     
     // Initialize enhanced voice pipeline (with fallback to legacy) - lazy loaded
@@ -193,14 +245,48 @@ fastify.register(async function (fastify) {
     let turnIndex = 0;
     let streamSid = null;
     let isProcessingTurn = false;
+    let activeReply = null; // { speech, llmAbort, stopped } while a streamed reply is generated and spoken
+    let lastReply = null; // { replyId, turnRecord, heardText, cutOff } of the latest reply, see recordHeardReply
+    let replyCount = 0;
+    const fillerPicker = new FillerPicker();
+    let transferInProgress = false;
+    let voicemailMode = false;
+    let voicemailRecorder = null;
+    let afterHoursMode = null; // set by handleIncomingCall when the business is closed
+    let languageDetector = new LanguageDetector(); // replaced once the organization's languages are known
+    let callLanguage = DEFAULT_LANGUAGE;
     let conversationTimeout = null;
     let silenceTimeout = null;
     const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
-    // Turn buffering for handling continuous speech broken into fragments
-    let turnBuffer = '';
-    let turnBufferTimeout = null;
-    let lastFinalTranscriptTime = 0;
+    // Both sides of the call, stored as a dual-channel WAV when the stream ends
+    const callRecorder = new CallRecorder();
+    ttsService.on('audioSent', (chunk) => callRecorder.addOutbound(chunk));
+    
+    // Keypad entries (menu keys, "0" for a person, callback numbers)
+    const dtmfCollector = new DtmfCollector({
+      isImmediateKey: (digit) => isImmediateKey(digit, {
+        menu: getKeypadMenu(organizationContext?.businessConfig),
+        state: stateMachineActor?.getSnapshot().value
+      })
+    });
+    
+    // Decides when the caller is done: buffers final transcripts and commits the turn once
+    // the evidence (end of speech, punctuation, a half-read phone number) says so
+    const turnDetector = new EndOfTurnDetector({
+      getExpectation: () => (stateMachineActor?.getSnapshot().value === 'collectContact' ? 'phone' : null)
+    });
+    turnDetector.on('endOfTurn', async ({ text, confidence, reason, waitedMs }) => {
+      if (isProcessingTurn) {
+        console.log('Turn already in progress, dropping:', text);
+        return;
+      }
+      console.log(`⏱️ End of turn (${reason}) after ${waitedMs}ms: "${text}"`);
+      await processTurn(text, confidence);
+    });
+    turnDetector.on('falseCutoff', ({ afterMs, stretch }) => {
+      console.log(`⏱️ Caller kept talking ${afterMs}ms after the turn ended - waiting ${stretch}x longer from now on`);
+    });
     
     console.log('Session initialized:', sessionId);
     
@@ -232,46 +318,72 @@ fastify.register(async function (fastify) {
     });
 
     sttService.on('transcript', async (data) => {
+      if (voicemailMode) return;
+
+      if (data.isFinal && data.text.trim().length > 0) {
+        liveCall?.addTranscript('caller', data.text, { confidence: data.confidence });
+
+        // Settle the caller's language over the first turns (or on an explicit request)
+        const detectedLanguage = languageDetector.observe(data.text, data.languages);
+        if (detectedLanguage) switchCallLanguage(detectedLanguage);
+      }
+
       if (data.isFinal && !isProcessingTurn && data.text.trim().length > 0) {
         console.log(`Final transcript: "${data.text}" (confidence: ${data.confidence})`);
+        turnDetector.addFinal(data);
         
-        // Buffer this transcript to handle continuous speech fragments
-        const currentTime = Date.now();
-        const timeSinceLastFinal = currentTime - lastFinalTranscriptTime;
-        lastFinalTranscriptTime = currentTime;
-        
-        // If this is likely a continuation of the previous speech (within 2 seconds), buffer it
-        if (timeSinceLastFinal < 2000 && turnBuffer.length > 0) {
-          turnBuffer += ' ' + data.text.trim();
-          console.log(`Buffering transcript continuation: "${turnBuffer}"`);
-        } else {
-          // Start new turn buffer
-          turnBuffer = data.text.trim();
-          console.log(`Starting new turn buffer: "${turnBuffer}"`);
-        }
-        
-        // Clear any existing timeout
-        if (turnBufferTimeout) {
-          clearTimeout(turnBufferTimeout);
+      } else if (data.text.trim().length > 0) {
+        if (!data.isFinal) {
+          console.log(`Interim transcript: "${data.text}"`);
+          liveCall?.interim(data.text);
         }
-        
-        // Set timeout to process the buffered turn after 1.5 seconds of no new finals
-        turnBufferTimeout = setTimeout(async () => {
-          if (turnBuffer && !isProcessingTurn) {
-            console.log(`Processing buffered turn - isProcessingTurn: ${isProcessingTurn}`);
-            const bufferToProcess = turnBuffer;
-            turnBuffer = ''; // Clear buffer before processing
-            await processTurn(bufferToProcess, data.confidence);
-          }
-        }, 1500); // 1.5 second buffer window
-        
-      } else if (!data.isFinal && data.text.trim().length > 0) {
-        console.log(`Interim transcript: "${data.text}"`);
+        // Still talking (or talking while we answer, which may mean we cut them off)
+        turnDetector.noteSpeech();
         // Reset conversation timeout on any speech activity
         resetConversationTimeout();
       }
     });
 
+    // Stop generating the streamed reply and drop the sentences not yet played
+    const stopActiveReply = () => {
+      if (!activeReply || activeReply.stopped) return;
+      activeReply.stopped = true;
+      activeReply.llmAbort.abort();
+      if (activeReply.speech.cancel()) activeReply.reply.cutOff = true;
+    };
+
+    // Dead air past the latency budget: acknowledge the caller ahead of the reply
+    const scheduleFiller = (speech, transcript, state) => {
+      const settings = getFillerSettings(organizationContext, callLanguage);
+      if (!settings.enabled) return () => {};
+
+      const timer = setTimeout(() => {
+        const { text, category } = fillerPicker.next(settings, transcript, { state });
+        if (speech.playFiller(text, getPhraseTtsConfig())) {
+          console.log(`⏳ No reply after ${settings.budgetMs}ms, playing ${category} filler: "${text}"`);
+        }
+      }, settings.budgetMs);
+      const cancel = () => clearTimeout(timer);
+      speech.once('firstSentence', cancel);
+      return cancel;
+    };
+
+    // Store a reply as the caller heard it: in full, or cut off where they barged in.
+    // Runs when the reply has been sent and again after a barge-in clears Twilio's audio.
+    const recordHeardReply = async (reply, metrics = {}) => {
+      const heard = ttsService.getHeardText(reply.replyId);
+      const interrupted = heard.interrupted || reply.cutOff;
+      const changed = heard.text !== reply.heardText || interrupted !== reply.interrupted;
+      reply.heardText = heard.text;
+      reply.interrupted = interrupted;
+      if (changed) fastLLM.recordReply(sessionId, reply.replyId, heard.text, { interrupted });
+
+      const turn = await reply.turnRecord;
+      if (turn && (changed || Object.keys(metrics).length > 0)) {
+        await updateTurn(turn.id, { transcriptOut: heard.text, ...metrics });
+      }
+    };
+
     // CRITICAL FIX: Add barge-in debouncing to prevent duplicate events
     let lastBargeInTime = 0;
     const BARGE_IN_DEBOUNCE_MS = 300;
@@ -287,7 +399,11 @@ fastify.register(async function (fastify) {
       
       lastBargeInTime = now;
       console.log('Barge-in detected - interrupting TTS');
-      ttsService.interruptStream();
+      // Only once the reply is audible: talking while the LLM thinks isn't barging in
+      if (activeReply?.speech.started) stopActiveReply();
+      if (ttsService.interruptStream() && lastReply) {
+        recordHeardReply(lastReply).catch(error => console.error('Error recording interrupted reply:', error));
+      }
       
       // CRITICAL FIX: Disable enhanced voice pipeline interference during fast LLM testing
       // The enhanced pipeline has its own state machine that conflicts with our main one
@@ -319,8 +435,9 @@ fastify.register(async function (fastify) {
       */
     });
 
-    sttService.on('speechEnded', () => {
+    sttService.on('speechEnded', ({ reason } = {}) => {
       console.log('Speech ended');
+      if (reason === 'utteranceEnd') turnDetector.utteranceEnd();
       // Only start silence timeout if we're not processing a turn
       if (!isProcessingTurn) {
         resetSilenceTimeout();
@@ -359,7 +476,7 @@ fastify.register(async function (fastify) {
       setTimeout(() => {
         if (!sttService.isListening && !streamStarted) {
           console.log('Attempting to restart STT service (pre-stream)');
-          sttService.startListening();
+          sttService.startListening(sttService.listenOptions);
         }
       }, 1000);
     });
@@ -372,12 +489,22 @@ fastify.register(async function (fastify) {
         return;
       }
       
-      // Get custom greeting from organization context
-      const greeting = organizationContext.businessConfig?.greeting || 
-                      organizationContext.businessConfig?.scripts?.greeting ||
-                      FALLBACK_GREETING;
+      // Get custom greeting from organization context, personalized for returning callers
+      const baseGreeting = afterHoursMode === 'book_next_available'
+        ? {
+            text: getAfterHoursGreeting({
+              organizationName: organizationContext.organizationName,
+              businessConfig: organizationContext.businessConfig,
+              status: getBusinessHoursStatus(organizationContext.businessConfig)
+            }),
+            personalized: false
+          }
+        : getGreeting({ organizationContext, profile: callerProfile, fallback: FALLBACK_GREETING });
+      const menuPrompt = buildMenuPrompt(getKeypadMenu(organizationContext.businessConfig));
+      const languageHint = getLanguageGreetingHint(languageDetector.languages);
+      const greeting = [baseGreeting.text, menuPrompt, languageHint].filter(Boolean).join(' ');
       
-      const voiceModel = organizationContext.businessConfig?.voiceSettings?.voiceModel || 'harmonia';
+      const { model: voiceModel, language } = getTtsConfig();
       
       console.log('📢 Sending CUSTOM greeting for:', organizationContext.organizationName);
       
@@ -386,9 +513,14 @@ fastify.register(async function (fastify) {
       const result = await ttsService.generateAndStream(greeting, ws, { 
         streamId: streamSid,
         model: voiceModel,
-        speed: 1.0
+        language,
+        speed: 1.0,
+        // One caller's greeting isn't worth a phrase cache entry
+        cache: !baseGreeting.personalized
       });
       
+      liveCall?.addTranscript('assistant', greeting);
+
       console.log('✅ Custom greeting sent:', {
         organization: organizationContext.organizationName,
         phone: toNumber,
@@ -405,9 +537,7 @@ fastify.register(async function (fastify) {
       try {
         await ttsService.generateAndStream(FALLBACK_GREETING, ws, { 
           streamId: streamSid,
-          ttsConfig: {
-            model: organizationContext?.businessConfig?.voiceSettings?.voiceModel || 'harmonia'
-          }
+          ttsConfig: getPhraseTtsConfig()
         });
       } catch (fallbackError) {
         console.error('❌ Error sending fallback greeting:', fallbackError);
@@ -484,11 +614,27 @@ fastify.register(async function (fastify) {
     isProcessingTurn = true;
     const turnStartTime = Date.now();
 
+    // Stored without holding up the reply; transcriptOut is what the caller ends up hearing
+    const reply = {
+      replyId: `reply-${++replyCount}`,
+      turnRecord: callId
+        ? createTurn({ callId, turnIndex, transcriptIn: transcript }).catch(() => null)
+        : Promise.resolve(null),
+      heardText: null,
+      interrupted: false,
+      cutOff: false
+    };
+    lastReply = reply;
+    let llmMs = null;
+    let firstSentenceMs = null;
+    let cancelFiller = () => {};
+
     try {
       console.log(`Starting fast LLM turn ${turnIndex}: "${transcript}"`);
 
       let responseText;
       let processingResult;
+      let speech = null; // sentences of the LLM reply, spoken as they stream in
       
       // TEMPORARILY DISABLED: Enhanced voice pipeline for manual testing of fast LLM
       const useEnhancedPipeline = false; // Set to true to re-enable enhanced pipeline
@@ -519,30 +665,57 @@ fastify.register(async function (fastify) {
             location: null, // Add location support if needed
             notes: null // Add notes support if needed
           },
+          // Outside business hours only next-available slots may be offered
+          afterHours: afterHoursMode === 'book_next_available'
+            ? getAfterHoursInstruction(getBusinessHoursStatus(organizationContext.businessConfig))
+            : null,
+          language: callLanguage,
+          callerProfile: callerProfile?.summary || null,
+          // Moving or cancelling an existing appointment: the state machine has the final word
+          appointmentChange: currentState.hasTag('appointmentChange')
+            ? { type: currentState.context.changeType, appointment: currentState.context.changeTarget }
+            : null,
           // Include summary for fast LLM session management
           summary: currentState.context.service ? 
             `service=${currentState.context.service}, time=${currentState.context.preferredTime || 'pending'}, contact=${currentState.context.contact || 'pending'}` : 
             ''
         };
         
-        // Process with streaming enabled for better latency
+        // Process with streaming enabled: each sentence is synthesized and played as soon as it is complete
+        speech = new SpeechQueue({ ttsService, ws, streamId: streamSid, ttsConfig: getTtsConfig(), replyId: reply.replyId });
+        speech.once('firstSentence', ({ latency }) => {
+          console.log(`🔊 First sentence ready for TTS after ${latency}ms`);
+          firstSentenceMs = latency;
+        });
+        const llmAbort = new AbortController();
+        activeReply = { speech, llmAbort, stopped: false, reply };
+        cancelFiller = scheduleFiller(speech, transcript, currentState.value);
+
         const llmResult = await fastLLM.processMessage({
           transcript,
           sessionId,
           context: fastLLMContext,
           stream: true, // Enable streaming for TTS integration
+          signal: llmAbort.signal,
           onTextStart: () => {
             console.log('🔊 Fast LLM text streaming started');
           },
-          onTextDelta: (chunk) => {
-            // Stream chunks directly to TTS if needed in future
-            // For now, we'll let the TTS handle the full response
-            console.log('📝 Fast LLM streaming chunk:', chunk.substring(0, 20) + '...');
-          },
+          onTextDelta: (chunk) => speech.push(chunk),
           onTextDone: (finalText) => {
             console.log('✅ Fast LLM streaming complete, final text length:', finalText?.length);
           }
         });
+
+        cancelFiller();
+        llmMs = llmResult.processingTime?.llm ?? null;
+
+        if (llmResult.aborted) {
+          // The caller's next utterance starts a new turn; this one has nothing left to do
+          console.log('🔇 Reply abandoned mid-stream (barge-in)');
+          await speech.finish().catch(() => null);
+          await recordHeardReply(reply, { llmMs });
+          return;
+        }
         
         responseText = llmResult.response;
         processingResult = llmResult; // Use fast LLM result for logging
@@ -562,6 +735,17 @@ fastify.register(async function (fastify) {
         const frameEntities = (llmResult.frame && llmResult.frame.entities) ? llmResult.frame.entities : llmResult.entities;
         const frameConfidence = (llmResult.frame && typeof llmResult.frame.confidence === 'number') ? llmResult.frame.confidence : llmResult.confidence;
         
+        // Escalation requested (caller asked for a person, or the LLM gave up on a slot)
+        if (llmResult.frame?.escalate) {
+          // The handoff line replaces the streamed reply
+          speech.cancel();
+          await handleEscalation(llmResult.frame.escalate, {
+            reason: frameIntent === 'escalation_request' ? `caller asked: "${transcript}"` : transcript,
+            slots: fastLLMContext.slots
+          });
+          return;
+        }
+        
         // Validate service if provided - use frame entities
         let serviceValidated = false;
         if (frameEntities?.service && organizationContext.businessConfig) {
@@ -587,6 +771,11 @@ fastify.register(async function (fastify) {
           response: responseText,
           businessConfig: organizationContext.businessConfig,
           originalSpeech: transcript,
+          // Who's calling, for finding their existing appointments
+          callerPhone: fromNumber,
+          calledNumber: toNumber,
+          organizationId: organizationContext.organizationId,
+          organizationName: organizationContext.organizationName,
           // Map fast LLM entities to state machine bookingData format
           bookingData: {
             service: frameEntities?.service,
@@ -608,6 +797,12 @@ fastify.register(async function (fastify) {
         });
         
         actor.send(eventData);
+
+        // Looking up or changing an existing appointment answers once it's done
+        if (actor.getSnapshot().hasTag('working')) {
+          await waitFor(actor, snapshot => !snapshot.hasTag('working'), { timeout: APPOINTMENT_CHANGE_TIMEOUT_MS })
+            .catch(error => console.error('⚠️ Appointment change still running:', error.message));
+        }
         
         const newState = actor.getSnapshot();
         console.log('📋 State machine transition:', {
@@ -634,6 +829,13 @@ fastify.register(async function (fastify) {
           console.log('📋 SM Response:', stateMachineResponse.substring(0, 100));
           console.log('📋 LLM Response:', responseText.substring(0, 100));
           responseText = stateMachineResponse;
+
+          // The state machine has the final word: drop what's left of the streamed LLM reply
+          if (!activeReply?.stopped) {
+            speech.cancel();
+            await speech.finish();
+            speech = null;
+          }
           
           // Update the processing result to reflect state machine override
           processingResult = {
@@ -654,28 +856,50 @@ fastify.register(async function (fastify) {
         sanitizedText = sanitizedText.replace(/<frame>[\s\S]*?<\/frame>/g, '').trim();
       }
       
-      console.log('🔊 Starting TTS generation:', {
-        text: sanitizedText?.substring(0, 50) + '...',
-        streamSid: streamSid
-      });
-      
       const ttsStartTime = Date.now();
-      const ttsResult = await ttsService.generateAndStream(sanitizedText, ws, { 
-        streamId: streamSid,
-        ttsConfig: {
-          model: organizationContext?.businessConfig?.voiceSettings?.voiceModel || 'harmonia'
-        }
-      });
+      if (speech) {
+        // Already streaming sentence by sentence; wait for the rest of the reply to play
+        const spoken = await speech.finish();
+        console.log('✅ Streamed reply completed:', {
+          sentences: spoken.sentences,
+          firstSentenceMs: spoken.firstSentenceMs,
+          interrupted: spoken.interrupted,
+          audioSize: spoken.audioBytes
+        });
+      } else {
+        console.log('🔊 Starting TTS generation:', {
+          text: sanitizedText?.substring(0, 50) + '...',
+          streamSid: streamSid
+        });
+
+        const ttsResult = await ttsService.generateAndStream(sanitizedText, ws, { 
+          streamId: streamSid,
+          ttsConfig: getTtsConfig(),
+          replyId: reply.replyId
+        });
+
+        console.log('✅ TTS completed:', {
+          generationTime: ttsResult.metrics?.generationTime || 'unknown',
+          streamingTime: ttsResult.metrics?.streamingTime || 'unknown',
+          audioSize: ttsResult.metrics?.audioSize || 'unknown'
+        });
+      }
       const ttsMs = Date.now() - ttsStartTime;
-      
-      console.log('✅ TTS completed:', {
-        generationTime: ttsResult.metrics?.generationTime || 'unknown',
-        streamingTime: ttsResult.metrics?.streamingTime || 'unknown',
-        audioSize: ttsResult.metrics?.audioSize || 'unknown'
-      });
+      await recordHeardReply(reply, { llmMs, ttsMs });
 
       // Step 4: Log performance metrics
       const totalMs = Date.now() - turnStartTime;
+
+      if (liveCall) {
+        const { value: state, context } = stateMachineActor.getSnapshot();
+        liveCall.addTranscript('assistant', reply.heardText ?? sanitizedText, reply.interrupted ? { interrupted: true } : {});
+        liveCall.update({
+          state,
+          slots: { service: context.service, preferredTime: context.preferredTime, contact: context.contact },
+          latency: { llmMs, firstSentenceMs, ttsMs, totalMs },
+          turns: turnIndex + 1
+        });
+      }
       
       console.log(`Enhanced turn ${turnIndex} completed:`, {
         transcript,
@@ -723,12 +947,379 @@ fastify.register(async function (fastify) {
       console.error('Error processing turn:', error);
       await handleProcessingError(error);
     } finally {
+      cancelFiller();
       isProcessingTurn = false;
-      resetConversationTimeout();
-      resetSilenceTimeout(); // Restart silence detection after processing
+      activeReply = null;
+      if (!transferInProgress) {
+        resetConversationTimeout();
+        resetSilenceTimeout(); // Restart silence detection after processing
+      }
+    }
+  };
+
+  // Run the escalate tool: speak its handoff line, then transfer or wrap up
+  const callTransferService = new CallTransferService();
+  const handleEscalation = async (kind, { reason, slots }) => {
+    const ttsConfig = getPhraseTtsConfig();
+    const toolExecutor = new ToolExecutor({
+      organizationId: organizationContext?.organizationId,
+      businessConfig: organizationContext?.businessConfig,
+      slots
+    });
+    const result = toolExecutor.escalate(kind, reason);
+    const escalation = toolExecutor.context.escalation;
+
+    const handoff = await ttsService.generateAndStream(result.message, ws, { streamId: streamSid, ttsConfig });
+
+    if (escalation.kind === 'transfer') {
+      // Let Twilio finish playing the handoff line before the call leaves the media stream
+      await new Promise(resolve => setTimeout(resolve, estimatePlaybackMs(handoff.audioBuffer) + 300));
+
+      const transfer = await callTransferService.startTransfer({
+        callSid,
+        escalationNumber: escalation.transferTo,
+        baseUrl: webhookBaseUrl,
+        organizationId: getCallOrganizationId(),
+        organizationName: organizationContext?.organizationName,
+        callerPhone: fromNumber,
+        slots,
+        reason
+      });
+
+      if (transfer.success) {
+        transferInProgress = true;
+        liveCall?.update({ mode: 'transfer' });
+        clearSilenceTimeout();
+        if (conversationTimeout) clearTimeout(conversationTimeout);
+        sttService.stopListening();
+        return;
+      }
+
+      escalation.kind = 'callback';
+      escalation.transferError = transfer.error;
+      await ttsService.generateAndStream(
+        "I'm sorry, I wasn't able to connect you. I'll have someone call you back as soon as possible.",
+        ws,
+        { streamId: streamSid, ttsConfig }
+      );
+    }
+
+    if (escalation.kind === 'voicemail') {
+      await new Promise(resolve => setTimeout(resolve, estimatePlaybackMs(handoff.audioBuffer)));
+      await enterVoicemailMode('escalation');
+      return;
+    }
+
+    await upsertCallBySid(callSid, {
+      status: 'escalated',
+      metadata: { escalation }
+    }, {
+      organizationId: getCallOrganizationId(),
+      callerPhone: fromNumber
+    });
+
+    await handleConversationEnd({ state: 'escalateToHuman', context: { ...slots, escalation } });
+  };
+
+  // Keypad entry: "0" escalates, digits fill the contact slot, menu keys act like spoken intents
+  const handleKeypadInput = async ({ digits, terminator }) => {
+    if (voicemailMode || transferInProgress) return;
+
+    const businessConfig = organizationContext?.businessConfig;
+    const actor = initializeStateMachine();
+    const currentState = actor.getSnapshot();
+    const input = resolveKeypadInput(digits, {
+      menu: getKeypadMenu(businessConfig),
+      state: currentState.value
+    });
+
+    console.log('🔢 Keypad input:', { digits, terminator, state: currentState.value, type: input.type });
+
+    if (isProcessingTurn) {
+      console.log('Turn already in progress, ignoring keypad input:', digits);
+      return;
+    }
+
+    if (input.type === 'escalate') {
+      isProcessingTurn = true;
+      try {
+        await handleEscalation(input.kind, {
+          reason: `caller pressed ${digits}`,
+          slots: {
+            service: currentState.context.service,
+            timeWindow: currentState.context.preferredTime,
+            contact: currentState.context.contact
+          }
+        });
+      } catch (error) {
+        console.error('Error handling keypad escalation:', error);
+        await handleProcessingError(error);
+      } finally {
+        isProcessingTurn = false;
+      }
+      return;
+    }
+
+    isProcessingTurn = true;
+    try {
+      let responseText;
+
+      if (input.type === 'unrecognized') {
+        responseText = "Sorry, I didn't catch that entry. Please try again, or just tell me what you need.";
+      } else if (input.type === 'menu' && input.action !== 'booking') {
+        const toolExecutor = new ToolExecutor({ organizationId: organizationContext?.organizationId, businessConfig });
+        const fact = toolExecutor.fetchBusinessFact(input.action).value;
+        responseText = `${fact}. Is there anything else I can help you with?`;
+        actor.send(buildKeypadEvent(input, { response: responseText, businessConfig, sessionId }));
+      } else {
+        const event = buildKeypadEvent(input, { businessConfig, sessionId });
+        actor.send(event);
+
+        const newState = actor.getSnapshot();
+        console.log('📋 State machine transition (keypad):', {
+          from: currentState.value,
+          to: newState.value,
+          contact: newState.context.contact
+        });
+
+        responseText = input.type === 'confirm'
+          ? 'Great, let me book that for you now.'
+          : getKeypadPrompt(newState.value, newState.context, businessConfig);
+      }
+
+      await ttsService.generateAndStream(responseText, ws, {
+        streamId: streamSid,
+        ttsConfig: getTtsConfig()
+      });
+      turnIndex++;
+
+      const finalState = actor.getSnapshot();
+      if (['success', 'callbackScheduled', 'fallback'].includes(finalState.value)) {
+        console.log('📋 State machine reached final state:', finalState.value);
+        await handleConversationEnd({ state: finalState.value, context: finalState.context });
+      }
+    } catch (error) {
+      console.error('Error processing keypad input:', error);
+      await handleProcessingError(error);
+    } finally {
+      isProcessingTurn = false;
+      if (!transferInProgress) {
+        resetConversationTimeout();
+        resetSilenceTimeout();
+      }
+    }
+  };
+  dtmfCollector.on('input', handleKeypadInput);
+
+  // Voicemail mode: play the prompt and a tone, then record the caller until they stop talking
+  const enterVoicemailMode = async (reason) => {
+    if (voicemailMode) return;
+
+    console.log('📭 Entering voicemail mode:', reason);
+    voicemailMode = true;
+    liveCall?.update({ mode: 'voicemail' });
+    greetingSent = true; // never greet over a voicemail prompt
+
+    clearSilenceTimeout();
+    if (conversationTimeout) clearTimeout(conversationTimeout);
+    turnDetector.clear();
+    sttService.stopListening();
+
+    try {
+      const prompt = reason === 'after_hours'
+        ? getAfterHoursMessage({
+            organizationName: organizationContext?.organizationName,
+            businessConfig: organizationContext?.businessConfig,
+            status: getBusinessHoursStatus(organizationContext?.businessConfig)
+          })
+        : getVoicemailPrompt(organizationContext?.businessConfig);
+      const result = await ttsService.generateAndStream(prompt, ws, {
+        streamId: streamSid,
+        ttsConfig: getPhraseTtsConfig()
+      });
+
+      const tone = generateTone();
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ event: 'media', streamSid, media: { payload: tone.toString('base64') } }));
+        callRecorder.addOutbound(tone);
+      }
+
+      // Start recording once the prompt and tone have actually played
+      await new Promise(resolve => setTimeout(resolve, estimatePlaybackMs(result.audioBuffer) + estimatePlaybackMs(tone)));
+    } catch (error) {
+      console.error('❌ Error playing voicemail prompt:', error);
+    }
+
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    voicemailRecorder = new VoicemailRecorder();
+    voicemailRecorder.once('complete', handleVoicemailComplete);
+    voicemailRecorder.start();
+  };
+
+  const handleVoicemailComplete = async ({ audio, reason, heardSpeech }) => {
+    if (reason !== 'hangup' && ws.readyState === WebSocket.OPEN) {
+      try {
+        const result = await ttsService.generateAndStream('Thank you, your message has been recorded. Goodbye.', ws, {
+          streamId: streamSid,
+          ttsConfig: getPhraseTtsConfig()
+        });
+        setTimeout(() => {
+          if (ws.readyState === WebSocket.OPEN) ws.close();
+        }, estimatePlaybackMs(result.audioBuffer) + 500);
+      } catch (error) {
+        console.error('❌ Error playing voicemail goodbye:', error);
+        ws.close();
+      }
+    }
+
+    if (!heardSpeech) {
+      console.log('📭 Voicemail contained no speech - not saving');
+      return;
+    }
+
+    await saveVoicemail({
+      organizationId: getCallOrganizationId(),
+      callSid,
+      callerPhone: fromNumber,
+      audio,
+      sttService
+    });
+  };
+
+  // Voice for everything spoken on this call, in the caller's language
+  const getTtsConfig = () => ({
+    model: organizationContext?.businessConfig?.voiceSettings?.voiceModel || 'harmonia',
+    language: callLanguage
+  });
+
+  // Fixed phrases (greetings, prompts, fallbacks) are rendered once and served from the phrase cache
+  const getPhraseTtsConfig = () => ({ ...getTtsConfig(), cache: true });
+
+  // Switch to the organization's STT provider (voiceSettings.sttProvider), keeping the call's handlers
+  const configureSttProvider = () => {
+    const provider = organizationContext?.businessConfig?.voiceSettings?.sttProvider;
+    if (!provider || provider === sttService.providerName) return;
+
+    let replacement;
+    try {
+      replacement = providers.createSTT({ provider });
+    } catch (error) {
+      console.error(`⚠️ Could not start STT provider "${provider}", keeping ${sttService.providerName}:`, error.message);
+      return;
+    }
+
+    console.log(`🎙️ Switching STT provider: ${sttService.providerName} -> ${provider}`);
+    const previous = sttService;
+    const wasListening = previous.isListening;
+    moveSttListeners(previous, replacement);
+    previous.stopListening();
+    sttService = replacement;
+    if (wasListening) sttService.startListening(previous.listenOptions);
+  };
+
+  // Render speech with the organization's TTS provider (voiceSettings.ttsProvider)
+  const configureTtsProvider = () => {
+    const provider = organizationContext?.businessConfig?.voiceSettings?.ttsProvider;
+    if (!provider || provider === ttsService.providerName || typeof ttsService.setProvider !== 'function') return;
+
+    try {
+      ttsService.setProvider(provider);
+      console.log(`🔈 TTS provider: ${provider}`);
+    } catch (error) {
+      console.error(`⚠️ Could not start TTS provider "${provider}", keeping ${ttsService.providerName}:`, error.message);
+    }
+  };
+
+  // Filler phrases for the call language are rendered up front so a slow turn never waits on TTS
+  const prerenderFillers = () => {
+    const settings = getFillerSettings(organizationContext, callLanguage);
+    if (!settings.enabled) return;
+    ttsService.prerender(Object.values(settings.phrases).flat(), getTtsConfig())
+      .catch(error => console.error('Error pre-rendering filler phrases:', error.message));
+  };
+
+  // Multilingual organizations listen on the code-switching model until the caller's language is known;
+  // turn detection and fillers follow the organization's settings and the call language
+  const configureCallLanguages = () => {
+    languageDetector = new LanguageDetector({
+      languages: getSupportedLanguages(organizationContext?.businessConfig)
+    });
+    callLanguage = languageDetector.language;
+    turnDetector.configure({
+      settings: getTurnDetectionSettings(organizationContext?.businessConfig?.voiceSettings),
+      language: callLanguage
+    });
+    prerenderFillers();
+
+    if (!sttService.isListening) return;
+    if (languageDetector.isMultilingual) {
+      sttService.restartListening(getSttOptions('multi'));
+    } else if (callLanguage !== DEFAULT_LANGUAGE) {
+      sttService.restartListening(getSttOptions(callLanguage));
+    }
+  };
+
+  // Switch STT to the caller's language and store it on the call
+  const switchCallLanguage = (language) => {
+    if (language !== callLanguage || sttService.listenOptions.language === 'multi') {
+      console.log(`🌐 Caller language: ${SUPPORTED_LANGUAGES[language].name}`);
+      callLanguage = language;
+      liveCall?.update({ language });
+      turnDetector.configure({ language });
+      prerenderFillers();
+      sttService.restartListening(getSttOptions(language));
+    }
+
+    upsertCallBySid(callSid, { language }, {
+      organizationId: getCallOrganizationId(),
+      callerPhone: fromNumber
+    }).catch(error => console.error('Error saving call language:', error));
+  };
+
+  // Attach this stream to its Call row, which the status callback may already have created
+  const startCallTracking = async () => {
+    if (!callSid || callId) return;
+
+    liveCall?.update({ language: callLanguage });
+    liveCall?.attach(getCallOrganizationId());
+
+    const existing = await getCallBySid(callSid);
+    const notYetAnswered = !existing?.status || ['queued', 'initiated', 'ringing'].includes(existing.status);
+
+    const call = await upsertCallBySid(callSid, {
+      currentState: voicemailMode ? 'voicemail' : 'greeting',
+      ...(notYetAnswered && { status: 'in_progress' })
+    }, {
+      organizationId: getCallOrganizationId(),
+      callerPhone: fromNumber,
+      language: callLanguage,
+      startedAt: new Date()
+    });
+
+    if (call) {
+      callId = call.id;
+      console.log('Call tracking initialized:', callId);
     }
   };
 
+  // Store the call recording once the stream is over (stop and close both land here)
+  const finishCallRecording = async () => {
+    const recording = callRecorder.stop();
+    if (!recording || !callSid) return;
+
+    if (!isRecordingEnabled(organizationContext?.businessConfig)) {
+      console.log('🎙️ Call recording disabled for this organization - discarding');
+      return;
+    }
+
+    await saveCallRecording({
+      callSid,
+      organizationId: getCallOrganizationId(),
+      wav: recording.wav
+    });
+  };
+
   // Handle prolonged silence with contextual responses
   let silenceCount = 0; // Track how many times silence has been handled
   const handleSilence = async () => {
@@ -782,9 +1373,7 @@ fastify.register(async function (fastify) {
       
               await ttsService.generateAndStream(timeoutResponse, ws, { 
           streamId: streamSid,
-          ttsConfig: {
-            model: organizationContext?.businessConfig?.voiceSettings?.voiceModel || 'harmonia'
-          }
+          ttsConfig: getPhraseTtsConfig()
         });
       resetConversationTimeout();
     } catch (error) {
@@ -798,9 +1387,7 @@ fastify.register(async function (fastify) {
       const errorResponse = "I'm sorry, I'm experiencing technical difficulties. Could you please repeat that?";
               await ttsService.generateAndStream(errorResponse, ws, { 
           streamId: streamSid,
-          ttsConfig: {
-            model: organizationContext?.businessConfig?.voiceSettings?.voiceModel || 'harmonia'
-          }
+          ttsConfig: getPhraseTtsConfig()
         });
       
       if (callId) {
@@ -902,9 +1489,7 @@ fastify.register(async function (fastify) {
       const timeoutMessage = "I haven't heard from you in a while. If you'd like to schedule an appointment, please call back. Have a great day!";
               await ttsService.generateAndStream(timeoutMessage, ws, { 
           streamId: streamSid,
-          ttsConfig: {
-            model: organizationContext?.businessConfig?.voiceSettings?.voiceModel || 'harmonia'
-          }
+          ttsConfig: getPhraseTtsConfig()
         });
       
       if (callId) {
@@ -938,28 +1523,36 @@ fastify.register(async function (fastify) {
         const streamParameters = data.start.customParameters || {};
         toNumber = streamParameters.to;
         fromNumber = streamParameters.from;
+        const streamMode = streamParameters.mode;
+        afterHoursMode = streamParameters.afterHours || null;
         
         console.log('Twilio stream started:', { streamSid, callSid, toNumber, fromNumber });
         console.log('📋 Full start event data:', JSON.stringify(data.start, null, 2));
         console.log('📋 Stream custom parameters:', streamParameters);
         
         // Fallback: if custom parameters didn't work, try the callStore
-        if (!toNumber && callSid && callStore.has(callSid)) {
-          const storedCallData = callStore.get(callSid);
+        const storedCallData = !toNumber && callSid ? await callStore.take(callSid).catch(() => null) : null;
+        if (storedCallData) {
           toNumber = storedCallData.to;
           fromNumber = storedCallData.from;
           console.log('📋 Retrieved call parameters from callStore:', storedCallData);
-          
-          // Clean up the stored data
-          callStore.delete(callSid);
         }
+
+        liveCall = new LiveCallMonitor().track({ callSid, callerPhone: fromNumber, calledNumber: toNumber });
         
         // 🚀 IMMEDIATE: Start STT service without waiting for DB
         console.log('🚀 Starting STT service immediately (no DB wait)');
         streamStarted = true;
         
-        // Only start STT if it's not already listening
-        if (!sttService.isListening) {
+        // Voicemail streams (e.g. unanswered transfers) skip the conversation entirely;
+        // the message itself is stored as a Voicemail, so they aren't recorded again
+        if (streamMode !== 'voicemail') {
+          callRecorder.start();
+        }
+        
+        if (streamMode === 'voicemail') {
+          greetingSent = true;
+        } else if (!sttService.isListening) {
           sttService.startListening();
         } else {
           console.log('⚠️ STT service already listening, skipping start');
@@ -989,6 +1582,19 @@ fastify.register(async function (fastify) {
               });
             }
             
+            configureSttProvider();
+            configureTtsProvider();
+            configureCallLanguages();
+
+            // Recognize returning callers before greeting them (capped, never blocks the greeting for long)
+            if (streamMode !== 'voicemail') {
+              callerProfile = await new CallerProfileService().getProfile({
+                organizationContext,
+                callerPhone: fromNumber,
+                callSid
+              });
+            }
+            
             // Check if enhanced features are enabled for this organization
             const { isEnhancedEnabled, getEnhancedConfig } = getEnhancedServices();
             const enhancedConfig = getEnhancedConfig(organizationContext);
@@ -1043,7 +1649,12 @@ fastify.register(async function (fastify) {
         };
         
         // Execute organization context loading in background
-        loadOrgContextAsync();
+        loadOrgContextAsync().then(async () => {
+          if (streamMode === 'voicemail') {
+            await enterVoicemailMode(afterHoursMode === 'message' ? 'after_hours' : 'stream_parameter');
+          }
+          await startCallTracking();
+        }).catch(error => console.error('❌ Error starting call tracking:', error));
         
         // Fallback: ensure greeting is sent within 3 seconds even if race conditions occur
         setTimeout(async () => {
@@ -1051,16 +1662,13 @@ fastify.register(async function (fastify) {
             console.log('⏰ Fallback timeout: sending greeting after 3 seconds');
             greetingSent = true;
             // Use fallback greeting if organization context didn't load in time
-            const greeting = organizationContext?.businessConfig?.greeting || 
-                            organizationContext?.businessConfig?.scripts?.greeting ||
-                            FALLBACK_GREETING;
+            const { text: greeting } = getGreeting({ organizationContext, profile: callerProfile, fallback: FALLBACK_GREETING });
+            liveCall?.addTranscript('assistant', greeting);
             
             try {
               await ttsService.generateAndStream(greeting, ws, { 
           streamId: streamSid,
-          ttsConfig: {
-            model: organizationContext?.businessConfig?.voiceSettings?.voiceModel || 'harmonia'
-          }
+          ttsConfig: getPhraseTtsConfig()
         });
               console.log('✅ Fallback greeting sent successfully');
             } catch (error) {
@@ -1069,24 +1677,7 @@ fastify.register(async function (fastify) {
           }
         }, 3000);
         
-        // Initialize call tracking
-        /* if (callSid && !callId) {
-          try {
-            const call = await createCall({
-              twilioCallSid: callSid,
-              status: 'in_progress',
-              startedAt: new Date(),
-              currentState: 'greeting',
-              organizationId: organizationContext.organizationId,
-              callerPhone: fromNumber
-            });
-            callId = call.id;
-            console.log('Call tracking initialized:', callId);
-          } catch (error) {
-            console.error('Failed to initialize call tracking:', error);
-            // Continue without database tracking
-          }
-        } */
+        // Call tracking starts once the organization context has loaded (see above)
 
         // STT and greeting are now handled immediately above (no DB wait)
         
@@ -1095,11 +1686,34 @@ fastify.register(async function (fastify) {
         if (data.media && data.media.payload) {
           const audioBuffer = Buffer.from(data.media.payload, 'base64');
           // console.log(`Received audio chunk: ${audioBuffer.length} bytes`);
-          sttService.sendAudio(audioBuffer);
+          callRecorder.addInbound(audioBuffer);
+          if (voicemailMode) {
+            if (voicemailRecorder) voicemailRecorder.addFrame(audioBuffer);
+          } else {
+            sttService.sendAudio(audioBuffer);
+          }
         } else {
           console.log('Received media event without payload');
         }
         
+      } else if (data.event === 'mark') {
+        // Twilio played our audio up to this mark
+        ttsService.handleMark(data.mark?.name);
+        
+      } else if (data.event === 'dtmf') {
+        const digit = data.dtmf?.digit;
+        console.log('🔢 DTMF digit received:', digit);
+        if (voicemailMode || transferInProgress) return;
+        
+        // A keypress interrupts whatever we're saying, like speech barge-in
+        if (activeReply?.speech.started) stopActiveReply();
+        if (ttsService.interruptStream() && lastReply) {
+          recordHeardReply(lastReply).catch(error => console.error('Error recording interrupted reply:', error));
+        }
+        clearSilenceTimeout();
+        resetConversationTimeout();
+        dtmfCollector.addDigit(digit);
+        
       } else if (data.event === 'stop') {
         console.log('Twilio stream stopped');
         
@@ -1112,13 +1726,17 @@ fastify.register(async function (fastify) {
           clearTimeout(conversationTimeout);
           conversationTimeout = null;
         }
-        if (turnBufferTimeout) {
-          clearTimeout(turnBufferTimeout);
-          turnBufferTimeout = null;
-        }
+        turnDetector.clear();
         
         // Stop STT service
         sttService.stopListening();
+        stopActiveReply();
+        dtmfCollector.clear();
+        
+        // Caller hung up mid-voicemail: keep what we have
+        if (voicemailRecorder) voicemailRecorder.finish('hangup');
+        
+        finishCallRecording().catch(error => console.error('Error saving call recording:', error));
         
         // Update call status
         /* if (callId) {
@@ -1143,26 +1761,34 @@ fastify.register(async function (fastify) {
     
     // Clean up services
     sttService.stopListening();
+    stopActiveReply();
     ttsService.interruptStream();
+    dtmfCollector.clear();
+    if (voicemailRecorder) voicemailRecorder.finish('hangup');
+    finishCallRecording().catch(error => console.error('Error saving call recording:', error));
     
     // Clear timeouts
     if (conversationTimeout) clearTimeout(conversationTimeout);
     if (silenceTimeout) clearTimeout(silenceTimeout);
-    if (turnBufferTimeout) clearTimeout(turnBufferTimeout);
+    turnDetector.clear();
     
     // Clean up session
     sessionManager.clearSession(sessionId);
+    if (stateMachineActor) stateMachineActor.stop();
+
+    // Free the concurrent call slot taken by the webhook
+    new CallConcurrency().release(callSid).catch(error => console.error('Error releasing call slot:', error));
+    liveCall?.end();
     
-    // Update call status to disconnected
-    /* if (callId) {
-      updateCall(callId, {
-        status: 'disconnected',
+    // Final status comes from the Twilio status callback; record what only we know.
+    // Merged by sid so transfer, escalation, voicemail and lifecycle metadata are kept.
+    if (callId) {
+      upsertCallBySid(callSid, {
         endedAt: new Date(),
-        totalTurns: turnIndex
-      }).catch(error => {
-        console.error('Failed to update call disconnect status:', error);
-      });
-    } */
+        totalTurns: turnIndex,
+        metadata: { turnDetection: turnDetector.getMetrics() }
+      }).catch(error => console.error('Error saving call end:', error));
+    }
   });
 
     ws.on('error', (error) => {
@@ -1187,7 +1813,7 @@ fastify.register(async function (fastify) {
     // Clear timeouts
     if (conversationTimeout) clearTimeout(conversationTimeout);
     if (silenceTimeout) clearTimeout(silenceTimeout);
-    if (turnBufferTimeout) clearTimeout(turnBufferTimeout);
+    turnDetector.clear();
     
     // Log websocket error
     /* if (callId) {
@@ -1244,6 +1870,13 @@ fastify.get('/health', async (request, reply) => {
   // Test Twilio configuration
   health.services.twilio = (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) ? 'configured' : 'missing';
 
+  // Calls in progress across all organizations
+  try {
+    health.activeCalls = await new CallConcurrency().getPlatformUsage();
+  } catch (error) {
+    health.activeCalls = null;
+  }
+
   return health;
 });
 
@@ -1301,4 +1934,9 @@ const start = async () => {
   }
 };
 
-start();
\ No newline at end of file
+// Only listen when run directly; the call simulator and tests require the app instead
+if (require.main === module) {
+  start();
+}
+
+module.exports = { fastify, start };
@@ -0,0 +1,88 @@
+const twilio = require('twilio');
+
+/**
+ * Twilio webhook signature validation
+ *
+ * Twilio signs the exact public URL it requested (scheme, host, path and query)
+ * plus the POSTed form fields. Behind a load balancer or ngrok the request we see
+ * has a different scheme/host, so the URL is rebuilt from x-forwarded-proto/host.
+ * TWILIO_WEBHOOK_BASE_URL, when set, is also tried since it is the URL Twilio was
+ * configured with.
+ *
+ * Development bypass: set TWILIO_SKIP_SIGNATURE_VALIDATION=true together with
+ * NODE_ENV=development (e.g. for curl or local tunnels without a real signature).
+ * The flag is ignored in every other environment.
+ */
+
+function firstHeaderValue(value) {
+  return (value || '').split(',')[0].trim();
+}
+
+/**
+ * Candidate public URLs Twilio may have signed for this request
+ */
+function getSignedUrlCandidates(request) {
+  const headers = request.headers;
+  const proto = firstHeaderValue(headers['x-forwarded-proto']) || request.protocol || 'https';
+  const host = firstHeaderValue(headers['x-forwarded-host']) || headers.host;
+  const candidates = new Set();
+
+  const baseUrl = process.env.TWILIO_WEBHOOK_BASE_URL || process.env.BASE_URL;
+  if (baseUrl) {
+    candidates.add(`${baseUrl.replace(/\/$/, '')}${request.url}`);
+  }
+  if (host) {
+    candidates.add(`${proto}://${host}${request.url}`);
+    // TLS-terminating proxies sometimes drop x-forwarded-proto; Twilio only calls https in production
+    candidates.add(`https://${host}${request.url}`);
+  }
+
+  return [...candidates];
+}
+
+function isBypassEnabled() {
+  return process.env.NODE_ENV === 'development' && process.env.TWILIO_SKIP_SIGNATURE_VALIDATION === 'true';
+}
+
+/**
+ * Check a request's X-Twilio-Signature against every candidate URL
+ * @param {object} request - Fastify request
+ * @returns {boolean}
+ */
+function isValidTwilioRequest(request) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const signature = request.headers['x-twilio-signature'];
+
+  if (!authToken || !signature) return false;
+
+  const params = request.body && typeof request.body === 'object' ? request.body : {};
+  return getSignedUrlCandidates(request).some(url => twilio.validateRequest(authToken, signature, url, params));
+}
+
+/**
+ * Fastify preHandler for every Twilio webhook (voice, transfers, status callbacks, SMS)
+ */
+async function twilioSignatureMiddleware(request, reply) {
+  if (isBypassEnabled()) {
+    return;
+  }
+
+  if (!process.env.TWILIO_AUTH_TOKEN) {
+    console.error('🚫 TWILIO_AUTH_TOKEN not set - rejecting Twilio webhook', request.url);
+    return reply.code(403).send({ error: 'Twilio webhook validation is not configured' });
+  }
+
+  if (!isValidTwilioRequest(request)) {
+    console.warn('🚫 Rejected Twilio webhook with invalid signature:', {
+      url: request.url,
+      candidates: getSignedUrlCandidates(request)
+    });
+    return reply.code(403).send({ error: 'Invalid Twilio signature' });
+  }
+}
+
+module.exports = {
+  twilioSignatureMiddleware,
+  isValidTwilioRequest,
+  getSignedUrlCandidates
+};
@@ -0,0 +1,236 @@
+const { getDatabase } = require('../config/database');
+const { requireRole } = require('../middleware/auth');
+const { AvailabilityService, RELEASED_STATUSES } = require('../services/availability');
+const { calendarSync } = require('../services/calendar');
+const { getServiceDuration } = require('../services/dateResolver');
+
+const APPOINTMENT_STATUSES = [
+  'scheduled',
+  'confirmed',
+  'pending_confirmation',
+  'pending_callback',
+  'completed',
+  'no_show',
+  'cancelled'
+];
+const EDITABLE_FIELDS = ['service', 'provider', 'contactPhone', 'notes'];
+const MAX_LIMIT = 500;
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const holdsSlot = (status) => !RELEASED_STATUSES.includes(status);
+
+async function appointmentRoutes(fastify, options) {
+  const availability = new AvailabilityService();
+
+  // Refuse a time that overlaps another appointment or a busy block on a connected calendar
+  const checkConflicts = async (reply, { organizationId, startAt, endAt, exclude }) => {
+    const conflicts = await availability.findConflicts({ organizationId, start: startAt, end: endAt, exclude });
+    if (conflicts.length === 0) return false;
+
+    reply.code(409).send({ error: 'This time overlaps another appointment', conflicts });
+    return true;
+  };
+
+  // List appointments, filtered by date range, service, provider and status
+  fastify.get('/', async (request, reply) => {
+    const { organizationId } = request.user;
+    const { from, to, service, provider, status, page = 1, limit = 100 } = request.query;
+    const take = Math.min(parseInt(limit) || 100, MAX_LIMIT);
+    const statuses = status && status !== 'all' ? status.split(',').map(value => value.trim()) : null;
+
+    if ((from && !parseDate(from)) || (to && !parseDate(to))) {
+      return reply.code(400).send({ error: 'from and to must be valid dates' });
+    }
+
+    try {
+      const prisma = await getDatabase();
+      const where = {
+        organizationId,
+        ...((from || to) && {
+          startAt: {
+            ...(from && { gte: parseDate(from) }),
+            ...(to && { lt: parseDate(to) })
+          }
+        }),
+        ...(service && { service: { contains: service, mode: 'insensitive' } }),
+        ...(provider && { provider: { contains: provider, mode: 'insensitive' } }),
+        ...(statuses && { status: { in: statuses } })
+      };
+
+      const [appointments, total] = await Promise.all([
+        prisma.appointment.findMany({
+          where,
+          orderBy: { startAt: 'asc' },
+          skip: (parseInt(page) - 1) * take,
+          take
+        }),
+        prisma.appointment.count({ where })
+      ]);
+
+      return {
+        appointments,
+        pagination: {
+          page: parseInt(page),
+          limit: take,
+          total,
+          pages: Math.ceil(total / take)
+        }
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  fastify.get('/:id', async (request, reply) => {
+    const { organizationId } = request.user;
+    const { id } = request.params;
+
+    try {
+      const prisma = await getDatabase();
+      const appointment = await prisma.appointment.findFirst({ where: { id, organizationId } });
+
+      if (!appointment) {
+        return reply.code(404).send({ error: 'Appointment not found' });
+      }
+      return appointment;
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  // Book an appointment. Without an end time it runs for the service's duration.
+  fastify.post('/', {
+    preHandler: requireRole(['admin', 'operator'])
+  }, async (request, reply) => {
+    const { organizationId } = request.user;
+    const { startAt, endAt, status = 'scheduled', ...fields } = request.body || {};
+    const start = parseDate(startAt);
+
+    if (!start) {
+      return reply.code(400).send({ error: 'A valid startAt is required' });
+    }
+    if (endAt && !parseDate(endAt)) {
+      return reply.code(400).send({ error: 'endAt must be a valid date' });
+    }
+    if (!APPOINTMENT_STATUSES.includes(status)) {
+      return reply.code(400).send({ error: `Status must be one of: ${APPOINTMENT_STATUSES.join(', ')}` });
+    }
+
+    try {
+      const prisma = await getDatabase();
+      let end = parseDate(endAt);
+      if (!end) {
+        const businessConfig = await prisma.businessConfig.findUnique({ where: { organizationId } });
+        end = new Date(start.getTime() + getServiceDuration(businessConfig, fields.service) * 60000);
+      }
+      if (end <= start) {
+        return reply.code(400).send({ error: 'endAt must be after startAt' });
+      }
+
+      if (holdsSlot(status) && await checkConflicts(reply, { organizationId, startAt: start, endAt: end })) {
+        return;
+      }
+
+      const data = { organizationId, startAt: start, endAt: end, status };
+      for (const field of EDITABLE_FIELDS) {
+        if (fields[field] !== undefined) data[field] = fields[field];
+      }
+      const appointment = await prisma.appointment.create({ data });
+      return reply.code(201).send(await calendarSync.syncAppointment(appointment));
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  // Change an appointment's time, details or status (confirmed, completed, no_show, ...).
+  // Moving it keeps its length unless a new endAt is given.
+  fastify.put('/:id', {
+    preHandler: requireRole(['admin', 'operator'])
+  }, async (request, reply) => {
+    const { organizationId } = request.user;
+    const { id } = request.params;
+    const { startAt, endAt, status, ...fields } = request.body || {};
+
+    if ((startAt && !parseDate(startAt)) || (endAt && !parseDate(endAt))) {
+      return reply.code(400).send({ error: 'startAt and endAt must be valid dates' });
+    }
+    if (status !== undefined && !APPOINTMENT_STATUSES.includes(status)) {
+      return reply.code(400).send({ error: `Status must be one of: ${APPOINTMENT_STATUSES.join(', ')}` });
+    }
+
+    try {
+      const prisma = await getDatabase();
+      const existing = await prisma.appointment.findFirst({ where: { id, organizationId } });
+
+      if (!existing) {
+        return reply.code(404).send({ error: 'Appointment not found' });
+      }
+
+      const data = {};
+      for (const field of EDITABLE_FIELDS) {
+        if (fields[field] !== undefined) data[field] = fields[field];
+      }
+      if (status !== undefined) data.status = status;
+
+      const start = parseDate(startAt) || new Date(existing.startAt);
+      const end = parseDate(endAt) ||
+        (startAt ? new Date(start.getTime() + (new Date(existing.endAt) - new Date(existing.startAt))) : new Date(existing.endAt));
+      const moved = start.getTime() !== new Date(existing.startAt).getTime() || end.getTime() !== new Date(existing.endAt).getTime();
+      if (moved) {
+        if (end <= start) {
+          return reply.code(400).send({ error: 'endAt must be after startAt' });
+        }
+        data.startAt = start;
+        data.endAt = end;
+      }
+
+      // A moved appointment, or a released one taken back, needs its slot to be free
+      const nextStatus = data.status ?? existing.status;
+      const reclaimed = !holdsSlot(existing.status) && holdsSlot(nextStatus);
+      if (holdsSlot(nextStatus) && (moved || reclaimed) &&
+        await checkConflicts(reply, { organizationId, startAt: start, endAt: end, exclude: existing })) {
+        return;
+      }
+
+      const appointment = await prisma.appointment.update({ where: { id }, data });
+      return calendarSync.syncAppointment(appointment);
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  // Cancel an appointment. The row is kept (status cancelled) and its calendar event removed.
+  fastify.delete('/:id', {
+    preHandler: requireRole(['admin', 'operator'])
+  }, async (request, reply) => {
+    const { organizationId } = request.user;
+    const { id } = request.params;
+
+    try {
+      const prisma = await getDatabase();
+      const existing = await prisma.appointment.findFirst({
+        where: { id, organizationId },
+        select: { id: true }
+      });
+
+      if (!existing) {
+        return reply.code(404).send({ error: 'Appointment not found' });
+      }
+
+      const appointment = await prisma.appointment.update({
+        where: { id },
+        data: { status: 'cancelled' }
+      });
+      return calendarSync.syncAppointment(appointment);
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+}
+
+module.exports = appointmentRoutes;
@@ -0,0 +1,22 @@
+const { reconcileCallStatus } = require('../services/callLifecycle');
+
+// Twilio status callbacks are signed by Twilio, not by a user, so these routes
+// are registered in the Twilio webhook scope (twilioSignatureMiddleware), not behind JWT auth
+async function callStatusRoutes(fastify, options) {
+  fastify.post('/status', async (request, reply) => {
+    if (!request.body?.CallSid) {
+      return reply.code(400).send({ error: 'CallSid is required' });
+    }
+
+    try {
+      await reconcileCallStatus(request.body, {
+        organizationId: request.query.org
+      });
+      return reply.code(204).send();
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+}
+
+module.exports = callStatusRoutes;
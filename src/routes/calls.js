@@ -1,8 +1,15 @@
 const { PrismaClient } = require('@prisma/client');
+const { openObject } = require('../services/storage');
+const { LiveCallMonitor } = require('../services/liveCalls');
 
 const prisma = new PrismaClient();
 
+// Keeps proxies from closing an idle live-calls stream
+const LIVE_STREAM_HEARTBEAT_MS = 25000;
+
 async function callRoutes(fastify, options) {
+  const liveCalls = new LiveCallMonitor();
+
   // Get call logs with pagination and filtering
   fastify.get('/', async (request, reply) => {
     const { organizationId } = request.user;
@@ -67,6 +74,47 @@ async function callRoutes(fastify, options) {
     }
   });
 
+  // Calls in progress right now
+  fastify.get('/live', async (request, reply) => {
+    const { organizationId } = request.user;
+
+    try {
+      return { calls: await liveCalls.getCalls(organizationId) };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  // Server-sent events: a snapshot of the calls in progress, then every change as it happens
+  // (call, interim, ended). Read with fetch so the usual Authorization header applies.
+  fastify.get('/live/stream', async (request, reply) => {
+    const { organizationId } = request.user;
+
+    reply.hijack();
+    reply.raw.writeHead(200, {
+      ...reply.getHeaders(), // CORS
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    const send = (event, data) => reply.raw.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Subscribe before reading the snapshot so no change falls in between
+    const unsubscribe = liveCalls.subscribe(organizationId, (message) => send(message.type, message));
+    const heartbeat = setInterval(() => reply.raw.write(': heartbeat\n\n'), LIVE_STREAM_HEARTBEAT_MS);
+    request.raw.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    try {
+      send('snapshot', { calls: await liveCalls.getCalls(organizationId) });
+    } catch (error) {
+      send('error', { error: error.message });
+    }
+  });
+
   // Get specific call details
   fastify.get('/:id', async (request, reply) => {
     const { organizationId } = request.user;
@@ -95,6 +143,51 @@ async function callRoutes(fastify, options) {
     }
   });
 
+  // Stream a call recording (supports Range requests so players can seek)
+  fastify.get('/:id/recording', async (request, reply) => {
+    const { organizationId } = request.user;
+    const { id } = request.params;
+
+    try {
+      const call = await prisma.call.findFirst({
+        where: { id, organizationId },
+        select: { recordingUrl: true }
+      });
+
+      if (!call?.recordingUrl) {
+        return reply.code(404).send({ error: 'Recording not found' });
+      }
+
+      const range = parseRangeHeader(request.headers.range);
+      let object;
+      try {
+        object = await openObject(call.recordingUrl, range || {});
+      } catch (error) {
+        if (error.code === 'RANGE_NOT_SATISFIABLE') {
+          return reply.code(416).header('Content-Range', `bytes */${error.size}`).send();
+        }
+        if (error.code === 'ENOENT' || error.name === 'NotFound') {
+          return reply.code(404).send({ error: 'Recording not found' });
+        }
+        throw error;
+      }
+
+      reply
+        .header('Content-Type', 'audio/wav')
+        .header('Accept-Ranges', 'bytes')
+        .header('Content-Length', object.end - object.start + 1)
+        .header('Cache-Control', 'private, max-age=3600');
+
+      if (range) {
+        reply.code(206).header('Content-Range', `bytes ${object.start}-${object.end}/${object.size}`);
+      }
+
+      return reply.send(object.stream);
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
   // Get call analytics/summary
   fastify.get('/analytics/summary', async (request, reply) => {
     const { organizationId } = request.user;
@@ -215,4 +308,18 @@ async function callRoutes(fastify, options) {
   });
 }
 
+// "bytes=start-end" / "bytes=start-" / "bytes=-suffix" -> range for openObject (single ranges only)
+function parseRangeHeader(header) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (!match[1] && !match[2])) return null;
+
+  if (!match[1]) {
+    return { suffix: parseInt(match[2], 10) };
+  }
+  return {
+    start: parseInt(match[1], 10),
+    ...(match[2] && { end: parseInt(match[2], 10) })
+  };
+}
+
 module.exports = callRoutes; 
\ No newline at end of file
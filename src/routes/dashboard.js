@@ -1,4 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
+const { CallConcurrency } = require('../services/concurrency');
 // Authentication is handled at the parent level in index.js
 
 const prisma = new PrismaClient();
@@ -69,12 +70,20 @@ async function dashboardRoutes(fastify, options) {
       // Calculate estimated revenue (placeholder - would need pricing config)
       const revenue = todayBookings * 50; // Assume $50 per booking
 
+      // Calls with the assistant right now against the plan's limit
+      const organization = await prisma.organization.findUnique({
+        where: { id: organizationId },
+        select: { plan: true }
+      });
+      const concurrency = await new CallConcurrency().getUsage(organizationId, organization?.plan);
+
       return {
         todayCalls: todayCallsCount,
         todayBookings,
         bookingRate,
         avgLatency,
-        revenue
+        revenue,
+        concurrency
       };
     } catch (error) {
       fastify.log.error('Error fetching dashboard metrics:', error);
@@ -50,6 +50,16 @@ async function onboardingRoutes(fastify, options) {
           name: organizationName,
           plan: 'starter',
           twilioNumber: twilioNumber, // Store the provisioned number
+          ...(twilioNumber && {
+            phoneNumbers: {
+              create: {
+                number: twilioNumber,
+                twilioSid: numberDetails.mock ? null : numberDetails.sid,
+                isPrimary: true,
+                label: 'Main line'
+              }
+            }
+          }),
           businessConfig: {
             create: {
               businessHours: businessHours || {
@@ -220,6 +220,7 @@ async function organizationRoutes(fastify, options) {
           greeting: true,
           escalationNumber: true,
           smsCopy: true,
+          scripts: true,
           // Include any voice-specific settings from services
           services: true
         }
@@ -228,6 +229,8 @@ async function organizationRoutes(fastify, options) {
       // Default voice configuration
       const voiceConfig = {
         greeting: config?.greeting || "Hello! Thank you for calling. I'm here to help you schedule an appointment. How can I assist you today?",
+        // Played instead of the greeting to callers we recognize; may use {{firstName}}, {{nextAppointment}}, ...
+        returningGreeting: config?.scripts?.returningGreeting || '',
         escalationNumber: config?.escalationNumber || null,
         smsCopy: config?.smsCopy || "Thank you for calling! We'll send you a confirmation via text message.",
         voiceModel: 'harmonia', // Default voice model
@@ -269,11 +272,22 @@ async function organizationRoutes(fastify, options) {
       volume,
       confirmationPrompts,
       fallbackResponses,
+      returningGreeting,
       scripts  // Add scripts support
     } = request.body;
     
     try {
       const prisma = await getDatabase();
+
+      // The returning-caller greeting lives in scripts; keep the other scripts as they are
+      let updatedScripts = scripts;
+      if (returningGreeting !== undefined) {
+        const existing = scripts ? null : await prisma.businessConfig.findUnique({
+          where: { organizationId },
+          select: { scripts: true }
+        });
+        updatedScripts = { ...(scripts || existing?.scripts || {}), returningGreeting: returningGreeting || null };
+      }
       // Update business config with voice settings and scripts
       const config = await prisma.businessConfig.upsert({
         where: { organizationId },
@@ -281,7 +295,7 @@ async function organizationRoutes(fastify, options) {
           greeting,
           escalationNumber,
           smsCopy,
-          scripts: scripts || undefined, // Store custom scripts
+          scripts: updatedScripts || undefined, // Store custom scripts
           voiceSettings: {
             voiceModel: voiceModel || 'harmonia',
             speed: speechRate || 1.0,
@@ -295,7 +309,7 @@ async function organizationRoutes(fastify, options) {
           greeting: greeting || "Hello! Thank you for calling. I'm here to help you schedule an appointment. How can I assist you today?",
           escalationNumber,
           smsCopy: smsCopy || "Thank you for calling! We'll send you a confirmation via text message.",
-          scripts: scripts || {
+          scripts: updatedScripts || {
             greeting: greeting || "Hello! Thank you for calling. I'm here to help you schedule an appointment. How can I assist you today?",
             service: "What type of service are you looking to schedule today?",
             timeWindow: "When would you prefer to schedule this appointment?",
@@ -324,6 +338,7 @@ async function organizationRoutes(fastify, options) {
         escalationNumber: config.escalationNumber,
         smsCopy: config.smsCopy,
         scripts: config.scripts,
+        returningGreeting: config.scripts?.returningGreeting || '',
         voiceModel: config.voiceSettings?.voiceModel || voiceModel || 'harmonia',
         speechRate: config.voiceSettings?.speed || speechRate || 1.0,
         volume: config.voiceSettings?.pitch || volume || 0.8,
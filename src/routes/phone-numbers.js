@@ -0,0 +1,108 @@
+const { requireRole } = require('../middleware/auth');
+const { TwilioNumberService, validatePhoneNumberRouting } = require('../services/twilioNumbers');
+const { OrganizationContextService } = require('../services/organizationContext');
+
+const E164 = /^\+[1-9]\d{6,14}$/;
+
+async function phoneNumberRoutes(fastify, options) {
+  const twilioNumbers = new TwilioNumberService();
+  const contextService = new OrganizationContextService();
+
+  // The organization's numbers and how each one routes
+  fastify.get('/', async (request, reply) => {
+    const { organizationId } = request.user;
+
+    try {
+      return { phoneNumbers: await twilioNumbers.listNumbers(organizationId) };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  // Numbers available to buy
+  fastify.get('/available', {
+    preHandler: requireRole(['admin'])
+  }, async (request, reply) => {
+    const { areaCode, contains, country, limit } = request.query;
+
+    if (areaCode && !/^\d{3}$/.test(areaCode)) {
+      return reply.code(400).send({ error: 'Area code must be 3 digits' });
+    }
+
+    try {
+      return { numbers: await twilioNumbers.searchAvailableNumbers({ areaCode, contains, country, limit }) };
+    } catch (error) {
+      reply.code(502).send({ error: error.message });
+    }
+  });
+
+  // Buy a number and route it
+  fastify.post('/', {
+    preHandler: requireRole(['admin'])
+  }, async (request, reply) => {
+    const { organizationId } = request.user;
+    const { phoneNumber, ...routing } = request.body || {};
+
+    if (!phoneNumber || !E164.test(phoneNumber)) {
+      return reply.code(400).send({ error: 'phoneNumber must be in E.164 format, e.g. +15551234567' });
+    }
+    const routingError = validatePhoneNumberRouting(routing);
+    if (routingError) {
+      return reply.code(400).send({ error: routingError });
+    }
+
+    try {
+      const created = await twilioNumbers.purchaseNumber(organizationId, phoneNumber, routing);
+      await contextService.invalidatePhoneNumbers([created.number]);
+      return reply.code(201).send(created);
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  // Reassign a number to another location, language, greeting or voice configuration,
+  // or make it the primary number
+  fastify.put('/:id', {
+    preHandler: requireRole(['admin', 'operator'])
+  }, async (request, reply) => {
+    const { organizationId } = request.user;
+    const { isPrimary, ...routing } = request.body || {};
+
+    const routingError = validatePhoneNumberRouting(routing);
+    if (routingError) {
+      return reply.code(400).send({ error: routingError });
+    }
+
+    try {
+      const updated = await twilioNumbers.reassignNumber(organizationId, request.params.id, { ...routing, isPrimary });
+      if (!updated) {
+        return reply.code(404).send({ error: 'Phone number not found' });
+      }
+      await contextService.invalidateOrganizationCache(organizationId);
+      return updated;
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  // Release a number back to Twilio
+  fastify.delete('/:id', {
+    preHandler: requireRole(['admin'])
+  }, async (request, reply) => {
+    const { organizationId } = request.user;
+
+    try {
+      const released = await twilioNumbers.releaseOrganizationNumber(organizationId, request.params.id);
+      if (!released) {
+        return reply.code(404).send({ error: 'Phone number not found' });
+      }
+      await contextService.invalidateOrganizationCache(organizationId);
+      await contextService.invalidatePhoneNumbers([released.number]);
+      return { success: true };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+}
+
+module.exports = phoneNumberRoutes;
@@ -1,6 +1,13 @@
 const { getDatabase } = require('../config/database');
 const { authMiddleware, requireRole } = require('../middleware/auth');
-const TTSService = require('../services/tts');
+const { TTSService } = require('../services/tts');
+const { SUPPORTED_LANGUAGES } = require('../services/languageDetection');
+const { getSelectableSttProviders } = require('../services/sttProviders');
+const { getSelectableTtsProviders, getTtsProviderName } = require('../services/ttsProviders');
+const { validateTurnDetection } = require('../services/endOfTurn');
+const { validateFillers } = require('../services/fillers');
+
+const isSelectable = (providers, id) => providers.some(provider => provider.id === id);
 
 async function voiceRoutes(fastify, options) {
   const prisma = await getDatabase();
@@ -30,7 +37,7 @@ async function voiceRoutes(fastify, options) {
     preHandler: requireRole(['admin', 'operator'])
   }, async (request, reply) => {
     const { organizationId } = request.user;
-    const { voiceModel } = request.body;
+    const { voiceModel, languages, sttProvider, ttsProvider, turnDetection, fillers } = request.body;
     
     // Validate required fields
     if (!voiceModel) {
@@ -43,14 +50,52 @@ async function voiceRoutes(fastify, options) {
       return reply.code(400).send({ error: 'Invalid voice model selected' });
     }
 
+    // Languages callers are answered in, default first (e.g. ['en', 'es'])
+    if (languages !== undefined) {
+      if (!Array.isArray(languages) || languages.length === 0) {
+        return reply.code(400).send({ error: 'Languages must be a non-empty array' });
+      }
+      const unsupported = languages.filter(language => !SUPPORTED_LANGUAGES[language]);
+      if (unsupported.length > 0) {
+        return reply.code(400).send({ error: `Unsupported languages: ${unsupported.join(', ')}` });
+      }
+    }
+
+    // Speech recognition provider for this organization's calls
+    if (sttProvider !== undefined && !isSelectable(getSelectableSttProviders(), sttProvider)) {
+      return reply.code(400).send({ error: 'Invalid speech recognition provider selected' });
+    }
+    if (ttsProvider !== undefined && !isSelectable(getSelectableTtsProviders(), ttsProvider)) {
+      return reply.code(400).send({ error: 'Invalid speech synthesis provider selected' });
+    }
+
+    // How long to wait before deciding the caller has finished speaking
+    const turnDetectionError = turnDetection !== undefined ? validateTurnDetection(turnDetection) : null;
+    if (turnDetectionError) {
+      return reply.code(400).send({ error: turnDetectionError });
+    }
+
+    // Acknowledgements played while a slow reply is generated
+    const fillersError = fillers !== undefined ? validateFillers(fillers) : null;
+    if (fillersError) {
+      return reply.code(400).send({ error: fillersError });
+    }
+
     try {
       // Get current business config
       const currentConfig = await prisma.businessConfig.findUnique({
         where: { organizationId }
       });
 
+      // Keep settings managed elsewhere (e.g. recordCalls)
       const updatedVoiceSettings = {
+        ...(currentConfig?.voiceSettings || {}),
         voiceModel,
+        ...(languages && { languages: [...new Set(languages)] }),
+        ...(sttProvider && { sttProvider }),
+        ...(ttsProvider && { ttsProvider }),
+        ...(turnDetection && { turnDetection }),
+        ...(fillers && { fillers }),
         updatedAt: new Date().toISOString()
       };
 
@@ -85,12 +130,15 @@ async function voiceRoutes(fastify, options) {
     preHandler: requireRole(['admin', 'operator'])
   }, async (request, reply) => {
     const { organizationId } = request.user;
-    const { text, voiceModel } = request.body;
+    const { text, voiceModel, ttsProvider } = request.body;
     
     // Validate required fields
     if (!text || !voiceModel) {
       return reply.code(400).send({ error: 'Text and voice model are required' });
     }
+    if (ttsProvider !== undefined && !isSelectable(getSelectableTtsProviders(), ttsProvider)) {
+      return reply.code(400).send({ error: 'Invalid speech synthesis provider selected' });
+    }
 
     // Validate voice model is one of the allowed options
     const allowedVoices = ['saturn', 'harmonia', 'hera', 'zeus'];
@@ -99,8 +147,14 @@ async function voiceRoutes(fastify, options) {
     }
 
     try {
-      // Create TTS service instance
-      const ttsService = new TTSService();
+      // Preview the requested provider, else the one the organization's calls use
+      const businessConfig = ttsProvider ? null : await prisma.businessConfig.findUnique({
+        where: { organizationId },
+        select: { voiceSettings: true }
+      });
+      const ttsService = new TTSService({
+        provider: ttsProvider || getTtsProviderName(businessConfig?.voiceSettings)
+      });
       
       // Generate speech with the specified voice model
       const audioStream = await ttsService.getSpeech(text, {
@@ -0,0 +1,123 @@
+const { getDatabase } = require('../config/database');
+const { requireRole } = require('../middleware/auth');
+
+// Everything except the audio blob, which is only served by the /audio route
+const VOICEMAIL_SELECT = {
+  id: true,
+  twilioCallSid: true,
+  callerPhone: true,
+  transcript: true,
+  durationSeconds: true,
+  status: true,
+  handledAt: true,
+  handledBy: true,
+  createdAt: true
+};
+
+async function voicemailRoutes(fastify, options) {
+  // List voicemails with pagination and status filter
+  fastify.get('/', async (request, reply) => {
+    const { organizationId } = request.user;
+    const { page = 1, limit = 20, status } = request.query;
+
+    try {
+      const prisma = await getDatabase();
+      const where = {
+        organizationId,
+        ...(status && status !== 'all' && { status })
+      };
+
+      const [voicemails, total, unhandled] = await Promise.all([
+        prisma.voicemail.findMany({
+          where,
+          select: VOICEMAIL_SELECT,
+          orderBy: { createdAt: 'desc' },
+          skip: (parseInt(page) - 1) * parseInt(limit),
+          take: parseInt(limit)
+        }),
+        prisma.voicemail.count({ where }),
+        prisma.voicemail.count({ where: { organizationId, status: 'new' } })
+      ]);
+
+      return {
+        voicemails,
+        unhandled,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  // Stream the recorded message as a WAV file
+  fastify.get('/:id/audio', async (request, reply) => {
+    const { organizationId } = request.user;
+    const { id } = request.params;
+
+    try {
+      const prisma = await getDatabase();
+      const voicemail = await prisma.voicemail.findFirst({
+        where: { id, organizationId },
+        select: { audio: true }
+      });
+
+      if (!voicemail || !voicemail.audio) {
+        return reply.code(404).send({ error: 'Voicemail audio not found' });
+      }
+
+      reply
+        .header('Content-Type', 'audio/wav')
+        .header('Content-Length', voicemail.audio.length)
+        .header('Cache-Control', 'private, max-age=3600');
+      return reply.send(Buffer.from(voicemail.audio));
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+
+  // Mark a voicemail handled (or back to new)
+  fastify.put('/:id', {
+    preHandler: requireRole(['admin', 'operator'])
+  }, async (request, reply) => {
+    const { organizationId, userId } = request.user;
+    const { id } = request.params;
+    const { status } = request.body;
+
+    if (!['new', 'handled'].includes(status)) {
+      return reply.code(400).send({ error: 'Status must be "new" or "handled"' });
+    }
+
+    try {
+      const prisma = await getDatabase();
+      const existing = await prisma.voicemail.findFirst({
+        where: { id, organizationId },
+        select: { id: true }
+      });
+
+      if (!existing) {
+        return reply.code(404).send({ error: 'Voicemail not found' });
+      }
+
+      const voicemail = await prisma.voicemail.update({
+        where: { id },
+        data: {
+          status,
+          handledAt: status === 'handled' ? new Date() : null,
+          handledBy: status === 'handled' ? userId : null
+        },
+        select: VOICEMAIL_SELECT
+      });
+
+      return voicemail;
+    } catch (error) {
+      reply.code(500).send({ error: error.message });
+    }
+  });
+}
+
+module.exports = voicemailRoutes;
@@ -0,0 +1,114 @@
+/**
+ * After-Hours Policy
+ *
+ * What an incoming call gets while the business is closed, configured per
+ * organization in BusinessConfig.rules.afterHours:
+ *   {
+ *     "mode": "book_next_available" | "message" | "forward" | "off",
+ *     "forwardNumber": "+15551234567",   // forward mode, defaults to escalationNumber
+ *     "greeting": "...",                 // book_next_available mode, spoken instead of the greeting
+ *     "message": "..."                   // message mode, spoken before the tone
+ *   }
+ *
+ * - book_next_available (default): the assistant answers, says when the business
+ *   opens and only offers appointments from then on
+ * - message: straight to voicemail with an after-hours prompt
+ * - forward: ring an on-call number, falling back to voicemail if nobody answers
+ * - off: ignore business hours entirely
+ */
+
+const { getBusinessHoursStatus } = require('./businessHours');
+
+const AFTER_HOURS_MODES = ['book_next_available', 'message', 'forward', 'off'];
+const DEFAULT_AFTER_HOURS_MODE = 'book_next_available';
+
+/**
+ * Normalized after-hours settings (forward without a number degrades to message)
+ */
+const getAfterHoursConfig = (businessConfig) => {
+  const config = businessConfig?.rules?.afterHours || {};
+  let mode = AFTER_HOURS_MODES.includes(config.mode) ? config.mode : DEFAULT_AFTER_HOURS_MODE;
+  const forwardNumber = config.forwardNumber || businessConfig?.escalationNumber || null;
+
+  if (mode === 'forward' && !forwardNumber) {
+    console.warn('⚠️ After-hours forward mode has no forwardNumber or escalationNumber - taking a message instead');
+    mode = 'message';
+  }
+
+  return {
+    mode,
+    forwardNumber,
+    greeting: config.greeting || null,
+    message: config.message || null
+  };
+};
+
+/**
+ * Decide how to handle a call at `now`
+ * @returns {object} - { afterHours, mode, status, config } where mode is null during business hours
+ */
+const evaluateAfterHours = (businessConfig, now = new Date()) => {
+  const config = getAfterHoursConfig(businessConfig);
+  const status = getBusinessHoursStatus(businessConfig, now);
+  const afterHours = !status.isOpen && config.mode !== 'off';
+
+  return {
+    afterHours,
+    mode: afterHours ? config.mode : null,
+    status,
+    config
+  };
+};
+
+const describeClosure = (status) => {
+  if (status?.reason === 'holiday') {
+    return status.holiday?.name ? `We're closed today for ${status.holiday.name}` : "We're closed today for the holiday";
+  }
+  return "We're closed right now";
+};
+
+const describeReopening = (status) => {
+  return status?.nextOpening ? ` and we open again ${status.nextOpening.label}` : '';
+};
+
+/**
+ * Greeting for book_next_available mode
+ */
+const getAfterHoursGreeting = ({ organizationName, businessConfig, status }) => {
+  const config = getAfterHoursConfig(businessConfig);
+  if (config.greeting) return config.greeting;
+
+  const name = organizationName ? ` ${organizationName}` : '';
+  return `Thanks for calling${name}. ${describeClosure(status)}${describeReopening(status)}, but I can still book an appointment for you. How can I help?`;
+};
+
+/**
+ * Voicemail prompt for message mode
+ */
+const getAfterHoursMessage = ({ organizationName, businessConfig, status }) => {
+  const config = getAfterHoursConfig(businessConfig);
+  if (config.message) return config.message;
+
+  const name = organizationName ? ` ${organizationName}` : '';
+  return `Thanks for calling${name}. ${describeClosure(status)}${describeReopening(status)}. Please leave your name, number and a short message after the tone, and we'll call you back.`;
+};
+
+/**
+ * One-line instruction for the LLM prompt when only next-available booking is allowed
+ */
+const getAfterHoursInstruction = (status) => {
+  if (!status || status.isOpen) return null;
+  const opening = status.nextOpening
+    ? `The earliest bookable time is ${status.nextOpening.label} (${status.nextOpening.date} ${status.nextOpening.start}, ${status.timezone}).`
+    : 'Offer a callback instead of a specific time.';
+  return `The business is CLOSED right now. Do not promise same-day service or offer times before it reopens. ${opening}`;
+};
+
+module.exports = {
+  AFTER_HOURS_MODES,
+  getAfterHoursConfig,
+  evaluateAfterHours,
+  getAfterHoursGreeting,
+  getAfterHoursMessage,
+  getAfterHoursInstruction
+};
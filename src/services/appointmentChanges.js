@@ -0,0 +1,249 @@
+/**
+ * Appointment Changes
+ *
+ * Rescheduling and cancelling existing appointments over the phone:
+ *   findUpcoming()      the caller's upcoming appointments, by the number they're calling
+ *                       from or the one they booked under (Appointment.contactPhone)
+ *   matchAppointments() narrows them by what the caller says: "the haircut", "the one on
+ *                       Friday", "the second one"
+ *   reschedule()        checks the new time (see availability; the appointment's own slot
+ *                       doesn't count against it) and moves the appointment
+ *   cancel()            marks it cancelled
+ *
+ * Either change is mirrored to the connected calendar (see calendar.js) and confirmed by
+ * text from the number the caller dialled. A text that can't be sent is logged, never
+ * fails the change. Each result carries the reply the agent speaks.
+ */
+
+const twilio = require('twilio');
+const { getPhoneVariants } = require('./callerProfile');
+const { resolveTimeWindow, describeInstant, getServiceDuration } = require('./dateResolver');
+const { getLocalTime, resolveTimezone } = require('./businessHours');
+const { AvailabilityService, RELEASED_STATUSES } = require('./availability');
+const { calendarSync } = require('./calendar');
+
+const UPCOMING_APPOINTMENTS = 5;
+const ORDINALS = [
+  [/\b(?:first|1st|earlier|earliest)\b/, 0],
+  [/\b(?:second|2nd)\b/, 1],
+  [/\b(?:third|3rd)\b/, 2],
+  [/\b(?:last|later|latest)\b/, -1]
+];
+
+const joinPhrases = (phrases) => phrases.length > 1
+  ? `${phrases.slice(0, -1).join(', ')} and ${phrases[phrases.length - 1]}`
+  : phrases[0];
+
+// Twilio wants E.164; appointments keep what the caller said
+const toE164 = (phone) => {
+  const digits = (phone || '').replace(/\D/g, '');
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return phone?.startsWith('+') ? phone : null;
+};
+
+class AppointmentChangeService {
+  /**
+   * @param {object} options - { prisma, availability, calendarSync, client (Twilio) } (mainly for tests)
+   */
+  constructor(options = {}) {
+    this.prisma = options.prisma || null;
+    this.availability = options.availability || new AvailabilityService({ prisma: options.prisma });
+    this.calendarSync = options.calendarSync || calendarSync;
+    this.client = options.client || null;
+  }
+
+  async getPrisma() {
+    return this.prisma || require('../config/database').getDatabase();
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+    return this.client;
+  }
+
+  /**
+   * Upcoming, not cancelled appointments booked under a phone number, soonest first
+   */
+  async findUpcoming({ organizationId, phone, now = new Date() }) {
+    const variants = getPhoneVariants(phone);
+    if (!organizationId || variants.length === 0) return [];
+
+    const prisma = await this.getPrisma();
+    return prisma.appointment.findMany({
+      where: {
+        organizationId,
+        contactPhone: { in: variants },
+        startAt: { gte: now },
+        OR: [{ status: null }, { status: { notIn: RELEASED_STATUSES } }]
+      },
+      orderBy: { startAt: 'asc' },
+      take: UPCOMING_APPOINTMENTS
+    });
+  }
+
+  /**
+   * The appointments that fit what the caller said about the one they mean
+   * @param {object} details - { service, timeWindow, speech }
+   */
+  matchAppointments(appointments, { service, timeWindow, speech } = {}, businessConfig = null, now = new Date()) {
+    const said = (speech || '').toLowerCase();
+    for (const [pattern, index] of ORDINALS) {
+      if (appointments.length > 1 && pattern.test(said)) {
+        const picked = appointments[index < 0 ? appointments.length + index : index];
+        return picked ? [picked] : [];
+      }
+    }
+
+    let matches = appointments;
+    const name = service?.toLowerCase().trim();
+    if (name) {
+      matches = matches.filter(appointment => {
+        const booked = appointment.service?.toLowerCase().trim();
+        return booked && (booked.includes(name) || name.includes(booked));
+      });
+    }
+
+    const when = timeWindow ? resolveTimeWindow(timeWindow, { businessConfig, now }) : null;
+    if (when?.status === 'resolved') {
+      const timezone = resolveTimezone(businessConfig?.timezone);
+      matches = matches.filter(appointment => {
+        const start = new Date(appointment.startAt);
+        if (when.exact) return start.getTime() === when.start.getTime();
+        const date = getLocalTime(start, timezone).date;
+        return date >= when.date && date <= (when.endDate || when.date);
+      });
+    }
+    return matches;
+  }
+
+  /**
+   * "Haircut tomorrow at 2 PM"
+   */
+  describe(appointment, businessConfig = null, now = new Date()) {
+    const when = describeInstant(new Date(appointment.startAt), { timezone: businessConfig?.timezone, now });
+    return `${appointment.service || 'appointment'} ${when}`;
+  }
+
+  // "I see a Haircut tomorrow at 2 PM and a Color Treatment Friday at 10 AM."
+  describeList(appointments, businessConfig = null, now = new Date()) {
+    return `I see ${joinPhrases(appointments.map(appointment => `a ${this.describe(appointment, businessConfig, now)}`))}.`;
+  }
+
+  /**
+   * Move an appointment to a new time, if it's free
+   * @returns {object} - { success: true, appointment, message } or { success: false, alternatives, message }
+   */
+  async reschedule({ appointment, timeWindow, businessConfig, from = null, organizationName = null, now = new Date() }) {
+    const start = new Date(appointment.startAt);
+    const durationMinutes = Math.round((new Date(appointment.endAt) - start) / 60000) ||
+      getServiceDuration(businessConfig, appointment.service);
+    const window = resolveTimeWindow(timeWindow, { businessConfig, durationMinutes, now });
+
+    if (window.status === 'ambiguous') {
+      return { success: false, alternatives: [], message: window.question };
+    }
+    if (window.status !== 'resolved') {
+      return { success: false, alternatives: [], message: "Sorry, I didn't catch the new time. What day and time would you like instead?" };
+    }
+
+    const check = await this.availability.checkWindow({
+      organizationId: appointment.organizationId,
+      businessConfig,
+      window,
+      durationMinutes,
+      now,
+      exclude: appointment
+    });
+    if (!check.available) {
+      return { success: false, alternatives: check.alternatives, message: check.message };
+    }
+
+    const previous = this.describe(appointment, businessConfig, now);
+    const prisma = await this.getPrisma();
+    const moved = await prisma.appointment.update({
+      where: { id: appointment.id },
+      data: {
+        startAt: check.slot.start,
+        endAt: check.slot.end,
+        status: appointment.status === 'confirmed' ? 'confirmed' : 'scheduled',
+        notes: [appointment.notes, `Rescheduled by phone from ${previous}`].filter(Boolean).join('\n')
+      }
+    });
+    const synced = await this.calendarSync.syncAppointment(moved);
+    console.log(`📅 Rescheduled appointment ${appointment.id} to ${check.slot.start.toISOString()}`);
+
+    const texted = await this.sendConfirmation(synced, {
+      from,
+      body: `${organizationName ? `${organizationName}: ` : ''}your ${synced.service || 'appointment'} has been moved to ${this.formatForText(synced, businessConfig)}.`
+    });
+    return {
+      success: true,
+      appointment: synced,
+      message: `All set, your ${synced.service || 'appointment'} is now ${check.slot.label}.${texted ? " I've texted you a confirmation." : ''} Is there anything else I can help with?`
+    };
+  }
+
+  /**
+   * Cancel an appointment
+   * @returns {object} - { success: true, appointment, message }
+   */
+  async cancel({ appointment, businessConfig, from = null, organizationName = null, now = new Date() }) {
+    const description = this.describe(appointment, businessConfig, now);
+    const prisma = await this.getPrisma();
+    const cancelled = await prisma.appointment.update({
+      where: { id: appointment.id },
+      data: {
+        status: 'cancelled',
+        notes: [appointment.notes, 'Cancelled by phone'].filter(Boolean).join('\n')
+      }
+    });
+    const synced = await this.calendarSync.syncAppointment(cancelled);
+    console.log(`📅 Cancelled appointment ${appointment.id}`);
+
+    const texted = await this.sendConfirmation(synced, {
+      from,
+      body: `${organizationName ? `${organizationName}: ` : ''}your ${synced.service || 'appointment'} on ${this.formatForText(synced, businessConfig)} has been cancelled.`
+    });
+    return {
+      success: true,
+      appointment: synced,
+      message: `Done, your ${description} is cancelled.${texted ? " I've texted you a confirmation." : ''} Is there anything else I can help with?`
+    };
+  }
+
+  // "Tuesday, March 11 at 2:00 PM": a text is read later, so no "tomorrow"
+  formatForText(appointment, businessConfig) {
+    return new Date(appointment.startAt).toLocaleString('en-US', {
+      timeZone: resolveTimezone(businessConfig?.timezone),
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    }).replace(/, (\d{1,2}:\d{2})/, ' at $1');
+  }
+
+  /**
+   * Text the caller a confirmation from the number they dialled
+   * @returns {boolean} - whether the text was sent
+   */
+  async sendConfirmation(appointment, { from, body }) {
+    const to = toE164(appointment.contactPhone);
+    if (!from || !to) return false;
+
+    try {
+      await this.getClient().messages.create({ to, from, body });
+      return true;
+    } catch (error) {
+      console.error(`⚠️ Could not text confirmation for appointment ${appointment.id}:`, error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = {
+  AppointmentChangeService
+};
@@ -0,0 +1,268 @@
+/**
+ * Audio helpers for Twilio media streams (8kHz G.711 mu-law)
+ *
+ * Twilio sends and expects raw mu-law frames with no container. These helpers
+ * decode/encode samples, wrap raw audio in a WAV container so it can be stored,
+ * played in a browser or sent to prerecorded transcription, and generate simple tones.
+ */
+
+const SAMPLE_RATE = 8000;
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+// Precomputed decode table: mu-law byte -> 16-bit linear sample
+const MULAW_DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const mulaw = ~i & 0xff;
+  const sign = mulaw & 0x80;
+  const exponent = (mulaw >> 4) & 0x07;
+  const mantissa = mulaw & 0x0f;
+  let sample = ((mantissa << 3) + MULAW_BIAS) << exponent;
+  sample -= MULAW_BIAS;
+  MULAW_DECODE_TABLE[i] = sign ? -sample : sample;
+}
+
+const mulawToLinear = (byte) => MULAW_DECODE_TABLE[byte & 0xff];
+
+const linearToMulaw = (sample) => {
+  let value = Math.max(-MULAW_CLIP, Math.min(MULAW_CLIP, Math.round(sample)));
+  const sign = value < 0 ? 0x80 : 0;
+  if (sign) value = -value;
+  value += MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (value & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (value >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+};
+
+/**
+ * Wrap raw mu-law audio in a WAV (format 7) container
+ * @param {Buffer} data - Raw mu-law bytes, interleaved when channels > 1
+ * @param {object} options - { channels, sampleRate }
+ * @returns {Buffer} - WAV file contents
+ */
+const createWavFromMulaw = (data, { channels = 1, sampleRate = SAMPLE_RATE } = {}) => {
+  const header = Buffer.alloc(58);
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(50 + data.length, 4);
+  header.write('WAVE', 8);
+
+  // fmt chunk (18 bytes for non-PCM formats)
+  header.write('fmt ', 12);
+  header.writeUInt32LE(18, 16);
+  header.writeUInt16LE(7, 20); // WAVE_FORMAT_MULAW
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels, 28); // byte rate, 1 byte per sample
+  header.writeUInt16LE(channels, 32); // block align
+  header.writeUInt16LE(8, 34); // bits per sample
+  header.writeUInt16LE(0, 36); // cbSize
+
+  // fact chunk (required for non-PCM formats)
+  header.write('fact', 38);
+  header.writeUInt32LE(4, 42);
+  header.writeUInt32LE(Math.floor(data.length / channels), 46);
+
+  header.write('data', 50);
+  header.writeUInt32LE(data.length, 54);
+
+  return Buffer.concat([header, data]);
+};
+
+/**
+ * Decode a WAV file into 8kHz mono mu-law, ready to send as Twilio media frames.
+ * Accepts mu-law (format 7) or 16-bit PCM (format 1) at any sample rate; channels
+ * are averaged and other rates are resampled by nearest sample.
+ * @param {Buffer} wav - WAV file contents
+ * @returns {Buffer} - Raw mu-law bytes
+ */
+const wavToMulaw = (wav) => {
+  if (!Buffer.isBuffer(wav) || wav.length < 12 || wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= wav.length;) {
+    const id = wav.toString('ascii', offset, offset + 4);
+    const size = wav.readUInt32LE(offset + 4);
+    const body = wav.subarray(offset + 8, Math.min(offset + 8 + size, wav.length));
+
+    if (id === 'fmt ') {
+      format = {
+        code: body.readUInt16LE(0),
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        bitsPerSample: body.readUInt16LE(14)
+      };
+    } else if (id === 'data') {
+      data = body;
+    }
+    offset += 8 + size + (size % 2); // chunks are word aligned
+  }
+
+  if (!format || !data) throw new Error('WAV file is missing its fmt or data chunk');
+
+  const isMulaw = format.code === 7 && format.bitsPerSample === 8;
+  const isPcm16 = format.code === 1 && format.bitsPerSample === 16;
+  if (!isMulaw && !isPcm16) {
+    throw new Error(`Unsupported WAV encoding (format ${format.code}, ${format.bitsPerSample}-bit)`);
+  }
+  if (isMulaw && format.channels === 1 && format.sampleRate === SAMPLE_RATE) return data;
+
+  const bytesPerSample = isMulaw ? 1 : 2;
+  const frameCount = Math.floor(data.length / (bytesPerSample * format.channels));
+  const readSample = (frame, channel) => {
+    const position = (frame * format.channels + channel) * bytesPerSample;
+    return isMulaw ? MULAW_DECODE_TABLE[data[position]] : data.readInt16LE(position);
+  };
+
+  const outputLength = Math.floor(frameCount * SAMPLE_RATE / format.sampleRate);
+  const output = Buffer.alloc(outputLength);
+  for (let i = 0; i < outputLength; i++) {
+    const frame = Math.min(frameCount - 1, Math.floor(i * format.sampleRate / SAMPLE_RATE));
+    let sum = 0;
+    for (let channel = 0; channel < format.channels; channel++) {
+      sum += readSample(frame, channel);
+    }
+    output[i] = linearToMulaw(sum / format.channels);
+  }
+  return output;
+};
+
+/**
+ * Generate a mu-law sine tone (e.g. the beep before a voicemail)
+ */
+const generateTone = ({ frequency = 1000, durationMs = 400, amplitude = 0.3 } = {}) => {
+  const samples = Math.floor(SAMPLE_RATE * durationMs / 1000);
+  const tone = Buffer.alloc(samples);
+  for (let i = 0; i < samples; i++) {
+    const value = Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * amplitude * 32767;
+    tone[i] = linearToMulaw(value);
+  }
+  return tone;
+};
+
+/**
+ * Root-mean-square level of a mu-law frame, in 16-bit linear units
+ */
+const frameLevel = (frame) => {
+  if (!frame || frame.length === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < frame.length; i++) {
+    const sample = MULAW_DECODE_TABLE[frame[i]];
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / frame.length);
+};
+
+// Mulaw 8kHz mono is 8 bytes per millisecond
+const mulawDurationMs = (bytes) => Math.ceil(bytes / (SAMPLE_RATE / 1000));
+
+/**
+ * 16-bit PCM WAV from mu-law audio, upsampled by linear interpolation (whisper.cpp
+ * and most offline recognizers want 16kHz PCM)
+ */
+const createPcmWavFromMulaw = (data, { sampleRate = 16000 } = {}) => {
+  const ratio = sampleRate / SAMPLE_RATE;
+  const samples = Math.floor(data.length * ratio);
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + samples * 2, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(samples * 2, 40);
+
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const position = i / ratio;
+    const index = Math.floor(position);
+    const current = MULAW_DECODE_TABLE[data[index]];
+    const next = index + 1 < data.length ? MULAW_DECODE_TABLE[data[index + 1]] : current;
+    pcm.writeInt16LE(Math.round(current + (next - current) * (position - index)), i * 2);
+  }
+
+  return Buffer.concat([header, pcm]);
+};
+
+/**
+ * Energy-based utterance detection over mu-law frames, for STT providers without
+ * server-side voice activity events. push(frame) returns { speechStarted, utterance },
+ * where utterance is the audio of a finished utterance.
+ */
+class SpeechSegmenter {
+  constructor({ speechLevel = 500, endOfSpeechMs = 700, minSpeechMs = 200, maxUtteranceMs = 15000 } = {}) {
+    this.speechLevel = speechLevel;
+    this.endOfSpeechMs = endOfSpeechMs;
+    this.minSpeechMs = minSpeechMs;
+    this.maxUtteranceMs = maxUtteranceMs;
+    this.reset();
+  }
+
+  push(frame) {
+    const result = { speechStarted: false, utterance: null };
+    const durationMs = mulawDurationMs(frame.length);
+    const voiced = frameLevel(frame) > this.speechLevel;
+
+    if (!this.inSpeech) {
+      if (!voiced) return result;
+      this.inSpeech = true;
+      result.speechStarted = true;
+    }
+
+    this.frames.push(frame);
+    this.totalMs += durationMs;
+    if (voiced) {
+      this.speechMs += durationMs;
+      this.trailingSilenceMs = 0;
+    } else {
+      this.trailingSilenceMs += durationMs;
+    }
+
+    if (this.trailingSilenceMs >= this.endOfSpeechMs || this.totalMs >= this.maxUtteranceMs) {
+      result.utterance = this.flush();
+    }
+    return result;
+  }
+
+  // Audio of the utterance in progress, or null if it was too short to be speech (clicks, line noise)
+  flush() {
+    const audio = this.speechMs >= this.minSpeechMs ? Buffer.concat(this.frames) : null;
+    this.reset();
+    return audio;
+  }
+
+  reset() {
+    this.inSpeech = false;
+    this.frames = [];
+    this.totalMs = 0;
+    this.speechMs = 0;
+    this.trailingSilenceMs = 0;
+  }
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  mulawToLinear,
+  linearToMulaw,
+  createWavFromMulaw,
+  createPcmWavFromMulaw,
+  wavToMulaw,
+  generateTone,
+  frameLevel,
+  mulawDurationMs,
+  SpeechSegmenter
+};
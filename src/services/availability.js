@@ -0,0 +1,230 @@
+/**
+ * Availability
+ *
+ * Whether a requested window (see dateResolver) can still be booked, and if not, the
+ * nearest times that can. A slot is open when it falls inside the business hours and
+ * overlaps neither an Appointment row nor a busy block on a connected Google calendar.
+ *
+ *   const check = await availability.checkWindow({ organizationId, businessConfig, window, durationMinutes });
+ *   -> { available: true, slot }                                  // first open slot in the window
+ *   -> { available: false, reason, alternatives, message }        // reason: 'busy' | 'closed'
+ *
+ * Slots start on the half hour (an exact time the caller asked for is checked as said).
+ * Alternatives are the two or three open slots closest to the request within a week of it,
+ * and message offers them the way the agent says it. A calendar that can't be reached is
+ * skipped; if appointments can't be read at all the window is treated as open
+ * (checked: false) rather than failing the call. When moving an appointment, pass it as
+ * `exclude` so its current slot doesn't count against the new one.
+ *
+ * findConflicts() is the plain overlap check for an exact start and end (dashboard edits),
+ * without business hours or alternatives.
+ */
+
+const { getLocalTime, addDays, resolveTimezone } = require('./businessHours');
+const { getBookingHours, toInstant, describeInstant, DEFAULT_DURATION_MINUTES } = require('./dateResolver');
+
+const SLOT_MINUTES = 30;
+const SEARCH_DAYS = 7;
+const MAX_ALTERNATIVES = 3;
+// Appointment statuses that don't hold their slot
+const RELEASED_STATUSES = ['cancelled', 'canceled', 'pending_callback'];
+const CALENDAR_TYPES = ['google-calendar'];
+
+const overlapsBusy = (slot, busy) => busy.some(block => slot.start < block.end && slot.end > block.start);
+
+// The busy block a synced appointment puts on its own calendar
+const isOwnEvent = (block, appointment) => !!appointment?.externalId &&
+  new Date(block.start).getTime() === new Date(appointment.startAt).getTime() &&
+  new Date(block.end).getTime() === new Date(appointment.endAt).getTime();
+
+const joinLabels = (labels) => labels.length > 1
+  ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}`
+  : labels[0];
+
+class AvailabilityService {
+  /**
+   * @param {object} options - { prisma, calendar (defaults to GoogleCalendarService), slotMinutes, searchDays }
+   */
+  constructor(options = {}) {
+    this.prisma = options.prisma || null;
+    this.calendar = options.calendar || null;
+    this.slotMinutes = options.slotMinutes || SLOT_MINUTES;
+    this.searchDays = options.searchDays || SEARCH_DAYS;
+  }
+
+  async getPrisma() {
+    return this.prisma || require('../config/database').getDatabase();
+  }
+
+  getCalendar() {
+    return this.calendar || require('./googleCalendar');
+  }
+
+  /**
+   * Appointments and calendar busy blocks overlapping [from, to)
+   * @param {object} exclude - appointment being moved: its row and its calendar event are left out
+   * @returns {Array} - [{ start, end, source, appointmentId (appointment rows only) }]
+   */
+  async getBusyTimes(organizationId, from, to, exclude = null) {
+    const prisma = await this.getPrisma();
+    const appointments = await prisma.appointment.findMany({
+      where: {
+        organizationId,
+        ...(exclude?.id && { id: { not: exclude.id } }),
+        startAt: { lt: to },
+        endAt: { gt: from },
+        OR: [{ status: null }, { status: { notIn: RELEASED_STATUSES } }]
+      },
+      select: { id: true, startAt: true, endAt: true }
+    });
+    const busy = appointments.map(appointment => ({
+      start: new Date(appointment.startAt),
+      end: new Date(appointment.endAt),
+      source: 'appointment',
+      appointmentId: appointment.id
+    }));
+
+    const integrations = await prisma.integration.findMany({
+      where: { organizationId, type: { in: CALENDAR_TYPES }, status: 'active' }
+    });
+    for (const integration of integrations) {
+      if (!integration.oauthTokens) continue;
+      try {
+        const blocks = await this.getCalendar().getBusyTimes(integration.oauthTokens, 'primary', from.toISOString(), to.toISOString());
+        busy.push(...blocks.filter(block => !isOwnEvent(block, exclude)).map(block => ({ start: new Date(block.start), end: new Date(block.end), source: integration.type })));
+      } catch (error) {
+        console.error(`⚠️ Skipping ${integration.type} in availability check:`, error.message);
+      }
+    }
+
+    return busy;
+  }
+
+  /**
+   * Busy blocks overlapping an exact start and end. A synced appointment's own calendar
+   * event is dropped so it isn't reported twice.
+   * @returns {Array} - [{ start, end, source, appointmentId }], empty when the time is free
+   */
+  async findConflicts({ organizationId, start, end, exclude = null }) {
+    const busy = await this.getBusyTimes(organizationId, start, end, exclude);
+    const rows = busy.filter(block => block.appointmentId);
+    return busy.filter(block => overlapsBusy({ start, end }, [block]) && (block.appointmentId ||
+      !rows.some(row => row.start.getTime() === block.start.getTime() && row.end.getTime() === block.end.getTime())));
+  }
+
+  /**
+   * Open slots inside business hours between two instants, earliest first
+   */
+  findOpenSlots({ businessConfig, from, to, durationMinutes, busy, now }) {
+    const timezone = resolveTimezone(businessConfig?.timezone);
+    const lastDate = getLocalTime(to, timezone).date;
+    const slots = [];
+
+    for (let date = getLocalTime(from, timezone).date; date <= lastDate; date = addDays(date, 1)) {
+      const hours = getBookingHours(businessConfig, date);
+      if (!hours) continue;
+
+      const first = Math.ceil(hours.open / this.slotMinutes) * this.slotMinutes;
+      for (let minutes = first; minutes + durationMinutes <= hours.close; minutes += this.slotMinutes) {
+        const slot = this.toSlot(toInstant(date, minutes, timezone), durationMinutes);
+        if (slot.start < from || slot.end > to || slot.start < now) continue;
+        if (!overlapsBusy(slot, busy)) slots.push(slot);
+      }
+    }
+    return slots;
+  }
+
+  toSlot(start, durationMinutes) {
+    return { start, end: new Date(start.getTime() + durationMinutes * 60 * 1000) };
+  }
+
+  // Is an exact start inside the business hours for the whole appointment?
+  isWithinHours(slot, businessConfig) {
+    const timezone = resolveTimezone(businessConfig?.timezone);
+    const local = getLocalTime(slot.start, timezone);
+    const hours = getBookingHours(businessConfig, local.date);
+    const durationMinutes = (slot.end - slot.start) / 60000;
+    return !!hours && local.minutes >= hours.open && local.minutes + durationMinutes <= hours.close;
+  }
+
+  /**
+   * Slots the caller asked for, ignoring or honouring busy times
+   */
+  requestedSlots(window, { businessConfig, durationMinutes, busy, now }) {
+    if (window.exact) {
+      const slot = this.toSlot(window.start, durationMinutes);
+      const open = slot.start >= now && this.isWithinHours(slot, businessConfig) && !overlapsBusy(slot, busy);
+      return open ? [slot] : [];
+    }
+    return this.findOpenSlots({ businessConfig, from: window.start, to: window.end, durationMinutes, busy, now });
+  }
+
+  /**
+   * Check a resolved window (resolveTimeWindow) against hours, appointments and calendars
+   * @param {object} request - { organizationId, businessConfig, window, durationMinutes, now, exclude }
+   * @returns {object} - { available: true, checked, slot } or { available: false, checked, reason, alternatives, message }
+   *   where slots are { start, end, label, exact: true }
+   */
+  async checkWindow({ organizationId, businessConfig, window, durationMinutes = DEFAULT_DURATION_MINUTES, now = new Date(), exclude = null }) {
+    const timezone = resolveTimezone(businessConfig?.timezone);
+    const label = (slot) => ({ ...slot, label: describeInstant(slot.start, { timezone, now }), exact: true });
+    const options = { businessConfig, durationMinutes, now };
+
+    const searchFrom = new Date(Math.max(now.getTime(), toInstant(window.date, 0, timezone).getTime()));
+    const searchTo = toInstant(addDays(window.endDate || window.date, this.searchDays + 1), 0, timezone);
+
+    let busy;
+    try {
+      busy = await this.getBusyTimes(organizationId, searchFrom, searchTo, exclude);
+    } catch (error) {
+      console.error('⚠️ Could not check availability, treating the window as open:', error.message);
+      const [slot] = this.requestedSlots(window, { ...options, busy: [] });
+      return { available: true, checked: false, slot: label(slot || this.toSlot(window.start, durationMinutes)) };
+    }
+
+    const [slot] = this.requestedSlots(window, { ...options, busy });
+    if (slot) {
+      return { available: true, checked: true, slot: label(slot) };
+    }
+
+    const reason = this.requestedSlots(window, { ...options, busy: [] }).length > 0 ? 'busy' : 'closed';
+    const alternatives = this.nearestSlots(window, this.findOpenSlots({ ...options, from: searchFrom, to: searchTo, busy })).map(label);
+
+    console.log(`📅 ${window.label} is ${reason}; offering ${alternatives.length} alternatives`);
+    return {
+      available: false,
+      checked: true,
+      reason,
+      alternatives,
+      message: this.describeAlternatives(window, reason, alternatives)
+    };
+  }
+
+  // The open slots closest to the request that don't overlap one another, in time order
+  nearestSlots(window, openSlots) {
+    const target = window.start.getTime();
+    const picked = [];
+    const byDistance = [...openSlots].sort((a, b) => Math.abs(a.start - target) - Math.abs(b.start - target));
+    for (const slot of byDistance) {
+      if (picked.length >= MAX_ALTERNATIVES) break;
+      if (!overlapsBusy(slot, picked)) picked.push(slot);
+    }
+    return picked.sort((a, b) => a.start - b.start);
+  }
+
+  describeAlternatives(window, reason, alternatives) {
+    const problem = reason === 'closed'
+      ? `I'm sorry, we're not open ${window.label}.`
+      : `I'm sorry, ${window.label} is ${window.exact ? 'already booked' : 'fully booked'}.`;
+    if (alternatives.length === 0) {
+      return `${problem} I don't see any openings in the week after that. Would you like someone to call you back to find a time?`;
+    }
+    return `${problem} The closest openings are ${joinLabels(alternatives.map(slot => slot.label))}. Would any of those work?`;
+  }
+}
+
+module.exports = {
+  AvailabilityService,
+  RELEASED_STATUSES,
+  SLOT_MINUTES
+};
@@ -0,0 +1,269 @@
+/**
+ * Business Hours Service
+ *
+ * Evaluates BusinessConfig.businessHours, holidays and timezone:
+ *   businessHours: { monday: { start: '09:00', end: '17:00', enabled: true }, ... }
+ *   holidays: ['2025-12-25', { date: '2025-12-24', name: 'Christmas Eve', start: '09:00', end: '12:00' },
+ *              { date: '01-01', name: "New Year's Day" }]   // MM-DD repeats every year
+ *   timezone: IANA name, e.g. 'America/New_York'
+ *
+ * A holiday without start/end is closed all day; with them it replaces that day's hours.
+ * Hours whose end is at or before the start (e.g. 22:00-02:00) run past midnight.
+ */
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_TIMEZONE = 'America/New_York';
+const LOOKAHEAD_DAYS = 14;
+
+const formatterCache = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'long'
+    }));
+  }
+  return formatterCache.get(timezone);
+};
+
+const resolveTimezone = (timezone) => {
+  try {
+    getFormatter(timezone || DEFAULT_TIMEZONE);
+    return timezone || DEFAULT_TIMEZONE;
+  } catch (error) {
+    console.warn('⚠️ Invalid timezone, using default:', timezone);
+    return DEFAULT_TIMEZONE;
+  }
+};
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @returns {object} - { date: 'YYYY-MM-DD', day: 'monday', minutes: minutes since midnight }
+ */
+const getLocalTime = (now, timezone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(resolveTimezone(timezone)).formatToParts(now)) {
+    parts[type] = value;
+  }
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: parts.weekday.toLowerCase(),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+};
+
+const toMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+// Calendar arithmetic on 'YYYY-MM-DD' strings (timezone independent)
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+const dayOfWeek = (date) => DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+/**
+ * Find the holiday entry for a local date, if any
+ */
+const findHoliday = (holidays, date) => {
+  if (!Array.isArray(holidays)) return null;
+
+  for (const entry of holidays) {
+    const holiday = typeof entry === 'string' ? { date: entry } : entry;
+    if (!holiday?.date) continue;
+    if (holiday.date === date || holiday.date === date.slice(5)) {
+      return holiday;
+    }
+  }
+  return null;
+};
+
+/**
+ * Opening hours for a local date in minutes, or null if closed all day
+ * @returns {object|null} - { open, close, start, end, holiday }
+ */
+const getHoursForDate = (businessConfig, date) => {
+  const holiday = findHoliday(businessConfig?.holidays, date);
+  let hours;
+
+  if (holiday) {
+    if (!holiday.start || !holiday.end) return null;
+    hours = holiday;
+  } else {
+    hours = businessConfig?.businessHours?.[dayOfWeek(date)];
+    if (!hours || hours.enabled === false) return null;
+  }
+
+  const open = toMinutes(hours.start);
+  let close = toMinutes(hours.end);
+  if (open === null || close === null) return null;
+  if (close <= open) close += 24 * 60; // runs past midnight
+
+  return { open, close, start: hours.start, end: hours.end, holiday: holiday || null };
+};
+
+/**
+ * Spoken time: '09:00' -> '9 AM', '13:30' -> '1:30 PM', '00:00' -> '12 AM'
+ */
+const formatTime = (time) => {
+  const minutes = toMinutes(time);
+  if (minutes === null) return time;
+
+  const hour24 = Math.floor(minutes / 60) % 24;
+  const minute = minutes % 60;
+  const hour12 = hour24 % 12 || 12;
+  const suffix = hour24 < 12 ? 'AM' : 'PM';
+  return minute ? `${hour12}:${String(minute).padStart(2, '0')} ${suffix}` : `${hour12} ${suffix}`;
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const ordinalSuffix = (n) => {
+  if (n % 100 >= 11 && n % 100 <= 13) return 'th';
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+};
+
+/**
+ * How a local date reads relative to today: "today", "tomorrow", "Friday" within the
+ * week, "Friday the 14th" further out
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} today - 'YYYY-MM-DD' in the same timezone
+ */
+const describeLocalDate = (date, today) => {
+  const offset = Math.round((new Date(`${date}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / 86400000);
+  const day = dayOfWeek(date);
+  if (offset === 0) return 'today';
+  if (offset === 1) return 'tomorrow';
+  if (offset > 1 && offset < 7) return capitalize(day);
+  return `${capitalize(day)} the ${Number(date.slice(8))}${ordinalSuffix(Number(date.slice(8)))}`;
+};
+
+/**
+ * Next time the business opens after `now` (null if closed for the whole lookahead)
+ * @returns {object|null} - { date, day, start, label } where label reads naturally ("tomorrow at 9 AM")
+ */
+const getNextOpening = (businessConfig, now = new Date()) => {
+  const local = getLocalTime(now, businessConfig?.timezone);
+
+  for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+    const date = addDays(local.date, offset);
+    const hours = getHoursForDate(businessConfig, date);
+    if (!hours) continue;
+    if (offset === 0 && local.minutes >= hours.open) continue;
+
+    const day = dayOfWeek(date);
+    return { date, day, start: hours.start, label: `${describeLocalDate(date, local.date)} at ${formatTime(hours.start)}` };
+  }
+
+  return null;
+};
+
+/**
+ * Is the business open at `now`?
+ * @returns {object} - { isOpen, reason, holiday, timezone, localTime, nextOpening }
+ *   reason: 'open' | 'holiday' | 'closed_today' | 'before_hours' | 'after_hours' | 'no_hours_configured'
+ */
+const getBusinessHoursStatus = (businessConfig, now = new Date()) => {
+  const timezone = resolveTimezone(businessConfig?.timezone);
+  const local = getLocalTime(now, timezone);
+  const base = { timezone, localTime: local };
+
+  // Without configured hours we can't call anyone closed
+  if (!businessConfig?.businessHours || Object.keys(businessConfig.businessHours).length === 0) {
+    return { ...base, isOpen: true, reason: 'no_hours_configured', holiday: null, nextOpening: null };
+  }
+
+  // Yesterday's hours may run past midnight into today
+  const yesterday = getHoursForDate(businessConfig, addDays(local.date, -1));
+  if (yesterday && yesterday.close > 24 * 60 && local.minutes < yesterday.close - 24 * 60) {
+    return { ...base, isOpen: true, reason: 'open', holiday: yesterday.holiday, nextOpening: null };
+  }
+
+  const holiday = findHoliday(businessConfig.holidays, local.date);
+  const today = getHoursForDate(businessConfig, local.date);
+
+  let reason;
+  if (!today) {
+    reason = holiday ? 'holiday' : 'closed_today';
+  } else if (local.minutes < today.open) {
+    reason = 'before_hours';
+  } else if (local.minutes >= today.close) {
+    reason = 'after_hours';
+  } else {
+    return { ...base, isOpen: true, reason: 'open', holiday, nextOpening: null };
+  }
+
+  return {
+    ...base,
+    isOpen: false,
+    reason,
+    holiday,
+    nextOpening: getNextOpening(businessConfig, now)
+  };
+};
+
+/**
+ * Read the weekly schedule aloud, grouping consecutive days with the same hours:
+ * "Monday to Friday 9 AM to 5 PM, and Saturday 9 AM to 12 PM"
+ */
+const formatBusinessHours = (businessHours) => {
+  if (!businessHours || Object.keys(businessHours).length === 0) return null;
+
+  // Week starting Monday reads more naturally
+  const week = [...DAYS.slice(1), DAYS[0]];
+  const groups = [];
+
+  for (const day of week) {
+    const hours = businessHours[day];
+    const open = hours && hours.enabled !== false && hours.start && hours.end;
+    const key = open ? `${formatTime(hours.start)} to ${formatTime(hours.end)}` : null;
+    const last = groups[groups.length - 1];
+
+    if (key && last && last.key === key && last.lastDay === week[week.indexOf(day) - 1]) {
+      last.lastDay = day;
+    } else if (key) {
+      groups.push({ key, firstDay: day, lastDay: day });
+    }
+  }
+
+  if (groups.length === 0) return 'We are currently closed every day';
+
+  const phrases = groups.map(({ key, firstDay, lastDay }) => {
+    const days = firstDay === lastDay
+      ? capitalize(firstDay)
+      : `${capitalize(firstDay)} ${week.indexOf(lastDay) - week.indexOf(firstDay) === 1 ? 'and' : 'to'} ${capitalize(lastDay)}`;
+    return `${days} ${key}`;
+  });
+
+  return phrases.length > 1
+    ? `${phrases.slice(0, -1).join(', ')}, and ${phrases[phrases.length - 1]}`
+    : phrases[0];
+};
+
+module.exports = {
+  getBusinessHoursStatus,
+  getNextOpening,
+  getHoursForDate,
+  getLocalTime,
+  formatBusinessHours,
+  formatTime,
+  describeLocalDate,
+  addDays,
+  dayOfWeek,
+  resolveTimezone,
+  DAYS,
+  DEFAULT_TIMEZONE
+};
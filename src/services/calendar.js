@@ -1,22 +1,126 @@
+/**
+ * Calendar Sync
+ *
+ * Keeps Appointment rows and the organization's connected calendar in step. After any write
+ * to an appointment, syncAppointment() mirrors it through GoogleCalendarService using the
+ * tokens stored on the organization's active google-calendar integration:
+ *
+ *   scheduled / confirmed, no externalId  -> createEvent, then externalId + calendarProvider saved
+ *   scheduled / confirmed, externalId     -> updateEvent (time, service or notes changed)
+ *   completed / no_show                   -> left as it is (the visit happened, or was missed, there)
+ *   any other status, externalId          -> deleteEvent, externalId cleared (cancellations)
+ *
+ * Tentative rows (pending_confirmation, pending_callback) stay off the calendar. A calendar
+ * error never fails the booking: it's logged and the appointment is returned as it was.
+ */
 
-const { google } = require('googleapis');
+const { resolveTimezone } = require('./businessHours');
 
-const oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URL
-);
+const PROVIDER = 'google-calendar';
+const CALENDAR_ID = 'primary';
+// Appointments that hold a slot on the calendar
+const SYNCED_STATUSES = ['scheduled', 'confirmed'];
+// Past appointments whose event is kept but no longer updated
+const SETTLED_STATUSES = ['completed', 'no_show'];
 
-const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+class CalendarSyncService {
+  /**
+   * @param {object} options - { prisma, calendar (defaults to GoogleCalendarService) } (mainly for tests)
+   */
+  constructor(options = {}) {
+    this.prisma = options.prisma || null;
+    this.calendar = options.calendar || null;
+  }
 
-const createEvent = async (event) => {
-  const response = await calendar.events.insert({
-    calendarId: 'primary',
-    resource: event,
-  });
-  return response.data;
-};
+  async getPrisma() {
+    return this.prisma || require('../config/database').getDatabase();
+  }
+
+  getCalendar() {
+    return this.calendar || require('./googleCalendar');
+  }
+
+  async getIntegration(prisma, organizationId) {
+    const integration = await prisma.integration.findFirst({
+      where: { organizationId, type: PROVIDER, status: 'active' }
+    });
+    return integration?.oauthTokens ? integration : null;
+  }
+
+  async getTimezone(prisma, organizationId) {
+    const config = await prisma.businessConfig.findUnique({
+      where: { organizationId },
+      select: { timezone: true }
+    });
+    return resolveTimezone(config?.timezone);
+  }
+
+  // What the event says on the business's calendar
+  toEventData(appointment, timezone) {
+    const summary = [appointment.service || 'Appointment', appointment.contactPhone].filter(Boolean).join(' - ');
+    const description = [appointment.notes, 'Booked by phone'].filter(Boolean).join('\n\n');
+    return {
+      summary,
+      description,
+      startTime: new Date(appointment.startAt).toISOString(),
+      endTime: new Date(appointment.endAt).toISOString(),
+      timezone
+    };
+  }
+
+  /**
+   * Mirror an appointment to the connected calendar
+   * @param {object} appointment - Appointment row as stored
+   * @returns {object} - the appointment, with externalId/calendarProvider updated when they changed
+   */
+  async syncAppointment(appointment) {
+    if (!appointment?.organizationId || SETTLED_STATUSES.includes(appointment.status)) return appointment;
+
+    const synced = SYNCED_STATUSES.includes(appointment.status);
+    const onCalendar = appointment.externalId && appointment.calendarProvider === PROVIDER;
+    if (!synced && !onCalendar) return appointment;
+
+    try {
+      const prisma = await this.getPrisma();
+      const integration = await this.getIntegration(prisma, appointment.organizationId);
+      if (!integration) return appointment;
+
+      const calendar = this.getCalendar();
+      const tokens = integration.oauthTokens;
+
+      if (!synced) {
+        await calendar.deleteEvent(tokens, CALENDAR_ID, appointment.externalId);
+        console.log(`📅 Removed calendar event ${appointment.externalId} for ${appointment.status} appointment ${appointment.id}`);
+        return prisma.appointment.update({
+          where: { id: appointment.id },
+          data: { externalId: null, calendarProvider: null }
+        });
+      }
+
+      const eventData = this.toEventData(appointment, await this.getTimezone(prisma, appointment.organizationId));
+      if (onCalendar) {
+        await calendar.updateEvent(tokens, CALENDAR_ID, appointment.externalId, eventData);
+        console.log(`📅 Updated calendar event ${appointment.externalId} for appointment ${appointment.id}`);
+        return appointment;
+      }
+
+      const event = await calendar.createEvent(tokens, CALENDAR_ID, eventData);
+      console.log(`📅 Created calendar event ${event.id} for appointment ${appointment.id}`);
+      return prisma.appointment.update({
+        where: { id: appointment.id },
+        data: { externalId: event.id, calendarProvider: PROVIDER }
+      });
+    } catch (error) {
+      console.error(`⚠️ Could not sync appointment ${appointment.id} to the calendar:`, error.message);
+      return appointment;
+    }
+  }
+}
+
+const calendarSync = new CalendarSyncService();
 
 module.exports = {
-  createEvent,
+  CalendarSyncService,
+  calendarSync,
+  SYNCED_STATUSES
 };
@@ -0,0 +1,176 @@
+/**
+ * Call Lifecycle Service
+ *
+ * Reconciles Twilio status callbacks (ringing, answered, completed, busy, ...)
+ * into the Call table, keyed by twilioCallSid. Status callbacks arrive for every
+ * call, including ones that hang up before the media stream connects, so this is
+ * the source of truth for whether a call happened and how long it lasted.
+ */
+
+const { getCallBySid, upsertCallBySid } = require('./db');
+
+// Twilio CallStatus -> Call.status
+const STATUS_MAP = {
+  queued: 'queued',
+  initiated: 'initiated',
+  ringing: 'ringing',
+  answered: 'in_progress',
+  'in-progress': 'in_progress',
+  completed: 'completed',
+  busy: 'busy',
+  'no-answer': 'no_answer',
+  failed: 'failed',
+  canceled: 'canceled'
+};
+
+// Callbacks can arrive out of order; never move a call backwards
+const STATUS_RANK = {
+  queued: 0,
+  initiated: 0,
+  ringing: 1,
+  in_progress: 2
+};
+const TERMINAL_RANK = 3;
+
+// Outcomes written by the voice pipeline describe the end of a call better than
+// Twilio's generic "completed", so a completed callback must not overwrite them
+const PIPELINE_OUTCOMES = new Set([
+  'escalated',
+  'transferred',
+  'transfer_failed',
+  'voicemail',
+  'timeout',
+  'error'
+]);
+
+const rankOf = (status) => {
+  if (status in STATUS_RANK) return STATUS_RANK[status];
+  return status ? TERMINAL_RANK : -1;
+};
+
+const isTerminalTwilioStatus = (callStatus) => rankOf(STATUS_MAP[callStatus]) === TERMINAL_RANK;
+
+/**
+ * Work out which Call fields a status callback should change
+ * @param {object|null} existing - Current Call row (or null if none yet)
+ * @param {object} payload - Twilio status callback body
+ * @param {Date} receivedAt - When the callback was received (fallback timestamp)
+ * @returns {object} - Prisma update data
+ */
+const buildCallUpdates = (existing, payload, receivedAt = new Date()) => {
+  const { CallStatus, CallDuration, Timestamp, Direction } = payload;
+  const status = STATUS_MAP[CallStatus];
+  const eventTime = Timestamp ? new Date(Timestamp) : receivedAt;
+  const at = isNaN(eventTime.getTime()) ? receivedAt : eventTime;
+  const updates = {};
+
+  if (status) {
+    const currentRank = rankOf(existing?.status);
+    const keepPipelineOutcome = status === 'completed' && PIPELINE_OUTCOMES.has(existing?.status);
+
+    if (!keepPipelineOutcome && rankOf(status) >= currentRank) {
+      updates.status = status;
+    }
+  }
+
+  if (!existing?.startedAt) {
+    updates.startedAt = at;
+  }
+
+  if (isTerminalTwilioStatus(CallStatus)) {
+    if (!existing?.endedAt) updates.endedAt = at;
+    if (CallDuration !== undefined) {
+      const duration = parseInt(CallDuration, 10);
+      if (!isNaN(duration)) updates.durationSeconds = duration;
+    }
+  }
+
+  updates.metadata = {
+    lifecycle: {
+      [CallStatus || 'unknown']: at.toISOString(),
+      ...(Direction && { direction: Direction })
+    }
+  };
+
+  return updates;
+};
+
+/**
+ * Find the organization that owns the dialled number (null if unknown)
+ */
+const findOrganizationIdByNumber = async (toNumber) => {
+  if (!toNumber) return null;
+
+  try {
+    const { OrganizationContextService } = require('./organizationContext');
+    const contextService = new OrganizationContextService();
+    const variants = [toNumber];
+    try {
+      variants.push(contextService.normalizePhoneNumber(toNumber));
+    } catch (error) {
+      // Non-US formats are looked up as-is
+    }
+
+    const { getDatabase } = require('../config/database');
+    const prisma = await getDatabase();
+    const phoneNumber = await prisma.phoneNumber.findFirst({
+      where: { number: { in: variants } },
+      select: { organizationId: true }
+    });
+    if (phoneNumber) return phoneNumber.organizationId;
+
+    const organization = await prisma.organization.findFirst({
+      where: { twilioNumber: { in: variants } },
+      select: { id: true }
+    });
+    return organization?.id || null;
+  } catch (error) {
+    console.error('❌ Failed to look up organization for number:', toNumber, error.message);
+    return null;
+  }
+};
+
+/**
+ * Apply a Twilio status callback to the Call table
+ * @param {object} payload - Twilio status callback body (CallSid, CallStatus, CallDuration, From, To, ...)
+ * @param {object} options - { organizationId } when the webhook URL carries ?org=
+ * @returns {object|null} - Updated Call row
+ */
+const reconcileCallStatus = async (payload, options = {}) => {
+  const { CallSid, CallStatus, From, To } = payload;
+  if (!CallSid) {
+    throw new Error('CallSid is required');
+  }
+
+  const existing = await getCallBySid(CallSid);
+  const updates = buildCallUpdates(existing, payload);
+
+  const createDefaults = { callerPhone: From || null };
+  if (!existing) {
+    createDefaults.organizationId = options.organizationId || await findOrganizationIdByNumber(To);
+  }
+
+  console.log('📊 Reconciling call status:', {
+    callSid: CallSid,
+    twilioStatus: CallStatus,
+    status: updates.status || existing?.status,
+    existing: !!existing
+  });
+
+  // Covers calls that end before, or without, a media stream
+  if (isTerminalTwilioStatus(CallStatus)) {
+    const { CallConcurrency } = require('./concurrency');
+    await new CallConcurrency().release(CallSid).catch(error => {
+      console.error('❌ Failed to release call slot:', CallSid, error.message);
+    });
+  }
+
+  return upsertCallBySid(CallSid, updates, createDefaults);
+};
+
+module.exports = {
+  reconcileCallStatus,
+  buildCallUpdates,
+  isTerminalTwilioStatus,
+  STATUS_MAP
+};
@@ -0,0 +1,136 @@
+/**
+ * Call Recording Service
+ *
+ * Records both sides of a media stream call and stores it as a dual-channel
+ * mu-law WAV: channel 1 is the caller (inbound frames), channel 2 is the agent
+ * (TTS audio we send to Twilio).
+ *
+ * Inbound frames arrive in real time, so their byte count is the call clock.
+ * Outbound audio is generated faster than Twilio plays it, so each chunk is
+ * placed at the later of "now" and the end of the previous chunk - the same
+ * order Twilio plays its buffer in.
+ *
+ * Set CALL_RECORDING_ENABLED=false to disable recording for every call, or
+ * BusinessConfig.voiceSettings.recordCalls=false for one organization.
+ */
+
+const { SAMPLE_RATE, createWavFromMulaw, mulawDurationMs } = require('./audio');
+const { saveObject } = require('./storage');
+const { upsertCallBySid } = require('./db');
+
+const MULAW_SILENCE = 0xff;
+const BYTES_PER_MS = SAMPLE_RATE / 1000;
+const DEFAULT_MAX_DURATION_MS = 60 * 60 * 1000; // one hour (~58MB of stereo audio)
+
+class CallRecorder {
+  constructor(options = {}) {
+    this.maxBytes = (options.maxDurationMs || DEFAULT_MAX_DURATION_MS) * BYTES_PER_MS;
+    this.now = options.now || Date.now;
+
+    this.inbound = [];
+    this.inboundBytes = 0;
+    this.outbound = [];
+    this.outboundCursor = 0;
+    this.recording = false;
+    this.startedAt = null;
+  }
+
+  start() {
+    if (this.recording) return;
+
+    console.log('🎙️ Call recording started');
+    this.recording = true;
+    this.startedAt = this.now();
+  }
+
+  // Caller audio (one 20ms frame per Twilio media event)
+  addInbound(frame) {
+    if (!this.recording || this.inboundBytes >= this.maxBytes) return;
+
+    this.inbound.push(frame);
+    this.inboundBytes += frame.length;
+  }
+
+  // Agent audio as it is sent to Twilio
+  addOutbound(audio) {
+    if (!this.recording || !audio?.length) return;
+
+    const elapsedBytes = Math.floor((this.now() - this.startedAt) * BYTES_PER_MS);
+    const offset = Math.max(this.outboundCursor, elapsedBytes);
+    if (offset >= this.maxBytes) return;
+
+    this.outbound.push({ offset, audio });
+    this.outboundCursor = offset + audio.length;
+  }
+
+  /**
+   * Stop recording and mux both channels
+   * @returns {object|null} - { wav, durationMs } or null if already stopped / nothing recorded
+   */
+  stop() {
+    if (!this.recording) return null;
+    this.recording = false;
+
+    const length = Math.min(Math.max(this.inboundBytes, this.outboundCursor), this.maxBytes);
+    if (length === 0) return null;
+
+    const caller = Buffer.alloc(length, MULAW_SILENCE);
+    Buffer.concat(this.inbound).copy(caller, 0, 0, length);
+
+    const agent = Buffer.alloc(length, MULAW_SILENCE);
+    for (const { offset, audio } of this.outbound) {
+      audio.copy(agent, offset, 0, Math.max(0, Math.min(audio.length, length - offset)));
+    }
+
+    const interleaved = Buffer.alloc(length * 2);
+    for (let i = 0; i < length; i++) {
+      interleaved[i * 2] = caller[i];
+      interleaved[i * 2 + 1] = agent[i];
+    }
+
+    this.inbound = [];
+    this.outbound = [];
+
+    const durationMs = mulawDurationMs(length);
+    console.log('🎙️ Call recording stopped:', { durationMs });
+
+    return {
+      wav: createWavFromMulaw(interleaved, { channels: 2 }),
+      durationMs
+    };
+  }
+}
+
+/**
+ * Whether calls for this organization should be recorded
+ */
+const isRecordingEnabled = (businessConfig) => {
+  if (process.env.CALL_RECORDING_ENABLED === 'false') return false;
+  return businessConfig?.voiceSettings?.recordCalls !== false;
+};
+
+/**
+ * Store a finished recording and point Call.recordingUrl at it
+ * @param {object} params - callSid, organizationId, wav
+ * @returns {string|null} - Storage locator, or null on failure
+ */
+const saveCallRecording = async ({ callSid, organizationId, wav }) => {
+  try {
+    const key = `recordings/${organizationId || 'unassigned'}/${callSid}.wav`;
+    const locator = await saveObject(key, wav, { contentType: 'audio/wav' });
+
+    await upsertCallBySid(callSid, { recordingUrl: locator }, { organizationId });
+
+    console.log('💾 Call recording saved:', { callSid, locator, bytes: wav.length });
+    return locator;
+  } catch (error) {
+    console.error('❌ Failed to save call recording:', callSid, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  CallRecorder,
+  isRecordingEnabled,
+  saveCallRecording
+};
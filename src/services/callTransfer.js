@@ -0,0 +1,203 @@
+const twilio = require('twilio');
+const { VoiceResponse } = twilio.twiml;
+const { mulawDurationMs } = require('./audio');
+const { getStateStore } = require('./stateStore');
+
+// Pending transfers keyed by the parent (caller) CallSid so the whisper and dial-result
+// webhooks can find the captured context. Those webhooks may land on another instance, so
+// it's kept in the shared state store, and expires if the dial result never arrives.
+const TRANSFER_TTL_MS = 15 * 60 * 1000;
+
+const transferStore = {
+  save: (callSid, data) => getStateStore().set(`transfer:${callSid}`, data, { ttlMs: TRANSFER_TTL_MS }),
+  get: (callSid) => getStateStore().get(`transfer:${callSid}`),
+  delete: (callSid) => getStateStore().delete(`transfer:${callSid}`)
+};
+
+// Seconds to ring the escalation number before falling back to voicemail
+const DEFAULT_DIAL_TIMEOUT = 20;
+
+class CallTransferService {
+  constructor(options = {}) {
+    this.client = options.client || null;
+    this.dialTimeout = options.dialTimeout || DEFAULT_DIAL_TIMEOUT;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+    return this.client;
+  }
+
+  /**
+   * Build the short summary read to the human before the caller is bridged
+   * @param {object} transfer - Captured transfer context (callerPhone, slots, reason)
+   * @returns {string} - Whisper text
+   */
+  buildWhisperSummary({ organizationName, callerPhone, slots = {}, reason } = {}) {
+    const parts = [`Incoming transfer from the ${organizationName || 'InfiniOffice'} assistant.`];
+
+    if (callerPhone) {
+      parts.push(`Caller number ${callerPhone.replace(/^\+1/, '').split('').join(' ')}.`);
+    }
+    if (slots.service) parts.push(`They asked about ${slots.service}.`);
+    if (slots.timeWindow) parts.push(`Preferred time: ${slots.timeWindow}.`);
+    if (slots.contact) parts.push(`Contact: ${slots.contact}.`);
+    if (reason) parts.push(`Reason: ${reason}.`);
+
+    parts.push('Connecting you now.');
+    return parts.join(' ');
+  }
+
+  /**
+   * TwiML that dials the escalation number with a whisper and a dial-result callback
+   */
+  buildTransferTwiml({ escalationNumber, baseUrl, callerId }) {
+    const voiceResponse = new VoiceResponse();
+    const dial = voiceResponse.dial({
+      action: `${baseUrl}/voice/transfer/status`,
+      method: 'POST',
+      timeout: this.dialTimeout,
+      ...(callerId && { callerId })
+    });
+    dial.number({ url: `${baseUrl}/voice/transfer/whisper`, method: 'POST' }, escalationNumber);
+    return voiceResponse.toString();
+  }
+
+  /**
+   * TwiML that forwards a call before the assistant answers (e.g. after hours).
+   * Uses the same whisper and dial-result webhooks as a warm transfer, so an
+   * unanswered forward also ends in voicemail.
+   */
+  async buildForwardTwiml({ callSid, forwardNumber, baseUrl, callerId, organizationName, callerPhone, reason }) {
+    await transferStore.save(callSid, {
+      escalationNumber: forwardNumber,
+      whisper: this.buildWhisperSummary({ organizationName, callerPhone, reason }),
+      requestedAt: Date.now()
+    });
+    return this.buildTransferTwiml({ escalationNumber: forwardNumber, baseUrl, callerId });
+  }
+
+  /**
+   * TwiML played to the human on answer, before the two legs are bridged
+   */
+  async buildWhisperTwiml(parentCallSid) {
+    const transfer = await transferStore.get(parentCallSid);
+    const voiceResponse = new VoiceResponse();
+    voiceResponse.say(transfer?.whisper || 'Incoming transfer from the InfiniOffice assistant. Connecting you now.');
+    return voiceResponse.toString();
+  }
+
+  /**
+   * TwiML used when nobody picks up: reconnect the media stream in voicemail mode
+   * so the message is captured and transcribed like any other voicemail
+   */
+  buildVoicemailFallbackTwiml({ baseUrl, to, from, callSid }) {
+    const voiceResponse = new VoiceResponse();
+    const connect = voiceResponse.connect();
+    const stream = connect.stream({ url: baseUrl.replace(/^http/, 'ws') });
+    stream.parameter({ name: 'to', value: to });
+    stream.parameter({ name: 'from', value: from });
+    stream.parameter({ name: 'callSid', value: callSid });
+    stream.parameter({ name: 'mode', value: 'voicemail' });
+    return voiceResponse.toString();
+  }
+
+  /**
+   * Redirect a live call out of the media stream and into a <Dial>
+   * @param {object} params - callSid, escalationNumber, baseUrl, callerId and captured context
+   * @returns {object} - { success, error? }
+   */
+  async startTransfer({ callSid, escalationNumber, baseUrl, callerId, organizationId, organizationName, callerPhone, slots, reason }) {
+    if (!callSid || !escalationNumber || !baseUrl) {
+      return { success: false, error: 'Missing callSid, escalation number or webhook base URL' };
+    }
+
+    const whisper = this.buildWhisperSummary({ organizationName, callerPhone, slots, reason });
+    await transferStore.save(callSid, {
+      escalationNumber,
+      whisper,
+      organizationId,
+      requestedAt: Date.now()
+    });
+
+    try {
+      const twiml = this.buildTransferTwiml({ escalationNumber, baseUrl, callerId });
+      console.log('📞 Transferring call to escalation number:', { callSid, escalationNumber });
+      await this.getClient().calls(callSid).update({ twiml });
+
+      await this.recordOutcome(callSid, {
+        status: 'transferring',
+        to: escalationNumber,
+        reason: reason || null,
+        requestedAt: new Date().toISOString()
+      }, { status: 'transferring', organizationId, callerPhone });
+
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Call transfer failed:', error);
+      await transferStore.delete(callSid);
+      await this.recordOutcome(callSid, {
+        status: 'failed',
+        to: escalationNumber,
+        error: error.message
+      }, { organizationId, callerPhone });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Handle the <Dial> action callback and decide what the caller hears next
+   * @param {object} params - Twilio webhook body (CallSid, DialCallStatus, DialCallDuration, To, From)
+   * @param {object} options - { baseUrl } used to reconnect the stream for voicemail
+   * @returns {string} - TwiML for the caller leg
+   */
+  async handleDialResult({ CallSid, DialCallStatus, DialCallDuration, To, From }, { baseUrl } = {}) {
+    const connected = DialCallStatus === 'completed' || DialCallStatus === 'answered';
+    await transferStore.delete(CallSid);
+
+    await this.recordOutcome(CallSid, {
+      status: connected ? 'connected' : 'unanswered',
+      dialStatus: DialCallStatus,
+      durationSeconds: DialCallDuration ? parseInt(DialCallDuration, 10) : 0,
+      completedAt: new Date().toISOString()
+    }, { status: connected ? 'transferred' : 'transfer_failed' });
+
+    if (connected) {
+      const voiceResponse = new VoiceResponse();
+      voiceResponse.hangup();
+      return voiceResponse.toString();
+    }
+
+    console.log('📭 Transfer not answered, falling back to voicemail:', { CallSid, DialCallStatus });
+    return this.buildVoicemailFallbackTwiml({ baseUrl, to: To, from: From, callSid: CallSid });
+  }
+
+  async recordOutcome(callSid, transfer, updates = {}) {
+    const { upsertCallBySid } = require('./db');
+    const { organizationId, callerPhone, ...callUpdates } = updates;
+
+    return upsertCallBySid(callSid, {
+      ...callUpdates,
+      metadata: { transfer }
+    }, {
+      organizationId: organizationId || null,
+      callerPhone: callerPhone || null
+    });
+  }
+}
+
+/**
+ * Estimate how long Twilio needs to play a mulaw buffer we have already streamed
+ */
+const estimatePlaybackMs = (audioBuffer) => {
+  if (!audioBuffer) return 0;
+  return mulawDurationMs(audioBuffer.length);
+};
+
+module.exports = {
+  CallTransferService,
+  transferStore,
+  estimatePlaybackMs
+};
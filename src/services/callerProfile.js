@@ -0,0 +1,304 @@
+/**
+ * Caller Profile
+ *
+ * Recognizes returning callers when the media stream starts. Prior calls (Call.callerPhone),
+ * upcoming and past appointments (Appointment.contactPhone) and the contact record in a
+ * connected CRM (HubSpot, Salesforce or Pipedrive) are looked up by the caller's number
+ * and condensed into:
+ *   - a one-paragraph summary for the LLM prompt, so the assistant doesn't ask again for
+ *     what the business already knows
+ *   - greeting variables: {{callerName}}, {{firstName}}, {{nextAppointment}},
+ *     {{nextAppointmentService}}, {{lastService}} and {{organizationName}}
+ *
+ * Greetings use them as {{name}} or {{name|fallback}}. A greeting that needs a variable the
+ * caller doesn't have is skipped for the next one, so BusinessConfig.scripts.returningGreeting
+ * ("Welcome back {{firstName}}! ...") only plays for callers we know:
+ *   scripts.returningGreeting -> greeting -> scripts.greeting -> fallback
+ *
+ * The lookup is capped at PROFILE_LOOKUP_TIMEOUT_MS so it never holds up the greeting.
+ */
+
+const { getLocalTime, formatTime, describeLocalDate } = require('./businessHours');
+
+const PROFILE_LOOKUP_TIMEOUT_MS = 1500;
+const RECENT_CALLS = 5;
+const UPCOMING_APPOINTMENTS = 3;
+
+// `not` alone would also drop rows whose column is null
+const NOT_CANCELLED = { OR: [{ status: null }, { status: { notIn: ['cancelled', 'canceled'] } }] };
+
+// Variables that only a recognized caller has
+const CALLER_VARIABLES = ['callerName', 'firstName', 'nextAppointment', 'nextAppointmentService', 'lastService'];
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+};
+
+// Last ten digits, the part of a North American number every stored format shares
+const phoneDigits = (phone) => (phone || '').replace(/\D/g, '').slice(-10);
+
+/**
+ * Formats a number may have been stored in (Twilio sends E.164; appointments keep what the
+ * caller said, e.g. 555-123-4567)
+ */
+const getPhoneVariants = (phone) => {
+  const digits = phoneDigits(phone);
+  if (digits.length !== 10) return phone ? [phone] : [];
+
+  const [area, exchange, line] = [digits.slice(0, 3), digits.slice(3, 6), digits.slice(6)];
+  return [...new Set([
+    phone,
+    `+1${digits}`,
+    `1${digits}`,
+    digits,
+    `${area}-${exchange}-${line}`,
+    `${area}.${exchange}.${line}`,
+    `(${area}) ${exchange}-${line}`
+  ])];
+};
+
+/**
+ * "Tuesday at 3 PM" in the business's timezone
+ */
+const describeAppointmentTime = (startAt, timezone, now = new Date()) => {
+  const local = getLocalTime(new Date(startAt), timezone);
+  const today = getLocalTime(now, timezone).date;
+  const time = `${String(Math.floor(local.minutes / 60)).padStart(2, '0')}:${String(local.minutes % 60).padStart(2, '0')}`;
+  return `${describeLocalDate(local.date, today)} at ${formatTime(time)}`;
+};
+
+// CRM lookups by integration type; each resolves to { name, firstName, email, id } or null
+const CRM_LOOKUPS = {
+  hubspot: async (tokens, digits) => {
+    const contact = await require('./hubspot').findContactByPhone(tokens.access_token, digits);
+    if (!contact) return null;
+    const { firstname, lastname, email } = contact.properties || {};
+    return { id: contact.id, firstName: firstname || null, name: [firstname, lastname].filter(Boolean).join(' ') || null, email: email || null };
+  },
+  salesforce: async (tokens, digits) => {
+    const contact = await require('./salesforce').findContactByPhone(tokens.access_token, tokens.instance_url, digits);
+    if (!contact) return null;
+    return { id: contact.Id, firstName: contact.FirstName || null, name: [contact.FirstName, contact.LastName].filter(Boolean).join(' ') || null, email: contact.Email || null };
+  },
+  pipedrive: async (tokens, digits) => {
+    const person = await require('./pipedrive').findPersonByPhone(tokens.access_token, digits);
+    if (!person) return null;
+    return { id: person.id, firstName: person.name?.split(' ')[0] || null, name: person.name || null, email: person.primary_email || null };
+  }
+};
+
+class CallerProfileService {
+  /**
+   * @param {object} options - { prisma, timeoutMs, crmLookups } (mainly for tests)
+   */
+  constructor(options = {}) {
+    this.prisma = options.prisma || null;
+    this.timeoutMs = options.timeoutMs ?? PROFILE_LOOKUP_TIMEOUT_MS;
+    this.crmLookups = options.crmLookups || CRM_LOOKUPS;
+  }
+
+  /**
+   * Everything the business knows about the caller
+   * @param {object} params - { organizationContext, callerPhone, callSid (the current call, left out of history) }
+   * @returns {object|null} - Profile, or null for first-time or unknown callers
+   */
+  async getProfile({ organizationContext, callerPhone, callSid, now = new Date() }) {
+    const organizationId = organizationContext?.twilioNumber ? organizationContext.organizationId : null;
+    if (!organizationId || phoneDigits(callerPhone).length < 7) return null;
+
+    try {
+      return await withTimeout(this.lookup({ organizationContext, callerPhone, callSid, now }), this.timeoutMs);
+    } catch (error) {
+      console.error('⚠️ Caller profile lookup failed, treating as a new caller:', error.message);
+      return null;
+    }
+  }
+
+  async lookup({ organizationContext, callerPhone, callSid, now }) {
+    const prisma = this.prisma || await require('../config/database').getDatabase();
+    const { organizationId } = organizationContext;
+    const variants = getPhoneVariants(callerPhone);
+    const timezone = organizationContext.businessConfig?.timezone;
+
+    const [calls, upcoming, [lastAppointment], contact] = await Promise.all([
+      prisma.call.findMany({
+        where: {
+          organizationId,
+          callerPhone: { in: variants },
+          ...(callSid && { OR: [{ twilioCallSid: null }, { twilioCallSid: { not: callSid } }] })
+        },
+        select: { createdAt: true, status: true, finalContext: true },
+        orderBy: { createdAt: 'desc' },
+        take: RECENT_CALLS
+      }),
+      prisma.appointment.findMany({
+        where: { organizationId, contactPhone: { in: variants }, startAt: { gte: now }, ...NOT_CANCELLED },
+        select: { id: true, startAt: true, service: true, provider: true },
+        orderBy: { startAt: 'asc' },
+        take: UPCOMING_APPOINTMENTS
+      }),
+      prisma.appointment.findMany({
+        where: { organizationId, contactPhone: { in: variants }, startAt: { lt: now }, ...NOT_CANCELLED },
+        select: { startAt: true, service: true },
+        orderBy: { startAt: 'desc' },
+        take: 1
+      }),
+      this.findCrmContact(prisma, organizationContext, callerPhone)
+    ]);
+
+    if (calls.length === 0 && upcoming.length === 0 && !lastAppointment && !contact) {
+      return null;
+    }
+
+    const upcomingAppointments = upcoming.map(appointment => ({
+      ...appointment,
+      label: describeAppointmentTime(appointment.startAt, timezone, now)
+    }));
+    const lastService = lastAppointment?.service ||
+      calls.map(call => call.finalContext?.service).find(Boolean) ||
+      null;
+
+    const profile = {
+      callerPhone,
+      name: contact?.name || null,
+      firstName: contact?.firstName || null,
+      email: contact?.email || null,
+      crm: contact ? { type: contact.type, id: contact.id } : null,
+      previousCalls: calls.length,
+      lastCallAt: calls[0]?.createdAt || null,
+      lastService,
+      upcomingAppointments
+    };
+    profile.summary = summarizeProfile(profile, timezone, now);
+
+    console.log('👤 Returning caller recognized:', {
+      previousCalls: profile.previousCalls,
+      upcomingAppointments: upcomingAppointments.length,
+      crm: profile.crm?.type || null
+    });
+    return profile;
+  }
+
+  /**
+   * First contact found in the organization's connected CRMs (null if none or on error)
+   */
+  async findCrmContact(prisma, organizationContext, callerPhone) {
+    const types = (organizationContext.integrations || [])
+      .map(integration => integration.type)
+      .filter(type => this.crmLookups[type]);
+    if (types.length === 0) return null;
+
+    const integrations = await prisma.integration.findMany({
+      where: { organizationId: organizationContext.organizationId, status: 'active', type: { in: types } },
+      select: { type: true, oauthTokens: true }
+    });
+
+    for (const { type, oauthTokens } of integrations) {
+      if (!oauthTokens?.access_token) continue;
+      try {
+        const contact = await this.crmLookups[type](oauthTokens, phoneDigits(callerPhone));
+        if (contact) return { ...contact, type };
+      } catch (error) {
+        console.error(`⚠️ ${type} contact lookup failed:`, error.message);
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Compact description of the caller for the LLM prompt
+ */
+const summarizeProfile = (profile, timezone, now = new Date()) => {
+  const parts = [];
+  if (profile.name) parts.push(`Name: ${profile.name}.`);
+  if (profile.previousCalls > 0) {
+    const last = describeLocalDate(getLocalTime(new Date(profile.lastCallAt), timezone).date, getLocalTime(now, timezone).date);
+    const times = profile.previousCalls === 1 ? 'once' : `${profile.previousCalls}${profile.previousCalls === RECENT_CALLS ? '+' : ''} times`;
+    parts.push(`Has called ${times} before, last ${last === 'today' ? 'earlier today' : `on ${last}`}.`);
+  }
+  if (profile.upcomingAppointments.length > 0) {
+    const list = profile.upcomingAppointments
+      .map(appointment => `${appointment.service || 'appointment'} ${appointment.label}`)
+      .join('; ');
+    parts.push(`Upcoming: ${list}.`);
+  }
+  if (profile.lastService) parts.push(`Last service: ${profile.lastService}.`);
+  parts.push('Use what you know instead of asking again; confirm details rather than re-collecting them.');
+  return `Returning caller. ${parts.join(' ')}`;
+};
+
+/**
+ * Values for greeting templates
+ */
+const getGreetingVariables = (profile, organizationContext) => {
+  const next = profile?.upcomingAppointments?.[0];
+  return {
+    organizationName: organizationContext?.organizationName || null,
+    callerName: profile?.name || null,
+    firstName: profile?.firstName || null,
+    nextAppointment: next?.label || null,
+    nextAppointmentService: next?.service || null,
+    lastService: profile?.lastService || null
+  };
+};
+
+const TEMPLATE_VARIABLE = /\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g;
+
+/**
+ * Fill {{name}} and {{name|fallback}} in a greeting
+ * @returns {object|null} - { text, personalized } or null when a variable without a fallback is missing
+ */
+const renderGreeting = (template, variables) => {
+  if (!template) return null;
+
+  let missing = false;
+  let personalized = false;
+  const text = template.replace(TEMPLATE_VARIABLE, (match, name, fallback) => {
+    const value = variables[name];
+    if (value) {
+      if (CALLER_VARIABLES.includes(name)) personalized = true;
+      return value;
+    }
+    if (fallback !== undefined) return fallback.trim();
+    missing = true;
+    return '';
+  });
+
+  return missing ? null : { text, personalized };
+};
+
+/**
+ * Pick and render the greeting for a call
+ * @returns {object} - { text, personalized }; personalized greetings skip the phrase cache
+ */
+const getGreeting = ({ organizationContext, profile, fallback }) => {
+  const businessConfig = organizationContext?.businessConfig;
+  const variables = getGreetingVariables(profile, organizationContext);
+  const candidates = [
+    profile && businessConfig?.scripts?.returningGreeting,
+    businessConfig?.greeting,
+    businessConfig?.scripts?.greeting
+  ];
+
+  for (const template of candidates) {
+    const rendered = renderGreeting(template, variables);
+    if (rendered) return rendered;
+  }
+  return { text: fallback, personalized: false };
+};
+
+module.exports = {
+  CallerProfileService,
+  getPhoneVariants,
+  getGreetingVariables,
+  renderGreeting,
+  getGreeting,
+  summarizeProfile
+};
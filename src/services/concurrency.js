@@ -0,0 +1,162 @@
+/**
+ * Concurrent Call Limits
+ *
+ * Each organization may have as many calls with the assistant at once as its plan allows
+ * (Organization.plan), and the platform as a whole at most MAX_CONCURRENT_CALLS (unlimited
+ * when unset). Active calls are counted in the shared state store so every instance sees
+ * the same numbers. A slot is taken when the /voice webhook accepts a call and given back
+ * when the media stream closes or Twilio reports the call finished, whichever comes first.
+ *
+ * Calls over the limit get BusinessConfig.rules.overflow:
+ *   {
+ *     "mode": "message" | "forward",
+ *     "forwardNumber": "+15551234567",   // forward mode, defaults to escalationNumber
+ *     "message": "..."                   // message mode, spoken before hanging up
+ *   }
+ */
+
+const { getStateStore } = require('./stateStore');
+
+const PLAN_CALL_LIMITS = {
+  starter: 2,
+  growth: 5,
+  pro: 5,
+  enterprise: 25
+};
+const DEFAULT_PLAN = 'starter';
+
+const OVERFLOW_MODES = ['message', 'forward'];
+const DEFAULT_OVERFLOW_MODE = 'message';
+
+// Longest a slot can outlive its call if neither release path runs (e.g. the instance died)
+const CALL_SLOT_TTL_MS = 2 * 60 * 60 * 1000;
+
+const PLATFORM_KEY = 'active-calls:platform';
+const organizationKey = (organizationId) => `active-calls:org:${organizationId}`;
+const slotKey = (callSid) => `call-slot:${callSid}`;
+
+const getPlanCallLimit = (plan) => PLAN_CALL_LIMITS[plan] ?? PLAN_CALL_LIMITS[DEFAULT_PLAN];
+
+const getPlatformCallLimit = () => {
+  const limit = parseInt(process.env.MAX_CONCURRENT_CALLS, 10);
+  return limit > 0 ? limit : null;
+};
+
+/**
+ * Normalized overflow settings (forward without a number degrades to message)
+ */
+const getOverflowConfig = (businessConfig) => {
+  const config = businessConfig?.rules?.overflow || {};
+  let mode = OVERFLOW_MODES.includes(config.mode) ? config.mode : DEFAULT_OVERFLOW_MODE;
+  const forwardNumber = config.forwardNumber || businessConfig?.escalationNumber || null;
+
+  if (mode === 'forward' && !forwardNumber) {
+    console.warn('⚠️ Overflow forward mode has no forwardNumber or escalationNumber - playing a message instead');
+    mode = 'message';
+  }
+
+  return {
+    mode,
+    forwardNumber,
+    message: config.message || null
+  };
+};
+
+/**
+ * What a caller hears in message mode
+ */
+const getOverflowMessage = ({ organizationName, businessConfig }) => {
+  const config = getOverflowConfig(businessConfig);
+  if (config.message) return config.message;
+
+  const name = organizationName ? ` ${organizationName}` : '';
+  return `Thanks for calling${name}. All of our lines are busy right now. Please call back in a few minutes.`;
+};
+
+class CallConcurrency {
+  /**
+   * @param {object} options - { store } (defaults to the shared state store)
+   */
+  constructor(options = {}) {
+    this.store = options.store || getStateStore();
+  }
+
+  /**
+   * Take a slot for a call if the organization and the platform have room
+   * @param {object} call - { callSid, organizationId (null for unknown numbers), plan }
+   * @returns {object} - { allowed, scope ('organization' | 'platform' when refused), active, limit }
+   */
+  async acquire({ callSid, organizationId, plan }) {
+    const checks = [];
+    if (organizationId) {
+      checks.push({ scope: 'organization', key: organizationKey(organizationId), limit: getPlanCallLimit(plan) });
+    }
+    // Platform calls are counted even without a cap, for the dashboard
+    checks.push({ scope: 'platform', key: PLATFORM_KEY, limit: getPlatformCallLimit() });
+
+    // Join first, then count: two instances racing for the last slot may both back off,
+    // but never both get in
+    const joined = [];
+    for (const check of checks) {
+      await this.store.addMember(check.key, callSid, { ttlMs: CALL_SLOT_TTL_MS });
+      joined.push(check);
+      const active = await this.store.countMembers(check.key);
+      if (check.limit && active > check.limit) {
+        await Promise.all(joined.map(({ key }) => this.store.removeMember(key, callSid)));
+        return { allowed: false, scope: check.scope, active: active - 1, limit: check.limit };
+      }
+    }
+
+    await this.store.set(slotKey(callSid), { organizationId: organizationId || null }, { ttlMs: CALL_SLOT_TTL_MS });
+    return { allowed: true };
+  }
+
+  /**
+   * Give a call's slot back; safe to call more than once
+   * @returns {boolean} - Whether the call held a slot
+   */
+  async release(callSid) {
+    if (!callSid) return false;
+    const slot = await this.store.take(slotKey(callSid));
+    if (!slot) return false;
+
+    await Promise.all([
+      this.store.removeMember(PLATFORM_KEY, callSid),
+      slot.organizationId && this.store.removeMember(organizationKey(slot.organizationId), callSid)
+    ]);
+    return true;
+  }
+
+  /**
+   * Live concurrency for an organization's dashboard
+   * @returns {object} - { active, limit, plan }
+   */
+  async getUsage(organizationId, plan) {
+    return {
+      active: await this.store.countMembers(organizationKey(organizationId)),
+      limit: getPlanCallLimit(plan),
+      plan: PLAN_CALL_LIMITS[plan] !== undefined ? plan : DEFAULT_PLAN
+    };
+  }
+
+  /**
+   * Live concurrency across every organization
+   * @returns {object} - { active, limit (null = no cap) }
+   */
+  async getPlatformUsage() {
+    return {
+      active: await this.store.countMembers(PLATFORM_KEY),
+      limit: getPlatformCallLimit()
+    };
+  }
+}
+
+module.exports = {
+  PLAN_CALL_LIMITS,
+  OVERFLOW_MODES,
+  CallConcurrency,
+  getPlanCallLimit,
+  getPlatformCallLimit,
+  getOverflowConfig,
+  getOverflowMessage
+};
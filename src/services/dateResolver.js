@@ -0,0 +1,637 @@
+/**
+ * Date Resolver
+ *
+ * Turns what callers say about when ("next Tuesday after lunch", "the 14th at 3", "early
+ * next week") into a concrete window in the business's timezone (BusinessConfig.timezone):
+ *
+ *   resolveTimeWindow('next tuesday after lunch', { businessConfig })
+ *   -> { status: 'resolved', start, end, exact: false, label: 'Tuesday the 21st after lunch', ... }
+ *
+ * Outcomes:
+ *   resolved   - start and end Dates. Exact when a time was given (end = start + durationMinutes),
+ *                otherwise the part of the day, the day or the days that were asked for
+ *   ambiguous  - a question for the caller, with the candidate windows in options: "next Tuesday"
+ *                said on a Monday, "at 8" when the business is open at 8 AM and 8 PM, "today at 9"
+ *                after 9, "Friday the 14th" when the 14th is a Wednesday, "next week at 3"
+ *   unresolved - nothing recognizable as a date or time (left to the LLM)
+ *
+ * Bare hours are read as business hours: "at 3" is 3 PM and "at 9" is 9 AM. Parts of the day
+ * and whole days are clipped to the opening hours when they're configured. A time without a
+ * day is today if it's still ahead, otherwise tomorrow. Weeks start on Monday.
+ *
+ * Labels are phrased so they resolve back to the same window, so a slot can hold the label
+ * ("Tuesday the 21st at 3 PM") in place of what the caller said. English phrases only.
+ */
+
+const {
+  getLocalTime,
+  getHoursForDate,
+  formatTime,
+  describeLocalDate,
+  addDays,
+  dayOfWeek,
+  resolveTimezone,
+  DAYS
+} = require('./businessHours');
+
+const DEFAULT_DURATION_MINUTES = 60;
+// Days without configured hours
+const DEFAULT_OPEN = 9 * 60;
+const DEFAULT_CLOSE = 17 * 60;
+// A window that has already started today begins at the next quarter hour
+const ROUND_MINUTES = 15;
+// Further out than this, dates are read back with their month ("Friday, March 14th")
+const MONTH_LABEL_AFTER_DAYS = 27;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const WEEKDAY = '(monday|tuesday|tues|wednesday|thursday|thurs|friday|saturday|sunday)';
+const CLOCK = '(noon|midday|\\d{1,2}(?::\\d{2})?(?:\\s?[ap]m)?)';
+
+const STREET = /^ ?(?:[a-z]+ )?(?:street|st|avenue|ave|road|rd|lane|ln|drive|dr|way|boulevard|blvd|court|ct|place|pl)\b/;
+
+const NUMBER_WORDS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve'];
+const ORDINAL_WORDS = [
+  'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth',
+  'eleventh', 'twelfth', 'thirteenth', 'fourteenth', 'fifteenth', 'sixteenth', 'seventeenth',
+  'eighteenth', 'nineteenth', 'twentieth'
+];
+
+// Parts of the day in local minutes; a null bound is the opening or closing time
+const PERIODS = [
+  { pattern: /\bfirst thing\b/, name: 'first thing', start: null, end: null, firstThing: true },
+  { pattern: /\bearly (?:in the )?morning\b/, name: 'early morning', start: 7 * 60, end: 9 * 60, meridiem: 'am' },
+  { pattern: /\blate (?:in the )?morning\b/, name: 'late morning', start: 10 * 60, end: 12 * 60, meridiem: 'am' },
+  { pattern: /\bmorning\b/, name: 'morning', start: 8 * 60, end: 12 * 60, meridiem: 'am' },
+  { pattern: /\bbefore lunch\b/, name: 'before lunch', start: null, end: 12 * 60 },
+  { pattern: /\bafter lunch\b/, name: 'after lunch', start: 13 * 60, end: 17 * 60, meridiem: 'pm' },
+  { pattern: /\b(?:around |at |over )?lunch(?:time)?\b/, name: 'around lunch', start: 12 * 60, end: 13 * 60 + 30, meridiem: 'pm' },
+  { pattern: /\bearly (?:in the )?afternoon\b/, name: 'early afternoon', start: 12 * 60, end: 15 * 60, meridiem: 'pm' },
+  { pattern: /\blate (?:in the )?afternoon\b/, name: 'late afternoon', start: 15 * 60, end: 17 * 60, meridiem: 'pm' },
+  { pattern: /\bafternoon\b/, name: 'afternoon', start: 12 * 60, end: 17 * 60, meridiem: 'pm' },
+  { pattern: /\bafter work\b/, name: 'after work', start: 17 * 60, end: 19 * 60, meridiem: 'pm' },
+  { pattern: /\b(?:evening|tonight)\b/, name: 'evening', start: 17 * 60, end: 20 * 60, meridiem: 'pm' },
+  { pattern: /\bend of (?:the )?day\b/, name: 'at the end of the day', start: 15 * 60, end: null, meridiem: 'pm' },
+  { pattern: /\b(?:any ?time|whenever)\b/, name: 'any time', start: null, end: null }
+];
+
+const UNRESOLVED = { status: 'unresolved' };
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const ordinal = (n) => {
+  if (n % 100 >= 11 && n % 100 <= 13) return `${n}th`;
+  return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+};
+
+const ordinalWordValue = (word) => {
+  const compound = /^(twenty|thirty) (\w+)$/.exec(word);
+  if (compound) return (compound[1] === 'twenty' ? 20 : 30) + ORDINAL_WORDS.indexOf(compound[2]) + 1;
+  if (word === 'thirtieth') return 30;
+  return ORDINAL_WORDS.indexOf(word) + 1;
+};
+
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+const weekdayIndex = (name) => DAYS.indexOf({ tues: 'tuesday', thurs: 'thursday' }[name] || name);
+
+// Monday of the week a date falls in
+const weekStart = (date) => addDays(date, -((DAYS.indexOf(dayOfWeek(date)) + 6) % 7));
+
+const toClockString = (minutes) => {
+  const wrapped = ((minutes % 1440) + 1440) % 1440;
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+};
+
+const spokenTime = (minutes) => formatTime(toClockString(minutes));
+
+/**
+ * The instant a local date and time (minutes since midnight, may run past 24h) falls on
+ */
+const toInstant = (date, minutes, timezone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Shift by the zone's offset, twice so a DST change between the guesses lands right
+  let instant = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const local = getLocalTime(new Date(instant), timezone);
+    const [y, m, d] = local.date.split('-').map(Number);
+    instant += wallClock - Date.UTC(y, m - 1, d, 0, local.minutes);
+  }
+  return new Date(instant);
+};
+
+/**
+ * How a date is read back: "today", "tomorrow", "Friday", "Friday the 14th", or with the
+ * month when it's more than four weeks out
+ */
+const describeDate = (date, today, { withDate = false } = {}) => {
+  const offset = daysBetween(today, date);
+  if (offset < 0 || offset > MONTH_LABEL_AFTER_DAYS) {
+    const [, month, day] = date.split('-').map(Number);
+    return `${capitalize(dayOfWeek(date))}, ${capitalize(MONTHS[month - 1])} ${ordinal(day)}`;
+  }
+  if (withDate && offset > 1) {
+    return `${capitalize(dayOfWeek(date))} the ${ordinal(Number(date.slice(8)))}`;
+  }
+  return describeLocalDate(date, today);
+};
+
+const normalize = (phrase) => {
+  const ordinalPattern = `(?:(?:twenty|thirty)[ -](?:${ORDINAL_WORDS.slice(0, 9).join('|')})|thirtieth|${ORDINAL_WORDS.join('|')})`;
+  return ` ${phrase.toLowerCase()} `
+    .replace(/\bgood (?:morning|afternoon|evening)\b/g, ' ')
+    .replace(/\b([ap])\.?\s?m\b\.?/g, '$1m')
+    .replace(/(\d)\.(\d{2})\b/g, '$1:$2')
+    .replace(/[,!?;"()]/g, ' ')
+    // Ordinals; "first" and "second" only where they can't mean something else
+    .replace(new RegExp(`\\b${ordinalPattern}\\b`, 'g'), (word, offset, text) => {
+      const normalized = word.replace('-', ' ');
+      const after = text.slice(offset + word.length);
+      const before = text.slice(0, offset);
+      if (normalized === 'first' && /^\s(?:thing|available|opening|slot|appointment|time)\b/.test(after)) return word;
+      if (normalized === 'second' && !new RegExp(`(?:\\bthe|${MONTH})\\s$`).test(before)) return word;
+      return ordinal(ordinalWordValue(normalized));
+    })
+    .replace(/([a-z])-([a-z])/g, '$1 $2')
+    .replace(/\bhalf past (\d{1,2}|\w+)\b/g, '$1:30')
+    .replace(/\bquarter past (\d{1,2}|\w+)\b/g, '$1:15')
+    .replace(/\bquarter to (\d{1,2}|\w+)\b/g, (match, hour) => {
+      const value = /^\d+$/.test(hour) ? Number(hour) : NUMBER_WORDS.indexOf(hour) + 1;
+      return value > 0 ? `${value === 1 ? 12 : value - 1}:45` : match;
+    })
+    .replace(new RegExp(`\\b(${NUMBER_WORDS.join('|')})\\b`, 'g'), (word) => String(NUMBER_WORDS.indexOf(word) + 1))
+    .replace(/\b(\d{1,2}) o'?clock\b/g, '$1:00')
+    .replace(/\b(\d{1,2}):(\d{1,2})\b/g, (match, hour, minute) => `${hour}:${minute.padStart(2, '0')}`)
+    .replace(/\b(\d{1,2}) (thirty|fifteen|forty five)\b/g, (match, hour, minute) => `${hour}:${{ thirty: '30', fifteen: '15', 'forty five': '45' }[minute]}`)
+    .replace(/\s+/g, ' ');
+};
+
+// "3", "3:30", "3 pm", "noon", "15:00" -> { minutes, meridiem } (meridiem null when not said)
+const parseClock = (text) => {
+  if (/^(?:noon|midday)$/.test(text)) return { minutes: 12 * 60, meridiem: 'pm' };
+
+  const match = /^(\d{1,2})(?::(\d{2}))?\s?([ap]m)?$/.exec(text.trim());
+  if (!match) return null;
+  const hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  if (hour > 23 || minute > 59) return null;
+
+  if (match[3]) {
+    if (hour === 0 || hour > 12) return null;
+    return { minutes: ((hour % 12) + (match[3] === 'pm' ? 12 : 0)) * 60 + minute, meridiem: match[3] };
+  }
+  // 24-hour times need no guessing
+  if (hour === 0 || hour > 12) return { minutes: hour * 60 + minute, meridiem: 'fixed' };
+  return { minutes: hour * 60 + minute, meridiem: null };
+};
+
+const findTime = (text) => {
+  const between = new RegExp(`\\b(?:between|from) ${CLOCK} (?:and|to|until|till) ${CLOCK}\\b`).exec(text);
+  if (between) {
+    const from = parseClock(between[1]);
+    const to = parseClock(between[2]);
+    if (from && to) return { kind: 'between', clock: from, until: to };
+  }
+
+  const patterns = [
+    { kind: 'after', pattern: new RegExp(`\\b(?:after|from) ${CLOCK}\\b`) },
+    { kind: 'before', pattern: new RegExp(`\\b(?:before|by|until|till) ${CLOCK}\\b`) },
+    { kind: 'at', pattern: new RegExp(`\\b(?:at|around|about|say) ${CLOCK}\\b`) },
+    { kind: 'at', pattern: /\b(noon|midday|\d{1,2}:\d{2}(?:\s?[ap]m)?|\d{1,2}\s?[ap]m)\b/ },
+    { kind: 'at', pattern: /\b(\d{1,2}(?::\d{2})?) (?=in the (?:morning|afternoon|evening)\b|tonight\b)/ }
+  ];
+  for (const { kind, pattern } of patterns) {
+    const match = pattern.exec(text);
+    const clock = match && parseClock(match[1]);
+    // "at 5 main street" is an address
+    if (clock && !STREET.test(text.slice(match.index + match[0].length))) return { kind, clock };
+  }
+  return null;
+};
+
+const findPeriod = (text) => PERIODS.find(period => period.pattern.test(text)) || null;
+
+const hasConfiguredHours = (businessConfig) =>
+  !!businessConfig?.businessHours && Object.keys(businessConfig.businessHours).length > 0;
+
+// Opening hours for a date, with defaults when none are configured
+const getDayHours = (date, ctx) => {
+  const hours = hasConfiguredHours(ctx.businessConfig) ? getHoursForDate(ctx.businessConfig, date) : null;
+  return hours
+    ? { open: hours.open, close: hours.close, known: true }
+    : { open: DEFAULT_OPEN, close: DEFAULT_CLOSE, known: false };
+};
+
+// Is the business open (or, without hours, is it a weekday)?
+const isWorkingDay = (date, ctx) => {
+  if (hasConfiguredHours(ctx.businessConfig)) return !!getHoursForDate(ctx.businessConfig, date);
+  return !['saturday', 'sunday'].includes(dayOfWeek(date));
+};
+
+/**
+ * Hours appointments can be booked on a local date: the opening hours, or weekdays 9 to 5
+ * when none are configured
+ * @returns {object|null} - { open, close } in minutes, null when closed
+ */
+const getBookingHours = (businessConfig, date) => {
+  const ctx = { businessConfig };
+  if (!isWorkingDay(date, ctx)) return null;
+  const { open, close } = getDayHours(date, ctx);
+  return { open, close };
+};
+
+/**
+ * Readings of an hour said without AM/PM: the part of the day decides, then the opening
+ * hours (both readings open -> ask), then 7-11 is morning and 1-6 afternoon
+ * @returns {Array} - Start minutes, two when the caller has to choose
+ */
+const readMeridiem = (clock, period, hours) => {
+  if (clock.meridiem) return [clock.minutes];
+  if (Math.floor(clock.minutes / 60) === 12) return [clock.minutes];
+
+  const morning = clock.minutes;
+  const afternoon = clock.minutes + 12 * 60;
+  if (period?.meridiem) return [period.meridiem === 'pm' ? afternoon : morning];
+  if (hours.known) {
+    const open = [morning, afternoon].filter(minutes => minutes >= hours.open && minutes < hours.close);
+    if (open.length > 0) return open;
+  }
+  return [Math.floor(clock.minutes / 60) >= 7 ? morning : afternoon];
+};
+
+const periodLabel = (dateLabel, period) => {
+  if (period.firstThing) return `${dateLabel} first thing`;
+  if (period.name === 'any time') return `${dateLabel} any time`;
+  const partOfDay = /(?:morning|afternoon|evening)$/.test(period.name);
+  if (dateLabel === 'today' && ['morning', 'afternoon', 'evening'].includes(period.name)) return `this ${period.name}`;
+  if (partOfDay && /\d/.test(dateLabel)) return `${dateLabel} in the ${period.name}`;
+  return `${dateLabel} ${period.name}`;
+};
+
+/**
+ * Windows for one local date: usually one, two when it's unclear whether a time is AM or PM
+ */
+const windowsForDay = (date, { time, period }, ctx) => {
+  const hours = getDayHours(date, ctx);
+  const dateLabel = describeDate(date, ctx.today);
+  const duration = ctx.durationMinutes;
+
+  if (time?.kind === 'between') {
+    let [start] = time.clock.meridiem ? [time.clock.minutes] : readMeridiem(time.clock, period, hours).slice(-1);
+    let end = time.until.minutes;
+    if (!time.clock.meridiem && time.until.meridiem === 'pm' && start < 12 * 60 && start + 12 * 60 < end) start += 12 * 60;
+    if (!time.until.meridiem) {
+      while (end <= start && end < 24 * 60) end += 12 * 60;
+    }
+    if (end <= start) return [];
+    return [{ date, startMinutes: start, endMinutes: end, exact: false, label: `${dateLabel} between ${spokenTime(start)} and ${spokenTime(end)}` }];
+  }
+
+  if (time) {
+    return readMeridiem(time.clock, period, hours).map(start => {
+      if (time.kind === 'after') {
+        return { date, startMinutes: start, endMinutes: Math.max(hours.close, start + duration), exact: false, label: `${dateLabel} after ${spokenTime(start)}` };
+      }
+      if (time.kind === 'before') {
+        // From opening, unless that's already too late (the availability check turns it down)
+        const from = start > hours.open ? hours.open : start - duration;
+        return { date, startMinutes: from, endMinutes: start, exact: false, label: `${dateLabel} before ${spokenTime(start)}` };
+      }
+      return { date, startMinutes: start, endMinutes: start + duration, exact: true, label: `${dateLabel} at ${spokenTime(start)}` };
+    });
+  }
+
+  if (period?.firstThing) {
+    return [{ date, startMinutes: hours.open, endMinutes: hours.open + duration, exact: true, label: periodLabel(dateLabel, period) }];
+  }
+
+  if (period) {
+    let start = period.start ?? hours.open;
+    let end = period.end ?? hours.close;
+    // Keep to opening hours unless that leaves nothing of the period
+    if (hours.known && Math.max(start, hours.open) < Math.min(end, hours.close)) {
+      start = Math.max(start, hours.open);
+      end = Math.min(end, hours.close);
+    }
+    return [{ date, startMinutes: start, endMinutes: end, exact: false, label: periodLabel(dateLabel, period) }];
+  }
+
+  return [{ date, startMinutes: hours.open, endMinutes: hours.close, exact: false, label: dateLabel }];
+};
+
+const hasPassed = (window, ctx) => {
+  if (window.date !== ctx.today) return window.date < ctx.today;
+  return window.exact ? window.startMinutes <= ctx.nowMinutes : window.endMinutes <= ctx.nowMinutes;
+};
+
+// A window that has started already begins now (at the next quarter hour)
+const trimToNow = (window, ctx) => {
+  if (window.exact || window.date !== ctx.today || window.startMinutes >= ctx.nowMinutes) return window;
+  return { ...window, startMinutes: Math.ceil(ctx.nowMinutes / ROUND_MINUTES) * ROUND_MINUTES };
+};
+
+const toResolved = (window, ctx) => {
+  const endDate = window.endDate || window.date;
+  return {
+    status: 'resolved',
+    start: toInstant(window.date, window.startMinutes, ctx.timezone),
+    end: toInstant(endDate, window.endMinutes, ctx.timezone),
+    date: window.date,
+    endDate,
+    startTime: window.exact ? toClockString(window.startMinutes) : null,
+    exact: window.exact,
+    label: window.label,
+    timezone: ctx.timezone
+  };
+};
+
+const ambiguous = (reason, question, windows, ctx) => ({
+  status: 'ambiguous',
+  reason,
+  question,
+  options: windows.map(window => toResolved(window, ctx))
+});
+
+// The date of the first occurrence of a weekday after today
+const upcomingWeekday = (index, today) => {
+  const offset = (index - DAYS.indexOf(dayOfWeek(today)) + 7) % 7 || 7;
+  return addDays(today, offset);
+};
+
+// Calendar date from parts, null if it doesn't exist (February 30th)
+const calendarDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+// A month and day, this year unless it has passed
+const monthDay = (month, day, today) => {
+  const year = Number(today.slice(0, 4));
+  const thisYear = calendarDate(year, month, day);
+  if (!thisYear && !calendarDate(year + 1, month, day)) {
+    return { invalid: `There's no ${capitalize(MONTHS[month - 1])} ${ordinal(day)}. Which day did you mean?` };
+  }
+  if (thisYear && thisYear >= today) return { date: thisYear };
+  return { date: calendarDate(year + 1, month, day) };
+};
+
+const monthIndex = (name) => MONTHS.findIndex(month => month.startsWith(name.slice(0, 3))) + 1;
+
+// "a week from Friday", "a week from tomorrow", "Friday after next"
+const WEEK_LATER = new RegExp(`\\b(?:a|one|1) week (?:from|after) |\\b${WEEKDAY} after next\\b`);
+
+// A date read one week later
+const shiftWeek = (day) => {
+  if (day.date) return { date: addDays(day.date, 7) };
+  if (day.candidates) return { ...day, candidates: day.candidates.map(date => addDays(date, 7)) };
+  if (day.range) {
+    const { from, to, label } = day.range;
+    return { range: { from: addDays(from, 7), to: addDays(to, 7), label: `a week after ${label}` } };
+  }
+  return day;
+};
+
+/**
+ * The day or days a phrase refers to
+ * @returns {object|null} - { date, weekday }, { range }, { candidates, reason } or { invalid }
+ */
+const findDate = (text, ctx) => {
+  const { today } = ctx;
+
+  // Read the day without the offset ("a week from now" is today), then move it a week on
+  const weekLater = WEEK_LATER.exec(text);
+  if (weekLater) {
+    const day = findDate(text.replace(weekLater[0], weekLater[1] ? ` ${weekLater[1]} ` : ' '), ctx);
+    return shiftWeek(day || { date: today });
+  }
+  const thisWeek = weekStart(today);
+  const nextWeek = addDays(thisWeek, 7);
+
+  if (/\bday after tomorrow\b/.test(text)) return { date: addDays(today, 2) };
+  if (/\btomorrow\b/.test(text)) return { date: addDays(today, 1) };
+  if (/\b(?:today|tonight|this (?:morning|afternoon|evening))\b/.test(text)) return { date: today, today: true };
+
+  const inDays = /\bin (\d{1,2}|a|an) (day|week)s?\b/.exec(text);
+  if (inDays) {
+    const count = /^\d+$/.test(inDays[1]) ? Number(inDays[1]) : 1;
+    return { date: addDays(today, count * (inDays[2] === 'week' ? 7 : 1)) };
+  }
+
+  // A weekday in a given week: "tuesday next week", "this week on friday"
+  const weekdayInWeek = new RegExp(`\\b${WEEKDAY} (?:of )?(next|this) week\\b|\\b(next|this) week (?:on )?${WEEKDAY}\\b`).exec(text);
+  if (weekdayInWeek) {
+    const weekday = weekdayInWeek[1] || weekdayInWeek[4];
+    const which = weekdayInWeek[2] || weekdayInWeek[3];
+    const date = addDays(which === 'next' ? nextWeek : thisWeek, (weekdayIndex(weekday) + 6) % 7);
+    if (date < today) {
+      return { candidates: [addDays(date, 7)], reason: 'past' };
+    }
+    return { date };
+  }
+
+  const weekend = /\b(?:(next|this|coming) |the )?weekend\b/.exec(text);
+  if (weekend) {
+    const start = addDays(weekend[1] === 'next' ? nextWeek : thisWeek, 5);
+    return { range: { from: start < today ? today : start, to: addDays(start, 1), label: weekend[1] === 'next' ? 'next weekend' : 'this weekend' } };
+  }
+
+  const week = /\b(?:(early|beginning of|start of|mid|middle of|late|later|end of) (?:the )?)?(?:(next|this|coming) |the )week\b/.exec(text);
+  if (week) {
+    const part = { 'beginning of': 'early', 'start of': 'early', 'middle of': 'mid', 'end of': 'late' }[week[1]] || week[1] || 'whole';
+    const isNext = week[2] === 'next' || week[2] === 'coming';
+    const start = isNext ? nextWeek : thisWeek;
+    const spans = { whole: [0, 6], early: [0, 1], mid: [1, 3], late: [3, 6], later: [0, 6] };
+    const [first, last] = spans[part];
+    let from = addDays(start, first);
+    const to = addDays(start, last);
+    if (!isNext && part === 'later') from = addDays(today, 1);
+    if (from < today) from = today;
+    if (from > to) return null;
+
+    const labels = isNext
+      ? { whole: 'next week', early: 'early next week', mid: 'the middle of next week', late: 'late next week', later: 'next week' }
+      : { whole: 'this week', early: 'this week', mid: 'this week', late: 'the end of this week', later: 'later this week' };
+    return { range: { from, to, label: labels[part] } };
+  }
+
+  let dayOfMonth = null;
+  const monthFirst = new RegExp(`\\b${MONTH}\\.? (\\d{1,2})(?:st|nd|rd|th)?\\b`).exec(text);
+  const dayFirst = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)? (?:of )?${MONTH}\\b`).exec(text);
+  const numeric = /\b(\d{1,2})\/(\d{1,2})\b/.exec(text);
+  if (monthFirst || dayFirst) {
+    const month = monthIndex(monthFirst ? monthFirst[1] : dayFirst[2]);
+    dayOfMonth = monthDay(month, Number(monthFirst ? monthFirst[2] : dayFirst[1]), today);
+  } else if (numeric && Number(numeric[1]) <= 12) {
+    dayOfMonth = monthDay(Number(numeric[1]), Number(numeric[2]), today);
+  } else {
+    const ordinalDay = /\b(\d{1,2})(?:st|nd|rd|th)\b/.exec(text);
+    if (ordinalDay) {
+      const day = Number(ordinalDay[1]);
+      const [year, month] = today.split('-').map(Number);
+      // This month unless it has passed; skip months too short for the day
+      for (let ahead = 0; ahead < 3 && !dayOfMonth; ahead++) {
+        const index = month - 1 + ahead;
+        const date = calendarDate(year + Math.floor(index / 12), (index % 12) + 1, day);
+        if (date && date >= today) dayOfMonth = { date };
+      }
+      if (!dayOfMonth) return { invalid: `There's no ${ordinal(day)} coming up. Which day did you mean?` };
+    }
+  }
+
+  const weekday = new RegExp(`\\b(?:(this|next|this coming|coming) )?${WEEKDAY}\\b`).exec(text);
+
+  if (dayOfMonth) {
+    if (dayOfMonth.invalid || !weekday) return dayOfMonth;
+    // "Friday the 14th" when the 14th is a Wednesday: offer both
+    const index = weekdayIndex(weekday[2]);
+    if (DAYS.indexOf(dayOfWeek(dayOfMonth.date)) !== index) {
+      const shift = ((index - DAYS.indexOf(dayOfWeek(dayOfMonth.date)) + 10) % 7) - 3;
+      return {
+        candidates: [dayOfMonth.date, addDays(dayOfMonth.date, shift)],
+        reason: 'weekday_mismatch'
+      };
+    }
+    return dayOfMonth;
+  }
+
+  if (weekday) {
+    const index = weekdayIndex(weekday[2]);
+    const upcoming = upcomingWeekday(index, today);
+    if (weekday[1] !== 'next') return { date: upcoming };
+
+    // "next Tuesday" on a Monday could be tomorrow or a week later
+    const inNextWeek = addDays(nextWeek, (index + 6) % 7);
+    if (upcoming !== inNextWeek) return { candidates: [upcoming, inNextWeek], reason: 'next_weekday' };
+    return { date: inNextWeek };
+  }
+
+  return null;
+};
+
+/**
+ * Resolve a spoken date/time phrase
+ * @param {string} phrase - What the caller said, or a label from an earlier resolution
+ * @param {object} options - { businessConfig, timezone (defaults to businessConfig.timezone), now, durationMinutes }
+ * @returns {object} - { status: 'resolved', start, end, date, endDate, startTime, exact, label, timezone }
+ *   | { status: 'ambiguous', reason, question, options: [resolved windows] }
+ *   | { status: 'unresolved' }
+ */
+const resolveTimeWindow = (phrase, options = {}) => {
+  if (!phrase || typeof phrase !== 'string') return UNRESOLVED;
+
+  const { businessConfig = null, now = new Date(), durationMinutes = DEFAULT_DURATION_MINUTES } = options;
+  const timezone = resolveTimezone(options.timezone || businessConfig?.timezone);
+  const local = getLocalTime(now, timezone);
+  const ctx = { businessConfig, timezone, today: local.date, nowMinutes: local.minutes, durationMinutes };
+
+  const text = normalize(phrase);
+  const day = findDate(text, ctx);
+  const time = findTime(text);
+  const period = findPeriod(text);
+  const spec = { time, period };
+
+  if (!day && !time && !period) return UNRESOLVED;
+
+  if (day?.invalid) return { status: 'ambiguous', reason: 'invalid_date', question: day.invalid, options: [] };
+
+  if (day?.range) {
+    const { from, to, label } = day.range;
+    const dates = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) dates.push(date);
+    const workingDays = dates.filter(date => isWorkingDay(date, ctx));
+    const days = workingDays.length > 0 ? workingDays : dates;
+
+    // A time across several days: which day?
+    if (time || period) {
+      const windows = days.flatMap(date => windowsForDay(date, spec, ctx).slice(0, 1)).filter(window => !hasPassed(window, ctx));
+      return ambiguous('day_needed', `Which day ${label} works best for you?`, windows, ctx);
+    }
+
+    const first = trimToNow(windowsForDay(days[0], {}, ctx)[0], ctx);
+    const last = windowsForDay(days[days.length - 1], {}, ctx)[0];
+    return toResolved({
+      date: first.date,
+      endDate: last.date,
+      startMinutes: first.startMinutes,
+      endMinutes: last.endMinutes,
+      exact: false,
+      label
+    }, ctx);
+  }
+
+  if (day?.candidates) {
+    const windows = day.candidates.flatMap(date => windowsForDay(date, spec, ctx).slice(0, 1));
+    if (windows.length === 0) return UNRESOLVED;
+    if (day.reason === 'past') {
+      return ambiguous('past', `That's already passed. Would ${windows[0].label} work instead?`, windows, ctx);
+    }
+    const [first, second] = day.candidates;
+    const spelled = windows.map((window, i) => window.label.replace(describeDate(day.candidates[i], ctx.today), describeDate(day.candidates[i], ctx.today, { withDate: true })));
+    const question = day.reason === 'weekday_mismatch'
+      ? `The ${ordinal(Number(first.slice(8)))} is a ${capitalize(dayOfWeek(first))}. Do you mean ${spelled[0]} or ${spelled[1]}?`
+      : `Do you mean ${spelled[0]} or ${spelled[1]}?`;
+    return ambiguous(day.reason, question, second ? windows : windows.slice(0, 1), ctx);
+  }
+
+  // No day said: today if it's still ahead, otherwise tomorrow
+  let date = day?.date || ctx.today;
+  let windows = windowsForDay(date, spec, ctx);
+  if (!day && windows.length > 0 && windows.every(window => hasPassed(window, ctx))) {
+    date = addDays(ctx.today, 1);
+    windows = windowsForDay(date, spec, ctx);
+  }
+  if (windows.length === 0) return UNRESOLVED;
+
+  if (windows.length > 1) {
+    const [morning, afternoon] = windows;
+    const hour = spokenTime(morning.startMinutes).replace(/ [AP]M$/, '');
+    const later = afternoon.startMinutes >= 17 * 60 ? 'evening' : 'afternoon';
+    const open = windows.filter(window => !hasPassed(window, ctx));
+    if (open.length === 1) return toResolved(open[0], ctx);
+    return ambiguous('am_pm', `Is that ${hour} in the morning or ${hour} in the ${later}?`, windows, ctx);
+  }
+
+  const [window] = windows;
+  if (hasPassed(window, ctx)) {
+    const tomorrow = windowsForDay(addDays(ctx.today, 1), spec, ctx)[0];
+    return ambiguous('past', `That's already passed. Would ${tomorrow.label} work instead?`, [tomorrow], ctx);
+  }
+  return toResolved(trimToNow(window, ctx), ctx);
+};
+
+/**
+ * How a booked instant is read back: "tomorrow at 9 AM", "Friday the 14th at 2:30 PM"
+ * @param {object} options - { timezone, now }
+ */
+const describeInstant = (instant, { timezone, now = new Date() } = {}) => {
+  const zone = resolveTimezone(timezone);
+  const local = getLocalTime(instant, zone);
+  return `${describeDate(local.date, getLocalTime(now, zone).date)} at ${spokenTime(local.minutes)}`;
+};
+
+/**
+ * Minutes a service takes (BusinessConfig.services[].duration), falling back to an hour
+ */
+const getServiceDuration = (businessConfig, serviceName) => {
+  const name = serviceName?.toLowerCase().trim();
+  if (!name) return DEFAULT_DURATION_MINUTES;
+
+  const services = (businessConfig?.services || []).filter(service => service?.name);
+  const service = services.find(candidate => candidate.name.toLowerCase().trim() === name) ||
+    services.find(candidate => candidate.name.toLowerCase().includes(name) || name.includes(candidate.name.toLowerCase()));
+  const duration = Number(service?.duration ?? service?.defaultDuration);
+  return duration > 0 ? duration : DEFAULT_DURATION_MINUTES;
+};
+
+module.exports = {
+  resolveTimeWindow,
+  getServiceDuration,
+  getBookingHours,
+  describeDate,
+  describeInstant,
+  toInstant,
+  DEFAULT_DURATION_MINUTES
+};
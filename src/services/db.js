@@ -10,6 +10,12 @@ const createAppointment = async (data) => {
   return appointment;
 };
 
+const updateAppointment = async (id, data) => {
+  const prisma = await getDatabase();
+  const appointment = await prisma.appointment.update({ where: { id }, data });
+  return appointment;
+};
+
 const getAppointments = async () => {
   const prisma = await getDatabase();
   const appointments = await prisma.appointment.findMany();
@@ -56,6 +62,68 @@ const getCall = async (callId) => {
   }
 };
 
+// Merge a metadata patch into existing call metadata, one level deep so
+// nested records (e.g. metadata.transfer) accumulate across webhooks
+const mergeCallMetadata = (existing, patch) => {
+  const merged = { ...(existing || {}) };
+  for (const [key, value] of Object.entries(patch || {})) {
+    const current = merged[key];
+    const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+    merged[key] = isObject(current) && isObject(value) ? { ...current, ...value } : value;
+  }
+  return merged;
+};
+
+// Twilio webhooks only know the CallSid, so look calls up by it
+const getCallBySid = async (twilioCallSid) => {
+  try {
+    const prisma = await getDatabase();
+    const call = await prisma.call.findFirst({
+      where: { twilioCallSid },
+      orderBy: { createdAt: 'desc' }
+    });
+    return call;
+  } catch (error) {
+    console.error('Database error getting call by sid:', error);
+    return null;
+  }
+};
+
+const upsertCallBySid = async (twilioCallSid, updates = {}, createDefaults = {}) => {
+  if (!twilioCallSid) return null;
+
+  try {
+    const prisma = await getDatabase();
+    const existing = await prisma.call.findFirst({
+      where: { twilioCallSid },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const data = { ...updates };
+    if (updates.metadata) {
+      data.metadata = mergeCallMetadata(existing?.metadata, updates.metadata);
+    }
+
+    if (existing) {
+      return await prisma.call.update({
+        where: { id: existing.id },
+        data
+      });
+    }
+
+    return await prisma.call.create({
+      data: {
+        ...createDefaults,
+        ...data,
+        twilioCallSid
+      }
+    });
+  } catch (error) {
+    console.error('Database error upserting call by sid:', error);
+    return null;
+  }
+};
+
 // Turn tracking functions
 const createTurn = async (data) => {
   try {
@@ -118,10 +186,14 @@ const getCallStats = async (dateRange = {}) => {
 
 module.exports = {
   createAppointment,
+  updateAppointment,
   getAppointments,
   createCall,
   updateCall,
   getCall,
+  getCallBySid,
+  upsertCallBySid,
+  mergeCallMetadata,
   createTurn,
   updateTurn,
   getTurnsByCall,
@@ -0,0 +1,293 @@
+/**
+ * DTMF Keypad Service
+ *
+ * Turns Twilio media stream `dtmf` events into caller input:
+ * - the operator key ("press 0 for a person") escalates to a live transfer
+ * - multi-digit entries (callback numbers, confirmation codes) fill the contact slot
+ * - 1 / 2 answer the booking confirmation
+ * - an optional per-organization menu (BusinessConfig.rules.keypadMenu)
+ *
+ * Example rules.keypadMenu:
+ *   {
+ *     "enabled": true,
+ *     "operatorKey": "0",
+ *     "prompt": "Press 1 to book, 2 for our hours, or 0 to speak with someone.",
+ *     "options": {
+ *       "1": { "action": "booking" },
+ *       "2": { "action": "hours" },
+ *       "9": { "action": "voicemail", "label": "to leave a message" }
+ *     }
+ *   }
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_OPERATOR_KEY = '0';
+const DEFAULT_INTER_DIGIT_TIMEOUT_MS = 3000;
+const DEFAULT_MAX_DIGITS = 15;
+const MIN_ENTRY_DIGITS = 3;
+
+// States where the caller is answering a question rather than choosing from the menu
+const ENTRY_STATES = ['collectContact', 'confirm'];
+
+const MENU_ACTIONS = {
+  booking: 'to book an appointment',
+  hours: 'for our hours',
+  location: 'for our location',
+  services: 'to hear our services',
+  transfer: 'to speak with someone',
+  voicemail: 'to leave a message',
+  callback: 'to request a callback'
+};
+
+const ESCALATION_ACTIONS = ['transfer', 'voicemail', 'callback'];
+
+/**
+ * Normalize BusinessConfig.rules.keypadMenu (operator key works even without a menu)
+ * @param {object} businessConfig
+ * @returns {object} - { enabled, operatorKey, prompt, options }
+ */
+const getKeypadMenu = (businessConfig) => {
+  const config = businessConfig?.rules?.keypadMenu || {};
+  const options = {};
+
+  for (const [key, option] of Object.entries(config.options || {})) {
+    const action = typeof option === 'string' ? option : option?.action;
+    if (/^[0-9]$/.test(key) && MENU_ACTIONS[action]) {
+      options[key] = {
+        action,
+        label: option.label || MENU_ACTIONS[action]
+      };
+    }
+  }
+
+  return {
+    enabled: config.enabled !== false && Object.keys(options).length > 0,
+    operatorKey: config.operatorKey === null ? null : (config.operatorKey || DEFAULT_OPERATOR_KEY),
+    prompt: config.prompt || null,
+    options
+  };
+};
+
+/**
+ * Spoken menu appended to the greeting (null when no menu is configured)
+ */
+const buildMenuPrompt = (menu) => {
+  if (!menu?.enabled) return null;
+  if (menu.prompt) return menu.prompt;
+
+  const choices = Object.entries(menu.options)
+    .map(([key, option]) => `press ${key} ${option.label}`);
+  if (menu.operatorKey && !menu.options[menu.operatorKey]) {
+    choices.push(`press ${menu.operatorKey} ${MENU_ACTIONS.transfer}`);
+  }
+
+  const sentence = choices.join(', ');
+  return `You can also use your keypad: ${sentence}.`;
+};
+
+/**
+ * Whether a key should be acted on immediately instead of starting a multi-digit entry
+ */
+const isImmediateKey = (digit, { menu, state } = {}) => {
+  if (menu?.operatorKey && digit === menu.operatorKey) return true;
+  if (state === 'confirm') return digit === '1' || digit === '2';
+  if (ENTRY_STATES.includes(state)) return false;
+  return !!(menu?.enabled && menu.options[digit]);
+};
+
+/**
+ * Format a keypad entry for the contact slot
+ * @param {string} digits
+ * @returns {object} - { kind: 'phone'|'code', contact }
+ */
+const formatKeypadContact = (digits) => {
+  const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  if (national.length === 10) {
+    return {
+      kind: 'phone',
+      contact: `${national.slice(0, 3)}-${national.slice(3, 6)}-${national.slice(6)}`
+    };
+  }
+  return { kind: 'code', contact: `confirmation code ${digits}` };
+};
+
+/**
+ * Read digits back one at a time ("5 5 5, 1 2 3, 4 5 6 7") so TTS doesn't say "five hundred fifty-five"
+ */
+const speakDigits = (value) => {
+  return String(value)
+    .replace(/[^0-9-]/g, ' ')
+    .trim()
+    .split(/[-\s]+/)
+    .filter(Boolean)
+    .map(group => group.split('').join(' '))
+    .join(', ');
+};
+
+/**
+ * Decide what a completed keypad entry means
+ * @param {string} digits - Digits entered (without the # terminator)
+ * @param {object} options - { menu, state } where state is the booking machine state
+ * @returns {object} - { type: 'escalate'|'confirm'|'reject'|'menu'|'contact'|'unrecognized', ... }
+ */
+const resolveKeypadInput = (digits, { menu, state } = {}) => {
+  if (!digits) return { type: 'unrecognized', digits };
+
+  if (menu?.operatorKey && digits === menu.operatorKey) {
+    return { type: 'escalate', kind: 'transfer', digits };
+  }
+
+  if (state === 'confirm') {
+    if (digits === '1') return { type: 'confirm', digits };
+    if (digits === '2') return { type: 'reject', digits };
+  }
+
+  if (digits.length === 1 && !ENTRY_STATES.includes(state) && menu?.enabled && menu.options[digits]) {
+    const { action } = menu.options[digits];
+    if (ESCALATION_ACTIONS.includes(action)) {
+      return { type: 'escalate', kind: action, digits };
+    }
+    return { type: 'menu', action, digits };
+  }
+
+  if (digits.length >= MIN_ENTRY_DIGITS) {
+    return { type: 'contact', digits, ...formatKeypadContact(digits) };
+  }
+
+  return { type: 'unrecognized', digits };
+};
+
+/**
+ * Build the booking machine PROCESS_INTENT event for a resolved keypad entry
+ * @param {object} input - Result of resolveKeypadInput
+ * @param {object} options - { response, businessConfig, sessionId }
+ * @returns {object|null} - Event for actor.send(), or null if the input has no state machine meaning
+ */
+const buildKeypadEvent = (input, { response, businessConfig, sessionId } = {}) => {
+  const intents = {
+    confirm: 'confirmation_yes',
+    reject: 'confirmation_no',
+    contact: 'booking',
+    menu: input.action
+  };
+  const intent = intents[input.type];
+  if (!intent) return null;
+
+  const entities = input.type === 'contact' ? { contact: input.contact } : {};
+
+  return {
+    type: 'PROCESS_INTENT',
+    source: 'dtmf',
+    intent,
+    confidence: 1,
+    entities,
+    response,
+    businessConfig,
+    originalSpeech: `[keypad ${input.digits}]`,
+    keypad: { digits: input.digits, kind: input.kind || null },
+    bookingData: {
+      contact: entities.contact,
+      businessConfig,
+      sessionId
+    }
+  };
+};
+
+/**
+ * What to say after a keypad entry moved the booking machine to `state`
+ */
+const getKeypadPrompt = (state, context = {}, businessConfig = {}) => {
+  const scripts = businessConfig?.scripts || {};
+
+  switch (state) {
+    case 'confirm':
+      return `Thanks. To confirm, that's ${context.service} ${context.preferredTime}, and we'll reach you at ${speakDigits(context.contact)}. Press 1 or say yes to book it, or press 2 to make a change.`;
+    case 'collectService':
+      return scripts.service || 'Thanks. What type of service are you looking to schedule today?';
+    case 'collectTimeWindow':
+      return scripts.timeWindow || 'Thanks. When would you prefer to schedule this appointment?';
+    case 'collectContact':
+      return scripts.contact || 'Please enter your phone number on the keypad followed by the pound key, or just say it.';
+    default:
+      return context.contact
+        ? `Thanks, I've noted ${speakDigits(context.contact)}. How else can I help?`
+        : 'How can I help you today?';
+  }
+};
+
+/**
+ * Collects keypad digits into entries.
+ * An entry completes on "#", after a pause between digits, or at the maximum length;
+ * "*" clears the current entry. Keys that are meaningful on their own (see isImmediateKey)
+ * complete immediately when no entry is in progress.
+ */
+class DtmfCollector extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.interDigitTimeoutMs = options.interDigitTimeoutMs || DEFAULT_INTER_DIGIT_TIMEOUT_MS;
+    this.maxDigits = options.maxDigits || DEFAULT_MAX_DIGITS;
+    this.isImmediateKey = options.isImmediateKey || (() => false);
+    this.buffer = '';
+    this.timer = null;
+  }
+
+  addDigit(digit) {
+    if (!/^[0-9*#]$/.test(digit || '')) return;
+
+    if (digit === '*') {
+      this.clear();
+      this.emit('cleared');
+      return;
+    }
+
+    if (digit === '#') {
+      this.flush('pound');
+      return;
+    }
+
+    if (!this.buffer && this.isImmediateKey(digit)) {
+      this.emit('input', { digits: digit, terminator: 'key' });
+      return;
+    }
+
+    this.buffer += digit;
+    if (this.buffer.length >= this.maxDigits) {
+      this.flush('max_digits');
+      return;
+    }
+
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush('timeout'), this.interDigitTimeoutMs);
+  }
+
+  flush(terminator) {
+    const digits = this.buffer;
+    this.clear();
+    if (digits) {
+      this.emit('input', { digits, terminator });
+    }
+  }
+
+  clear() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.buffer = '';
+  }
+
+  get pending() {
+    return this.buffer.length > 0;
+  }
+}
+
+module.exports = {
+  DtmfCollector,
+  getKeypadMenu,
+  buildMenuPrompt,
+  isImmediateKey,
+  resolveKeypadInput,
+  buildKeypadEvent,
+  getKeypadPrompt,
+  formatKeypadContact,
+  speakDigits
+};
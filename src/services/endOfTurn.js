@@ -0,0 +1,250 @@
+/**
+ * End-of-Turn Detection
+ *
+ * Decides when the caller has finished speaking, replacing the fixed 1.5s wait after
+ * the last final transcript. Each final transcript is buffered and a commit is scheduled
+ * after a wait picked from the evidence so far:
+ *   complete    the STT reported end of speech (Deepgram speech_final) and the text reads
+ *               as a finished thought: short wait
+ *   settled     no strong signal either way: normal wait
+ *   incomplete  the caller seems mid-thought: trailing "and", "um", a comma, or a phone
+ *               number still being read out while the call is collecting contact details:
+ *               long wait
+ * More speech (interim transcripts) pushes the commit back; Deepgram's UtteranceEnd
+ * brings it forward unless the caller seems mid-thought.
+ *
+ * Organizations tune it with BusinessConfig.voiceSettings.turnDetection:
+ *   { mode: 'fast' | 'balanced' | 'patient', completeMs, settleMs, incompleteMs }
+ *
+ * Speech within a second of a commit counts as a false cutoff (we answered before the
+ * caller was done); every false cutoff stretches the waits for the rest of the call.
+ * getMetrics() reports false cutoffs and the latency the waits added.
+ */
+
+const EventEmitter = require('events');
+
+const TURN_DETECTION_MODES = {
+  fast: { completeMs: 250, settleMs: 700, incompleteMs: 1500 },
+  balanced: { completeMs: 400, settleMs: 1000, incompleteMs: 2000 },
+  patient: { completeMs: 700, settleMs: 1500, incompleteMs: 3000 }
+};
+const DEFAULT_MODE = 'balanced';
+// Setting that sizes the wait for each kind of commit
+const WAIT_SETTINGS = { complete: 'completeMs', settled: 'settleMs', incomplete: 'incompleteMs' };
+const MAX_WAIT_MS = 10000;
+
+const FALSE_CUTOFF_WINDOW_MS = 1000;
+const STRETCH_STEP = 1.25;
+const MAX_STRETCH = 2;
+
+// Words a caller trails off on before continuing ("I'd like to come in on, um")
+const CONTINUATION_WORDS = {
+  en: new Set([
+    'and', 'or', 'but', 'so', 'because', 'um', 'uh', 'er', 'erm', 'hmm', 'like', 'the', 'a', 'an',
+    'to', 'with', 'for', 'at', 'on', 'in', 'of', 'my', 'is', 'then', 'maybe', 'about', 'around'
+  ]),
+  es: new Set([
+    'y', 'o', 'pero', 'porque', 'que', 'de', 'el', 'la', 'los', 'las', 'un', 'una', 'mi', 'para',
+    'con', 'en', 'a', 'eh', 'este', 'pues', 'como', 'entonces'
+  ])
+};
+
+const PHONE_DIGITS = 10;
+
+/**
+ * Detection settings for an organization
+ * @param {object} voiceSettings - BusinessConfig.voiceSettings
+ * @returns {object} - { mode, completeMs, settleMs, incompleteMs }
+ */
+const getTurnDetectionSettings = (voiceSettings) => {
+  const configured = voiceSettings?.turnDetection || {};
+  const mode = TURN_DETECTION_MODES[configured.mode] ? configured.mode : DEFAULT_MODE;
+  const settings = { mode, ...TURN_DETECTION_MODES[mode] };
+
+  for (const key of Object.keys(TURN_DETECTION_MODES[DEFAULT_MODE])) {
+    const value = Number(configured[key]);
+    if (configured[key] !== undefined && Number.isFinite(value) && value > 0) {
+      settings[key] = Math.min(value, MAX_WAIT_MS);
+    }
+  }
+  return settings;
+};
+
+/**
+ * @returns {string|null} - Error message for invalid voiceSettings.turnDetection, else null
+ */
+const validateTurnDetection = (turnDetection) => {
+  if (typeof turnDetection !== 'object' || turnDetection === null || Array.isArray(turnDetection)) {
+    return 'Turn detection must be an object';
+  }
+  if (turnDetection.mode !== undefined && !TURN_DETECTION_MODES[turnDetection.mode]) {
+    return `Turn detection mode must be one of: ${Object.keys(TURN_DETECTION_MODES).join(', ')}`;
+  }
+  for (const key of Object.keys(TURN_DETECTION_MODES[DEFAULT_MODE])) {
+    const value = turnDetection[key];
+    if (value !== undefined && !(Number.isFinite(value) && value > 0 && value <= MAX_WAIT_MS)) {
+      return `Turn detection ${key} must be between 1 and ${MAX_WAIT_MS}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Whether the text reads as cut off mid-thought
+ * @param {object} options - { language, expecting ('phone' while collecting contact details) }
+ */
+const looksIncomplete = (text, { language = 'en', expecting = null } = {}) => {
+  const trimmed = text.trim();
+  if (/[,;:\-–—]$|\.\.\.$|…$/.test(trimmed)) return true;
+
+  const lastWord = trimmed.toLowerCase().replace(/[^\p{L}\p{N}'\s]/gu, '').split(/\s+/).pop();
+  const words = CONTINUATION_WORDS[language] || CONTINUATION_WORDS.en;
+  if (words.has(lastWord)) return true;
+
+  if (expecting === 'phone') {
+    const digits = trimmed.replace(/\D/g, '').length;
+    if (digits > 0 && digits < PHONE_DIGITS) return true;
+  }
+  return false;
+};
+
+class EndOfTurnDetector extends EventEmitter {
+  /**
+   * @param {object} options - { settings (see getTurnDetectionSettings), language,
+   *                           getExpectation: () => 'phone' | null }
+   */
+  constructor({ settings, language = 'en', getExpectation = () => null } = {}) {
+    super();
+    this.settings = settings || getTurnDetectionSettings();
+    this.language = language;
+    this.getExpectation = getExpectation;
+    this.stretch = 1;
+
+    this.buffer = '';
+    this.confidence = 0;
+    this.speechFinal = false;
+    this.timer = null;
+    this.lastSpeechAt = 0;
+    this.lastCommitAt = 0;
+    this.cutoffCounted = false;
+
+    this.stats = { turns: 0, falseCutoffs: 0, addedLatencyMs: 0, maxAddedLatencyMs: 0, reasons: {} };
+  }
+
+  configure({ settings, language } = {}) {
+    if (settings) this.settings = settings;
+    if (language) this.language = language;
+  }
+
+  get pending() {
+    return this.buffer.length > 0;
+  }
+
+  /**
+   * A final transcript segment
+   * @param {object} segment - { text, confidence, speechFinal (STT heard the end of speech) }
+   */
+  addFinal({ text, confidence = 0, speechFinal = false }) {
+    const segment = (text || '').trim();
+    if (!segment) return;
+
+    this.noteSpeech();
+    this.buffer = this.buffer ? `${this.buffer} ${segment}` : segment;
+    this.confidence = confidence;
+    this.speechFinal = speechFinal;
+    this.schedule(this.classify());
+  }
+
+  /**
+   * The caller is talking (interim transcript, or a final we aren't buffering)
+   */
+  noteSpeech() {
+    const now = Date.now();
+    this.lastSpeechAt = now;
+
+    if (!this.pending && this.lastCommitAt && !this.cutoffCounted && now - this.lastCommitAt < FALSE_CUTOFF_WINDOW_MS) {
+      this.cutoffCounted = true;
+      this.stats.falseCutoffs++;
+      this.stretch = Math.min(this.stretch * STRETCH_STEP, MAX_STRETCH);
+      this.emit('falseCutoff', { afterMs: now - this.lastCommitAt, stretch: this.stretch });
+    }
+
+    // Still talking: wait for their next final before committing
+    if (this.timer) this.schedule(this.classify() === 'incomplete' ? 'incomplete' : 'settled');
+  }
+
+  /**
+   * Deepgram UtteranceEnd: a gap in the words, so commit soon unless mid-thought
+   */
+  utteranceEnd() {
+    if (!this.pending) return;
+    if (this.classify() !== 'incomplete') this.schedule('complete');
+  }
+
+  classify() {
+    if (looksIncomplete(this.buffer, { language: this.language, expecting: this.getExpectation() })) {
+      return 'incomplete';
+    }
+    if (this.speechFinal && /[.!?¿¡]$/.test(this.buffer)) return 'complete';
+    return 'settled';
+  }
+
+  schedule(reason) {
+    if (this.timer) clearTimeout(this.timer);
+    const waitMs = Math.round(this.settings[WAIT_SETTINGS[reason]] * this.stretch);
+    this.timer = setTimeout(() => this.commit(reason), waitMs);
+  }
+
+  commit(reason) {
+    this.timer = null;
+    if (!this.pending) return;
+
+    const now = Date.now();
+    const turn = {
+      text: this.buffer,
+      confidence: this.confidence,
+      reason,
+      waitedMs: now - this.lastSpeechAt
+    };
+
+    this.stats.turns++;
+    this.stats.addedLatencyMs += turn.waitedMs;
+    this.stats.maxAddedLatencyMs = Math.max(this.stats.maxAddedLatencyMs, turn.waitedMs);
+    this.stats.reasons[reason] = (this.stats.reasons[reason] || 0) + 1;
+
+    this.buffer = '';
+    this.speechFinal = false;
+    this.lastCommitAt = now;
+    this.cutoffCounted = false;
+    this.emit('endOfTurn', turn);
+  }
+
+  // Drop anything buffered (voicemail, hang-up)
+  clear() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.buffer = '';
+  }
+
+  getMetrics() {
+    const { turns, falseCutoffs, addedLatencyMs, maxAddedLatencyMs, reasons } = this.stats;
+    return {
+      mode: this.settings.mode,
+      turns,
+      falseCutoffs,
+      falseCutoffRate: turns ? Number((falseCutoffs / turns).toFixed(3)) : 0,
+      averageAddedLatencyMs: turns ? Math.round(addedLatencyMs / turns) : 0,
+      maxAddedLatencyMs,
+      reasons: { ...reasons },
+      stretch: Number(this.stretch.toFixed(2))
+    };
+  }
+}
+
+module.exports = {
+  TURN_DETECTION_MODES,
+  EndOfTurnDetector,
+  getTurnDetectionSettings,
+  validateTurnDetection,
+  looksIncomplete
+};
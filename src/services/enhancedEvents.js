@@ -70,6 +70,10 @@ const IntentTypes = {
   SERVICE_INQUIRY: 'service_inquiry',
   SCHEDULE_APPOINTMENT: 'schedule_appointment',
   
+  // Existing appointment intents (looked up by the caller's number)
+  RESCHEDULE: 'reschedule',
+  CANCEL_APPOINTMENT: 'cancel_appointment',
+  
   // Information intents
   HOURS: 'hours',
   LOCATION: 'location',
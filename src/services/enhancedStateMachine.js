@@ -13,6 +13,11 @@
 
 const { createMachine, assign, interpret } = require('xstate');
 const { createAppointment } = require('./db');
+const { resolveTimeWindow, getServiceDuration } = require('./dateResolver');
+const { AvailabilityService } = require('./availability');
+const { calendarSync } = require('./calendar');
+
+const availability = new AvailabilityService();
 
 // Enhanced context model with new slots and tracking
 const initialContext = {
@@ -22,6 +27,8 @@ const initialContext = {
   serviceValidated: false,
   timeWindow: null,
   timeConfirmed: false,
+  timeSlot: null, // { start, end, label } once the window is checked against the calendar
+  alternativeSlots: [],
   contact: null,
   contactValidated: false,
   
@@ -246,8 +253,8 @@ const enhancedBookingMachine = createMachine({
         PROCESS_INTENT: [
           {
             guard: 'hasValidTimeWindow',
-            actions: ['extractTimeWindow', 'checkAvailability'],
-            target: 'confirmTimeWindow'
+            actions: 'extractTimeWindow',
+            target: 'checkingAvailability'
           },
           {
             guard: 'shouldEscalateTime',
@@ -261,6 +268,52 @@ const enhancedBookingMachine = createMachine({
       }
     },
 
+    // Check the window against hours, appointments and calendars before reading it back
+    checkingAvailability: {
+      entry: 'logStateEntry',
+      invoke: {
+        id: 'checkAvailability',
+        src: 'checkAvailabilityService',
+        onDone: [
+          {
+            guard: 'isSlotAvailable',
+            actions: 'storeAvailability',
+            target: 'confirmTimeWindow'
+          },
+          {
+            actions: 'storeAlternatives',
+            target: 'offerAlternatives'
+          }
+        ],
+        onError: {
+          actions: 'logAvailabilityError',
+          target: 'confirmTimeWindow'
+        }
+      }
+    },
+
+    // The window is taken; the caller picks one of the offered slots or names another time
+    offerAlternatives: {
+      entry: 'logStateEntry',
+      on: {
+        PROCESS_INTENT: [
+          {
+            guard: 'hasValidTimeWindow',
+            actions: 'extractTimeWindow',
+            target: 'checkingAvailability'
+          },
+          {
+            guard: 'shouldEscalateTime',
+            target: 'escalateToHuman'
+          },
+          {
+            actions: 'incrementConfirmationAttempt',
+            target: 'offerAlternatives'
+          }
+        ]
+      }
+    },
+
     confirmTimeWindow: {
       entry: 'logStateEntry',
       on: {
@@ -618,6 +671,8 @@ const enhancedBookingMachine = createMachine({
       return validateTimeWindow(timeWindow, context.businessConfig);
     },
 
+    isSlotAvailable: ({ event }) => event.output?.available !== false,
+
     hasValidContact: ({ context, event }) => {
       const contact = event.entities?.contact || event.bookingData?.contact;
       if (!contact) return false;
@@ -766,11 +821,15 @@ const enhancedBookingMachine = createMachine({
 
     extractTimeWindow: assign(({ context, event }) => {
       const timeWindow = event.entities?.timeWindow || event.bookingData?.timeWindow;
-      const isValid = validateTimeWindow(timeWindow, context.businessConfig);
+      const window = resolveTimeWindow(timeWindow, { businessConfig: context.businessConfig });
+      const isValid = window.status === 'resolved';
       
       return {
-        timeWindow,
+        // Keep the resolved label so the readback names the actual day
+        timeWindow: isValid ? window.label : timeWindow,
         timeConfirmed: false, // Needs explicit confirmation
+        timeSlot: null,
+        alternativeSlots: [],
         confirmationAttempts: {
           ...context.confirmationAttempts,
           timeWindow: isValid ? 0 : context.confirmationAttempts.timeWindow
@@ -778,6 +837,23 @@ const enhancedBookingMachine = createMachine({
       };
     }),
 
+    // A window rather than a time becomes its first open slot
+    storeAvailability: assign(({ event }) => {
+      const slot = event.output?.slot;
+      if (!slot) return {};
+      return { timeWindow: slot.label, timeSlot: slot, alternativeSlots: [] };
+    }),
+
+    storeAlternatives: assign(({ event }) => ({
+      timeSlot: null,
+      alternativeSlots: event.output?.alternatives || [],
+      currentResponse: event.output?.message
+    })),
+
+    logAvailabilityError: ({ event }) => {
+      console.error('⚠️ Availability check failed, confirming without it:', event.error?.message || event.error);
+    },
+
     extractContact: assign(({ context, event }) => {
       const contact = event.entities?.contact || event.bookingData?.contact;
       const isValid = validateContact(contact);
@@ -834,6 +910,8 @@ const enhancedBookingMachine = createMachine({
     resetTimeData: assign(() => ({ 
       timeWindow: null, 
       timeConfirmed: false,
+      timeSlot: null,
+      alternativeSlots: [],
       confirmationAttempts: { timeWindow: 0 }
     })),
     
@@ -898,6 +976,18 @@ const enhancedBookingMachine = createMachine({
 
   // Services
   services: {
+    checkAvailabilityService: async (context) => {
+      const window = resolveTimeWindow(context.timeWindow, { businessConfig: context.businessConfig });
+      if (window.status !== 'resolved') return { available: true, slot: null };
+
+      return availability.checkWindow({
+        organizationId: context.organizationContext?.organizationId || process.env.DEFAULT_ORG_ID,
+        businessConfig: context.businessConfig,
+        window,
+        durationMinutes: getServiceDuration(context.businessConfig, context.service)
+      });
+    },
+
     createAppointmentService: async (context) => {
       try {
         const appointmentData = {
@@ -906,15 +996,15 @@ const enhancedBookingMachine = createMachine({
           contactPhone: extractPhoneNumber(context.contact),
           contactEmail: extractEmail(context.contact),
           notes: generateBookingNotes(context),
-          startAt: parseDateTime(context.timeWindow),
-          endAt: calculateEndTime(context.timeWindow, context.service, context.businessConfig),
+          startAt: context.timeSlot?.start || parseDateTime(context.timeWindow, context.businessConfig),
+          endAt: context.timeSlot?.end || calculateEndTime(context.timeWindow, context.service, context.businessConfig),
           locationKind: context.locationKind,
           serviceAddress: context.serviceAddress,
           businessLocationId: context.businessLocationId,
           status: 'confirmed'
         };
         
-        return await createAppointment(appointmentData);
+        return await calendarSync.syncAppointment(await createAppointment(appointmentData));
       } catch (error) {
         console.error('Error creating appointment:', error);
         throw error;
@@ -970,19 +1060,11 @@ const validateService = (service, businessConfig) => {
   return !!fuzzyMatch;
 };
 
+// A time window is valid once it resolves to a concrete day and time range (see dateResolver)
 const validateTimeWindow = (timeWindow, businessConfig) => {
   if (!timeWindow) return false;
   
-  // Basic validation - in production, check against calendar availability
-  const timePatterns = [
-    /\d{1,2}:\d{2}\s*(am|pm)/i,
-    /\d{1,2}\s*(am|pm)/i,
-    /(morning|afternoon|evening)/i,
-    /(monday|tuesday|wednesday|thursday|friday|saturday|sunday)/i,
-    /(today|tomorrow|next week)/i
-  ];
-  
-  return timePatterns.some(pattern => pattern.test(timeWindow));
+  return resolveTimeWindow(timeWindow, { businessConfig }).status === 'resolved';
 };
 
 const validateContact = (contact) => {
@@ -1039,32 +1121,25 @@ const extractEmail = (contact) => {
   return emailMatch ? emailMatch[0] : null;
 };
 
-const parseDateTime = (timeString) => {
+const parseDateTime = (timeString, businessConfig = null) => {
   if (!timeString) return new Date();
   
-  // Simple parsing - in production, use a robust date parser
-  const now = new Date();
-  const tomorrow = new Date(now);
-  tomorrow.setDate(now.getDate() + 1);
-  tomorrow.setHours(10, 0, 0, 0);
+  const window = resolveTimeWindow(timeString, { businessConfig });
+  if (window.status === 'resolved') return window.start;
+  if (window.options?.length > 0) return window.options[0].start;
   
-  return tomorrow;
+  // Unrecognizable - keep the old default of tomorrow at 10 AM
+  return resolveTimeWindow('tomorrow at 10 AM', { businessConfig }).start;
 };
 
 const calculateEndTime = (startTime, service, businessConfig) => {
-  const start = parseDateTime(startTime);
-  const duration = getServiceDuration(service, businessConfig);
+  const start = parseDateTime(startTime, businessConfig);
+  const duration = getServiceDuration(businessConfig, service);
   const end = new Date(start);
   end.setMinutes(end.getMinutes() + duration);
   return end;
 };
 
-const getServiceDuration = (service, businessConfig) => {
-  const services = businessConfig?.services || [];
-  const serviceConfig = services.find(s => s.name.toLowerCase().includes(service?.toLowerCase()));
-  return serviceConfig?.defaultDuration || 60; // Default 60 minutes
-};
-
 const getBusinessLocation = (locationId, businessConfig) => {
   const locations = businessConfig?.locations?.branches || [];
   return locations.find(loc => loc.id === locationId);
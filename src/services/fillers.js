@@ -0,0 +1,147 @@
+/**
+ * Latency Fillers
+ *
+ * When the LLM takes longer than the organization's latency budget
+ * (performance.maxLLMLatency in config/enhancedVoice.js, 800ms by default) the caller
+ * would hear dead air. Instead a short acknowledgement ("Sure, one moment.") is played
+ * from the phrase cache, picked to fit what the caller said:
+ *   lookup    the caller asked a question ("Let me check that.")
+ *   schedule  the caller is talking about days and times ("Let me look at the schedule.")
+ *   general   anything else ("Sure, one moment.")
+ * The reply queues behind the filler (SpeechQueue.playFiller) and at most one plays per turn.
+ *
+ * Organizations opt out or bring their own phrases with BusinessConfig.voiceSettings.fillers:
+ *   { enabled: false }
+ *   { phrases: { general: [...], lookup: [...], schedule: [...] } }
+ * Custom phrases are spoken in the organization's default language; calls in another
+ * language use the built-in phrases.
+ */
+
+const { getPerformanceTargets } = require('../config/enhancedVoice');
+const { DEFAULT_LANGUAGE, getSupportedLanguages } = require('./languageDetection');
+
+const FILLER_CATEGORIES = ['general', 'lookup', 'schedule'];
+const MAX_PHRASES = 10;
+const MAX_PHRASE_CHARS = 80;
+
+const DEFAULT_FILLER_PHRASES = {
+  en: {
+    general: ['Sure, one moment.', 'Okay, just a second.', 'Got it, one moment.'],
+    lookup: ['Let me check that.', 'Good question, let me check.', 'One moment while I look that up.'],
+    schedule: ['Let me look at the schedule.', 'Let me check what we have open.', 'One moment, checking the calendar.']
+  },
+  es: {
+    general: ['Claro, un momento.', 'Muy bien, un segundo.', 'Entendido, un momento.'],
+    lookup: ['Déjeme revisar.', 'Buena pregunta, déjeme ver.', 'Un momento mientras lo reviso.'],
+    schedule: ['Déjeme ver la agenda.', 'Déjeme revisar qué horarios tenemos.', 'Un momento, reviso el calendario.']
+  }
+};
+
+// Whole words, accented letters included (\b only knows ASCII)
+const words = (list) => new RegExp(`(?<![\\p{L}\\p{N}])(?:${list.join('|')})(?![\\p{L}\\p{N}])`, 'iu');
+
+const QUESTION_WORDS = words([
+  'what', 'when', 'where', 'how', 'why', 'which', 'who', 'do you', 'does', 'is there', 'are there', 'can you', 'could you',
+  'qué', 'cuándo', 'dónde', 'cómo', 'cuánto', 'cuánta', 'tienen', 'hay'
+]);
+const SCHEDULE_WORDS = words([
+  'today', 'tomorrow', 'tonight', 'morning', 'afternoon', 'evening', 'monday', 'tuesday', 'wednesday', 'thursday',
+  'friday', 'saturday', 'sunday', 'weekend', 'next week', 'available', 'availability', '\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)',
+  'hoy', 'mañana', 'tarde', 'noche', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado', 'domingo', 'semana', 'disponible'
+]);
+// Slot-filling states where the caller is usually giving a day or time
+const SCHEDULE_STATES = new Set(['collectTimeWindow', 'confirm']);
+
+/**
+ * Filler settings for a call
+ * @param {object} organizationContext - Organization context with business config
+ * @param {string} language - Call language
+ * @returns {object} - { enabled, budgetMs, phrases: { general, lookup, schedule } }
+ */
+const getFillerSettings = (organizationContext, language = DEFAULT_LANGUAGE) => {
+  const businessConfig = organizationContext?.businessConfig;
+  const configured = businessConfig?.voiceSettings?.fillers || {};
+  const builtIn = DEFAULT_FILLER_PHRASES[language] || DEFAULT_FILLER_PHRASES[DEFAULT_LANGUAGE];
+  const custom = language === getSupportedLanguages(businessConfig)[0] ? configured.phrases || {} : {};
+
+  const phrases = {};
+  for (const category of FILLER_CATEGORIES) {
+    phrases[category] = Array.isArray(custom[category]) && custom[category].length > 0
+      ? custom[category]
+      : builtIn[category];
+  }
+
+  return {
+    enabled: configured.enabled !== false,
+    budgetMs: getPerformanceTargets(organizationContext).maxLLMLatency,
+    phrases
+  };
+};
+
+/**
+ * @returns {string|null} - Error message for invalid voiceSettings.fillers, else null
+ */
+const validateFillers = (fillers) => {
+  if (typeof fillers !== 'object' || fillers === null || Array.isArray(fillers)) {
+    return 'Fillers must be an object';
+  }
+  if (fillers.enabled !== undefined && typeof fillers.enabled !== 'boolean') {
+    return 'Fillers enabled must be true or false';
+  }
+  if (fillers.phrases === undefined) return null;
+  if (typeof fillers.phrases !== 'object' || fillers.phrases === null || Array.isArray(fillers.phrases)) {
+    return 'Filler phrases must be an object';
+  }
+
+  for (const [category, list] of Object.entries(fillers.phrases)) {
+    if (!FILLER_CATEGORIES.includes(category)) {
+      return `Filler phrase category must be one of: ${FILLER_CATEGORIES.join(', ')}`;
+    }
+    if (!Array.isArray(list) || list.length > MAX_PHRASES) {
+      return `Filler phrases for ${category} must be a list of at most ${MAX_PHRASES}`;
+    }
+    if (list.some(phrase => typeof phrase !== 'string' || !phrase.trim() || phrase.length > MAX_PHRASE_CHARS)) {
+      return `Filler phrases must be non-empty text of at most ${MAX_PHRASE_CHARS} characters`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Which kind of filler fits the caller's turn
+ * @param {object} options - { state (state machine state) }
+ */
+const chooseFillerCategory = (transcript, { state } = {}) => {
+  const text = transcript || '';
+  if (text.includes('?') || text.includes('¿') || QUESTION_WORDS.test(text)) return 'lookup';
+  if (SCHEDULE_WORDS.test(text) || SCHEDULE_STATES.has(state)) return 'schedule';
+  return 'general';
+};
+
+class FillerPicker {
+  constructor() {
+    this.lastUsed = {}; // category -> index of the phrase played last
+  }
+
+  /**
+   * Next phrase for the turn, never the same one twice in a row
+   * @param {object} settings - See getFillerSettings
+   * @param {object} options - { state }
+   */
+  next(settings, transcript, { state } = {}) {
+    const category = chooseFillerCategory(transcript, { state });
+    const phrases = settings.phrases[category];
+    const index = ((this.lastUsed[category] ?? -1) + 1) % phrases.length;
+    this.lastUsed[category] = index;
+    return { text: phrases[index], category };
+  }
+}
+
+module.exports = {
+  FILLER_CATEGORIES,
+  DEFAULT_FILLER_PHRASES,
+  FillerPicker,
+  getFillerSettings,
+  validateFillers,
+  chooseFillerCategory
+};
@@ -187,6 +187,28 @@ class HubSpotService {
     }
   }
 
+  // Find the contact with a phone number (digits only, no country code), or null
+  async findContactByPhone(accessToken, phoneDigits) {
+    try {
+      const client = this.createApiClient(accessToken);
+      const response = await client.post('/crm/v3/objects/contacts/search', {
+        filterGroups: [{
+          filters: [{
+            propertyName: 'hs_searchable_calculated_phone_number',
+            operator: 'EQ',
+            value: phoneDigits
+          }]
+        }],
+        properties: ['email', 'firstname', 'lastname', 'phone', 'company'],
+        limit: 1
+      });
+      return response.data.results[0] || null;
+    } catch (error) {
+      console.error('Error finding HubSpot contact by phone:', error.message);
+      throw new Error('Failed to search contacts');
+    }
+  }
+
   // Create deal
   async createDeal(accessToken, dealData) {
     try {
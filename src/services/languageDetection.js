@@ -0,0 +1,207 @@
+/**
+ * Caller Language Detection
+ *
+ * Organizations list the languages they serve in BusinessConfig.voiceSettings.languages
+ * (e.g. ["en", "es"], first entry is the default). With more than one language the call
+ * starts on Deepgram's multilingual model; the first turns are scored for the caller's
+ * language and STT, the LLM prompt and the TTS voice are switched to match.
+ *
+ * Detection combines the languages Deepgram tags on each transcript with a stopword
+ * heuristic, so it still works on single-language models. An explicit request
+ * ("¿habla español?", "can we speak English?") switches at any point in the call.
+ */
+
+const SUPPORTED_LANGUAGES = {
+  en: {
+    name: 'English',
+    stt: { model: 'nova-2-phonecall', language: 'en-US' },
+    instruction: null,
+    greetingHint: 'To continue in English, just keep talking.'
+  },
+  es: {
+    name: 'Spanish',
+    stt: { model: 'nova-2', language: 'es' },
+    instruction: 'The caller is speaking Spanish. Reply only in natural, friendly Spanish (usted form). Keep the JSON frame keys and intent values in English.',
+    greetingHint: 'Si prefiere hablar en español, solo hable en español.'
+  }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+// Deepgram's code-switching model, used until the caller's language is known
+const MULTILINGUAL_STT = { model: 'nova-3', language: 'multi' };
+// Heuristic detection only runs on the first few final transcripts
+const DETECTION_TURNS = 3;
+const MIN_SCORE = 2;
+
+const STOPWORDS = {
+  en: new Set([
+    'the', 'and', 'i', "i'm", 'you', 'to', 'my', 'is', 'it', 'for', 'need', 'want', 'can', 'please',
+    'hi', 'hello', 'yes', 'yeah', 'this', 'what', 'that', 'would', 'like', 'have', 'with', 'appointment',
+    'do', 'are', 'your', 'hey', 'thanks', 'thank', 'get', 'of', 'tomorrow', 'morning', 'book'
+  ]),
+  es: new Set([
+    'el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'por', 'para', 'con', 'es', 'quiero',
+    'necesito', 'cita', 'hola', 'buenos', 'buenas', 'sí', 'gracias', 'puedo', 'tengo', 'mi', 'usted',
+    'favor', 'días', 'dias', 'tardes', 'noches', 'mañana', 'pero', 'está', 'esta', 'quisiera', 'hacer',
+    'bueno', 'señor', 'señora', 'cuánto', 'cuando', 'cuándo', 'dónde', 'donde', 'puede', 'del', 'al'
+  ])
+};
+
+const EXPLICIT_REQUESTS = {
+  es: /\b(?:speak|speaking|in|habla|hablar|hablo|hable|en)\s+(?:spanish|español|espanol)\b|^\W*(?:spanish|español|espanol)\W*$/i,
+  en: /\b(?:speak|speaking|in|habla|hablar|hablo|hable|en)\s+(?:english|inglés|ingles)\b|^\W*(?:english|inglés|ingles)\W*$/i
+};
+
+const ACCENTED = /[ñáéíóú¿¡]/i;
+
+/**
+ * 'es-MX' -> 'es'; null for anything we don't support
+ */
+const normalizeLanguage = (language) => {
+  if (!language || typeof language !== 'string') return null;
+  const code = language.toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES[code] ? code : null;
+};
+
+/**
+ * Languages an organization answers in, default first
+ */
+const getSupportedLanguages = (businessConfig) => {
+  const configured = businessConfig?.voiceSettings?.languages;
+  const languages = (Array.isArray(configured) ? configured : [])
+    .map(normalizeLanguage)
+    .filter((language, index, all) => language && all.indexOf(language) === index);
+
+  return languages.length > 0 ? languages : [DEFAULT_LANGUAGE];
+};
+
+/**
+ * Deepgram live options for a language, or for detection across several
+ */
+const getSttOptions = (language) => {
+  if (language === 'multi') return { ...MULTILINGUAL_STT };
+  return { ...(SUPPORTED_LANGUAGES[normalizeLanguage(language)] || SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE]).stt };
+};
+
+/**
+ * Explicit "speak Spanish/English" requests among the candidate languages
+ */
+const findExplicitRequest = (text, candidates) => {
+  return candidates.find(language => EXPLICIT_REQUESTS[language]?.test(text)) || null;
+};
+
+/**
+ * Score a transcript against the candidate languages
+ * @param {string} text - Final transcript
+ * @param {object} options - { candidates: ['en', 'es'], reported: languages tagged by Deepgram }
+ * @returns {object|null} - { language, confidence, explicit } or null when undecided
+ */
+const detectLanguage = (text, { candidates = Object.keys(SUPPORTED_LANGUAGES), reported = [] } = {}) => {
+  if (!text || candidates.length === 0) return null;
+
+  const explicit = findExplicitRequest(text, candidates);
+  if (explicit) return { language: explicit, confidence: 1, explicit: true };
+
+  const scores = Object.fromEntries(candidates.map(language => [language, 0]));
+  const words = text.toLowerCase().match(/[a-záéíóúñü']+/g) || [];
+
+  for (const word of words) {
+    for (const language of candidates) {
+      if (STOPWORDS[language]?.has(word)) scores[language] += 1;
+    }
+  }
+  if ('es' in scores && ACCENTED.test(text)) scores.es += 1;
+
+  // Deepgram's own language tags are the strongest signal when present
+  for (const tag of Array.isArray(reported) ? reported : []) {
+    const language = normalizeLanguage(tag);
+    if (language in scores) scores[language] += 2;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, bestScore] = ranked[0];
+  const runnerUp = ranked[1]?.[1] || 0;
+  if (bestScore < MIN_SCORE || bestScore === runnerUp) return null;
+
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  return { language: best, confidence: Number((bestScore / total).toFixed(2)), explicit: false };
+};
+
+/**
+ * Per-call detection state
+ */
+class LanguageDetector {
+  constructor({ languages = [DEFAULT_LANGUAGE], maxTurns = DETECTION_TURNS } = {}) {
+    this.languages = languages;
+    this.language = languages[0];
+    this.maxTurns = maxTurns;
+    this.turns = 0;
+    // Nothing to detect with a single language
+    this.locked = languages.length < 2;
+  }
+
+  get isMultilingual() {
+    return this.languages.length > 1;
+  }
+
+  /**
+   * Feed a final transcript
+   * @returns {string|null} - The caller's language when it is first settled or changes, otherwise null
+   */
+  observe(text, reported = []) {
+    if (!this.isMultilingual) return null;
+
+    const detection = detectLanguage(text, { candidates: this.languages, reported });
+
+    if (detection?.explicit) {
+      const changed = !this.locked || detection.language !== this.language;
+      this.language = detection.language;
+      this.locked = true;
+      return changed ? this.language : null;
+    }
+
+    if (this.locked) return null;
+    this.turns++;
+
+    if (detection) {
+      this.language = detection.language;
+      this.locked = true;
+      return this.language;
+    }
+
+    // Undecided after the detection window: stay with the default
+    if (this.turns >= this.maxTurns) {
+      this.locked = true;
+      return this.language;
+    }
+    return null;
+  }
+}
+
+/**
+ * Prompt line telling the LLM which language to answer in (null for English)
+ */
+const getLanguageInstruction = (language) => {
+  return SUPPORTED_LANGUAGES[normalizeLanguage(language)]?.instruction || null;
+};
+
+/**
+ * Short hint appended to the greeting so callers know they can switch
+ * ("Si prefiere hablar en español, solo hable en español.")
+ */
+const getLanguageGreetingHint = (languages) => {
+  if (!Array.isArray(languages) || languages.length < 2) return null;
+  return languages.slice(1).map(language => SUPPORTED_LANGUAGES[language]?.greetingHint).filter(Boolean).join(' ') || null;
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  LanguageDetector,
+  detectLanguage,
+  normalizeLanguage,
+  getSupportedLanguages,
+  getSttOptions,
+  getLanguageInstruction,
+  getLanguageGreetingHint
+};
@@ -0,0 +1,174 @@
+/**
+ * Live Calls
+ *
+ * What operators see of calls in progress. Each media stream keeps a snapshot of its call
+ * in the shared state store: state machine state, slots, the transcript so far and the
+ * latency of the last turn. Every change is published on the organization's channel, so a
+ * dashboard connected to any instance follows calls handled by every instance.
+ *
+ * Messages on live-calls:<organizationId>:
+ *   { type: 'call', call }               // a call started or its snapshot changed
+ *   { type: 'interim', callSid, text }   // the caller's words while they're still talking (not stored)
+ *   { type: 'ended', callSid }
+ *
+ * Nothing is published until the call is attached to an organization; what happened before
+ * (e.g. a greeting sent ahead of the organization context) goes out with the first snapshot.
+ */
+
+const { getStateStore } = require('./stateStore');
+
+// Same lifetime as a concurrent call slot: a stream that never closes still ages out
+const LIVE_CALL_TTL_MS = 2 * 60 * 60 * 1000;
+// Transcript lines kept in the snapshot; the full transcript is stored as Turn rows
+const MAX_TRANSCRIPT_LINES = 50;
+
+const channelName = (organizationId) => `live-calls:${organizationId}`;
+const organizationKey = (organizationId) => `live-calls:org:${organizationId}`;
+const callKey = (callSid) => `live-call:${callSid}`;
+
+class LiveCall {
+  /**
+   * @param {object} call - { callSid, callerPhone, calledNumber, store }
+   */
+  constructor({ callSid, callerPhone, calledNumber, store }) {
+    this.store = store;
+    this.ended = false;
+    this.snapshot = {
+      callSid,
+      organizationId: null,
+      callerPhone: callerPhone || null,
+      calledNumber: calledNumber || null,
+      startedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      mode: 'conversation',
+      state: 'greeting',
+      language: null,
+      slots: {},
+      transcript: [],
+      latency: null,
+      turns: 0
+    };
+  }
+
+  get organizationId() {
+    return this.snapshot.organizationId;
+  }
+
+  /**
+   * Start publishing the call to its organization's dashboards
+   */
+  async attach(organizationId) {
+    if (!organizationId || this.organizationId || this.ended) return;
+    this.snapshot.organizationId = organizationId;
+
+    await this.guard(() => this.store.addMember(organizationKey(organizationId), this.snapshot.callSid, { ttlMs: LIVE_CALL_TTL_MS }));
+    await this.save();
+  }
+
+  /**
+   * A final transcript line
+   * @param {string} speaker - 'caller' or 'assistant'
+   * @param {object} details - Extra fields for the line, e.g. { interrupted: true }
+   */
+  async addTranscript(speaker, text, details = {}) {
+    if (!text?.trim()) return;
+    this.snapshot.transcript.push({ speaker, text, at: new Date().toISOString(), ...details });
+    if (this.snapshot.transcript.length > MAX_TRANSCRIPT_LINES) {
+      this.snapshot.transcript.splice(0, this.snapshot.transcript.length - MAX_TRANSCRIPT_LINES);
+    }
+    await this.save();
+  }
+
+  // Interim results arrive several times a second, so they're published but not stored
+  async interim(text) {
+    if (!this.organizationId || this.ended || !text?.trim()) return;
+    await this.guard(() => this.store.publish(channelName(this.organizationId), {
+      type: 'interim',
+      callSid: this.snapshot.callSid,
+      text
+    }));
+  }
+
+  /**
+   * @param {object} changes - Any of { mode, state, language, slots, latency, turns }
+   */
+  async update(changes) {
+    Object.assign(this.snapshot, changes);
+    await this.save();
+  }
+
+  async end() {
+    if (this.ended) return;
+    this.ended = true;
+    if (!this.organizationId) return;
+
+    const { callSid } = this.snapshot;
+    await this.guard(async () => {
+      await this.store.removeMember(organizationKey(this.organizationId), callSid);
+      await this.store.delete(callKey(callSid));
+      await this.store.publish(channelName(this.organizationId), { type: 'ended', callSid });
+    });
+  }
+
+  async save() {
+    this.snapshot.updatedAt = new Date().toISOString();
+    if (!this.organizationId || this.ended) return;
+
+    const call = { ...this.snapshot, transcript: [...this.snapshot.transcript] };
+    await this.guard(async () => {
+      await this.store.set(callKey(call.callSid), call, { ttlMs: LIVE_CALL_TTL_MS });
+      await this.store.publish(channelName(call.organizationId), { type: 'call', call });
+    });
+  }
+
+  // Monitoring must never break the call it is watching
+  async guard(operation) {
+    try {
+      await operation();
+    } catch (error) {
+      console.error('⚠️ Live call update failed:', error.message);
+    }
+  }
+}
+
+class LiveCallMonitor {
+  /**
+   * @param {object} options - { store } (defaults to the shared state store)
+   */
+  constructor(options = {}) {
+    this.store = options.store || getStateStore();
+  }
+
+  /**
+   * Start tracking a call; attach it to its organization once that's known
+   * @param {object} call - { callSid, callerPhone, calledNumber }
+   * @returns {LiveCall}
+   */
+  track(call) {
+    return new LiveCall({ ...call, store: this.store });
+  }
+
+  /**
+   * An organization's calls in progress, oldest first
+   */
+  async getCalls(organizationId) {
+    const callSids = await this.store.listMembers(organizationKey(organizationId));
+    const calls = await Promise.all(callSids.map(callSid => this.store.get(callKey(callSid))));
+    return calls
+      .filter(Boolean)
+      .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+
+  /**
+   * @returns {Function} - Unsubscribes the handler
+   */
+  subscribe(organizationId, handler) {
+    return this.store.subscribe(channelName(organizationId), handler);
+  }
+}
+
+module.exports = {
+  LiveCall,
+  LiveCallMonitor,
+  MAX_TRANSCRIPT_LINES
+};
@@ -17,17 +17,23 @@
  *  const result = await svc.processMessage({
  *    transcript,
  *    sessionId,
- *    context,              // { businessConfig, summary, slots, uiScripts, ... }
+ *    context,              // { businessConfig, summary, slots, uiScripts, language, ... }
  *    stream: true,         // enable token streaming for TTS
  *    onTextDelta: (t) => { // send t to TTS },
  *    onTextStart: () => { // TTS start },
  *    onTextDone: (finalText) => { // finalize TTS },
+ *    signal,               // AbortSignal: stops the OpenAI stream (barge-in)
  *  });
  *
  * Returns { response, intent, confidence, entities, frame, processingTime, usage }
+ * (plus aborted: true, with no frame, when the signal fired mid-stream)
  */
 
 const OpenAI = require('openai');
+const { formatBusinessHours, resolveTimezone } = require('./businessHours');
+const { resolveTimeWindow, getServiceDuration } = require('./dateResolver');
+const { getLanguageInstruction, DEFAULT_LANGUAGE } = require('./languageDetection');
+const { getStateStore } = require('./stateStore');
 
 // ---------- Config ----------
 const DEFAULTS = {
@@ -37,6 +43,7 @@ const DEFAULTS = {
   TIMEOUT_MS: 12000, // defensive timeout per API call
   STREAM_SENTINEL_OPEN: '<frame>',
   STREAM_SENTINEL_CLOSE: '</frame>',
+  SESSION_TTL_MS: 60 * 60 * 1000, // sessions outlive the longest call
 };
 
 let openai = null;
@@ -51,10 +58,39 @@ function getClient() {
 const YES = new Set(['yes','yep','yeah','correct','right','affirmative','sure','ok','okay','sounds good','that works']);
 const NO = new Set(['no','nope','nah','negative','not really','don\'t']);
 
+const HUMAN_REQUEST = /\b(?:speak|talk)\s+(?:to|with)\s+(?:a\s+|an\s+|the\s+)?(?:real\s+|live\s+)?(?:person|human|someone|somebody|representative|agent|operator|manager)\b|\btransfer me\b|\b(?:representative|operator)\s*(?:please)?$/;
+
+// Changes to an appointment the caller already has
+const RESCHEDULE_REQUEST = /\breschedul|\b(?:move|change|push back|bring forward)\b.*\b(?:appointment|booking)\b/;
+const CANCEL_REQUEST = /\bcancel\b.*\b(?:appointment|booking|reservation)\b/;
+
+const QUESTION = /\?$|^(?:what|when|how|do|does|are|is|can|could|will|would)\b/;
+
+// Slot entities for a resolved time: the label reads back the day it resolved to
+function timeEntities(when) {
+  return {
+    timeWindow: when.label,
+    timeRange: { start: when.start.toISOString(), end: when.end.toISOString(), exact: when.exact }
+  };
+}
+
 function microParse(transcript, context) {
   if (!transcript) return null;
   const t = transcript.trim().toLowerCase();
 
+  // explicit requests for a human go straight to a live transfer
+  if (HUMAN_REQUEST.test(t)) {
+    return { intent: 'escalation_request', confidence: 0.9, entities: {}, escalate: 'transfer', reply: null };
+  }
+
+  // the state machine looks up the appointment and replies
+  if (CANCEL_REQUEST.test(t)) {
+    return { intent: 'cancel_appointment', confidence: 0.85, entities: {}, reply: null };
+  }
+  if (RESCHEDULE_REQUEST.test(t)) {
+    return { intent: 'reschedule', confidence: 0.85, entities: {}, reply: null };
+  }
+
   // yes/no confirmations
   if (YES.has(t)) {
     return { intent: 'confirmation_yes', confidence: 0.95, entities: {}, reply: null };
@@ -71,9 +107,16 @@ function microParse(transcript, context) {
     return { intent: 'contact_provided', confidence: 0.9, entities: { contact }, reply: null };
   }
 
-  // simple time phrases (tomorrow, next friday, specific times) — heuristic
-  if (/(today|tomorrow|tonight|monday|tuesday|wednesday|thursday|friday|saturday|sunday|next\s+(week|mon|tue|wed|thu|fri|sat|sun)|\b(\d{1,2})(?:\s)?(am|pm)\b|\b\d{1,2}[:.]\d{2}\b)/i.test(t)) {
-    return { intent: 'time_provided', confidence: 0.75, entities: { timeWindow: transcript }, reply: null };
+  // dates and times: resolved to a concrete window in the business's timezone, or a question
+  // back when it could mean two things. Questions ("are you open in the evening?") go to the LLM.
+  if (!QUESTION.test(t)) {
+    const when = resolveTimeWindow(transcript, { businessConfig: context?.businessConfig });
+    if (when.status === 'resolved') {
+      return { intent: 'time_provided', confidence: 0.8, entities: timeEntities(when), window: when, reply: null };
+    }
+    if (when.status === 'ambiguous') {
+      return { intent: 'time_ambiguous', confidence: 0.75, entities: {}, reply: when.question };
+    }
   }
 
   // service fuzzy match against configured services (simple contains)
@@ -89,11 +132,17 @@ function microParse(transcript, context) {
 // ---------- Prompt builder ----------
 function buildPrompt({ transcript, context, sentinelOpen, sentinelClose }) {
   const orgName = context?.organizationContext?.organizationName || 'our business';
+  const location = context?.organizationContext?.phoneNumber?.location; // the number dialled routes to a location
   const services = (context?.businessConfig?.services || []).filter(s => s.active).map(s => s.name);
   const shortServices = services.slice(0, 4).join(', ') || 'general appointments';
 
   const summary = context?.summary || '';
+  const lastReply = context?.lastReply; // { text, interrupted }, as the caller heard it
   const slots = context?.slots || {}; // { service, timeWindow, contact, location, notes }
+  const hours = formatBusinessHours(context?.businessConfig?.businessHours);
+  const timezone = resolveTimezone(context?.businessConfig?.timezone);
+  const today = new Date().toLocaleDateString('en-US', { timeZone: timezone, weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+  const language = getLanguageInstruction(context?.language);
 
   // Keep the system prompt tiny and stable for latency
   const system = `You are a friendly scheduling assistant for ${orgName}. Goal: book or collect enough info to hand off.\n` +
@@ -117,16 +166,28 @@ function buildPrompt({ transcript, context, sentinelOpen, sentinelClose }) {
     `- If time is given before service, confirm/ask service next.\n` +
     `- If service is uncertain, suggest the closest match from: ${shortServices}.\n` +
     `- Soft boundaries: 3 attempts per slot before offering a callback/hand-off.\n` +
+    `- If the caller asks for a person, set "escalate":"transfer"; if they'd rather be called back, "callback".\n` +
+    `- To move or cancel an appointment they already have, use intent reschedule or cancel_appointment; don't say it's done, the system looks it up.\n` +
     `- Avoid repeating the same question verbatim.`;
 
   const jsonSpec = `JSON frame schema in ${sentinelOpen}...${sentinelClose}:\n` +
-    `{"intent":"booking|service_provided|time_provided|contact_provided|confirmation_yes|confirmation_no|location_provided|digression_question|unclear",` +
+    `{"intent":"booking|reschedule|cancel_appointment|service_provided|time_provided|contact_provided|confirmation_yes|confirmation_no|location_provided|digression_question|escalation_request|unclear",` +
     `"confidence":0.0-1.0,` +
+    `"escalate":"transfer|callback|voicemail|null",` +
     `"entities":{"service":"?","timeWindow":"?","contact":"?","location":"?","notes":"?"}}`;
 
   const user = `Caller said: "${transcript}"\n` +
     `Business services (short list): ${shortServices}\n` +
+    (location ? `The caller dialled the ${location} location; book there unless they ask otherwise.\n` : '') +
+    `Today is ${today} (${timezone}).\n` +
+    (hours ? `Business hours (${timezone}): ${hours}\n` : '') +
+    (context?.afterHours ? `${context.afterHours}\n` : '') +
+    (context?.callerProfile ? `${context.callerProfile}\n` : '') +
+    (context?.availabilityNote ? `${context.availabilityNote}\n` : '') +
+    (context?.appointmentChange ? `The caller is ${context.appointmentChange.type === 'reschedule' ? 'moving' : 'cancelling'} an existing appointment. Keep the reply to a short acknowledgement; don't confirm any change yourself.\n` : '') +
+    (language ? `${language}\n` : '') +
     (summary ? `Conversation summary: ${summary}\n` : '') +
+    (lastReply?.interrupted ? `The caller cut your last reply off after: "${lastReply.text}". Don't assume they heard the rest.\n` : '') +
     `${state}\n` +
     `Respond now. Natural reply first. Then append the JSON frame.`;
 
@@ -139,6 +200,14 @@ function buildPrompt({ transcript, context, sentinelOpen, sentinelClose }) {
 }
 
 // ---------- Streaming helpers ----------
+// Length of the longest suffix of text that is a proper prefix of marker
+function partialMarkerLength(text, marker) {
+  for (let length = Math.min(text.length, marker.length - 1); length > 0; length--) {
+    if (text.endsWith(marker.slice(0, length))) return length;
+  }
+  return 0;
+}
+
 function createStreamSplitter({ sentinelOpen, sentinelClose, onTextDelta }) {
   let buffer = '';
   let inFrame = false;
@@ -152,9 +221,12 @@ function createStreamSplitter({ sentinelOpen, sentinelClose, onTextDelta }) {
       if (!inFrame) {
         const openIdx = buffer.indexOf(sentinelOpen);
         if (openIdx === -1) {
-          // No frame yet — everything so far is natural text
-          if (onTextDelta) onTextDelta(buffer);
-          buffer = '';
+          // No frame yet — everything so far is natural text, except a tail that may be
+          // the start of a marker split across chunks ("<fr" + "ame>")
+          const held = partialMarkerLength(buffer, sentinelOpen);
+          const text = buffer.slice(0, buffer.length - held);
+          if (text && onTextDelta) onTextDelta(text);
+          buffer = buffer.slice(buffer.length - held);
           return;
         }
         // Stream text up to the frame marker
@@ -168,8 +240,9 @@ function createStreamSplitter({ sentinelOpen, sentinelClose, onTextDelta }) {
       if (inFrame) {
         const closeIdx = buffer.indexOf(sentinelClose);
         if (closeIdx === -1) {
-          frameBuffer += buffer;
-          buffer = '';
+          const held = partialMarkerLength(buffer, sentinelClose);
+          frameBuffer += buffer.slice(0, buffer.length - held);
+          buffer = buffer.slice(buffer.length - held);
         } else {
           frameBuffer += buffer.slice(0, closeIdx);
           buffer = buffer.slice(closeIdx + sentinelClose.length);
@@ -178,11 +251,16 @@ function createStreamSplitter({ sentinelOpen, sentinelClose, onTextDelta }) {
       }
     },
     finalize() {
+      // A held-back tail that never became a marker is still text
+      if (!inFrame && buffer && onTextDelta) onTextDelta(buffer);
+      buffer = '';
       return frameBuffer.trim();
     }
   };
 }
 
+const ESCALATION_KINDS = new Set(['transfer', 'callback', 'voicemail']);
+
 function safeParseFrame(jsonText) {
   if (!jsonText) return { intent: 'unclear', confidence: 0, entities: {} };
   try {
@@ -193,7 +271,7 @@ function safeParseFrame(jsonText) {
       .replace(/\s{2,}/g, ' ');
     const obj = JSON.parse(cleaned);
     const entities = obj.entities || {};
-    return { intent: obj.intent || 'unclear', confidence: obj.confidence ?? 0, entities, _raw: obj };
+    return { intent: obj.intent || 'unclear', confidence: obj.confidence ?? 0, entities, escalate: ESCALATION_KINDS.has(obj.escalate) ? obj.escalate : null, _raw: obj };
   } catch (e) {
     return { intent: 'unclear', confidence: 0, entities: {}, error: 'FRAME_PARSE_ERROR' };
   }
@@ -211,6 +289,11 @@ class FastLLMService {
 
     // lightweight per-session summaries to shrink prompt size
     this.sessions = new Map(); // sessionId -> { summary, slots, lastResponses[] }
+    this.maxResponses = 3;
+    // Sessions are mirrored to the shared state store (null keeps them in this process)
+    this.store = options.store !== undefined ? options.store : getStateStore();
+    // AvailabilityService: times are checked against the calendar before they're accepted
+    this.availability = options.availability || null;
   }
 
   getSession(sessionId) {
@@ -220,6 +303,83 @@ class FastLLMService {
     return this.sessions.get(sessionId);
   }
 
+  // Pick up a session another instance (or an earlier connection) started
+  async loadSession(sessionId) {
+    if (this.sessions.has(sessionId) || !this.store) return this.getSession(sessionId);
+    try {
+      const stored = await this.store.get(`llm-session:${sessionId}`);
+      if (stored && !this.sessions.has(sessionId)) this.sessions.set(sessionId, stored);
+    } catch (error) {
+      console.error('⚠️ Could not load LLM session:', error.message);
+    }
+    return this.getSession(sessionId);
+  }
+
+  // Write-behind: never holds up the turn
+  saveSession(sessionId) {
+    if (!this.store) return;
+    this.store.set(`llm-session:${sessionId}`, this.getSession(sessionId), { ttlMs: DEFAULTS.SESSION_TTL_MS })
+      .catch(error => console.error('⚠️ Could not save LLM session:', error.message));
+  }
+
+  /**
+   * Check a resolved window against the organization's hours, appointments and calendars.
+   * Null when there's nothing to check against (no availability service or organization).
+   */
+  async checkTime(window, context, service) {
+    const organizationId = context?.organizationContext?.organizationId;
+    if (!this.availability || !organizationId) return null;
+    try {
+      return await this.availability.checkWindow({
+        organizationId,
+        businessConfig: context.businessConfig,
+        window,
+        durationMinutes: getServiceDuration(context.businessConfig, service),
+        // A slot doesn't clash with the appointment being moved out of it
+        exclude: context.appointmentChange?.appointment || null
+      });
+    } catch (error) {
+      console.error('⚠️ Availability check failed:', error.message);
+      return null;
+    }
+  }
+
+  // The model's time phrase becomes the resolved label (or its first open slot); an ambiguous
+  // or already-booked one is dropped until the caller settles on another. Anything the
+  // resolver can't read (e.g. another language) is kept.
+  async resolveFrameTime(frame, context, sessionId, precheck = null) {
+    const phrase = frame?.entities?.timeWindow;
+    if (!phrase || phrase === '?') return frame;
+
+    const when = resolveTimeWindow(phrase, { businessConfig: context.businessConfig });
+    if (when.status === 'ambiguous') delete frame.entities.timeWindow;
+    if (when.status !== 'resolved') return frame;
+
+    const service = frame.entities.service || this.getSession(sessionId).slots.service;
+    const check = precheck?.label === when.label ? precheck.check : await this.checkTime(when, context, service);
+    if (check && !check.available) {
+      delete frame.entities.timeWindow;
+      return frame;
+    }
+    Object.assign(frame.entities, timeEntities(check && !when.exact ? check.slot : when));
+    return frame;
+  }
+
+  // A time in what the caller said (often a question: "anything tomorrow at 3?") is checked
+  // before the model answers, so it never offers a slot that's taken
+  async precheckTime(transcript, context, session) {
+    if (!this.availability || !transcript) return null;
+    const when = resolveTimeWindow(transcript, { businessConfig: context.businessConfig });
+    if (when.status !== 'resolved') return null;
+
+    const check = await this.checkTime(when, context, session.slots.service);
+    if (!check) return null;
+    const note = check.available
+      ? `Availability: ${check.slot.label} is open.`
+      : `Availability: ${when.label} is not available. Do not confirm it; offer ${check.alternatives.map(slot => slot.label).join(', ') || 'a callback'} instead.`;
+    return { label: when.label, check, note };
+  }
+
   updateSummary(sessionId, transcript, frame) {
     const s = this.getSession(sessionId);
     // compress into a one-liner summary; keep max ~300 chars
@@ -240,14 +400,47 @@ class FastLLMService {
       ...s.slots,
       ...frame?.entities,
     };
+    this.saveSession(sessionId);
+  }
+
+  /**
+   * Remember a reply as the caller heard it. Called again with the truncated text when a
+   * barge-in cuts the reply off, so the next prompt doesn't assume they heard all of it.
+   */
+  recordReply(sessionId, replyId, text, { interrupted = false } = {}) {
+    const s = this.getSession(sessionId);
+    const reply = { replyId, text, interrupted };
+    const index = s.lastResponses.findIndex(entry => entry.replyId === replyId);
+    if (index >= 0) s.lastResponses[index] = reply;
+    else s.lastResponses = [...s.lastResponses, reply].slice(-this.maxResponses);
+    this.saveSession(sessionId);
   }
 
   // One public entry point per turn
-  async processMessage({ transcript, sessionId = 'default', context = {}, stream = false, onTextStart, onTextDelta, onTextDone } = {}) {
+  async processMessage({ transcript, sessionId = 'default', context = {}, stream = false, onTextStart, onTextDelta, onTextDone, signal } = {}) {
     const t0 = Date.now();
-
-    // 0) Try the micro-intent fast path
-    const micro = microParse(transcript, { businessConfig: context.businessConfig });
+    await this.loadSession(sessionId);
+
+    // 0) Try the micro-intent fast path (its patterns and canned replies are English only)
+    const isDefaultLanguage = !context.language || context.language === DEFAULT_LANGUAGE;
+    let micro = isDefaultLanguage ? microParse(transcript, { businessConfig: context.businessConfig }) : null;
+    if (micro?.intent === 'time_provided' && !context.appointmentChange) {
+      const check = await this.checkTime(micro.window, context, this.getSession(sessionId).slots.service);
+      if (check && !check.available) {
+        micro = { intent: 'time_unavailable', confidence: micro.confidence, entities: {}, reply: check.message };
+      } else if (check && !micro.window.exact) {
+        // "tomorrow morning" books its first open slot, so name that slot
+        micro = { ...micro, entities: timeEntities(check.slot) };
+      }
+    }
+    if (micro && context.appointmentChange) {
+      // Mid-change the state machine answers; booking slots are left alone
+      const dt = Date.now() - t0;
+      const frame = { intent: micro.intent, confidence: micro.confidence, entities: micro.entities, escalate: micro.escalate || null };
+      if (stream && onTextStart) onTextStart();
+      if (stream && onTextDone) onTextDone(null);
+      return { response: null, intent: micro.intent, confidence: micro.confidence, entities: micro.entities, frame, processingTime: { total: dt, llm: 0, stream: false }, usage: { tokens: 0 } };
+    }
     if (micro) {
       const s = this.getSession(sessionId);
       // Minimal canned replies for micro path (still chatty-ish but short)
@@ -268,7 +461,14 @@ class FastLLMService {
           break;
         case 'time_provided':
           s.slots.timeWindow = micro.entities.timeWindow;
-          reply = s.slots.service ? 'Great — I\'ve got that window. What\'s the best contact info for you?' : 'Nice! And what service should I book you for?';
+          reply = s.slots.service
+            ? `Great — ${micro.entities.timeWindow} it is. What's the best contact info for you?`
+            : `Nice — ${micro.entities.timeWindow}. And what service should I book you for?`;
+          break;
+        case 'time_ambiguous':
+        case 'time_unavailable':
+          // the slot stays empty until the caller picks one
+          reply = micro.reply;
           break;
         case 'service_provided':
           s.slots.service = micro.entities.service;
@@ -278,7 +478,7 @@ class FastLLMService {
           reply = null;
       }
 
-      const frame = { intent: micro.intent, confidence: micro.confidence, entities: micro.entities };
+      const frame = { intent: micro.intent, confidence: micro.confidence, entities: micro.entities, escalate: micro.escalate || null };
       this.updateSummary(sessionId, transcript, frame);
 
       console.log('🔍 DEBUG - Micro-intent result:', {
@@ -301,9 +501,16 @@ class FastLLMService {
 
     // 1) Build compact prompt
     const session = this.getSession(sessionId);
+    const precheck = await this.precheckTime(transcript, context, session);
     const messages = buildPrompt({
       transcript,
-      context: { ...context, summary: session.summary, slots: session.slots },
+      context: {
+        ...context,
+        availabilityNote: precheck?.note,
+        summary: session.summary,
+        slots: session.slots,
+        lastReply: session.lastResponses[session.lastResponses.length - 1]
+      },
       sentinelOpen: this.sentinelOpen,
       sentinelClose: this.sentinelClose,
     });
@@ -333,16 +540,35 @@ class FastLLMService {
       let fullText = '';
       let usage = null;
 
-      const streamResp = await client.chat.completions.create({ ...callParams, stream: true });
-      for await (const part of streamResp) {
-        const choice = part.choices?.[0];
-        const delta = choice?.delta?.content || '';
-        if (delta) {
-          fullText += delta;
-          splitter.push(delta);
+      try {
+        const streamResp = await client.chat.completions.create({ ...callParams, stream: true }, { signal });
+        for await (const part of streamResp) {
+          const choice = part.choices?.[0];
+          const delta = choice?.delta?.content || '';
+          if (delta) {
+            fullText += delta;
+            splitter.push(delta);
+          }
+          // usage is only present at the end for streaming v2; guard it
+          if (part.usage) usage = part.usage;
         }
-        // usage is only present at the end for streaming v2; guard it
-        if (part.usage) usage = part.usage;
+      } catch (error) {
+        if (!signal?.aborted) throw error;
+      }
+
+      if (signal?.aborted) {
+        // Caller talked over the reply: no frame, and the session summary is left as it was
+        const openIdx = fullText.indexOf(this.sentinelOpen);
+        return {
+          response: (openIdx >= 0 ? fullText.slice(0, openIdx) : fullText).trim(),
+          intent: 'unclear',
+          confidence: 0,
+          entities: {},
+          frame: null,
+          aborted: true,
+          processingTime: { total: Date.now() - t0, llm: Date.now() - tCall, stream: true },
+          usage: usage || {},
+        };
       }
 
       let frameJson = splitter.finalize();
@@ -358,7 +584,7 @@ class FastLLMService {
       
       if (onTextDone) onTextDone(fullText.replace(this.sentinelOpen + frameJson + this.sentinelClose, '').trim());
 
-      const frame = safeParseFrame(frameJson);
+      const frame = await this.resolveFrameTime(safeParseFrame(frameJson), context, sessionId, precheck);
       
       this.updateSummary(sessionId, transcript, frame);
 
@@ -375,7 +601,7 @@ class FastLLMService {
     }
 
     // 2) Non-streaming path: single shot
-    const resp = await client.chat.completions.create(callParams);
+    const resp = await client.chat.completions.create(callParams, { signal });
     const content = resp.choices?.[0]?.message?.content || '';
 
     const openIdx = content.indexOf(this.sentinelOpen);
@@ -383,7 +609,7 @@ class FastLLMService {
     const replyText = openIdx >= 0 ? content.slice(0, openIdx).trim() : content.trim();
     const frameJson = openIdx >= 0 && closeIdx > openIdx ? content.slice(openIdx + this.sentinelOpen.length, closeIdx) : '';
 
-    const frame = safeParseFrame(frameJson);
+    const frame = await this.resolveFrameTime(safeParseFrame(frameJson), context, sessionId, precheck);
     this.updateSummary(sessionId, transcript, frame);
 
     const dt = Date.now() - t0;
@@ -1,10 +1,91 @@
 /**
  * Organization Context Service
  * 
- * Provides organization context lookup by Twilio phone number.
+ * Provides organization context lookup by Twilio phone number. Numbers in the PhoneNumber
+ * table apply their routing (greeting, language, voice settings) on top of the
+ * organization's BusinessConfig; Organization.twilioNumber is still honoured for
+ * organizations that only have their original number.
  * Uses lazy initialization to prevent circular dependencies during startup.
+ *
+ * Contexts are cached for 5 minutes in the shared state store (services/stateStore.js),
+ * with a process-wide copy in front of it. Invalidation deletes the shared entry and is
+ * published to every instance, so a settings change applies to the next call everywhere.
  */
 
+const { getStateStore } = require('./stateStore');
+
+const INVALIDATION_CHANNEL = 'org-context:invalidate';
+const cacheKey = (phoneNumber) => `org-context:${phoneNumber}`;
+
+// Shared by every service instance in this process
+const localContexts = new Map(); // phoneNumber -> { context, timestamp }
+let invalidationSubscribed = false;
+
+const subscribeToInvalidations = () => {
+  if (invalidationSubscribed) return;
+  invalidationSubscribed = true;
+  getStateStore().subscribe(INVALIDATION_CHANNEL, ({ phoneNumbers, all } = {}) => {
+    if (all) {
+      localContexts.clear();
+      return;
+    }
+    for (const phoneNumber of phoneNumbers || []) {
+      localContexts.delete(phoneNumber);
+    }
+  });
+};
+
+const ORGANIZATION_SELECT = {
+  id: true,
+  name: true,
+  plan: true,
+  twilioNumber: true,
+  businessConfig: {
+    select: {
+      businessHours: true,
+      holidays: true,
+      services: true,
+      providers: true,
+      escalationNumber: true,
+      smsCopy: true,
+      greeting: true,
+      timezone: true,
+      scripts: true,
+      rules: true,
+      voiceSettings: true
+    }
+  },
+  integrations: {
+    where: { status: 'active' },
+    select: {
+      type: true,
+      status: true,
+      externalId: true
+    }
+  }
+};
+
+/**
+ * Layer a phone number's routing over the organization's business config: its greeting,
+ * its voice settings (voice, STT/TTS provider, turn detection, ...) and its language as
+ * the call's default language
+ */
+const applyNumberRouting = (businessConfig, phoneNumber) => {
+  if (!businessConfig || !phoneNumber) return businessConfig;
+
+  const voiceSettings = { ...(businessConfig.voiceSettings || {}), ...(phoneNumber.voiceSettings || {}) };
+  if (phoneNumber.language) {
+    const languages = voiceSettings.languages || [];
+    voiceSettings.languages = [phoneNumber.language, ...languages.filter(language => language !== phoneNumber.language)];
+  }
+
+  return {
+    ...businessConfig,
+    greeting: phoneNumber.greeting || businessConfig.greeting,
+    voiceSettings
+  };
+};
+
 // Lazy import to prevent circular dependencies
 let getDatabase = null;
 
@@ -18,8 +99,9 @@ function getDatabaseFunction() {
 
 class OrganizationContextService {
   constructor() {
-    this.contextCache = new Map();
+    this.contextCache = localContexts;
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes cache
+    subscribeToInvalidations();
   }
 
   /**
@@ -28,16 +110,22 @@ class OrganizationContextService {
    * @returns {object} - Organization context including config and scripts
    */
   async getOrganizationContext(phoneNumber) {
-    const cacheKey = phoneNumber;
-    
     // Check cache first
-    if (this.contextCache.has(cacheKey)) {
-      const cached = this.contextCache.get(cacheKey);
+    if (this.contextCache.has(phoneNumber)) {
+      const cached = this.contextCache.get(phoneNumber);
       if (Date.now() - cached.timestamp < this.cacheTimeout) {
         console.log('📋 Using cached organization context for:', phoneNumber);
         return cached.context;
       }
-      this.contextCache.delete(cacheKey);
+      this.contextCache.delete(phoneNumber);
+    }
+
+    // Then the copy shared between instances
+    const shared = await getStateStore().get(cacheKey(phoneNumber)).catch(() => null);
+    if (shared) {
+      console.log('📋 Using shared cached organization context for:', phoneNumber);
+      this.contextCache.set(phoneNumber, shared);
+      return shared.context;
     }
 
     try {
@@ -57,37 +145,27 @@ class OrganizationContextService {
         phoneVariants.push(phoneNumber);
       }
       
-      // Try direct lookup with all variants in one query
-      let organization = await prisma.organization.findFirst({
-        where: { 
-          twilioNumber: { in: phoneVariants }
+      // Numbers in the PhoneNumber table carry their own routing
+      const routedNumber = await prisma.phoneNumber.findFirst({
+        where: {
+          number: { in: phoneVariants },
+          status: 'active'
         },
         include: {
-          businessConfig: {
-            select: {
-              businessHours: true,
-              holidays: true,
-              services: true,
-              providers: true,
-              escalationNumber: true,
-              smsCopy: true,
-              greeting: true,
-              timezone: true,
-              scripts: true,
-              rules: true,
-              voiceSettings: true
-            }
-          },
-          integrations: {
-            where: { status: 'active' },
-            select: {
-              type: true,
-              status: true,
-              externalId: true
-            }
-          }
+          organization: { select: ORGANIZATION_SELECT }
         }
       });
+      let organization = routedNumber?.organization || null;
+
+      // Organizations that only have the original single number
+      if (!organization) {
+        organization = await prisma.organization.findFirst({
+          where: { 
+            twilioNumber: { in: phoneVariants }
+          },
+          select: ORGANIZATION_SELECT
+        });
+      }
 
       // Only if still not found, perform expensive fallback search
       if (!organization) {
@@ -96,35 +174,7 @@ class OrganizationContextService {
           where: { 
             twilioNumber: { not: null }
           },
-          select: {
-            id: true,
-            name: true,
-            plan: true,
-            twilioNumber: true,
-            businessConfig: {
-              select: {
-                businessHours: true,
-                holidays: true,
-                services: true,
-                providers: true,
-                escalationNumber: true,
-                smsCopy: true,
-                greeting: true,
-                timezone: true,
-                scripts: true,
-                rules: true,
-                voiceSettings: true
-              }
-            },
-            integrations: {
-              where: { status: 'active' },
-              select: {
-                type: true,
-                status: true,
-                externalId: true
-              }
-            }
-          }
+          select: ORGANIZATION_SELECT
         });
 
         // Try to match any stored number format with the incoming number
@@ -150,24 +200,34 @@ class OrganizationContextService {
         return this.getDefaultContext();
       }
 
+      const businessConfig = organization.businessConfig ? {
+        businessHours: organization.businessConfig.businessHours,
+        holidays: organization.businessConfig.holidays,
+        services: organization.businessConfig.services,
+        providers: organization.businessConfig.providers,
+        escalationNumber: organization.businessConfig.escalationNumber,
+        smsCopy: organization.businessConfig.smsCopy,
+        greeting: organization.businessConfig.greeting,
+        timezone: organization.businessConfig.timezone,
+        scripts: organization.businessConfig.scripts || this.getDefaultScripts(),
+        rules: organization.businessConfig.rules || this.getDefaultRules(),
+        voiceSettings: organization.businessConfig.voiceSettings || this.getDefaultVoiceSettings()
+      } : null;
+
       const context = {
         organizationId: organization.id,
         organizationName: organization.name,
         plan: organization.plan,
-        twilioNumber: organization.twilioNumber,
-        businessConfig: organization.businessConfig ? {
-          businessHours: organization.businessConfig.businessHours,
-          holidays: organization.businessConfig.holidays,
-          services: organization.businessConfig.services,
-          providers: organization.businessConfig.providers,
-          escalationNumber: organization.businessConfig.escalationNumber,
-          smsCopy: organization.businessConfig.smsCopy,
-          greeting: organization.businessConfig.greeting,
-          timezone: organization.businessConfig.timezone,
-          scripts: organization.businessConfig.scripts || this.getDefaultScripts(),
-          rules: organization.businessConfig.rules || this.getDefaultRules(),
-          voiceSettings: organization.businessConfig.voiceSettings || this.getDefaultVoiceSettings()
+        // The number this call came in on
+        twilioNumber: routedNumber?.number || organization.twilioNumber,
+        phoneNumber: routedNumber ? {
+          id: routedNumber.id,
+          number: routedNumber.number,
+          label: routedNumber.label,
+          location: routedNumber.location,
+          language: routedNumber.language
         } : null,
+        businessConfig: applyNumberRouting(businessConfig, routedNumber),
         integrations: organization.integrations.map(integration => ({
           type: integration.type,
           status: integration.status,
@@ -176,12 +236,12 @@ class OrganizationContextService {
       };
 
       // Cache the context
-      this.contextCache.set(cacheKey, {
-        context,
-        timestamp: Date.now()
-      });
+      const entry = { context, timestamp: Date.now() };
+      this.contextCache.set(phoneNumber, entry);
+      getStateStore().set(cacheKey(phoneNumber), entry, { ttlMs: this.cacheTimeout })
+        .catch(error => console.error('⚠️ Could not share organization context:', error.message));
 
-      console.log('✅ Retrieved organization context for:', organization.name);
+      console.log('✅ Retrieved organization context for:', organization.name, routedNumber?.label ? `(${routedNumber.label})` : '');
       return context;
 
     } catch (error) {
@@ -329,19 +389,35 @@ ESCALATION: ${businessConfig?.escalationNumber ? `Transfer to ${businessConfig.e
   /**
    * Update organization context (invalidate cache)
    */
-  invalidateCache(phoneNumber) {
-    this.contextCache.delete(phoneNumber);
+  async invalidateCache(phoneNumber) {
+    await this.invalidatePhoneNumbers([phoneNumber]);
     console.log('🗑️ Invalidated cache for phone number:', phoneNumber);
   }
 
   /**
-   * Clear all cached contexts
+   * Clear all cached contexts (on every instance; shared entries expire on their own)
    */
-  clearCache() {
+  async clearCache() {
     this.contextCache.clear();
+    await getStateStore().publish(INVALIDATION_CHANNEL, { all: true })
+      .catch(error => console.error('⚠️ Could not publish cache invalidation:', error.message));
     console.log('🗑️ Cleared all organization context cache');
   }
 
+  // Drop the shared and local entries and tell the other instances to drop theirs
+  async invalidatePhoneNumbers(phoneNumbers) {
+    const store = getStateStore();
+    for (const phoneNumber of phoneNumbers) {
+      this.contextCache.delete(phoneNumber);
+    }
+    try {
+      await Promise.all(phoneNumbers.map(phoneNumber => store.delete(cacheKey(phoneNumber))));
+      await store.publish(INVALIDATION_CHANNEL, { phoneNumbers });
+    } catch (error) {
+      console.error('⚠️ Could not publish cache invalidation:', error.message);
+    }
+  }
+
   /**
    * Normalize phone number to E.164 format (+1XXXXXXXXXX)
    * @param {string} phoneNumber - Phone number in any format
@@ -382,19 +458,27 @@ ESCALATION: ${businessConfig?.escalationNumber ? `Transfer to ${businessConfig.e
       const prisma = await dbFunction();
       const organization = await prisma.organization.findUnique({
         where: { id: organizationId },
-        select: { twilioNumber: true }
+        select: {
+          twilioNumber: true,
+          phoneNumbers: { select: { number: true } }
+        }
       });
+      const numbers = [
+        organization?.twilioNumber,
+        ...(organization?.phoneNumbers || []).map(phoneNumber => phoneNumber.number)
+      ].filter(Boolean);
+
+      if (numbers.length > 0) {
+        // Delete all cache entries that could match the organization's numbers
+        const phoneVariants = [...new Set(numbers.flatMap(number => {
+          try {
+            return [number, this.normalizePhoneNumber(number)];
+          } catch (error) {
+            return [number];
+          }
+        }))];
 
-      if (organization?.twilioNumber) {
-        // Delete all cache entries that could match this phone number
-        const phoneVariants = [
-          organization.twilioNumber,
-          this.normalizePhoneNumber(organization.twilioNumber)
-        ];
-
-        for (const variant of phoneVariants) {
-          this.contextCache.delete(variant);
-        }
+        await this.invalidatePhoneNumbers(phoneVariants);
 
         console.log('🗑️ Invalidated organization cache for:', organizationId, 'phone variants:', phoneVariants);
       } else {
@@ -403,9 +487,9 @@ ESCALATION: ${businessConfig?.escalationNumber ? `Transfer to ${businessConfig.e
     } catch (error) {
       console.error('❌ Error invalidating organization cache:', error);
       // Clear all cache as a fallback
-      this.clearCache();
+      await this.clearCache();
     }
   }
 }
 
-module.exports = { OrganizationContextService };
\ No newline at end of file
+module.exports = { OrganizationContextService, applyNumberRouting };
\ No newline at end of file
@@ -0,0 +1,161 @@
+/**
+ * Phrase Audio Cache
+ *
+ * Content-addressed cache of rendered TTS audio (8kHz mu-law). Entries are keyed by a
+ * hash of the text, the voice (engine and resolved voice) and the speed, so a greeting
+ * is synthesized once per voice and then plays instantly on every call, across restarts.
+ *
+ * Audio is kept on the storage backend (services/storage.js, under tts-cache/) behind
+ * an in-memory LRU, so hot phrases play without any I/O. Only fixed phrases are cached:
+ * callers opt in per utterance with `cache: true`, and replies that may contain caller
+ * details are never written out.
+ *
+ * TTS_CACHE_ENABLED=false disables the cache; TTS_CACHE_MEMORY_MB sizes the memory layer (default 32).
+ */
+
+const crypto = require('crypto');
+const { getStorageBackend } = require('./storage');
+
+const DEFAULT_MEMORY_MB = 32;
+const KEY_PREFIX = 'tts-cache';
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+class PhraseCache {
+  /**
+   * @param {object} options - { storage (backend, defaults to STORAGE_BACKEND), maxMemoryBytes }
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.maxMemoryBytes = options.maxMemoryBytes ??
+      (Number(process.env.TTS_CACHE_MEMORY_MB) || DEFAULT_MEMORY_MB) * 1024 * 1024;
+    this.memory = new Map(); // key -> audio, oldest first
+    this.memoryBytes = 0;
+    this.pending = new Map(); // key -> render in progress, so concurrent calls synthesize once
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  getStorage() {
+    return this.storage || getStorageBackend();
+  }
+
+  /**
+   * @param {object} phrase - { text, voice, speed }
+   * @returns {string} - Hex digest identifying the rendered audio
+   */
+  keyFor({ text, voice, speed = 1 }) {
+    const normalized = String(text || '').trim().replace(/\s+/g, ' ');
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([normalized, voice || '', Number(speed) || 1]))
+      .digest('hex');
+  }
+
+  objectKey(key) {
+    return `${KEY_PREFIX}/${key.slice(0, 2)}/${key}.ulaw`;
+  }
+
+  /**
+   * @returns {Buffer|null} - Cached audio, or null on a miss
+   */
+  async get(key) {
+    if (this.memory.has(key)) {
+      const audio = this.memory.get(key);
+      // Re-insert to mark as most recently used
+      this.memory.delete(key);
+      this.memory.set(key, audio);
+      return audio;
+    }
+
+    try {
+      const { stream } = await this.getStorage().open(this.objectKey(key));
+      const audio = await readStream(stream);
+      this.remember(key, audio);
+      return audio;
+    } catch (error) {
+      return null; // not stored yet (or storage unavailable): render it
+    }
+  }
+
+  async set(key, audio) {
+    this.remember(key, audio);
+    try {
+      await this.getStorage().save(this.objectKey(key), audio, { contentType: 'audio/basic' });
+    } catch (error) {
+      // Still served from memory; it will be rendered again after a restart
+      console.warn('⚠️ Could not persist cached phrase audio:', error.message);
+    }
+  }
+
+  /**
+   * Cached audio for a phrase, rendering and storing it on a miss
+   * @param {object} phrase - { text, voice, speed }
+   * @param {Function} render - async () => Buffer
+   * @returns {object} - { audio, cached }
+   */
+  async getOrRender(phrase, render) {
+    const key = this.keyFor(phrase);
+
+    const cached = await this.get(key);
+    if (cached) {
+      this.stats.hits++;
+      return { audio: cached, cached: true };
+    }
+
+    if (!this.pending.has(key)) {
+      this.stats.misses++;
+      const rendering = (async () => {
+        const audio = await render();
+        await this.set(key, audio);
+        return audio;
+      })();
+      this.pending.set(key, rendering);
+      rendering.then(() => this.pending.delete(key), () => this.pending.delete(key));
+    }
+
+    return { audio: await this.pending.get(key), cached: false };
+  }
+
+  remember(key, audio) {
+    if (audio.length > this.maxMemoryBytes) return;
+    if (this.memory.has(key)) {
+      this.memoryBytes -= this.memory.get(key).length;
+      this.memory.delete(key);
+    }
+
+    this.memory.set(key, audio);
+    this.memoryBytes += audio.length;
+
+    for (const [oldestKey, oldest] of this.memory) {
+      if (this.memoryBytes <= this.maxMemoryBytes) break;
+      this.memory.delete(oldestKey);
+      this.memoryBytes -= oldest.length;
+    }
+  }
+
+  clearMemory() {
+    this.memory.clear();
+    this.memoryBytes = 0;
+  }
+}
+
+let sharedCache;
+
+/**
+ * Process-wide cache shared by every call, or null when TTS_CACHE_ENABLED=false
+ */
+const getPhraseCache = () => {
+  if (process.env.TTS_CACHE_ENABLED === 'false') return null;
+  if (!sharedCache) sharedCache = new PhraseCache();
+  return sharedCache;
+};
+
+module.exports = {
+  PhraseCache,
+  getPhraseCache
+};
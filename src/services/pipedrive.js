@@ -84,6 +84,19 @@ class PipedriveService {
     }
   }
 
+  async findPersonByPhone(accessToken, phoneDigits) {
+    try {
+      const client = this.createApiClient(accessToken);
+      const response = await client.get('/persons/search', {
+        params: { term: phoneDigits, fields: 'phone', limit: 1 }
+      });
+      return response.data.data?.items?.[0]?.item || null;
+    } catch (error) {
+      console.error('Error finding Pipedrive person by phone:', error.message);
+      throw new Error('Failed to search persons');
+    }
+  }
+
   async createDeal(accessToken, dealData) {
     try {
       const client = this.createApiClient(accessToken);
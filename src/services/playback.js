@@ -0,0 +1,146 @@
+/**
+ * Playback tracking
+ *
+ * Twilio buffers the audio we stream and plays it in real time, so audio we have sent
+ * is not audio the caller has heard. After every ~200ms of an utterance the TTS streamer
+ * sends a Twilio `mark`; Twilio echoes the mark back once the audio before it has played.
+ * On barge-in we send `clear` (Twilio drops its unplayed audio), and the last mark that
+ * came back tells how much of each utterance the caller actually heard.
+ *
+ * Utterances are grouped by replyId (one reply = every sentence spoken for one turn) so
+ * the recorded reply can be cut down to what was played.
+ */
+
+const MARK_INTERVAL_BYTES = 1600; // 200ms of 8kHz mu-law
+const MAX_REPLIES = 5;
+
+/**
+ * The part of the text the caller heard, assuming words are spread evenly over the audio
+ * @param {number} playedFraction - 0..1
+ */
+const truncateToPlayed = (text, playedFraction) => {
+  const words = (text || '').trim().split(/\s+/).filter(Boolean);
+  const heard = Math.floor(words.length * Math.min(Math.max(playedFraction, 0), 1));
+  return words.slice(0, heard).join(' ');
+};
+
+class PlaybackTracker {
+  /**
+   * @param {object} options - { maxReplies (replies kept for getHeardText) }
+   */
+  constructor({ maxReplies = MAX_REPLIES } = {}) {
+    this.maxReplies = maxReplies;
+    this.utterances = []; // in the order they were streamed
+    this.marks = new Map(); // mark name -> { utterance, bytes }
+    this.sequence = 0;
+  }
+
+  /**
+   * A new utterance is about to be streamed
+   * @param {object} options - { text, replyId }
+   */
+  start({ text = '', replyId = null } = {}) {
+    const utterance = {
+      id: `u${++this.sequence}`,
+      text,
+      replyId,
+      sentBytes: 0,
+      playedBytes: 0,
+      markCount: 0,
+      finished: false,
+      cleared: false
+    };
+    this.utterances.push(utterance);
+    this.prune();
+    return utterance;
+  }
+
+  /**
+   * Audio for the utterance was sent to Twilio
+   * @returns {string} - Name of the mark to send after it
+   */
+  sent(utterance, bytes) {
+    utterance.sentBytes += bytes;
+    const name = `${utterance.id}:${++utterance.markCount}`;
+    this.marks.set(name, { utterance, bytes: utterance.sentBytes });
+    return name;
+  }
+
+  finish(utterance) {
+    utterance.finished = true;
+    this.prune();
+  }
+
+  /**
+   * Twilio played the audio up to this mark
+   * @returns {boolean} - Whether the mark was ours and still pending
+   */
+  acknowledge(name) {
+    const mark = this.marks.get(name);
+    if (!mark) return false;
+    this.marks.delete(name);
+    if (!mark.utterance.cleared) {
+      mark.utterance.playedBytes = Math.max(mark.utterance.playedBytes, mark.bytes);
+    }
+    this.prune();
+    return true;
+  }
+
+  get hasUnplayed() {
+    return this.utterances.some(utterance => !utterance.cleared && utterance.playedBytes < utterance.sentBytes);
+  }
+
+  /**
+   * Twilio was told to drop its buffered audio: freeze every utterance at what was played
+   * @returns {object[]} - Utterances cut off
+   */
+  clear() {
+    const cut = this.utterances.filter(utterance => !utterance.cleared && utterance.playedBytes < utterance.sentBytes);
+    for (const utterance of cut) {
+      utterance.cleared = true;
+    }
+    for (const [name, mark] of this.marks) {
+      if (mark.utterance.cleared) this.marks.delete(name);
+    }
+    return cut;
+  }
+
+  /**
+   * What the caller heard of a reply
+   * @returns {object} - { text, interrupted }
+   */
+  getHeardText(replyId) {
+    const heard = [];
+    for (const utterance of this.utterances.filter(entry => entry.replyId === replyId)) {
+      if (utterance.cleared) {
+        const partial = truncateToPlayed(utterance.text, utterance.playedBytes / utterance.sentBytes);
+        if (partial) heard.push(partial);
+        // Nothing after a cut was played
+        return { text: heard.join(' '), interrupted: true };
+      }
+      heard.push(utterance.text);
+    }
+    return { text: heard.join(' '), interrupted: false };
+  }
+
+  // Forget played utterances that belong to no reply, and all but the latest replies
+  prune() {
+    const replyIds = [...new Set(this.utterances.map(utterance => utterance.replyId).filter(Boolean))];
+    const kept = new Set(replyIds.slice(-this.maxReplies));
+
+    this.utterances = this.utterances.filter(utterance => {
+      if (utterance.replyId) return kept.has(utterance.replyId);
+      return !(utterance.cleared || (utterance.finished && utterance.playedBytes >= utterance.sentBytes));
+    });
+    const live = new Set(this.utterances);
+    for (const [name, mark] of this.marks) {
+      if (!live.has(mark.utterance)) this.marks.delete(name);
+    }
+  }
+}
+
+module.exports = {
+  MARK_INTERVAL_BYTES,
+  PlaybackTracker,
+  truncateToPlayed
+};
@@ -0,0 +1,55 @@
+/**
+ * Voice Providers
+ *
+ * Factories the media-stream handler uses to build its per-call STT, TTS and LLM
+ * services. Production uses the configured STT provider (see sttProviders.js), Deepgram
+ * TTS and OpenAI; the call simulator swaps in local stand-ins (see src/simulator) so
+ * whole calls run without network access.
+ *
+ * Replacements must keep the contract the handler relies on:
+ *   stt: the STT provider contract documented in sttProviders.js
+ *   tts: EventEmitter with generateAndStream/interruptStream and an audioSent event
+ *   llm: processMessage({ transcript, sessionId, context, stream, ... })
+ */
+
+const { createSTTProvider } = require('./sttProviders');
+const { TTSService } = require('./tts');
+const { createLLMService } = require('./llm_fast');
+
+const defaultProviders = {
+  // options: { provider } picks an STT provider by name; omitted means the default
+  createSTT: (options) => createSTTProvider(options),
+  createTTS: () => new TTSService(),
+  createLLM: (options) => createLLMService(options)
+};
+
+let providers = { ...defaultProviders };
+
+const getProviders = () => providers;
+
+/**
+ * Replace some or all factories, e.g. setProviders({ createSTT: () => new ScriptedSTT() })
+ */
+const setProviders = (overrides = {}) => {
+  for (const [name, factory] of Object.entries(overrides)) {
+    if (!(name in defaultProviders)) {
+      throw new Error(`Unknown voice provider: ${name}`);
+    }
+    if (typeof factory !== 'function') {
+      throw new Error(`Voice provider ${name} must be a factory function`);
+    }
+  }
+  providers = { ...providers, ...overrides };
+  return providers;
+};
+
+const resetProviders = () => {
+  providers = { ...defaultProviders };
+  return providers;
+};
+
+module.exports = {
+  getProviders,
+  setProviders,
+  resetProviders
+};
@@ -162,6 +162,20 @@ class SalesforceService {
     }
   }
 
+  // Find the contact with a phone number (digits only, no country code), or null
+  async findContactByPhone(accessToken, instanceUrl, phoneDigits) {
+    try {
+      const client = this.createApiClient(accessToken, instanceUrl);
+      const sosl = `FIND {${phoneDigits.replace(/\D/g, '')}} IN PHONE FIELDS RETURNING Contact(Id, FirstName, LastName, Email, Phone) LIMIT 1`;
+
+      const response = await client.get(`/search?q=${encodeURIComponent(sosl)}`);
+      return response.data.searchRecords?.[0] || null;
+    } catch (error) {
+      console.error('Error finding Salesforce contact by phone:', error.message);
+      throw new Error('Failed to search contacts');
+    }
+  }
+
   // Create lead
   async createLead(accessToken, instanceUrl, leadData) {
     try {
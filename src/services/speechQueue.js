@@ -0,0 +1,227 @@
+/**
+ * Sentence-level speech streaming
+ *
+ * The LLM reply arrives as text deltas. SentenceChunker cuts them into sentences and
+ * SpeechQueue synthesizes and streams each sentence to Twilio as soon as it is complete,
+ * in order, so the caller hears the start of the reply while the rest is still being
+ * generated. cancel() (barge-in, or the state machine replacing the reply) drops every
+ * sentence that hasn't been sent yet; audio already sent is stopped by the TTS service's
+ * interruptStream().
+ *
+ * Usage:
+ *   const speech = new SpeechQueue({ ttsService, ws, streamId, ttsConfig });
+ *   await llm.processMessage({ ..., stream: true, onTextDelta: (text) => speech.push(text) });
+ *   const { spokenText, interrupted } = await speech.finish();
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_MIN_CHARS = 8; // shorter sentences ("Sure.") are spoken together with the next one
+const DEFAULT_MAX_CHARS = 180; // run-on text is cut at a comma (or a space) past this
+
+// Words whose trailing period doesn't end a sentence
+const ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'jr', 'sr', 'vs', 'etc', 'approx', 'e.g', 'i.e', 'a.m', 'p.m']);
+
+// Terminator followed by whitespace, so "3.5" and a period at the end of a delta don't split
+const SENTENCE_END = /[.!?…]+["'”’)\]]*(?=\s)|\n/g;
+
+const endsWithAbbreviation = (text) => {
+  const match = /(?:^|\s)([\w.]+)\.$/.exec(text);
+  if (!match) return false;
+  const word = match[1].toLowerCase();
+  return word.length === 1 || ABBREVIATIONS.has(word);
+};
+
+class SentenceChunker {
+  /**
+   * @param {object} options - { minChars, maxChars }
+   */
+  constructor({ minChars = DEFAULT_MIN_CHARS, maxChars = DEFAULT_MAX_CHARS } = {}) {
+    this.minChars = minChars;
+    this.maxChars = maxChars;
+    this.buffer = '';
+  }
+
+  /**
+   * @param {string} delta - Next piece of the reply
+   * @returns {string[]} - Sentences completed by it
+   */
+  push(delta) {
+    this.buffer += delta;
+    const sentences = [];
+    let sentence;
+    while ((sentence = this.nextSentence())) {
+      sentences.push(sentence);
+    }
+    return sentences;
+  }
+
+  /**
+   * @returns {string|null} - Whatever is left once the reply is complete
+   */
+  flush() {
+    const rest = this.buffer.trim();
+    this.buffer = '';
+    return rest || null;
+  }
+
+  nextSentence() {
+    SENTENCE_END.lastIndex = 0;
+    let match;
+    while ((match = SENTENCE_END.exec(this.buffer))) {
+      const end = match.index + match[0].length;
+      const candidate = this.buffer.slice(0, end).trim();
+      if (candidate.length < this.minChars || endsWithAbbreviation(candidate)) continue;
+      return this.take(end);
+    }
+
+    if (this.buffer.length > this.maxChars) {
+      const head = this.buffer.slice(0, this.maxChars);
+      const clause = Math.max(head.lastIndexOf(', '), head.lastIndexOf('; '), head.lastIndexOf(': '));
+      const end = clause >= this.minChars ? clause + 1 : head.lastIndexOf(' ');
+      if (end > 0) return this.take(end);
+    }
+
+    return null;
+  }
+
+  take(end) {
+    const sentence = this.buffer.slice(0, end).trim();
+    this.buffer = this.buffer.slice(end).replace(/^\s+/, '');
+    return sentence;
+  }
+}
+
+class SpeechQueue extends EventEmitter {
+  /**
+   * @param {object} options - { ttsService, ws (Twilio socket), streamId, ttsConfig, replyId,
+   *                           minChars, maxChars }; replyId tags the audio so
+   *                           ttsService.getHeardText(replyId) can tell what was played
+   */
+  constructor({ ttsService, ws, streamId, ttsConfig = {}, replyId = null, minChars, maxChars } = {}) {
+    super();
+    this.ttsService = ttsService;
+    this.ws = ws;
+    this.streamId = streamId;
+    this.ttsConfig = ttsConfig;
+    this.replyId = replyId;
+    this.chunker = new SentenceChunker({ minChars, maxChars });
+    this.abortController = new AbortController();
+    this.playing = Promise.resolve();
+    this.error = null;
+    this.createdAt = Date.now();
+    this.firstSentenceMs = null;
+    this.sentences = []; // every sentence queued, in order
+    this.filler = null; // acknowledgement played ahead of the reply, see playFiller
+    this.spoken = []; // sentences streamed in full
+    this.audioBytes = 0;
+  }
+
+  get started() {
+    return this.sentences.length > 0;
+  }
+
+  get cancelled() {
+    return this.abortController.signal.aborted;
+  }
+
+  /**
+   * Feed the next piece of the reply; complete sentences start playing right away
+   */
+  push(delta) {
+    if (this.cancelled || !delta) return;
+    for (const sentence of this.chunker.push(delta)) {
+      this.enqueue(sentence);
+    }
+  }
+
+  enqueue(sentence) {
+    if (this.firstSentenceMs === null) {
+      this.firstSentenceMs = Date.now() - this.createdAt;
+      this.emit('firstSentence', { text: sentence, latency: this.firstSentenceMs });
+    }
+    this.sentences.push(sentence);
+    this.playing = this.playing.then(() => this.speak(sentence));
+  }
+
+  async speak(sentence) {
+    if (this.cancelled || this.error) return;
+
+    try {
+      const result = await this.ttsService.generateAndStream(sentence, this.ws, {
+        streamId: this.streamId,
+        ttsConfig: this.ttsConfig,
+        replyId: this.replyId,
+        signal: this.abortController.signal
+      });
+      this.audioBytes += result?.metrics?.audioSize || 0;
+      if (!this.cancelled) this.spoken.push(sentence);
+    } catch (error) {
+      // Later sentences would make no sense without this one
+      console.error('❌ Failed to speak sentence:', error.message);
+      this.error = error;
+    }
+  }
+
+  /**
+   * Play a short acknowledgement ("One moment.") while the reply is slow to arrive. The
+   * reply's sentences queue behind it, so the two never overlap.
+   * @param {object} ttsConfig - Usually the phrase-cached config
+   * @returns {boolean} - false once the reply has started (or a filler was already played)
+   */
+  playFiller(text, ttsConfig = this.ttsConfig) {
+    if (this.started || this.cancelled || this.filler) return false;
+    this.filler = text;
+    this.playing = this.playing.then(async () => {
+      if (this.cancelled) return;
+      try {
+        await this.ttsService.generateAndStream(text, this.ws, {
+          streamId: this.streamId,
+          ttsConfig,
+          signal: this.abortController.signal
+        });
+      } catch (error) {
+        // The reply can still play without it
+        console.error('❌ Failed to play filler:', error.message);
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Speak whatever is left of the reply and wait for every sentence to play
+   * @returns {object} - { spokenText, sentences, interrupted, firstSentenceMs, audioBytes, filler }
+   */
+  async finish() {
+    const rest = this.chunker.flush();
+    if (rest && !this.cancelled) this.enqueue(rest);
+
+    await this.playing;
+    if (this.error) throw this.error;
+
+    return {
+      spokenText: this.spoken.join(' '),
+      sentences: this.sentences.length,
+      interrupted: this.cancelled,
+      firstSentenceMs: this.firstSentenceMs,
+      audioBytes: this.audioBytes,
+      filler: this.filler
+    };
+  }
+
+  /**
+   * Drop the sentences not yet sent (the one being synthesized is never streamed)
+   * @returns {boolean} - Whether any speech was cut off
+   */
+  cancel() {
+    if (this.cancelled) return false;
+    this.abortController.abort();
+    this.chunker.flush();
+    return this.spoken.length < this.sentences.length;
+  }
+}
+
+module.exports = {
+  SentenceChunker,
+  SpeechQueue
+};
@@ -10,8 +10,19 @@
     * - Author          : 
     * - Modification    : 
 **/
-const { createMachine, assign } = require('xstate');
+const { createMachine, assign, fromPromise } = require('xstate');
 const { createAppointment } = require('./db');
+const { resolveTimeWindow, getServiceDuration } = require('./dateResolver');
+const { AvailabilityService } = require('./availability');
+const { calendarSync } = require('./calendar');
+const { AppointmentChangeService } = require('./appointmentChanges');
+
+const availability = new AvailabilityService();
+const appointmentChanges = new AppointmentChangeService({ availability });
+
+// Waiting on a lookup or change to an existing appointment; it answers when it finishes
+const CHANGE_TAGS = ['appointmentChange'];
+const WORKING_TAGS = ['appointmentChange', 'working'];
 
 const bookingMachine = createMachine({
   id: 'booking',
@@ -30,6 +41,18 @@ const bookingMachine = createMachine({
     retryCount: 0,
     businessConfig: null,
     fallbackReason: null,
+    // The call, for finding the caller's existing appointments
+    callerPhone: null,
+    calledNumber: null,
+    organizationId: null,
+    organizationName: null,
+    // Rescheduling or cancelling an existing appointment
+    changeType: null, // 'reschedule' | 'cancel'
+    changeDetails: {},
+    lookupPhone: null,
+    changeAppointments: [],
+    changeTarget: null,
+    newTime: null,
   },
   states: {
     idle: {
@@ -81,6 +104,10 @@ const bookingMachine = createMachine({
             sessionId: ({ context, event }) => {
               return event.bookingData?.sessionId || context.sessionId;
             },
+            callerPhone: ({ context, event }) => event.callerPhone || context.callerPhone,
+            calledNumber: ({ context, event }) => event.calledNumber || context.calledNumber,
+            organizationId: ({ context, event }) => event.organizationId || context.organizationId,
+            organizationName: ({ context, event }) => event.organizationName || context.organizationName,
           }),
           target: 'handleIntent',
         },
@@ -89,11 +116,16 @@ const bookingMachine = createMachine({
     handleIntent: {
       always: [
         {
-          cond: 'isBookingIntent',
+          guard: 'isChangeIntent',
+          actions: 'startChange',
+          target: 'findAppointments',
+        },
+        {
+          guard: 'isBookingIntent',
           target: 'bookingFlow',
         },
         {
-          cond: 'isNonBookingIntent',
+          guard: 'isNonBookingIntent',
           target: 'respondAndIdle',
         },
         {
@@ -104,19 +136,19 @@ const bookingMachine = createMachine({
     bookingFlow: {
       always: [
         {
-          cond: 'hasAllBookingData',
+          guard: 'hasAllBookingData',
           target: 'confirm',
         },
         {
-          cond: 'needsService',
+          guard: 'needsService',
           target: 'collectService',
         },
         {
-          cond: 'needsTime',
+          guard: 'needsTime',
           target: 'collectTimeWindow',
         },
         {
-          cond: 'needsContact',
+          guard: 'needsContact',
           target: 'collectContact',
         },
         {
@@ -127,12 +159,16 @@ const bookingMachine = createMachine({
     collectService: {
       always: [
         {
-          cond: 'shouldFallbackToCallback',
+          guard: 'shouldFallbackToCallback',
           target: 'scheduleCallback',
         }
       ],
       on: {
-        PROCESS_INTENT: {
+        PROCESS_INTENT: [{
+          guard: 'isChangeIntent',
+          actions: 'startChange',
+          target: 'findAppointments',
+        }, {
           actions: assign({
             service: ({ context, event }) => {
               const newService = event.bookingData?.service || event.entities?.service;
@@ -171,13 +207,13 @@ const bookingMachine = createMachine({
             },
           }),
           target: 'validateService',
-        },
+        }],
       },
     },
     validateService: {
       always: [
         {
-          cond: 'isServiceValid',
+          guard: 'isServiceValid',
           actions: assign({
             serviceValidated: true,
             fallbackReason: null,
@@ -186,7 +222,7 @@ const bookingMachine = createMachine({
           target: 'bookingFlow',
         },
         {
-          cond: 'shouldFallbackToCallback',
+          guard: 'shouldFallbackToCallback',
           actions: assign({
             fallbackReason: 'service_invalid',
           }),
@@ -205,12 +241,16 @@ const bookingMachine = createMachine({
     collectTimeWindow: {
       always: [
         {
-          cond: 'shouldFallbackToCallback',
+          guard: 'shouldFallbackToCallback',
           target: 'scheduleCallback',
         }
       ],
       on: {
-        PROCESS_INTENT: {
+        PROCESS_INTENT: [{
+          guard: 'isChangeIntent',
+          actions: 'startChange',
+          target: 'findAppointments',
+        }, {
           actions: assign({
             service: ({ context, event }) => {
               const newService = event.bookingData?.service || event.entities?.service;
@@ -233,18 +273,22 @@ const bookingMachine = createMachine({
             },
           }),
           target: 'bookingFlow',
-        },
+        }],
       },
     },
     collectContact: {
       always: [
         {
-          cond: 'shouldFallbackToCallback',
+          guard: 'shouldFallbackToCallback',
           target: 'scheduleCallback',
         }
       ],
       on: {
-        PROCESS_INTENT: {
+        PROCESS_INTENT: [{
+          guard: 'isChangeIntent',
+          actions: 'startChange',
+          target: 'findAppointments',
+        }, {
           actions: assign({
             service: ({ context, event }) => {
               const newService = event.bookingData?.service || event.entities?.service;
@@ -267,14 +311,19 @@ const bookingMachine = createMachine({
             },
           }),
           target: 'bookingFlow',
-        },
+        }],
       },
     },
     confirm: {
       on: {
         PROCESS_INTENT: [
           {
-            cond: 'isConfirmation',
+            guard: 'isChangeIntent',
+            actions: 'startChange',
+            target: 'findAppointments',
+          },
+          {
+            guard: 'isConfirmation',
             target: 'book',
           },
           {
@@ -321,6 +370,7 @@ const bookingMachine = createMachine({
       invoke: {
         id: 'createAppointment',
         src: 'createAppointment',
+        input: ({ context }) => context,
         onDone: {
           target: 'success',
           actions: assign({
@@ -345,6 +395,7 @@ const bookingMachine = createMachine({
       invoke: {
         id: 'scheduleCallback',
         src: 'scheduleCallback',
+        input: ({ context }) => context,
         onDone: {
           target: 'callbackScheduled',
           actions: assign({
@@ -353,6 +404,10 @@ const bookingMachine = createMachine({
               switch (reason) {
                 case 'service_invalid':
                   return `I want to make sure we can provide exactly what you need. I've noted your request for "${context.service}" and someone from our team will call you back within the hour to discuss our available services and schedule your appointment.`;
+                case 'appointment_not_found':
+                  return `I wasn't able to find that appointment. I've noted your request and someone from our team will call you back within the hour to help with it.`;
+                case 'reschedule_failed':
+                  return `I'm sorry we couldn't find a new time that works. I've noted your request and someone from our team will call you back within the hour to reschedule.`;
                 case 'calendar_failure':
                   return `I'm having trouble accessing our scheduling system right now. I've taken down your information for ${context.service} and someone will call you back within the hour to confirm your appointment.`;
                 default:
@@ -369,6 +424,247 @@ const bookingMachine = createMachine({
         },
       },
     },
+    // Rescheduling and cancelling: find the caller's upcoming appointments...
+    findAppointments: {
+      tags: WORKING_TAGS,
+      invoke: {
+        id: 'findAppointments',
+        src: 'findAppointments',
+        input: ({ context }) => context,
+        onDone: {
+          target: 'selectAppointment',
+          actions: assign({ changeAppointments: ({ event }) => event.output }),
+        },
+        onError: {
+          target: 'fallback',
+          actions: assign({
+            currentResponse: () => 'I\'m having trouble looking up appointments right now. Please call back shortly, or I can have someone call you.'
+          }),
+        },
+      },
+    },
+    // ...settle on the one they mean...
+    selectAppointment: {
+      tags: CHANGE_TAGS,
+      always: [
+        {
+          // Not under the number they gave either
+          guard: 'hasNoAppointmentsAfterAsking',
+          actions: assign({ fallbackReason: 'appointment_not_found' }),
+          target: 'scheduleCallback',
+        },
+        {
+          guard: 'hasNoAppointments',
+          actions: assign({
+            currentResponse: () => 'I couldn\'t find an upcoming appointment under the number you\'re calling from. What phone number was it booked under?',
+          }),
+          target: 'identifyAppointment',
+        },
+        {
+          guard: 'hasOneAppointment',
+          actions: assign({
+            changeTarget: ({ context }) => context.changeAppointments[0],
+            currentResponse: ({ context }) => `I see your ${appointmentChanges.describe(context.changeAppointments[0], context.businessConfig)}. Is that the one you'd like to ${changeVerb(context)}?`,
+          }),
+          target: 'confirmChangeTarget',
+        },
+        {
+          actions: assign({
+            currentResponse: ({ context }) => `${appointmentChanges.describeList(context.changeAppointments, context.businessConfig)} Which one would you like to ${changeVerb(context)}?`,
+          }),
+          target: 'chooseAppointment',
+        },
+      ],
+    },
+    identifyAppointment: {
+      tags: CHANGE_TAGS,
+      on: {
+        PROCESS_INTENT: {
+          actions: assign({
+            lookupPhone: ({ context, event }) => extractPhoneNumber(event.bookingData?.contact || event.entities?.contact || event.originalSpeech) || context.lookupPhone,
+            changeDetails: ({ context, event }) => changeDetailsFrom(event, context.changeDetails),
+            retryCount: ({ context }) => (context.retryCount || 0) + 1,
+            currentResponse: ({ event }) => event.response,
+          }),
+          target: 'findAppointments',
+        },
+      },
+    },
+    chooseAppointment: {
+      tags: CHANGE_TAGS,
+      on: {
+        PROCESS_INTENT: {
+          actions: assign({
+            changeTarget: ({ context, event }) => {
+              const matches = appointmentChanges.matchAppointments(context.changeAppointments, changeDetailsFrom(event), context.businessConfig);
+              return matches.length === 1 ? matches[0] : null;
+            },
+            currentResponse: ({ event }) => event.response,
+          }),
+          target: 'checkChoice',
+        },
+      },
+    },
+    checkChoice: {
+      tags: CHANGE_TAGS,
+      always: [
+        {
+          guard: 'hasChangeTarget',
+          actions: assign({
+            retryCount: 0,
+            currentResponse: ({ context }) => `Just to confirm, you'd like to ${changeVerb(context)} your ${appointmentChanges.describe(context.changeTarget, context.businessConfig)}?`,
+          }),
+          target: 'confirmChangeTarget',
+        },
+        {
+          guard: 'shouldFallbackToCallback',
+          actions: assign({ fallbackReason: 'appointment_not_found' }),
+          target: 'scheduleCallback',
+        },
+        {
+          actions: assign({
+            retryCount: ({ context }) => (context.retryCount || 0) + 1,
+            currentResponse: ({ context }) => `Sorry, which one did you mean? ${appointmentChanges.describeList(context.changeAppointments, context.businessConfig)}`,
+          }),
+          target: 'chooseAppointment',
+        },
+      ],
+    },
+    // ...make sure...
+    confirmChangeTarget: {
+      tags: CHANGE_TAGS,
+      on: {
+        PROCESS_INTENT: [
+          {
+            guard: 'isCancelConfirmed',
+            target: 'cancelAppointment',
+          },
+          {
+            guard: 'isRescheduleConfirmed',
+            actions: assign({
+              // "Yes, move it to Friday at 3" gives the new time in the same breath
+              newTime: ({ event }) => event.bookingData?.preferredTime || event.entities?.timeWindow || null,
+              retryCount: 0,
+              currentResponse: () => 'What day and time would you like instead?',
+            }),
+            target: 'checkNewTime',
+          },
+          {
+            guard: 'isDenialWithOthers',
+            actions: assign({
+              changeTarget: null,
+              currentResponse: ({ context }) => `${appointmentChanges.describeList(context.changeAppointments, context.businessConfig)} Which one did you mean?`,
+            }),
+            target: 'chooseAppointment',
+          },
+          {
+            guard: 'isDenial',
+            actions: [
+              'resetChange',
+              assign({ currentResponse: () => 'No problem, I\'ll leave it as it is. Is there anything else I can help with?' }),
+            ],
+            target: 'respondAndIdle',
+          },
+          {
+            actions: assign({ currentResponse: ({ event }) => event.response }),
+            target: 'confirmChangeTarget',
+          },
+        ],
+      },
+    },
+    // ...then apply the change
+    checkNewTime: {
+      tags: CHANGE_TAGS,
+      always: [
+        {
+          guard: 'hasNewTime',
+          target: 'rescheduleAppointment',
+        },
+        {
+          guard: 'shouldFallbackToCallback',
+          actions: assign({ fallbackReason: 'reschedule_failed' }),
+          target: 'scheduleCallback',
+        },
+        {
+          target: 'collectNewTime',
+        },
+      ],
+    },
+    collectNewTime: {
+      tags: CHANGE_TAGS,
+      on: {
+        PROCESS_INTENT: {
+          actions: assign({
+            newTime: ({ event }) => event.bookingData?.preferredTime || event.entities?.timeWindow || null,
+            retryCount: ({ context, event }) => (event.bookingData?.preferredTime || event.entities?.timeWindow ? context.retryCount : (context.retryCount || 0) + 1),
+            currentResponse: ({ event }) => event.response,
+          }),
+          target: 'checkNewTime',
+        },
+      },
+    },
+    rescheduleAppointment: {
+      tags: WORKING_TAGS,
+      invoke: {
+        id: 'rescheduleAppointment',
+        src: 'rescheduleAppointment',
+        input: ({ context }) => context,
+        onDone: [
+          {
+            guard: 'isChangeApplied',
+            actions: [
+              assign({ currentResponse: ({ event }) => event.output.message }),
+              'resetChange',
+            ],
+            target: 'changeComplete',
+          },
+          {
+            // Taken or unclear: the reply offers other times or asks again
+            actions: assign({
+              newTime: null,
+              retryCount: ({ context }) => (context.retryCount || 0) + 1,
+              currentResponse: ({ event }) => event.output.message,
+            }),
+            target: 'collectNewTime',
+          },
+        ],
+        onError: {
+          target: 'fallback',
+          actions: assign({
+            currentResponse: () => 'I\'m sorry, I couldn\'t move your appointment just now. Someone from our team will call you back to sort it out.'
+          }),
+        },
+      },
+    },
+    cancelAppointment: {
+      tags: WORKING_TAGS,
+      invoke: {
+        id: 'cancelAppointment',
+        src: 'cancelAppointment',
+        input: ({ context }) => context,
+        onDone: {
+          target: 'changeComplete',
+          actions: [
+            assign({ currentResponse: ({ event }) => event.output.message }),
+            'resetChange',
+          ],
+        },
+        onError: {
+          target: 'fallback',
+          actions: assign({
+            currentResponse: () => 'I\'m sorry, I couldn\'t cancel your appointment just now. Someone from our team will call you back to sort it out.'
+          }),
+        },
+      },
+    },
+    changeComplete: {
+      after: {
+        5000: 'idle',
+      },
+      on: {
+        PROCESS_INTENT: 'handleIntent',
+      },
+    },
     callbackScheduled: {
       after: {
         5000: 'idle',
@@ -402,6 +698,12 @@ const bookingMachine = createMachine({
 }, {
   guards: {
     isBookingIntent: ({ event }) => event.intent === 'booking',
+    isChangeIntent: ({ event }) => CHANGE_INTENTS.includes(event.intent),
+    hasNoAppointments: ({ context }) => context.changeAppointments.length === 0,
+    hasNoAppointmentsAfterAsking: ({ context }) => context.changeAppointments.length === 0 && (context.retryCount || 0) > 0,
+    hasOneAppointment: ({ context }) => context.changeAppointments.length === 1,
+    hasChangeTarget: ({ context }) => !!context.changeTarget,
+    hasNewTime: ({ context }) => !!context.newTime,
     isNonBookingIntent: ({ event }) => ['hours', 'location', 'services', 'other'].includes(event.intent),
     hasAllBookingData: ({ context }) => {
       const result = context.service && context.preferredTime && context.contact && context.serviceValidated;
@@ -424,9 +726,16 @@ const bookingMachine = createMachine({
       return result;
     },
     isConfirmation: ({ event }) => {
+      // Keypad "1" arrives as an explicit confirmation intent (see services/dtmf.js)
+      if (event.intent === 'confirmation_yes') return true;
       const speech = event.originalSpeech || '';
       return /\b(yes|yeah|yep|correct|right|confirm|book|schedule)\b/i.test(speech);
     },
+    isCancelConfirmed: ({ context, event }) => context.changeType === 'cancel' && isYes(event),
+    isRescheduleConfirmed: ({ context, event }) => context.changeType === 'reschedule' && isYes(event),
+    isChangeApplied: ({ event }) => !!event.output?.success,
+    isDenial: ({ event }) => isNo(event),
+    isDenialWithOthers: ({ context, event }) => isNo(event) && context.changeAppointments.length > 1,
     isServiceValid: ({ context, event }) => {
       // Validate service against business configuration
       return validateService(context.service || event.bookingData?.service, context.businessConfig);
@@ -452,6 +761,27 @@ const bookingMachine = createMachine({
     logSpeech: (context, event) => {
       console.log('Speech:', event.speech);
     },
+    startChange: assign({
+      changeType: ({ event }) => (event.intent === 'reschedule' ? 'reschedule' : 'cancel'),
+      changeDetails: ({ event }) => changeDetailsFrom(event),
+      lookupPhone: ({ context, event }) => event.callerPhone || context.callerPhone,
+      changeAppointments: [],
+      changeTarget: null,
+      newTime: null,
+      retryCount: 0,
+      fallbackReason: null,
+      // What was said describes the existing appointment, not a new booking
+      service: null,
+      preferredTime: null,
+    }),
+    resetChange: assign({
+      changeType: null,
+      changeDetails: {},
+      changeAppointments: [],
+      changeTarget: null,
+      newTime: null,
+      retryCount: 0,
+    }),
     resetBookingData: assign({
       service: null,
       preferredTime: null,
@@ -500,42 +830,67 @@ const bookingMachine = createMachine({
       },
     }),
   },
-  services: {
-    createAppointment: async (context) => {
+  actors: {
+    createAppointment: fromPromise(async ({ input: context }) => {
       try {
-        // Check calendar integration availability
-        const isCalendarAvailable = await checkCalendarIntegration(context);
+        const organizationId = context.organizationId || process.env.DEFAULT_ORG_ID || '00000000-0000-0000-0000-000000000001';
+        const slot = await findBookingSlot(context, organizationId);
         
         // Parse the booking data for database storage
         const appointmentData = {
-          organizationId: process.env.DEFAULT_ORG_ID || '00000000-0000-0000-0000-000000000001',
+          organizationId,
           service: context.service,
           contactPhone: extractPhoneNumber(context.contact),
           notes: `Service: ${context.service}, Time: ${context.preferredTime}, Contact: ${context.contact}`,
-          status: isCalendarAvailable ? 'scheduled' : 'pending_confirmation',
-          startAt: parseDateTime(context.preferredTime),
-          endAt: addHour(parseDateTime(context.preferredTime)),
-          requiresCallback: !isCalendarAvailable,
+          // A time that's no longer open is kept off the calendar until someone calls to confirm it
+          status: slot.open ? 'scheduled' : 'pending_confirmation',
+          startAt: slot.start,
+          endAt: slot.end,
         };
         
-        return await createAppointment(appointmentData);
+        return await calendarSync.syncAppointment(await createAppointment(appointmentData));
       } catch (error) {
         console.error('Error creating appointment:', error);
         throw error;
       }
-    },
-    scheduleCallback: async (context) => {
+    }),
+    findAppointments: fromPromise(async ({ input: context }) => {
+      const appointments = await appointmentChanges.findUpcoming({
+        organizationId: context.organizationId || process.env.DEFAULT_ORG_ID,
+        phone: context.lookupPhone
+      });
+      // What the caller said about it narrows the list, unless nothing fits
+      const matches = appointmentChanges.matchAppointments(appointments, context.changeDetails, context.businessConfig);
+      return matches.length > 0 ? matches : appointments;
+    }),
+    rescheduleAppointment: fromPromise(async ({ input: context }) => appointmentChanges.reschedule({
+      appointment: context.changeTarget,
+      timeWindow: context.newTime,
+      businessConfig: context.businessConfig,
+      from: context.calledNumber,
+      organizationName: context.organizationName
+    })),
+    cancelAppointment: fromPromise(async ({ input: context }) => appointmentChanges.cancel({
+      appointment: context.changeTarget,
+      businessConfig: context.businessConfig,
+      from: context.calledNumber,
+      organizationName: context.organizationName
+    })),
+    scheduleCallback: fromPromise(async ({ input: context }) => {
       try {
-        // Create a callback request record
+        // A callback request is an appointment row spanning the hour we promise to call back in;
+        // pending_callback keeps it off the calendar and out of the availability check
+        const requestedAt = new Date();
+        const callbackBy = new Date(requestedAt.getTime() + 60 * 60 * 1000);
+        const reason = context.fallbackReason || 'General callback request';
         const callbackData = {
-          organizationId: process.env.DEFAULT_ORG_ID || '00000000-0000-0000-0000-000000000001',
+          organizationId: context.organizationId || process.env.DEFAULT_ORG_ID || '00000000-0000-0000-0000-000000000001',
           service: context.service || 'General inquiry',
-          contactPhone: extractPhoneNumber(context.contact) || 'Unknown',
-          preferredTime: context.preferredTime || 'Flexible',
-          reason: context.fallbackReason || 'General callback request',
-          notes: `Callback requested: Service: ${context.service || 'Unknown'}, Time: ${context.preferredTime || 'Flexible'}, Contact: ${context.contact || 'Unknown'}, Reason: ${context.fallbackReason || 'General'}`,
+          contactPhone: extractPhoneNumber(context.contact) || context.lookupPhone || context.callerPhone || null,
+          notes: `Callback requested: Service: ${context.service || 'Unknown'}, Time: ${context.preferredTime || 'Flexible'}, Contact: ${context.contact || 'Unknown'}, Reason: ${reason}, Call back by: ${callbackBy.toISOString()}`,
           status: 'pending_callback',
-          callbackBy: new Date(Date.now() + 60 * 60 * 1000), // 1 hour from now
+          startAt: requestedAt,
+          endAt: callbackBy,
         };
         
         return await createAppointment(callbackData);
@@ -543,10 +898,26 @@ const bookingMachine = createMachine({
         console.error('Error scheduling callback:', error);
         throw error;
       }
-    },
+    }),
   },
 });
 
+const CHANGE_INTENTS = ['reschedule', 'cancel_appointment'];
+
+const isYes = (event) => event.intent === 'confirmation_yes' ||
+  /\b(yes|yeah|yep|correct|right|confirm|that's it|that one)\b/i.test(event.originalSpeech || '');
+const isNo = (event) => event.intent === 'confirmation_no' ||
+  /\b(no|nope|not that|wrong|other one|different)\b/i.test(event.originalSpeech || '');
+
+const changeVerb = (context) => (context.changeType === 'reschedule' ? 'move' : 'cancel');
+
+// What the caller said about the appointment they mean
+const changeDetailsFrom = (event, previous = {}) => ({
+  service: event.bookingData?.service || event.entities?.service || previous.service || null,
+  timeWindow: event.bookingData?.preferredTime || event.entities?.timeWindow || previous.timeWindow || null,
+  speech: event.originalSpeech || ''
+});
+
 // Utility functions for appointment creation
 const extractPhoneNumber = (contact) => {
   if (!contact) return null;
@@ -554,31 +925,16 @@ const extractPhoneNumber = (contact) => {
   return phoneMatch ? phoneMatch[0] : null;
 };
 
-const parseDateTime = (timeString) => {
-  if (!timeString) return new Date();
-  
-  // Simple date parsing - in production, use a more robust date parser
-  const now = new Date();
-  const tomorrow = new Date(now);
-  tomorrow.setDate(now.getDate() + 1);
-  
-  // Default to tomorrow at 10 AM if we can't parse the time
-  if (/tomorrow/i.test(timeString)) {
-    tomorrow.setHours(10, 0, 0, 0);
-    return tomorrow;
-  }
-  
-  if (/monday|tuesday|wednesday|thursday|friday/i.test(timeString)) {
-    // Default to next weekday at 10 AM
-    const nextWeek = new Date(now);
-    nextWeek.setDate(now.getDate() + 7);
-    nextWeek.setHours(10, 0, 0, 0);
-    return nextWeek;
-  }
-  
-  // Default to tomorrow at 10 AM
-  tomorrow.setHours(10, 0, 0, 0);
-  return tomorrow;
+// Start of the window the caller asked for, in the business's timezone (see dateResolver).
+// An unclear phrase takes its first reading; an unrecognizable one falls back to tomorrow at 10 AM.
+const parseDateTime = (timeString, businessConfig = null, now = new Date()) => {
+  if (!timeString) return new Date(now);
+
+  const window = resolveTimeWindow(timeString, { businessConfig, now });
+  if (window.status === 'resolved') return window.start;
+  if (window.options?.length > 0) return window.options[0].start;
+
+  return resolveTimeWindow('tomorrow at 10 AM', { businessConfig, now }).start;
 };
 
 const addHour = (date) => {
@@ -587,6 +943,26 @@ const addHour = (date) => {
   return newDate;
 };
 
+const addMinutes = (date, minutes) => new Date(new Date(date).getTime() + minutes * 60 * 1000);
+
+// The slot to book: the first open one in the confirmed window. If it has been taken since
+// the caller chose it (or the time never resolved), keep the requested time and flag it so
+// someone calls to confirm.
+const findBookingSlot = async (context, organizationId) => {
+  const { businessConfig } = context;
+  const durationMinutes = getServiceDuration(businessConfig, context.service);
+  const window = resolveTimeWindow(context.preferredTime, { businessConfig, durationMinutes });
+
+  if (window.status === 'resolved') {
+    const check = await availability.checkWindow({ organizationId, businessConfig, window, durationMinutes });
+    if (check.available) return { start: check.slot.start, end: check.slot.end, open: true };
+    console.log(`📅 ${window.label} was taken before booking; saving for confirmation`);
+  }
+
+  const start = parseDateTime(context.preferredTime, businessConfig);
+  return { start, end: addMinutes(start, durationMinutes), open: false };
+};
+
 // Enhanced service validation function with more flexible matching
 const validateService = (requestedService, businessConfig) => {
   if (!requestedService || !businessConfig) {
@@ -685,43 +1061,10 @@ const validateService = (requestedService, businessConfig) => {
   return false;
 };
 
-// Calendar integration check
-const checkCalendarIntegration = async (context) => {
-  try {
-    // Check if business has calendar integration configured
-    const businessConfig = context.businessConfig;
-    const hasIntegration = businessConfig?.integrations?.some(integration => 
-      integration.type === 'calendar' && integration.active
-    );
-
-    if (!hasIntegration) {
-      console.log('📅 Calendar integration: Not configured');
-      return false;
-    }
-
-    // In a real implementation, you would:
-    // 1. Check if the integration is responding
-    // 2. Verify availability for the requested time
-    // 3. Handle API rate limits and errors gracefully
-    
-    // For now, simulate a simple availability check
-    // This should be replaced with actual integration logic
-    const isAvailable = Math.random() > 0.1; // 90% success rate simulation
-    
-    console.log(`📅 Calendar integration: ${isAvailable ? 'Available' : 'Unavailable'}`);
-    return isAvailable;
-    
-  } catch (error) {
-    console.error('📅 Calendar integration error:', error);
-    return false;
-  }
-};
-
 module.exports = {
   bookingMachine,
   extractPhoneNumber,
   parseDateTime,
   addHour,
   validateService,
-  checkCalendarIntegration,
 };
\ No newline at end of file
@@ -0,0 +1,305 @@
+/**
+ * Shared State Store
+ *
+ * Small key/value store with TTLs and pub/sub for state that has to be the same on every
+ * app instance: call parameters handed from the Twilio webhook to the media stream,
+ * conversation sessions and the organization context cache.
+ *
+ * REDIS_URL selects Redis (through ioredis); without it state lives in process memory,
+ * which is fine for a single instance. When Redis can't be reached, operations fall back
+ * to memory instead of failing the call.
+ *
+ * Values are JSON; keys are namespaced with STATE_STORE_PREFIX (default "infinioffice:").
+ *
+ * Usage:
+ *   const store = getStateStore();
+ *   await store.set('call:CA123', { to, from }, { ttlMs: 10 * 60 * 1000 });
+ *   const params = await store.take('call:CA123');
+ *   await store.addMember('active-calls:org-1', 'CA123', { ttlMs: 2 * 60 * 60 * 1000 });
+ *   const active = await store.countMembers('active-calls:org-1');
+ *   const callSids = await store.listMembers('active-calls:org-1');
+ *   store.subscribe('org-context:invalidate', (message) => { ... });
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_PREFIX = 'infinioffice:';
+
+class MemoryStateStore {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.channels = new EventEmitter();
+    this.channels.setMaxListeners(0);
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.members) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return JSON.parse(entry.value);
+  }
+
+  /**
+   * @param {object} options - { ttlMs }; without it the value never expires
+   */
+  async set(key, value, { ttlMs } = {}) {
+    this.sweep();
+    this.entries.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Read and delete in one step, so only one instance gets the value
+  async take(key) {
+    const value = await this.get(key);
+    this.entries.delete(key);
+    return value;
+  }
+
+  /**
+   * Add a member to a set; each member expires on its own
+   * @param {object} options - { ttlMs }; without it the member stays until removed
+   */
+  async addMember(key, member, { ttlMs } = {}) {
+    const members = this.liveMembers(key);
+    members.set(member, ttlMs ? Date.now() + ttlMs : Infinity);
+    this.entries.set(key, { members, expiresAt: null });
+  }
+
+  async removeMember(key, member) {
+    this.liveMembers(key).delete(member);
+  }
+
+  async countMembers(key) {
+    return this.liveMembers(key).size;
+  }
+
+  async listMembers(key) {
+    return [...this.liveMembers(key).keys()];
+  }
+
+  // member -> expiry time, with expired members dropped
+  liveMembers(key) {
+    const members = this.entries.get(key)?.members || new Map();
+    const now = Date.now();
+    for (const [member, expiresAt] of members) {
+      if (expiresAt <= now) members.delete(member);
+    }
+    return members;
+  }
+
+  async publish(channel, message) {
+    this.channels.emit(channel, message);
+  }
+
+  /**
+   * @returns {Function} - Unsubscribes the handler
+   */
+  subscribe(channel, handler) {
+    this.channels.on(channel, handler);
+    return () => this.channels.off(channel, handler);
+  }
+
+  // Drop expired entries so keys nobody reads again don't pile up
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt && entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  async close() {
+    this.entries.clear();
+    this.channels.removeAllListeners();
+  }
+}
+
+class RedisStateStore {
+  /**
+   * @param {object} options - { url, client (an ioredis client, mainly for tests), prefix }
+   */
+  constructor({ url = process.env.REDIS_URL, client, prefix = process.env.STATE_STORE_PREFIX || DEFAULT_PREFIX } = {}) {
+    this.name = 'redis';
+    this.prefix = prefix;
+    this.client = client || RedisStateStore.connect(url);
+    this.subscriber = null;
+    this.handlers = new Map(); // channel -> Set of handlers
+    this.fallback = new MemoryStateStore();
+    this.degraded = false;
+
+    this.client.on?.('error', (error) => this.markDegraded(error));
+    this.client.on?.('ready', () => {
+      if (this.degraded) console.log('✅ Redis state store reconnected');
+      this.degraded = false;
+    });
+  }
+
+  static connect(url) {
+    const Redis = require('ioredis');
+    return new Redis(url, {
+      // Fail fast while disconnected; callers fall back to memory rather than wait
+      maxRetriesPerRequest: 1,
+      enableOfflineQueue: false
+    });
+  }
+
+  markDegraded(error) {
+    if (!this.degraded) {
+      console.error('⚠️ Redis state store unavailable, using process memory:', error.message);
+    }
+    this.degraded = true;
+  }
+
+  // Run a Redis command, or the in-memory equivalent when Redis fails
+  async withFallback(command, fallback) {
+    try {
+      return await command();
+    } catch (error) {
+      this.markDegraded(error);
+      return fallback();
+    }
+  }
+
+  async get(key) {
+    return this.withFallback(async () => {
+      const value = await this.client.get(this.prefix + key);
+      return value === null ? null : JSON.parse(value);
+    }, () => this.fallback.get(key));
+  }
+
+  async set(key, value, { ttlMs } = {}) {
+    return this.withFallback(async () => {
+      const args = [this.prefix + key, JSON.stringify(value)];
+      if (ttlMs) args.push('PX', ttlMs);
+      await this.client.set(...args);
+    }, () => this.fallback.set(key, value, { ttlMs }));
+  }
+
+  async delete(key) {
+    await this.fallback.delete(key);
+    return this.withFallback(() => this.client.del(this.prefix + key), () => null);
+  }
+
+  async take(key) {
+    const local = await this.fallback.take(key);
+    if (local !== null) return local;
+    return this.withFallback(async () => {
+      const value = await this.client.getdel(this.prefix + key);
+      return value === null ? null : JSON.parse(value);
+    }, () => null);
+  }
+
+  // Sorted set scored by expiry time, so members of a crashed instance age out
+  async addMember(key, member, { ttlMs } = {}) {
+    return this.withFallback(async () => {
+      const expiresAt = ttlMs ? Date.now() + ttlMs : '+inf';
+      await this.client.zadd(this.prefix + key, expiresAt, member);
+    }, () => this.fallback.addMember(key, member, { ttlMs }));
+  }
+
+  async removeMember(key, member) {
+    await this.fallback.removeMember(key, member);
+    return this.withFallback(() => this.client.zrem(this.prefix + key, member), () => null);
+  }
+
+  async countMembers(key) {
+    return this.withFallback(async () => {
+      await this.client.zremrangebyscore(this.prefix + key, '-inf', Date.now());
+      return this.client.zcard(this.prefix + key);
+    }, () => this.fallback.countMembers(key));
+  }
+
+  async listMembers(key) {
+    return this.withFallback(async () => {
+      await this.client.zremrangebyscore(this.prefix + key, '-inf', Date.now());
+      return this.client.zrange(this.prefix + key, 0, -1);
+    }, () => this.fallback.listMembers(key));
+  }
+
+  async publish(channel, message) {
+    return this.withFallback(
+      () => this.client.publish(this.prefix + channel, JSON.stringify(message)),
+      () => this.deliver(channel, message)
+    );
+  }
+
+  /**
+   * Messages published by any instance (this one included) reach the handler
+   * @returns {Function} - Unsubscribes the handler
+   */
+  subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, new Set());
+      this.getSubscriber().subscribe(this.prefix + channel).catch(error => this.markDegraded(error));
+    }
+    this.handlers.get(channel).add(handler);
+    return () => this.handlers.get(channel)?.delete(handler);
+  }
+
+  // Pub/sub needs a connection of its own
+  getSubscriber() {
+    if (!this.subscriber) {
+      this.subscriber = this.client.duplicate();
+      this.subscriber.on?.('error', (error) => this.markDegraded(error));
+      this.subscriber.on('message', (prefixedChannel, raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw);
+        } catch (error) {
+          return;
+        }
+        this.deliver(prefixedChannel.slice(this.prefix.length), message);
+      });
+    }
+    return this.subscriber;
+  }
+
+  deliver(channel, message) {
+    for (const handler of this.handlers.get(channel) || []) {
+      try {
+        handler(message);
+      } catch (error) {
+        console.error(`❌ State store subscriber for ${channel} failed:`, error.message);
+      }
+    }
+  }
+
+  async close() {
+    await Promise.all([this.client, this.subscriber].filter(Boolean).map(connection => connection.quit().catch(() => null)));
+    await this.fallback.close();
+  }
+}
+
+let sharedStore = null;
+
+/**
+ * Process-wide store: Redis when REDIS_URL is set, otherwise memory
+ */
+const getStateStore = () => {
+  if (!sharedStore) {
+    sharedStore = process.env.REDIS_URL ? new RedisStateStore() : new MemoryStateStore();
+    console.log(`🗄️ State store: ${sharedStore.name}`);
+  }
+  return sharedStore;
+};
+
+// Replace the shared store (tests, or shutting down)
+const setStateStore = (store) => {
+  sharedStore = store;
+};
+
+module.exports = {
+  MemoryStateStore,
+  RedisStateStore,
+  getStateStore,
+  setStateStore
+};
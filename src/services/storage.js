@@ -0,0 +1,232 @@
+/**
+ * Object Storage Service
+ *
+ * Pluggable storage for call recordings and other binary artifacts. Objects are
+ * referenced by a locator string stored in the database:
+ *   local:recordings/<org>/<callSid>.wav   (filesystem under STORAGE_LOCAL_PATH)
+ *   s3://<bucket>/recordings/<org>/<callSid>.wav   (any S3-compatible service)
+ *
+ * STORAGE_BACKEND selects where new objects are written (default "local"). Existing
+ * objects are always read from the backend named in their locator, so switching
+ * backends does not orphan old recordings.
+ *
+ * The S3 backend needs `@aws-sdk/client-s3`, which is loaded lazily so local
+ * deployments don't need it installed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOCAL_PATH = path.join(__dirname, '..', '..', 'storage');
+
+/**
+ * Turn a requested range ({ start, end } or { suffix }) into inclusive byte offsets
+ * Throws a RANGE_NOT_SATISFIABLE error when the range starts past the end of the object
+ */
+const resolveRange = (range = {}, size) => {
+  let start = range.start || 0;
+  let end = range.end !== undefined ? Math.min(range.end, size - 1) : size - 1;
+
+  if (range.suffix !== undefined) {
+    start = Math.max(0, size - range.suffix);
+    end = size - 1;
+  }
+
+  if (start >= size || start > end) {
+    const error = new Error(`Range not satisfiable for object of ${size} bytes`);
+    error.code = 'RANGE_NOT_SATISFIABLE';
+    error.size = size;
+    throw error;
+  }
+
+  return { start, end };
+};
+
+class LocalStorageBackend {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.root = path.resolve(options.root || process.env.STORAGE_LOCAL_PATH || DEFAULT_LOCAL_PATH);
+  }
+
+  resolvePath(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, data) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, data);
+    return `local:${key}`;
+  }
+
+  async open(key, range = {}) {
+    const filePath = this.resolvePath(key);
+    const { size } = await fs.promises.stat(filePath);
+    const { start, end } = resolveRange(range, size);
+
+    return {
+      stream: fs.createReadStream(filePath, { start, end }),
+      size,
+      start,
+      end
+    };
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolvePath(key), { force: true });
+  }
+}
+
+class S3StorageBackend {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.bucket = options.bucket || process.env.STORAGE_S3_BUCKET;
+    this.options = {
+      region: options.region || process.env.STORAGE_S3_REGION || 'us-east-1',
+      endpoint: options.endpoint || process.env.STORAGE_S3_ENDPOINT || undefined,
+      // Most self-hosted S3-compatible services (MinIO, ...) need path-style URLs
+      forcePathStyle: options.forcePathStyle ?? process.env.STORAGE_S3_FORCE_PATH_STYLE === 'true'
+    };
+    this.client = null;
+    this.sdk = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      if (!this.bucket) {
+        throw new Error('STORAGE_S3_BUCKET must be set to use S3 storage');
+      }
+      try {
+        this.sdk = require('@aws-sdk/client-s3');
+      } catch (error) {
+        throw new Error('S3 storage requires the @aws-sdk/client-s3 package (npm install @aws-sdk/client-s3)');
+      }
+
+      const credentials = process.env.STORAGE_S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.STORAGE_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.STORAGE_S3_SECRET_ACCESS_KEY
+      } : undefined; // fall back to the SDK's default credential chain (IAM role, env, ...)
+
+      this.client = new this.sdk.S3Client({ ...this.options, credentials });
+    }
+    return this.client;
+  }
+
+  async save(key, data, { contentType } = {}) {
+    const client = this.getClient();
+    await client.send(new this.sdk.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: data,
+      ContentType: contentType
+    }));
+    return `s3://${this.bucket}/${key}`;
+  }
+
+  async open(key, range = {}) {
+    const client = this.getClient();
+    const head = await client.send(new this.sdk.HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+    const size = head.ContentLength;
+    const { start, end } = resolveRange(range, size);
+
+    const object = await client.send(new this.sdk.GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Range: `bytes=${start}-${end}`
+    }));
+
+    return { stream: object.Body, size, start, end };
+  }
+
+  async remove(key) {
+    const client = this.getClient();
+    await client.send(new this.sdk.DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+}
+
+const backends = {};
+
+/**
+ * Get a storage backend by name (defaults to STORAGE_BACKEND, then "local")
+ */
+const getStorageBackend = (name = process.env.STORAGE_BACKEND || 'local') => {
+  if (!backends[name]) {
+    switch (name) {
+      case 'local':
+        backends[name] = new LocalStorageBackend();
+        break;
+      case 's3':
+        backends[name] = new S3StorageBackend();
+        break;
+      default:
+        throw new Error(`Unknown storage backend: ${name}`);
+    }
+  }
+  return backends[name];
+};
+
+/**
+ * Split a locator into the backend that holds it and the object key
+ * @param {string} locator - e.g. "local:recordings/a.wav" or "s3://bucket/recordings/a.wav"
+ * @returns {object} - { backend, key, bucket }
+ */
+const parseLocator = (locator) => {
+  const s3Match = /^s3:\/\/([^/]+)\/(.+)$/.exec(locator || '');
+  if (s3Match) {
+    return { backend: 's3', bucket: s3Match[1], key: s3Match[2] };
+  }
+
+  const localMatch = /^local:(.+)$/.exec(locator || '');
+  if (localMatch) {
+    return { backend: 'local', key: localMatch[1] };
+  }
+
+  throw new Error(`Unrecognized storage locator: ${locator}`);
+};
+
+const backendForLocator = (locator) => {
+  const { backend, bucket, key } = parseLocator(locator);
+  if (backend === 's3') {
+    const defaultBackend = getStorageBackend('s3');
+    return { key, storage: bucket === defaultBackend.bucket ? defaultBackend : new S3StorageBackend({ bucket }) };
+  }
+  return { key, storage: getStorageBackend(backend) };
+};
+
+/**
+ * Store an object on the configured backend
+ * @returns {string} - Locator to persist (e.g. in Call.recordingUrl)
+ */
+const saveObject = async (key, data, options = {}) => {
+  return getStorageBackend().save(key, data, options);
+};
+
+/**
+ * Open a stored object for streaming, optionally a byte range of it
+ * @param {string} locator
+ * @param {object} range - { start, end } (inclusive, both optional) or { suffix } for the last N bytes
+ * @returns {object} - { stream, size, start, end }
+ */
+const openObject = async (locator, range = {}) => {
+  const { storage, key } = backendForLocator(locator);
+  return storage.open(key, range);
+};
+
+const removeObject = async (locator) => {
+  const { storage, key } = backendForLocator(locator);
+  return storage.remove(key);
+};
+
+module.exports = {
+  LocalStorageBackend,
+  S3StorageBackend,
+  getStorageBackend,
+  parseLocator,
+  saveObject,
+  openObject,
+  removeObject
+};
@@ -35,11 +35,14 @@ class STTService extends EventEmitter {
     this.interimTranscript = '';
     this._readyEmitted = false;
     this._connectionReady = false;
+    // Options of the current connection, reused when reconnecting
+    this.listenOptions = {};
   }
 
   startListening(options = {}) {
     if (this.isListening) return;
 
+    this.listenOptions = options;
     const config = {
       model: 'nova-2-phonecall',
       language: 'en-US',
@@ -52,6 +55,7 @@ class STTService extends EventEmitter {
       diarize: false,
       filler_words: false,
       vad_events: true,
+      utterance_end_ms: 1000, // UtteranceEnd after a 1s gap in words (end-of-turn hint)
       ...options
     };
 
@@ -121,6 +125,8 @@ class STTService extends EventEmitter {
         
         const transcript = (alt.transcript || '').trim();
         const confidence = alt.confidence || 0;
+        // Only populated by the multilingual model
+        const languages = alt.languages || [];
 
         // Only log if there's actual content or important final results
         if (transcript.length > 0 || (data.is_final && data.speech_final)) {
@@ -149,7 +155,9 @@ class STTService extends EventEmitter {
             this.emit('transcript', {
               text: transcript,
               isFinal: true,
+              speechFinal: isSpeechFinal,
               confidence,
+              languages,
               timestamp: Date.now(),
             });
 
@@ -162,7 +170,8 @@ class STTService extends EventEmitter {
               console.log('STT: Speech final detected, emitting speechEnded');
               this.emit('speechEnded', { 
                 timestamp: Date.now(),
-                finalTranscript: this.currentTranscript 
+                finalTranscript: this.currentTranscript,
+                reason: 'speechFinal'
               });
             }
           } else {
@@ -199,7 +208,8 @@ class STTService extends EventEmitter {
       console.log('STT: Speech ended detected');
       this.emit('speechEnded', { 
         timestamp: Date.now(),
-        finalTranscript: this.currentTranscript 
+        finalTranscript: this.currentTranscript,
+        reason: 'utteranceEnd'
       });
       // Don't reset silence timeout here - let index.js handle it
     });
@@ -254,7 +264,7 @@ class STTService extends EventEmitter {
     console.log('Attempting STT reconnection...');
     try {
       await new Promise(resolve => setTimeout(resolve, 500)); // Brief delay
-      this.startListening();
+      this.startListening(this.listenOptions);
     } catch (error) {
       console.error('STT reconnection failed:', error);
       this.emit('reconnectFailed', error);
@@ -363,6 +373,27 @@ class STTService extends EventEmitter {
     }
   }
 
+  // Reconnect with different options (e.g. the caller's language), keeping queued audio
+  restartListening(options = {}) {
+    const previous = this.connection;
+    if (previous) {
+      console.log('Restarting STT with options:', options);
+      // The old connection's close event must not tear down the new one
+      previous.removeAllListeners();
+      try {
+        previous.finish();
+      } catch (error) {
+        console.warn('STT: Error closing previous connection:', error.message);
+      }
+      this.connection = null;
+      this.isListening = false;
+      this._connectionReady = false;
+    }
+
+    this.clearSilenceTimeout();
+    return this.startListening(options);
+  }
+
   // Get current transcription state
   getTranscriptionState() {
     return {
@@ -381,13 +412,16 @@ class STTService extends EventEmitter {
 
   // Legacy method for backward compatibility
   async getTranscription(audioBuffer) {
+    // Same model and language as the live call (e.g. a Spanish caller's voicemail)
+    const { model = 'nova-2-phonecall', language = 'en-US' } = this.listenOptions;
+
     try {
       // For Deepgram SDK v4, we need to use the correct API
       const response = await this.deepgram.listen.prerecorded.transcribeFile(
         audioBuffer,
         {
-          model: 'nova-2-phonecall',
-          language: 'en-US',
+          model,
+          language,
           punctuate: true,
           smart_format: true,
         }
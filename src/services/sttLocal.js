@@ -0,0 +1,191 @@
+/**
+ * Local (offline) Speech-to-Text Provider
+ *
+ * Runs an on-box recognizer binary (whisper.cpp, Vosk, ...) once per caller utterance
+ * instead of streaming to a cloud API. Utterances are cut from the mu-law stream with
+ * an energy-based segmenter, written to a 16kHz PCM WAV file and passed to the command.
+ *
+ * Configuration:
+ *   LOCAL_STT_COMMAND  recognizer binary, e.g. /opt/whisper.cpp/build/bin/whisper-cli
+ *   LOCAL_STT_ARGS     argument template; {file}, {language} and {model} are substituted
+ *                      (default: whisper.cpp's "-m {model} -f {file} -l {language} -nt -np")
+ *   LOCAL_STT_MODEL    model path for the default arguments
+ *
+ * The command must print the transcript on stdout. Recognizers are not interrupted
+ * mid-utterance, so transcripts are final-only (no interim results).
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { SpeechSegmenter, createPcmWavFromMulaw, wavToMulaw } = require('./audio');
+
+const DEFAULT_ARGS = '-m {model} -f {file} -l {language} -nt -np';
+const DEFAULT_TIMEOUT_MS = 15000;
+const SILENCE_TIMEOUT_MS = 3000;
+
+// whisper.cpp prints "[00:00:00.000 --> 00:00:02.000]" prefixes unless -nt is passed
+const TIMESTAMP_PATTERN = /\[\d{2}:\d{2}:\d{2}\.\d{3} --> \d{2}:\d{2}:\d{2}\.\d{3}\]/g;
+
+// Deepgram-style options ('en-US', 'es', 'multi') to the two-letter codes recognizers take
+const toRecognizerLanguage = (language) => {
+  if (!language || language === 'multi') return 'auto';
+  return language.split('-')[0];
+};
+
+class LocalSTTProvider extends EventEmitter {
+  /**
+   * @param {object} options - { command, args (array or template string), model, timeoutMs,
+   *                            segmenter (SpeechSegmenter options), confidence }
+   */
+  constructor(options = {}) {
+    super();
+
+    this.command = options.command || process.env.LOCAL_STT_COMMAND;
+    if (!this.command) {
+      throw new Error('LOCAL_STT_COMMAND environment variable is required for the local STT provider');
+    }
+
+    const args = options.args || process.env.LOCAL_STT_ARGS || DEFAULT_ARGS;
+    this.args = Array.isArray(args) ? args : args.split(/\s+/).filter(Boolean);
+    this.model = options.model || process.env.LOCAL_STT_MODEL || '';
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    // Recognizer binaries don't report confidence; transcripts are treated as reliable
+    this.confidence = options.confidence ?? 0.9;
+
+    this.segmenter = new SpeechSegmenter(options.segmenter);
+    this.isListening = false;
+    this.listenOptions = {};
+    this.bargeInDetected = false;
+    this.currentTranscript = '';
+    this.silenceTimeout = null;
+    this.pending = Promise.resolve();
+  }
+
+  startListening(options = {}) {
+    if (this.isListening) return;
+
+    this.listenOptions = options;
+    this.isListening = true;
+    this.bargeInDetected = false;
+    this.segmenter.reset();
+    console.log('Local STT listening with:', this.command, `(language: ${toRecognizerLanguage(options.language)})`);
+    setImmediate(() => this.emit('ready'));
+  }
+
+  restartListening(options = {}) {
+    this.isListening = false;
+    this.clearSilenceTimeout();
+    this.startListening(options);
+  }
+
+  stopListening() {
+    if (!this.isListening) return;
+    console.log('Stopping local STT listening');
+    this.isListening = false;
+    this.segmenter.reset();
+    this.clearSilenceTimeout();
+  }
+
+  sendAudio(audioData) {
+    if (!this.isListening) return;
+
+    const { speechStarted, utterance } = this.segmenter.push(audioData);
+
+    if (speechStarted) {
+      this.clearSilenceTimeout();
+      this.bargeInDetected = true;
+      this.emit('speechStarted', { timestamp: Date.now() });
+      this.emit('bargeIn', { timestamp: Date.now() });
+    }
+
+    if (utterance) {
+      const language = this.listenOptions.language;
+      // One recognizer run at a time keeps transcripts in the order they were spoken
+      this.pending = this.pending
+        .then(() => this.transcribe(utterance, language))
+        .then((text) => this.emitFinal(text))
+        .catch((error) => {
+          console.error('Local STT error:', error.message);
+          this.emit('error', error);
+        });
+    }
+  }
+
+  emitFinal(text) {
+    this.bargeInDetected = false;
+    if (!text) return;
+
+    this.currentTranscript = text;
+    // The segmenter only closes an utterance once the caller stops talking
+    this.emit('transcript', {
+      text,
+      isFinal: true,
+      speechFinal: true,
+      confidence: this.confidence,
+      languages: [],
+      timestamp: Date.now()
+    });
+    this.emit('speechEnded', { timestamp: Date.now(), finalTranscript: text, reason: 'speechFinal' });
+    this.resetSilenceTimeout();
+  }
+
+  /**
+   * Run the recognizer on raw mu-law audio
+   * @returns {string} - The transcript, '' when nothing was recognized
+   */
+  async transcribe(mulaw, language = this.listenOptions.language) {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'infinioffice-stt-'));
+    const file = path.join(directory, 'utterance.wav');
+
+    try {
+      await fs.promises.writeFile(file, createPcmWavFromMulaw(mulaw));
+      const args = this.args.map(arg => arg
+        .replace('{file}', file)
+        .replace('{language}', toRecognizerLanguage(language))
+        .replace('{model}', this.model));
+
+      const stdout = await new Promise((resolve, reject) => {
+        execFile(this.command, args, { timeout: this.timeoutMs, maxBuffer: 1024 * 1024 }, (error, out) => {
+          if (error) reject(new Error(`Local STT command failed: ${error.message}`));
+          else resolve(out);
+        });
+      });
+
+      return stdout.replace(TIMESTAMP_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+    } finally {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  // Prerecorded audio (voicemail): a WAV container or raw mu-law
+  async getTranscription(audioBuffer) {
+    const isWav = audioBuffer.length > 12 && audioBuffer.toString('ascii', 0, 4) === 'RIFF';
+    return this.transcribe(isWav ? wavToMulaw(audioBuffer) : audioBuffer);
+  }
+
+  resetSilenceTimeout() {
+    this.clearSilenceTimeout();
+    this.silenceTimeout = setTimeout(() => {
+      this.emit('silence');
+    }, SILENCE_TIMEOUT_MS);
+  }
+
+  clearSilenceTimeout() {
+    if (this.silenceTimeout) {
+      clearTimeout(this.silenceTimeout);
+      this.silenceTimeout = null;
+    }
+  }
+
+  resetBargeInDetection() {
+    this.bargeInDetected = false;
+  }
+}
+
+module.exports = {
+  LocalSTTProvider,
+  toRecognizerLanguage
+};
@@ -0,0 +1,109 @@
+/**
+ * Speech-to-Text Providers
+ *
+ * Every provider is an EventEmitter with the contract the media-stream handler relies on:
+ *   methods: startListening(options), restartListening(options), stopListening(),
+ *            sendAudio(mulawFrame), getTranscription(audio) for voicemail, and optionally
+ *            flushAudioQueue() / resetBargeInDetection()
+ *   events:  ready, transcript { text, isFinal, speechFinal, confidence, languages, timestamp },
+ *            speechStarted, speechEnded { finalTranscript, reason: 'speechFinal' | 'utteranceEnd' },
+ *            bargeIn, silence, error
+ *            (speechFinal: the final ends where the caller stopped talking, see endOfTurn.js)
+ *
+ * Providers:
+ *   deepgram - Deepgram live streaming (STTService)
+ *   local    - offline recognizer binary such as whisper.cpp or Vosk (sttLocal.js)
+ *   scripted - deterministic transcripts for tests and the call simulator (sttScripted.js)
+ *
+ * Organizations pick one with `voiceSettings.sttProvider`; STT_PROVIDER sets the default.
+ */
+
+const { STTService } = require('./stt');
+const { LocalSTTProvider } = require('./sttLocal');
+const { ScriptedSTTProvider } = require('./sttScripted');
+
+const STT_EVENTS = ['ready', 'transcript', 'speechStarted', 'speechEnded', 'bargeIn', 'silence', 'error', 'closed', 'reconnectFailed'];
+
+const STT_PROVIDERS = {
+  deepgram: {
+    name: 'Deepgram',
+    selectable: true,
+    create: () => new STTService()
+  },
+  local: {
+    name: 'Local (offline)',
+    selectable: true,
+    create: (options) => new LocalSTTProvider(options)
+  },
+  scripted: {
+    name: 'Scripted (testing)',
+    selectable: false,
+    create: (options) => new ScriptedSTTProvider(options)
+  }
+};
+
+/**
+ * Provider used when an organization hasn't chosen one: STT_PROVIDER, else Deepgram
+ * when it is configured, else the local recognizer when it is
+ */
+const getDefaultSttProvider = () => {
+  if (STT_PROVIDERS[process.env.STT_PROVIDER]) return process.env.STT_PROVIDER;
+  if (!process.env.DEEPGRAM_API_KEY && process.env.LOCAL_STT_COMMAND) return 'local';
+  return 'deepgram';
+};
+
+/**
+ * @param {object} voiceSettings - BusinessConfig.voiceSettings
+ * @returns {string} - The organization's provider, or the default
+ */
+const getSttProviderName = (voiceSettings) => {
+  const name = voiceSettings?.sttProvider;
+  return STT_PROVIDERS[name] ? name : getDefaultSttProvider();
+};
+
+/**
+ * Providers organizations may choose in their voice settings
+ */
+const getSelectableSttProviders = () => Object.entries(STT_PROVIDERS)
+  .filter(([, provider]) => provider.selectable)
+  .map(([id, provider]) => ({ id, name: provider.name }));
+
+/**
+ * @param {object} options - { provider, ...provider options }
+ */
+const createSTTProvider = ({ provider = getDefaultSttProvider(), ...options } = {}) => {
+  const definition = STT_PROVIDERS[provider];
+  if (!definition) {
+    throw new Error(`Unknown STT provider: ${provider}`);
+  }
+
+  const stt = definition.create(options);
+  stt.providerName = provider;
+  return stt;
+};
+
+/**
+ * Hand a call's event handlers over to a replacement provider (e.g. once the
+ * organization's choice is known) and detach them from the old one
+ */
+const moveSttListeners = (from, to) => {
+  for (const event of STT_EVENTS) {
+    for (const listener of from.listeners(event)) {
+      to.on(event, listener);
+    }
+    from.removeAllListeners(event);
+  }
+  // A retired provider may still report errors while its connection closes
+  from.on('error', (error) => console.warn('STT: Error from replaced provider:', error.message));
+  return to;
+};
+
+module.exports = {
+  STT_EVENTS,
+  STT_PROVIDERS,
+  getDefaultSttProvider,
+  getSttProviderName,
+  getSelectableSttProviders,
+  createSTTProvider,
+  moveSttListeners
+};
@@ -0,0 +1,104 @@
+/**
+ * Scripted Speech-to-Text Provider
+ *
+ * Deterministic STT for tests and the call simulator; never touches the network.
+ *   - Simulator text frames (see src/simulator/protocol.js) are "transcribed" to the
+ *     text they carry
+ *   - Real caller audio is cut into utterances by energy and each one is "heard" as the
+ *     next line of `script`; with the script exhausted, audio is ignored
+ */
+
+const EventEmitter = require('events');
+const { SpeechSegmenter } = require('./audio');
+const { TEXT_FRAME_PREFIX, decodeTextFrame } = require('../simulator/protocol');
+
+const delay = (ms) => new Promise(resolve => (ms > 0 ? setTimeout(resolve, ms) : setImmediate(resolve)));
+
+class ScriptedSTTProvider extends EventEmitter {
+  /**
+   * @param {object} options - { script: string[], transcriptDelayMs, confidence, segmenter }
+   */
+  constructor({ script = [], transcriptDelayMs = 0, confidence = 0.98, segmenter } = {}) {
+    super();
+    this.script = [...script];
+    this.transcriptDelayMs = transcriptDelayMs;
+    this.confidence = confidence;
+    this.segmenter = new SpeechSegmenter(segmenter);
+    this.isListening = false;
+    this.listenOptions = {};
+    this.heard = [];
+  }
+
+  startListening(options = {}) {
+    if (this.isListening) return;
+    this.isListening = true;
+    this.listenOptions = options;
+    setImmediate(() => this.emit('ready'));
+  }
+
+  restartListening(options = {}) {
+    this.isListening = false;
+    this.startListening(options);
+  }
+
+  stopListening() {
+    this.isListening = false;
+    this.segmenter.reset();
+  }
+
+  sendAudio(audio) {
+    if (!this.isListening) return;
+
+    const text = decodeTextFrame(audio);
+    if (text) {
+      this.emitSpeechStarted();
+      this.emitUtterance(text);
+      return;
+    }
+
+    if (this.script.length === 0) return;
+
+    const { speechStarted, utterance } = this.segmenter.push(audio);
+    if (speechStarted) this.emitSpeechStarted();
+    if (utterance) this.emitUtterance(this.script.shift());
+  }
+
+  emitSpeechStarted() {
+    this.emit('speechStarted', { timestamp: Date.now() });
+    this.emit('bargeIn', { timestamp: Date.now() });
+  }
+
+  emitUtterance(text) {
+    delay(this.transcriptDelayMs).then(() => {
+      this.heard.push(text);
+      this.emit('transcript', {
+        text,
+        isFinal: true,
+        speechFinal: true,
+        confidence: this.confidence,
+        languages: [],
+        timestamp: Date.now()
+      });
+      this.emit('speechEnded', { timestamp: Date.now(), finalTranscript: text, reason: 'speechFinal' });
+    });
+  }
+
+  flushAudioQueue() {}
+
+  resetBargeInDetection() {}
+
+  // Voicemail transcription: the text frames left in the recording, else the next script
+  // line. Silence (0xFF) never occurs in UTF-8, so it marks where each text frame ends.
+  async getTranscription(audio) {
+    const text = Buffer.from(audio).toString('latin1')
+      .split('\xff')
+      .flatMap(segment => segment.split(TEXT_FRAME_PREFIX.toString('latin1')).slice(1))
+      .map(part => Buffer.from(part, 'latin1').toString('utf8').trim())
+      .filter(Boolean)
+      .join(' ');
+
+    return text || this.script.shift() || '';
+  }
+}
+
+module.exports = { ScriptedSTTProvider };
@@ -1,11 +1,90 @@
 
 const twilio = require('twilio');
 const { VoiceResponse } = twilio.twiml;
+const { getStateStore } = require('./stateStore');
 
-// Temporary store for call information (in production, use Redis)
-const callStore = new Map();
+// Call information handed from the webhook to the media stream, which may land on another
+// instance; kept in the shared state store until the stream picks it up
+const CALL_PARAMETERS_TTL_MS = 10 * 60 * 1000;
 
-const handleIncomingCall = (req, res) => {
+const callStore = {
+  save: (callSid, data) => getStateStore().set(`call:${callSid}`, data, { ttlMs: CALL_PARAMETERS_TTL_MS }),
+  // Read once: the stream that claims the call removes it
+  take: (callSid) => getStateStore().take(`call:${callSid}`)
+};
+
+// Context of the called organization (null for unknown numbers or when the lookup fails)
+const getCalledOrganization = async (toNumber) => {
+  if (!toNumber) return null;
+
+  try {
+    const { OrganizationContextService } = require('./organizationContext');
+    const organizationContext = await new OrganizationContextService().getOrganizationContext(toNumber);
+
+    // The default context's placeholder settings don't belong to a real business
+    return organizationContext?.twilioNumber ? organizationContext : null;
+  } catch (error) {
+    // Never block a call on the lookup; the assistant can still answer
+    console.error('⚠️ Organization lookup failed, connecting assistant:', error.message);
+    return null;
+  }
+};
+
+// After-hours decision for the called organization (null = connect the assistant as usual)
+const getAfterHoursDecision = (organizationContext) => {
+  if (!organizationContext) return null;
+
+  try {
+    const { evaluateAfterHours } = require('./afterHours');
+    const decision = evaluateAfterHours(organizationContext.businessConfig);
+    return decision.afterHours ? { ...decision, organizationContext } : null;
+  } catch (error) {
+    console.error('⚠️ After-hours check failed, connecting assistant:', error.message);
+    return null;
+  }
+};
+
+// Take a concurrent call slot; a failing store never blocks the call
+const acquireCallSlot = async (callSid, organizationContext) => {
+  try {
+    const { CallConcurrency } = require('./concurrency');
+    return await new CallConcurrency().acquire({
+      callSid,
+      organizationId: organizationContext?.organizationId || null,
+      plan: organizationContext?.plan
+    });
+  } catch (error) {
+    console.error('⚠️ Concurrency check failed, connecting assistant:', error.message);
+    return { allowed: true };
+  }
+};
+
+// TwiML for a call over the concurrency limit: forward it or apologise and hang up
+const buildOverflowResponse = async (req, { callSid, toNumber, fromNumber, organizationContext }) => {
+  const { getOverflowConfig, getOverflowMessage } = require('./concurrency');
+  const businessConfig = organizationContext?.businessConfig;
+  const config = getOverflowConfig(businessConfig);
+
+  if (config.mode === 'forward') {
+    const { CallTransferService } = require('./callTransfer');
+    return await new CallTransferService().buildForwardTwiml({
+      callSid,
+      forwardNumber: config.forwardNumber,
+      baseUrl: getWebhookBaseUrl(req),
+      callerId: toNumber,
+      organizationName: organizationContext?.organizationName,
+      callerPhone: fromNumber,
+      reason: 'all lines busy'
+    });
+  }
+
+  const voiceResponse = new VoiceResponse();
+  voiceResponse.say(getOverflowMessage({ organizationName: organizationContext?.organizationName, businessConfig }));
+  voiceResponse.hangup();
+  return voiceResponse.toString();
+};
+
+const handleIncomingCall = async (req, res) => {
   console.log('🚨 WEBHOOK CALLED - handleIncomingCall starting');
   console.log('📋 Request body:', req.body);
   console.log('📋 Request headers:', req.headers);
@@ -23,6 +102,50 @@ const handleIncomingCall = (req, res) => {
     callSid: callSid
   });
 
+  const organizationContext = await getCalledOrganization(toNumber);
+  const afterHours = getAfterHoursDecision(organizationContext);
+  if (afterHours) {
+    console.log('🌙 Call received outside business hours:', {
+      mode: afterHours.mode,
+      reason: afterHours.status.reason,
+      nextOpening: afterHours.status.nextOpening?.label
+    });
+  }
+
+  if (afterHours?.mode === 'forward') {
+    const { CallTransferService } = require('./callTransfer');
+    const twimlResponse = await new CallTransferService().buildForwardTwiml({
+      callSid,
+      forwardNumber: afterHours.config.forwardNumber,
+      baseUrl: getWebhookBaseUrl(req),
+      callerId: toNumber,
+      organizationName: afterHours.organizationContext.organizationName,
+      callerPhone: fromNumber,
+      reason: 'after hours'
+    });
+
+    console.log('📤 Forwarding after-hours call:', twimlResponse);
+    res.type('text/xml');
+    res.send(twimlResponse);
+    return;
+  }
+
+  const slot = await acquireCallSlot(callSid, organizationContext);
+  if (!slot.allowed) {
+    console.log('🚦 Call over the concurrent call limit:', {
+      scope: slot.scope,
+      active: slot.active,
+      limit: slot.limit,
+      plan: organizationContext?.plan
+    });
+
+    const twimlResponse = await buildOverflowResponse(req, { callSid, toNumber, fromNumber, organizationContext });
+    console.log('📤 Sending overflow TwiML:', twimlResponse);
+    res.type('text/xml');
+    res.send(twimlResponse);
+    return;
+  }
+
   // Start immediate streaming connection without initial TTS
   // The greeting will be handled via Deepgram TTS through the WebSocket
   const connect = voiceResponse.connect();
@@ -42,12 +165,17 @@ const handleIncomingCall = (req, res) => {
   });
   
   // Store call information for WebSocket to retrieve
-  callStore.set(callSid, {
-    to: toNumber,
-    from: fromNumber,
-    callSid: callSid,
-    timestamp: Date.now()
-  });
+  try {
+    await callStore.save(callSid, {
+      to: toNumber,
+      from: fromNumber,
+      callSid: callSid,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    // The stream parameters below carry the same information
+    console.error('⚠️ Could not store call parameters:', error.message);
+  }
   
   // Pass call information via Stream custom parameters (not query params)
   // Twilio will send these in the 'start' event data
@@ -55,6 +183,13 @@ const handleIncomingCall = (req, res) => {
   stream.parameter({ name: 'to', value: toNumber });
   stream.parameter({ name: 'from', value: fromNumber });
   stream.parameter({ name: 'callSid', value: callSid });
+  if (afterHours) {
+    // "message" goes straight to voicemail; "book_next_available" keeps the assistant
+    stream.parameter({ name: 'afterHours', value: afterHours.mode });
+    if (afterHours.mode === 'message') {
+      stream.parameter({ name: 'mode', value: 'voicemail' });
+    }
+  }
 
   const twimlResponse = voiceResponse.toString();
   console.log('📤 Sending TwiML response to Twilio:', twimlResponse);
@@ -63,17 +198,39 @@ const handleIncomingCall = (req, res) => {
   res.send(twimlResponse);
 };
 
-const validateTwilioRequest = (req) => {
-  const authToken = process.env.TWILIO_AUTH_TOKEN;
-  const signature = req.headers['x-twilio-signature'];
-  const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
-  
-  if (!authToken) {
-    console.warn('TWILIO_AUTH_TOKEN not set - skipping validation');
-    return true;
-  }
-  
-  return twilio.validateRequest(authToken, signature, url, req.body);
+// Public base URL Twilio can reach, preferring explicit config over proxy headers
+const getWebhookBaseUrl = (req) => {
+  return process.env.TWILIO_WEBHOOK_BASE_URL || process.env.BASE_URL ||
+    `https://${req.headers['x-forwarded-host'] || req.headers.host}`;
+};
+
+// Whisper played to the human who answers a warm transfer
+const handleTransferWhisper = async (req, res) => {
+  const { CallTransferService } = require('./callTransfer');
+  const parentCallSid = req.body.ParentCallSid || req.body.CallSid;
+
+  console.log('🗣️ Transfer answered, playing whisper for call:', parentCallSid);
+
+  res.type('text/xml');
+  res.send(await new CallTransferService().buildWhisperTwiml(parentCallSid));
+};
+
+// <Dial> action callback: record the transfer outcome, fall back to voicemail if unanswered
+const handleTransferStatus = async (req, res) => {
+  const { CallTransferService } = require('./callTransfer');
+
+  console.log('📞 Transfer dial result:', {
+    callSid: req.body.CallSid,
+    dialStatus: req.body.DialCallStatus,
+    duration: req.body.DialCallDuration
+  });
+
+  const twimlResponse = await new CallTransferService().handleDialResult(req.body, {
+    baseUrl: getWebhookBaseUrl(req)
+  });
+
+  res.type('text/xml');
+  res.send(twimlResponse);
 };
 
 const createOutboundCall = async (toNumber, fromNumber, webhookUrl) => {
@@ -96,7 +253,9 @@ const createOutboundCall = async (toNumber, fromNumber, webhookUrl) => {
 
 module.exports = {
   handleIncomingCall,
-  validateTwilioRequest,
+  handleTransferWhisper,
+  handleTransferStatus,
+  getWebhookBaseUrl,
   createOutboundCall,
   callStore, // Export for WebSocket handler to access
 };
@@ -3,6 +3,11 @@
  * Supports location capture, tenant customization, and MVP requirements
  */
 
+const { formatBusinessHours, getBusinessHoursStatus } = require('./businessHours');
+const { resolveTimeWindow, describeInstant, getServiceDuration } = require('./dateResolver');
+const { AvailabilityService } = require('./availability');
+const { calendarSync } = require('./calendar');
+
 // Tool schemas for OpenAI function calling
 const TOOL_SCHEMAS = {
   set_slot: {
@@ -155,6 +160,8 @@ class ToolExecutor {
     this.slots = context.slots || {};
     this.confirmationAttempts = context.confirmationAttempts || {};
     this.digressionStack = context.digressionStack || [];
+    this.availability = context.availability || new AvailabilityService();
+    this.calendarSync = context.calendarSync || calendarSync;
   }
 
   async executeTools(toolCalls) {
@@ -247,16 +254,40 @@ class ToolExecutor {
     };
   }
 
-  confirmSlot(name, value, attemptNumber) {
+  async confirmSlot(name, value, attemptNumber) {
     // Track confirmation attempts
     if (!this.confirmationAttempts[name]) {
       this.confirmationAttempts[name] = 0;
     }
     this.confirmationAttempts[name] = attemptNumber;
 
+    // Read times back as the concrete day they resolve to, or ask when it's unclear
+    let timeReadback = `So that's ${value} - is that correct?`;
+    if (name === 'time_window') {
+      const window = resolveTimeWindow(value, { businessConfig: this.context.businessConfig });
+      if (window.status === 'resolved') {
+        // Don't read back a time that's already taken; offer the nearest open ones instead
+        const check = await this.checkBookingTime(window, this.slots.service);
+        if (!check.available) {
+          return {
+            success: false,
+            slot: name,
+            unavailable: true,
+            alternatives: this.formatAlternatives(check.alternatives),
+            prompt: check.message,
+            message: `${window.label} is not available`
+          };
+        }
+        value = window.exact ? window.label : check.slot.label;
+        timeReadback = `So that's ${value} - is that correct?`;
+      } else if (window.status === 'ambiguous') {
+        timeReadback = window.question;
+      }
+    }
+
     const confirmationPrompts = {
       service: `Just to confirm, you need ${value}?`,
-      time_window: `So that's ${value} - is that correct?`, 
+      time_window: timeReadback, 
       contact: `I have your contact as ${value}. Is that right?`,
       location: `The address is ${value} - correct?`,
       all_details: `Let me confirm everything: ${this.formatAllDetails()} - is this all correct?`
@@ -339,22 +370,41 @@ class ToolExecutor {
         };
       }
 
-      // Create appointment record
-      const appointment = await createAppointment({
+      const booking = this.resolveBookingTime(appointmentData);
+      if (!booking.success) return booking;
+
+      const check = await this.checkBookingTime(booking.window, appointmentData.service);
+      if (!check.available) {
+        return {
+          success: false,
+          unavailable: true,
+          reason: check.reason,
+          alternatives: this.formatAlternatives(check.alternatives),
+          prompt: check.message,
+          message: `${booking.window.label} is not available`
+        };
+      }
+
+      // Create appointment record, then put it on the connected calendar
+      const created = await createAppointment({
         organizationId: this.context.organizationId || process.env.DEFAULT_ORG_ID,
         service: appointmentData.service,
         contactPhone: this.extractPhoneNumber(appointmentData.contact),
-        notes: this.formatAppointmentNotes(appointmentData),
+        notes: this.formatAppointmentNotes({ ...appointmentData, time_window: booking.window.label }),
         status: 'scheduled',
-        startAt: this.parseDateTime(appointmentData.time_window),
-        endAt: this.addHour(this.parseDateTime(appointmentData.time_window))
+        startAt: check.slot.start,
+        endAt: check.slot.end
       });
+      const appointment = await this.calendarSync.syncAppointment(created);
 
       return {
         success: true,
         appointment_id: appointment.id,
+        calendar_event_id: appointment.externalId || null,
+        start_at: check.slot.start.toISOString(),
+        end_at: check.slot.end.toISOString(),
         message: "Appointment successfully scheduled",
-        confirmation: this.formatConfirmation(appointmentData)
+        confirmation: this.formatConfirmation({ ...appointmentData, time_window: booking.window.exact ? booking.readback : check.slot.label })
       };
       
     } catch (error) {
@@ -376,12 +426,20 @@ class ToolExecutor {
       voicemail: "I'll connect you to our voicemail system."
     };
 
+    // A live transfer needs somewhere to dial; without it, promise a callback instead
+    const escalationNumber = this.context.businessConfig?.escalationNumber;
+    if (kind === 'transfer' && !escalationNumber) {
+      console.log('⚠️ No escalation number configured - downgrading transfer to callback');
+      kind = 'callback';
+    }
+
     // Store escalation context for follow-up
     this.context.escalation = {
       kind: kind,
       details: details,
       timestamp: new Date().toISOString(),
-      capturedSlots: { ...this.slots }
+      capturedSlots: { ...this.slots },
+      ...(kind === 'transfer' && { transferTo: escalationNumber })
     };
 
     return {
@@ -398,7 +456,7 @@ class ToolExecutor {
     const businessConfig = this.context.businessConfig || {};
     
     const facts = {
-      hours: this.formatBusinessHours(businessConfig.businessHours),
+      hours: this.describeBusinessHours(businessConfig),
       location: businessConfig.address || "Please call us for our location details",
       services: this.getServiceList(),
       contact: businessConfig.phone || businessConfig.escalationNumber || "Please call our main number",
@@ -446,9 +504,23 @@ class ToolExecutor {
   }
 
   formatBusinessHours(hours) {
-    if (!hours) return "Please call for our current hours";
-    // Format business hours object into readable string
-    return "Monday-Friday 9AM-5PM, Saturday 9AM-2PM"; // Simplified example
+    const schedule = formatBusinessHours(hours);
+    return schedule ? `We're open ${schedule}` : "Please call for our current hours";
+  }
+
+  // Weekly schedule plus whether we're open right now (timezone and holidays aware)
+  describeBusinessHours(businessConfig) {
+    const schedule = this.formatBusinessHours(businessConfig.businessHours);
+    if (!businessConfig.businessHours) return schedule;
+
+    const status = getBusinessHoursStatus(businessConfig);
+    if (status.isOpen) return `${schedule}. We're open now`;
+
+    const closure = status.reason === 'holiday'
+      ? `We're closed today${status.holiday?.name ? ` for ${status.holiday.name}` : ''}`
+      : "We're closed right now";
+    const reopening = status.nextOpening ? ` and open again ${status.nextOpening.label}` : '';
+    return `${schedule}. ${closure}${reopening}`;
   }
 
   extractPhoneNumber(contact) {
@@ -456,19 +528,57 @@ class ToolExecutor {
     return phoneMatch ? phoneMatch[0] : null;
   }
 
-  parseDateTime(timeString) {
-    // Simplified date parsing - use proper library in production
-    const now = new Date();
-    const tomorrow = new Date(now);
-    tomorrow.setDate(now.getDate() + 1);
-    tomorrow.setHours(10, 0, 0, 0);
-    return tomorrow;
+  /**
+   * Turn the caller's time window into appointment times in the business's timezone. A
+   * window rather than a time ("tomorrow morning") books its start for the service's length.
+   * @returns {object} - { success: true, window, startAt, endAt, readback } or a clarification
+   */
+  resolveBookingTime(appointmentData) {
+    const businessConfig = this.context.businessConfig;
+    const durationMinutes = getServiceDuration(businessConfig, appointmentData.service);
+    const window = resolveTimeWindow(appointmentData.time_window, { businessConfig, durationMinutes });
+
+    if (window.status !== 'resolved') {
+      return {
+        success: false,
+        needs_clarification: true,
+        question: window.question || 'What day and time would work best for you?',
+        options: (window.options || []).map(option => option.label),
+        message: `Could not pin down "${appointmentData.time_window}"`
+      };
+    }
+
+    const startAt = window.start;
+    const endAt = new Date(startAt.getTime() + durationMinutes * 60 * 1000);
+    return {
+      success: true,
+      window,
+      startAt,
+      endAt,
+      readback: window.exact ? window.label : describeInstant(startAt, { timezone: window.timezone })
+    };
+  }
+
+  /**
+   * Check a resolved window against business hours, existing appointments and connected
+   * calendars. A window rather than a time comes back as its first open slot.
+   */
+  async checkBookingTime(window, service) {
+    const businessConfig = this.context.businessConfig;
+    return this.availability.checkWindow({
+      organizationId: this.context.organizationId || process.env.DEFAULT_ORG_ID,
+      businessConfig,
+      window,
+      durationMinutes: getServiceDuration(businessConfig, service)
+    });
   }
 
-  addHour(date) {
-    const newDate = new Date(date);
-    newDate.setHours(newDate.getHours() + 1);
-    return newDate;
+  formatAlternatives(alternatives = []) {
+    return alternatives.map(slot => ({
+      start_at: slot.start.toISOString(),
+      end_at: slot.end.toISOString(),
+      label: slot.label
+    }));
   }
 }
 
@@ -1,121 +1,81 @@
 
-const { createClient } = require('@deepgram/sdk');
 const EventEmitter = require('events');
+const { VOICE_MODELS, resolveVoiceModel } = require('./ttsDeepgram');
+const { createTTSEngine } = require('./ttsProviders');
+const { getPhraseCache } = require('./phraseCache');
+const { MARK_INTERVAL_BYTES, PlaybackTracker } = require('./playback');
 
 class TTSService extends EventEmitter {
-  constructor() {
+  /**
+   * @param {object} options - { provider (see ttsProviders.js), engine, phraseCache (null disables) }
+   */
+  constructor(options = {}) {
     super();
-    this.deepgram = createClient(process.env.DEEPGRAM_API_KEY);
+    this.engine = options.engine || createTTSEngine({ provider: options.provider });
+    this.phraseCache = options.phraseCache !== undefined ? options.phraseCache : getPhraseCache();
     this.isStreaming = false;
     this.currentStream = null;
+
+    // What Twilio has actually played, from the marks it echoes back (see playback.js)
+    this.playback = new PlaybackTracker();
+    this.twilioWs = null;
+    this.streamSid = null;
   }
 
-  async getSpeech(text, options = {}) {
-    // Map our voice names to Deepgram model names
-    const voiceModelMap = {
-      'saturn': 'aura-2-saturn-en',
-      'harmonia': 'aura-2-harmonia-en', 
-      'hera': 'aura-2-hera-en',
-      'zeus': 'aura-2-zeus-en'
-    };
-    
-    const deepgramModel = voiceModelMap[options.model] || options.model || 'aura-2-harmonia-en';
-    
-    const config = {
-      encoding: 'mulaw',
-      sample_rate: 8000,
-      container: 'none',
-      ...options,
-      model: deepgramModel  // Ensure mapped model overrides any model in options
+  get providerName() {
+    return this.engine.name;
+  }
+
+  // Render with another provider from now on (e.g. once the organization's choice is known)
+  setProvider(provider) {
+    this.engine = createTTSEngine({ provider });
+    return this.engine;
+  }
+
+  phraseFor(text, speechOptions) {
+    return {
+      text,
+      voice: `${this.engine.name}:${this.engine.voiceId(speechOptions)}`,
+      speed: speechOptions.speed
     };
+  }
+
+  /**
+   * Render fixed phrases into the phrase cache ahead of time, so their first use on a
+   * call plays instantly
+   * @param {object} options - { model, language, speed }
+   */
+  async prerender(texts, options = {}) {
+    if (!this.phraseCache) return;
+    const { cache, ...speechOptions } = options;
+    await Promise.all(texts.map(text =>
+      this.phraseCache.getOrRender(this.phraseFor(text, speechOptions), () => this.engine.synthesize(text, speechOptions))
+    ));
+  }
+
+  /**
+   * Render text to a mu-law audio stream
+   * @param {object} options - { model, language, speed, cache }; cache: true serves fixed
+   *                           phrases (greetings, prompts) from the phrase cache
+   */
+  async getSpeech(text, options = {}) {
+    const { cache, ...speechOptions } = options;
 
     try {
       console.log('Generating TTS for text:', text.substring(0, 100) + (text.length > 100 ? '...' : ''));
       
       const startTime = Date.now();
-      const response = await this.deepgram.speak.request(
-        { text },
-        config
-      );
-
-      // Extract audio buffer from the response
-      if (!response) {
-        throw new Error('Failed to get response from Deepgram TTS');
-      }
-
       let audioBuffer;
-      let usedMethod;
-      
-      // For newer Deepgram SDK v4+, the response should have a getStream() method
-      if (response.getStream && typeof response.getStream === 'function') {
-        // Method 1: Use getStream() method - it returns a Promise that resolves to a ReadableStream
-        try {
-          const audioStream = await response.getStream();
-          
-          // Handle Web Streams API ReadableStream
-          if (audioStream && typeof audioStream.getReader === 'function') {
-            const reader = audioStream.getReader();
-            const chunks = [];
-            
-            while (true) {
-              const { done, value } = await reader.read();
-              if (done) break;
-              chunks.push(value);
-            }
-            
-            audioBuffer = Buffer.concat(chunks);
-            usedMethod = 'getStream() ReadableStream';
-          } else {
-            throw new Error('Stream is not a ReadableStream');
-          }
-        } catch (streamError) {
-          console.log('getStream() failed, trying alternative method:', streamError.message);
-          // Fall through to other methods
-        }
-      }
-      
-      if (!audioBuffer && response.result && response.result instanceof ArrayBuffer) {
-        // Method 2: Handle ArrayBuffer result
-        audioBuffer = Buffer.from(response.result);
-        usedMethod = 'response.result (ArrayBuffer)';
-      } else if (!audioBuffer && response.result && response.result instanceof Uint8Array) {
-        // Method 3: Handle Uint8Array result
-        audioBuffer = Buffer.from(response.result);
-        usedMethod = 'response.result (Uint8Array)';
-      } else if (!audioBuffer && response.result && Buffer.isBuffer(response.result)) {
-        // Method 4: Handle Buffer result
-        audioBuffer = response.result;
-        usedMethod = 'response.result (Buffer)';
-      } else if (!audioBuffer && Buffer.isBuffer(response)) {
-        // Method 5: Treat response as buffer directly
-        audioBuffer = response;
-        usedMethod = 'response direct (buffer)';
-      } else if (!audioBuffer && response instanceof Uint8Array) {
-        // Method 6: Handle Uint8Array response
-        audioBuffer = Buffer.from(response);
-        usedMethod = 'response direct (Uint8Array)';
-      } else if (!audioBuffer && response instanceof ArrayBuffer) {
-        // Method 7: Handle ArrayBuffer response
-        audioBuffer = Buffer.from(response);
-        usedMethod = 'response direct (ArrayBuffer)';
-      } else if (!audioBuffer) {
-        // Log the actual response structure for debugging
-        console.error('Unexpected response structure:', {
-          responseType: typeof response,
-          responseKeys: response && typeof response === 'object' ? Object.keys(response) : 'not object',
-          hasResult: !!response.result,
-          resultType: response.result ? typeof response.result : 'none'
-        });
-        throw new Error(`Unable to extract audio data from response. Response type: ${typeof response}, keys: ${response && typeof response === 'object' ? Object.keys(response).join(', ') : 'none'}`);
-      }
+      let cached = false;
 
-      if (!audioBuffer) {
-        throw new Error('Failed to get audio data from Deepgram TTS response');
+      if (cache && this.phraseCache) {
+        ({ audio: audioBuffer, cached } = await this.phraseCache.getOrRender(this.phraseFor(text, speechOptions), () => this.engine.synthesize(text, speechOptions)));
+      } else {
+        audioBuffer = await this.engine.synthesize(text, speechOptions);
       }
 
       const ttsLatency = Date.now() - startTime;
-      console.log(`TTS generation completed using method: ${usedMethod}`);
-      console.log(`TTS generation latency: ${ttsLatency}ms, audio buffer size: ${audioBuffer.length} bytes`);
+      console.log(`TTS ${cached ? 'served from phrase cache' : `generated by ${this.engine.name}`}, latency: ${ttsLatency}ms, audio buffer size: ${audioBuffer.length} bytes`);
 
       // Convert buffer to readable stream for compatibility with existing streaming code
       const { Readable } = require('stream');
@@ -134,6 +94,7 @@ class TTSService extends EventEmitter {
       this.emit('ttsStarted', { 
         text, 
         latency: ttsLatency,
+        cached,
         audioSize: audioBuffer.length,
         timestamp: Date.now()
       });
@@ -146,6 +107,12 @@ class TTSService extends EventEmitter {
     }
   }
 
+  /**
+   * Stream mu-law audio to Twilio, following every ~200ms with a mark so we know how much
+   * the caller heard
+   * @param {object} options - { streamId, text (what the audio says), replyId (groups the
+   *                           sentences of one reply, see getHeardText) }
+   */
   async streamTTSToTwilio(audioStream, twilioWs, options = {}) {
     return new Promise((resolve, reject) => {
       if (!audioStream) {
@@ -156,29 +123,52 @@ class TTSService extends EventEmitter {
       let totalBytes = 0;
       const startTime = Date.now();
       const streamId = options.streamId || twilioWs.streamSid || 'unknown';
+      const utterance = this.playback.start({ text: options.text, replyId: options.replyId });
 
       console.log('Starting TTS stream to Twilio, streamSid:', streamId);
 
       // Track streaming state
       this.isStreaming = true;
+      this.twilioWs = twilioWs;
+      this.streamSid = streamId;
+
+      // Handle stream interruption (barge-in)
+      const onInterrupt = () => {
+        console.log('TTS stream interrupted (barge-in detected)');
+        if (audioStream && typeof audioStream.destroy === 'function') {
+          audioStream.destroy();
+        }
+        this.isStreaming = false;
+        this.currentStream = null;
+        resolve(Buffer.concat(chunks));
+      };
+      this.once('interrupt', onInterrupt);
 
       audioStream.on('data', (chunk) => {
         try {
           chunks.push(chunk);
           totalBytes += chunk.length;
           
-          // Send audio chunks to Twilio in base64 format
-          const base64Audio = chunk.toString('base64');
-          const mediaMessage = {
-            event: 'media',
-            streamSid: streamId,
-            media: {
-              payload: base64Audio
-            }
-          };
-          
           if (twilioWs.readyState === 1) { // WebSocket.OPEN
-            twilioWs.send(JSON.stringify(mediaMessage));
+            for (let offset = 0; offset < chunk.length; offset += MARK_INTERVAL_BYTES) {
+              const piece = chunk.subarray(offset, offset + MARK_INTERVAL_BYTES);
+
+              // Send audio chunks to Twilio in base64 format
+              const mediaMessage = {
+                event: 'media',
+                streamSid: streamId,
+                media: {
+                  payload: piece.toString('base64')
+                }
+              };
+              twilioWs.send(JSON.stringify(mediaMessage));
+              twilioWs.send(JSON.stringify({
+                event: 'mark',
+                streamSid: streamId,
+                mark: { name: this.playback.sent(utterance, piece.length) }
+              }));
+            }
+            this.emit('audioSent', chunk);
           } else {
             console.warn('Twilio WebSocket not ready, state:', twilioWs.readyState);
           }
@@ -196,6 +186,8 @@ class TTSService extends EventEmitter {
       });
 
       audioStream.on('end', () => {
+        this.off('interrupt', onInterrupt);
+        this.playback.finish(utterance);
         const duration = Date.now() - startTime;
         console.log(`TTS streaming completed: ${totalBytes} bytes in ${duration}ms`);
         
@@ -213,33 +205,46 @@ class TTSService extends EventEmitter {
 
       audioStream.on('error', (error) => {
         console.error('TTS Stream error:', error);
+        this.off('interrupt', onInterrupt);
+        this.playback.finish(utterance);
         this.isStreaming = false;
         this.currentStream = null;
         this.emit('streamError', error);
         reject(error);
       });
-
-      // Handle stream interruption (barge-in)
-      this.once('interrupt', () => {
-        console.log('TTS stream interrupted (barge-in detected)');
-        if (audioStream && typeof audioStream.destroy === 'function') {
-          audioStream.destroy();
-        }
-        this.isStreaming = false;
-        this.currentStream = null;
-        resolve(Buffer.concat(chunks));
-      });
     });
   }
 
   // Interrupt current TTS stream (for barge-in scenarios)
   interruptStream() {
+    let interrupted = false;
     if (this.isStreaming && this.currentStream) {
       console.log('Interrupting TTS stream');
       this.emit('interrupt');
-      return true;
+      interrupted = true;
     }
-    return false;
+
+    // Audio already sent keeps playing from Twilio's buffer until it is cleared
+    if (this.playback.hasUnplayed && this.twilioWs?.readyState === 1) {
+      console.log('Clearing audio buffered by Twilio');
+      this.twilioWs.send(JSON.stringify({ event: 'clear', streamSid: this.streamSid }));
+      this.playback.clear();
+      interrupted = true;
+    }
+    return interrupted;
+  }
+
+  // Twilio echoes each mark once the audio before it has played
+  handleMark(name) {
+    return this.playback.acknowledge(name);
+  }
+
+  /**
+   * What the caller heard of a reply: the whole text, or the words played before a barge-in
+   * @returns {object} - { text, interrupted }
+   */
+  getHeardText(replyId) {
+    return this.playback.getHeardText(replyId);
   }
 
   // Get current TTS state
@@ -250,20 +255,36 @@ class TTSService extends EventEmitter {
     };
   }
 
-  // Enhanced method that combines speech generation and streaming
+  /**
+   * Enhanced method that combines speech generation and streaming
+   * @param {object} options - { streamId, ttsConfig, signal, replyId }; an aborted signal
+   *                           (barge-in while the audio was rendering) skips streaming it
+   */
   async generateAndStream(text, twilioWs, options = {}) {
     try {
       const startTime = Date.now();
       
       // Step 1: Generate speech
       // Handle both calling patterns: { model: 'voice' } and { ttsConfig: { model: 'voice' } }
-      const ttsOptions = options.ttsConfig || options;
+      // (streamId and signal are for streaming, not the engine)
+      const { streamId, signal, replyId, ...ttsOptions } = options.ttsConfig || options;
       const audioStream = await this.getSpeech(text, ttsOptions);
       const generationTime = Date.now() - startTime;
 
+      if (options.signal?.aborted) {
+        audioStream.destroy();
+        this.isStreaming = false;
+        this.currentStream = null;
+        return {
+          audioBuffer: Buffer.alloc(0),
+          aborted: true,
+          metrics: { generationTime, streamingTime: 0, totalTime: generationTime, audioSize: 0 }
+        };
+      }
+
       // Step 2: Stream to Twilio
       const streamStartTime = Date.now();
-      const audioBuffer = await this.streamTTSToTwilio(audioStream, twilioWs, options);
+      const audioBuffer = await this.streamTTSToTwilio(audioStream, twilioWs, { ...options, text });
       const streamingTime = Date.now() - streamStartTime;
 
       const totalTime = Date.now() - startTime;
@@ -299,6 +320,8 @@ const streamTTSToTwilio = (audioStream, twilioWs) => {
 
 module.exports = {
   TTSService,
+  VOICE_MODELS,
+  resolveVoiceModel,
   getSpeech,
   streamTTSToTwilio,
 };
@@ -0,0 +1,157 @@
+/**
+ * Deepgram Aura text-to-speech engine
+ *
+ * Renders text to 8kHz mu-law for Twilio with Deepgram's speak API. Voices are our
+ * voice names (saturn, harmonia, hera, zeus) mapped per caller language.
+ */
+
+const { createClient } = require('@deepgram/sdk');
+
+// Map our voice names to Deepgram model names per caller language,
+// pairing each English voice with a Spanish voice of a similar character
+const VOICE_MODELS = {
+  en: {
+    'saturn': 'aura-2-saturn-en',
+    'harmonia': 'aura-2-harmonia-en',
+    'hera': 'aura-2-hera-en',
+    'zeus': 'aura-2-zeus-en'
+  },
+  es: {
+    'saturn': 'aura-2-nestor-es',
+    'harmonia': 'aura-2-celeste-es',
+    'hera': 'aura-2-diana-es',
+    'zeus': 'aura-2-javier-es'
+  }
+};
+
+const DEFAULT_VOICE = 'harmonia';
+
+/**
+ * Deepgram model for a voice name in a language ('harmonia', 'es' -> 'aura-2-celeste-es').
+ * Full Deepgram model names pass through untouched.
+ */
+const resolveVoiceModel = (voice, language = 'en') => {
+  const voices = VOICE_MODELS[(language || 'en').split('-')[0]] || VOICE_MODELS.en;
+  if (voice && !VOICE_MODELS.en[voice]) return voice;
+  return voices[voice || DEFAULT_VOICE];
+};
+
+class DeepgramTTSEngine {
+  constructor() {
+    this.name = 'deepgram';
+    this.deepgram = createClient(process.env.DEEPGRAM_API_KEY);
+  }
+
+  // Identifies the rendered voice, for the phrase cache
+  voiceId(options = {}) {
+    return resolveVoiceModel(options.model, options.language);
+  }
+
+  /**
+   * @param {string} text
+   * @param {object} options - { model, language, ...Deepgram speak options }
+   * @returns {Buffer} - Raw 8kHz mu-law audio
+   */
+  async synthesize(text, options = {}) {
+    // `language` only picks the voice, Deepgram doesn't take it as an option
+    const { language, ...speakOptions } = options;
+
+    const config = {
+      encoding: 'mulaw',
+      sample_rate: 8000,
+      container: 'none',
+      ...speakOptions,
+      model: this.voiceId(options)  // Ensure mapped model overrides any model in options
+    };
+
+    const response = await this.deepgram.speak.request(
+      { text },
+      config
+    );
+
+    // Extract audio buffer from the response
+    if (!response) {
+      throw new Error('Failed to get response from Deepgram TTS');
+    }
+
+    let audioBuffer;
+    let usedMethod;
+    
+    // For newer Deepgram SDK v4+, the response should have a getStream() method
+    if (response.getStream && typeof response.getStream === 'function') {
+      // Method 1: Use getStream() method - it returns a Promise that resolves to a ReadableStream
+      try {
+        const audioStream = await response.getStream();
+        
+        // Handle Web Streams API ReadableStream
+        if (audioStream && typeof audioStream.getReader === 'function') {
+          const reader = audioStream.getReader();
+          const chunks = [];
+          
+          while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+          }
+          
+          audioBuffer = Buffer.concat(chunks);
+          usedMethod = 'getStream() ReadableStream';
+        } else {
+          throw new Error('Stream is not a ReadableStream');
+        }
+      } catch (streamError) {
+        console.log('getStream() failed, trying alternative method:', streamError.message);
+        // Fall through to other methods
+      }
+    }
+    
+    if (!audioBuffer && response.result && response.result instanceof ArrayBuffer) {
+      // Method 2: Handle ArrayBuffer result
+      audioBuffer = Buffer.from(response.result);
+      usedMethod = 'response.result (ArrayBuffer)';
+    } else if (!audioBuffer && response.result && response.result instanceof Uint8Array) {
+      // Method 3: Handle Uint8Array result
+      audioBuffer = Buffer.from(response.result);
+      usedMethod = 'response.result (Uint8Array)';
+    } else if (!audioBuffer && response.result && Buffer.isBuffer(response.result)) {
+      // Method 4: Handle Buffer result
+      audioBuffer = response.result;
+      usedMethod = 'response.result (Buffer)';
+    } else if (!audioBuffer && Buffer.isBuffer(response)) {
+      // Method 5: Treat response as buffer directly
+      audioBuffer = response;
+      usedMethod = 'response direct (buffer)';
+    } else if (!audioBuffer && response instanceof Uint8Array) {
+      // Method 6: Handle Uint8Array response
+      audioBuffer = Buffer.from(response);
+      usedMethod = 'response direct (Uint8Array)';
+    } else if (!audioBuffer && response instanceof ArrayBuffer) {
+      // Method 7: Handle ArrayBuffer response
+      audioBuffer = Buffer.from(response);
+      usedMethod = 'response direct (ArrayBuffer)';
+    } else if (!audioBuffer) {
+      // Log the actual response structure for debugging
+      console.error('Unexpected response structure:', {
+        responseType: typeof response,
+        responseKeys: response && typeof response === 'object' ? Object.keys(response) : 'not object',
+        hasResult: !!response.result,
+        resultType: response.result ? typeof response.result : 'none'
+      });
+      throw new Error(`Unable to extract audio data from response. Response type: ${typeof response}, keys: ${response && typeof response === 'object' ? Object.keys(response).join(', ') : 'none'}`);
+    }
+
+    if (!audioBuffer) {
+      throw new Error('Failed to get audio data from Deepgram TTS response');
+    }
+
+    console.log(`TTS generation completed using method: ${usedMethod}`);
+    return audioBuffer;
+  }
+}
+
+module.exports = {
+  DeepgramTTSEngine,
+  VOICE_MODELS,
+  DEFAULT_VOICE,
+  resolveVoiceModel
+};
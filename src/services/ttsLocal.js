@@ -0,0 +1,94 @@
+/**
+ * Local (offline) text-to-speech engine
+ *
+ * Renders speech with an on-box binary such as Piper or espeak-ng. The text is piped
+ * to the command's stdin; it writes a WAV file (or WAV on stdout), which is converted
+ * to 8kHz mu-law for Twilio.
+ *
+ * Configuration:
+ *   LOCAL_TTS_COMMAND  synthesizer binary, e.g. /opt/piper/piper or espeak-ng
+ *   LOCAL_TTS_ARGS     argument template; {file}, {model}, {voice}, {language}, {speed},
+ *                      {rate} (words per minute, for espeak) and {text} are substituted.
+ *                      Without {file} the WAV is read from stdout.
+ *                      (default: Piper's "--model {model} --output_file {file}")
+ *   LOCAL_TTS_MODEL    voice model path for the default arguments
+ *
+ * espeak-ng example: LOCAL_TTS_ARGS="-v {language} -s {rate} -w {file}"
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { wavToMulaw } = require('./audio');
+
+const DEFAULT_ARGS = '--model {model} --output_file {file}';
+const DEFAULT_TIMEOUT_MS = 15000;
+const BASE_WORDS_PER_MINUTE = 175; // espeak's default rate
+
+class LocalTTSEngine {
+  /**
+   * @param {object} options - { command, args (array or template string), model, timeoutMs }
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.command = options.command || process.env.LOCAL_TTS_COMMAND;
+    if (!this.command) {
+      throw new Error('LOCAL_TTS_COMMAND environment variable is required for the local TTS provider');
+    }
+
+    const args = options.args || process.env.LOCAL_TTS_ARGS || DEFAULT_ARGS;
+    this.args = Array.isArray(args) ? args : args.split(/\s+/).filter(Boolean);
+    this.model = options.model || process.env.LOCAL_TTS_MODEL || '';
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  }
+
+  // Identifies the rendered voice, for the phrase cache
+  voiceId(options = {}) {
+    return [path.basename(this.command), this.model, options.model || '', options.language || ''].join(':');
+  }
+
+  /**
+   * @param {string} text
+   * @param {object} options - { model (our voice name), language, speed }
+   * @returns {Buffer} - Raw 8kHz mu-law audio
+   */
+  async synthesize(text, options = {}) {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'infinioffice-tts-'));
+    const file = path.join(directory, 'speech.wav');
+    const speed = Number(options.speed) || 1;
+    const values = {
+      file,
+      model: this.model,
+      voice: options.model || '',
+      language: (options.language || 'en').split('-')[0],
+      speed: String(speed),
+      rate: String(Math.round(BASE_WORDS_PER_MINUTE * speed)),
+      text
+    };
+    const args = this.args.map(arg => arg.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match)));
+    const toStdout = !this.args.some(arg => arg.includes('{file}'));
+
+    try {
+      const stdout = await new Promise((resolve, reject) => {
+        const child = execFile(this.command, args, {
+          timeout: this.timeoutMs,
+          encoding: 'buffer',
+          maxBuffer: 16 * 1024 * 1024
+        }, (error, out) => {
+          if (error) reject(new Error(`Local TTS command failed: ${error.message}`));
+          else resolve(out);
+        });
+        child.stdin.on('error', () => {}); // commands that take {text} may not read stdin
+        child.stdin.end(text);
+      });
+
+      const wav = toStdout ? stdout : await fs.promises.readFile(file);
+      return wavToMulaw(wav);
+    } finally {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = { LocalTTSEngine };
@@ -0,0 +1,84 @@
+/**
+ * Text-to-Speech Providers
+ *
+ * TTSService streams audio to Twilio and handles barge-in; the engine behind it only
+ * renders text. Every engine has:
+ *   name                        provider name
+ *   voiceId(options)            string identifying the rendered voice (phrase cache key)
+ *   synthesize(text, options)   resolves to raw 8kHz mu-law audio;
+ *                               options: { model (voice name), language, speed }
+ *
+ * Providers:
+ *   deepgram - Deepgram Aura (ttsDeepgram.js)
+ *   local    - offline synthesizer binary such as Piper or espeak-ng (ttsLocal.js)
+ *   stub     - deterministic tones for tests (ttsStub.js)
+ *
+ * Organizations pick one with `voiceSettings.ttsProvider`; TTS_PROVIDER sets the default.
+ */
+
+const { DeepgramTTSEngine } = require('./ttsDeepgram');
+const { LocalTTSEngine } = require('./ttsLocal');
+const { StubTTSEngine } = require('./ttsStub');
+
+const TTS_PROVIDERS = {
+  deepgram: {
+    name: 'Deepgram Aura',
+    selectable: true,
+    create: () => new DeepgramTTSEngine()
+  },
+  local: {
+    name: 'Local (offline)',
+    selectable: true,
+    create: (options) => new LocalTTSEngine(options)
+  },
+  stub: {
+    name: 'Stub (testing)',
+    selectable: false,
+    create: (options) => new StubTTSEngine(options)
+  }
+};
+
+/**
+ * Provider used when an organization hasn't chosen one: TTS_PROVIDER, else Deepgram
+ * when it is configured, else the local synthesizer when it is
+ */
+const getDefaultTtsProvider = () => {
+  if (TTS_PROVIDERS[process.env.TTS_PROVIDER]) return process.env.TTS_PROVIDER;
+  if (!process.env.DEEPGRAM_API_KEY && process.env.LOCAL_TTS_COMMAND) return 'local';
+  return 'deepgram';
+};
+
+/**
+ * @param {object} voiceSettings - BusinessConfig.voiceSettings
+ * @returns {string} - The organization's provider, or the default
+ */
+const getTtsProviderName = (voiceSettings) => {
+  const name = voiceSettings?.ttsProvider;
+  return TTS_PROVIDERS[name] ? name : getDefaultTtsProvider();
+};
+
+/**
+ * Providers organizations may choose in their voice settings
+ */
+const getSelectableTtsProviders = () => Object.entries(TTS_PROVIDERS)
+  .filter(([, provider]) => provider.selectable)
+  .map(([id, provider]) => ({ id, name: provider.name }));
+
+/**
+ * @param {object} options - { provider, ...engine options }
+ */
+const createTTSEngine = ({ provider = getDefaultTtsProvider(), ...options } = {}) => {
+  const definition = TTS_PROVIDERS[provider];
+  if (!definition) {
+    throw new Error(`Unknown TTS provider: ${provider}`);
+  }
+  return definition.create(options);
+};
+
+module.exports = {
+  TTS_PROVIDERS,
+  getDefaultTtsProvider,
+  getTtsProviderName,
+  getSelectableTtsProviders,
+  createTTSEngine
+};
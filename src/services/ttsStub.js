@@ -0,0 +1,37 @@
+/**
+ * Stub text-to-speech engine for tests
+ *
+ * Renders a quiet tone sized to the text (like real speech, longer replies play
+ * longer) without any network or binaries, and records every request.
+ */
+
+const { generateTone } = require('./audio');
+
+class StubTTSEngine {
+  /**
+   * @param {object} options - { msPerWord, latencyMs }
+   */
+  constructor({ msPerWord = 300, latencyMs = 0 } = {}) {
+    this.name = 'stub';
+    this.msPerWord = msPerWord;
+    this.latencyMs = latencyMs;
+    this.requests = [];
+  }
+
+  voiceId(options = {}) {
+    return `stub:${options.model || 'default'}:${options.language || 'en'}`;
+  }
+
+  async synthesize(text, options = {}) {
+    this.requests.push({ text, options });
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+
+    const words = String(text || '').split(/\s+/).filter(Boolean).length;
+    const speed = Number(options.speed) || 1;
+    return generateTone({ frequency: 440, amplitude: 0.05, durationMs: Math.max(20, words * this.msPerWord / speed) });
+  }
+}
+
+module.exports = { StubTTSEngine };
@@ -11,11 +11,239 @@
     * - Modification    : 
 **/
 const twilio = require('twilio');
+const { SUPPORTED_LANGUAGES } = require('./languageDetection');
+
+const MAX_GREETING_CHARS = 500;
+const ROUTING_FIELDS = ['label', 'location', 'language', 'greeting', 'voiceSettings'];
+
+// Columns returned to the dashboard
+const PHONE_NUMBER_SELECT = {
+  id: true,
+  number: true,
+  label: true,
+  location: true,
+  language: true,
+  greeting: true,
+  voiceSettings: true,
+  isPrimary: true,
+  status: true,
+  createdAt: true
+};
+
+/**
+ * @returns {string|null} - Error message for invalid per-number routing, else null
+ */
+const validatePhoneNumberRouting = (routing) => {
+  if (typeof routing !== 'object' || routing === null || Array.isArray(routing)) {
+    return 'Routing must be an object';
+  }
+  for (const field of ['label', 'location', 'greeting']) {
+    if (routing[field] !== undefined && routing[field] !== null && typeof routing[field] !== 'string') {
+      return `${field} must be text`;
+    }
+  }
+  if (routing.greeting && routing.greeting.length > MAX_GREETING_CHARS) {
+    return `Greeting must be at most ${MAX_GREETING_CHARS} characters`;
+  }
+  if (routing.language && !SUPPORTED_LANGUAGES[routing.language]) {
+    return `Language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`;
+  }
+  if (routing.voiceSettings !== undefined && routing.voiceSettings !== null &&
+      (typeof routing.voiceSettings !== 'object' || Array.isArray(routing.voiceSettings))) {
+    return 'Voice settings must be an object';
+  }
+  return null;
+};
+
+// Only the routing fields that were sent; empty strings clear a field
+const pickRouting = (routing = {}) => {
+  const data = {};
+  for (const field of ROUTING_FIELDS) {
+    if (routing[field] !== undefined) data[field] = routing[field] === '' ? null : routing[field];
+  }
+  return data;
+};
 
 class TwilioNumberService {
   constructor() {
     this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
     this.webhookBaseUrl = process.env.TWILIO_WEBHOOK_BASE_URL || process.env.BASE_URL;
+    // Development and tests never buy or release real numbers
+    this.mockNumbers = process.env.NODE_ENV === 'development' || process.env.TWILIO_MOCK_NUMBERS === 'true';
+  }
+
+  async getPrisma() {
+    return require('../config/database').getDatabase();
+  }
+
+  /**
+   * Numbers available to buy
+   * @param {object} criteria - { areaCode, contains, country, limit }
+   * @returns {Array} - [{ phoneNumber, friendlyName, locality, region }]
+   */
+  async searchAvailableNumbers(criteria = {}) {
+    const country = criteria.country || 'US';
+    const limit = Math.min(parseInt(criteria.limit, 10) || 10, 30);
+
+    if (this.mockNumbers) {
+      const areaCode = criteria.areaCode || '555';
+      return Array.from({ length: Math.min(limit, 5) }, (_, index) => {
+        const phoneNumber = `+1${areaCode}555${String(100 + index).padStart(4, '0')}`;
+        return { phoneNumber, friendlyName: phoneNumber, locality: null, region: null, mock: true };
+      });
+    }
+
+    try {
+      const numbers = await this.client.availablePhoneNumbers(country).local.list({
+        limit,
+        voiceEnabled: true,
+        ...(criteria.areaCode && { areaCode: criteria.areaCode }),
+        ...(criteria.contains && { contains: criteria.contains })
+      });
+
+      return numbers.map(number => ({
+        phoneNumber: number.phoneNumber,
+        friendlyName: number.friendlyName,
+        locality: number.locality,
+        region: number.region
+      }));
+    } catch (error) {
+      console.error('❌ Error searching phone numbers:', error);
+      throw new Error(`Failed to search phone numbers: ${error.message}`);
+    }
+  }
+
+  /**
+   * An organization's numbers, primary first. The original Organization.twilioNumber is
+   * adopted as the primary PhoneNumber the first time this runs for an organization.
+   */
+  async listNumbers(organizationId) {
+    const prisma = await this.getPrisma();
+    let numbers = await prisma.phoneNumber.findMany({
+      where: { organizationId },
+      select: PHONE_NUMBER_SELECT,
+      orderBy: [{ isPrimary: 'desc' }, { createdAt: 'asc' }]
+    });
+
+    if (numbers.length === 0) {
+      const organization = await prisma.organization.findUnique({
+        where: { id: organizationId },
+        select: { twilioNumber: true }
+      });
+      if (organization?.twilioNumber) {
+        const adopted = await prisma.phoneNumber.create({
+          data: { organizationId, number: organization.twilioNumber, isPrimary: true, label: 'Main line' },
+          select: PHONE_NUMBER_SELECT
+        });
+        numbers = [adopted];
+      }
+    }
+
+    return numbers;
+  }
+
+  /**
+   * Buy a number and route it to an organization
+   * @param {string} organizationId - The organization ID
+   * @param {string} phoneNumber - E.164 number from searchAvailableNumbers
+   * @param {object} routing - { label, location, language, greeting, voiceSettings }
+   * @returns {object} - The new PhoneNumber
+   */
+  async purchaseNumber(organizationId, phoneNumber, routing = {}) {
+    let twilioSid = null;
+
+    if (!this.mockNumbers) {
+      try {
+        const purchased = await this.client.incomingPhoneNumbers.create({
+          phoneNumber,
+          voiceUrl: `${this.webhookBaseUrl}/voice`,
+          voiceMethod: 'POST',
+          statusCallback: `${this.webhookBaseUrl}/api/calls/status?org=${organizationId}`,
+          statusCallbackMethod: 'POST',
+          friendlyName: `InfiniOffice - ${routing.label || organizationId.substring(0, 8)}`
+        });
+        twilioSid = purchased.sid;
+      } catch (error) {
+        console.error('❌ Error purchasing phone number:', error);
+        throw new Error(`Failed to purchase phone number: ${error.message}`);
+      }
+    }
+
+    let created;
+    try {
+      const prisma = await this.getPrisma();
+      const isPrimary = (await this.listNumbers(organizationId)).length === 0;
+
+      created = await prisma.phoneNumber.create({
+        data: { organizationId, number: phoneNumber, twilioSid, isPrimary, ...pickRouting(routing) },
+        select: PHONE_NUMBER_SELECT
+      });
+      if (isPrimary) {
+        await prisma.organization.update({ where: { id: organizationId }, data: { twilioNumber: phoneNumber } });
+      }
+    } catch (error) {
+      // Don't keep paying for a number nobody can route
+      if (twilioSid) await this.releaseNumber(twilioSid).catch(() => null);
+      throw error;
+    }
+
+    console.log('✅ Purchased phone number:', { phoneNumber, organizationId, mock: this.mockNumbers });
+    return created;
+  }
+
+  /**
+   * Change where a number routes (location, language, greeting, voice settings) or make
+   * it the organization's primary number
+   * @param {object} changes - Routing fields and/or { isPrimary: true }
+   * @returns {object|null} - Updated PhoneNumber, null if the organization doesn't own it
+   */
+  async reassignNumber(organizationId, phoneNumberId, changes = {}) {
+    const prisma = await this.getPrisma();
+    const phoneNumber = await prisma.phoneNumber.findFirst({ where: { id: phoneNumberId, organizationId } });
+    if (!phoneNumber) return null;
+
+    if (changes.isPrimary === true && !phoneNumber.isPrimary) {
+      await prisma.phoneNumber.updateMany({ where: { organizationId, isPrimary: true }, data: { isPrimary: false } });
+      await prisma.organization.update({ where: { id: organizationId }, data: { twilioNumber: phoneNumber.number } });
+    }
+
+    return prisma.phoneNumber.update({
+      where: { id: phoneNumberId },
+      data: {
+        ...pickRouting(changes),
+        ...(changes.isPrimary === true && { isPrimary: true })
+      },
+      select: PHONE_NUMBER_SELECT
+    });
+  }
+
+  /**
+   * Give a number back to Twilio and stop routing it. The next oldest number becomes
+   * primary if the primary is released.
+   * @returns {object|null} - The released PhoneNumber, null if the organization doesn't own it
+   */
+  async releaseOrganizationNumber(organizationId, phoneNumberId) {
+    const prisma = await this.getPrisma();
+    const phoneNumber = await prisma.phoneNumber.findFirst({ where: { id: phoneNumberId, organizationId } });
+    if (!phoneNumber) return null;
+
+    if (phoneNumber.twilioSid && !this.mockNumbers) {
+      await this.releaseNumber(phoneNumber.twilioSid);
+    }
+    await prisma.phoneNumber.delete({ where: { id: phoneNumberId } });
+
+    if (phoneNumber.isPrimary) {
+      const next = await prisma.phoneNumber.findFirst({
+        where: { organizationId },
+        orderBy: { createdAt: 'asc' }
+      });
+      if (next) {
+        await prisma.phoneNumber.update({ where: { id: next.id }, data: { isPrimary: true } });
+      }
+      await prisma.organization.update({ where: { id: organizationId }, data: { twilioNumber: next?.number || null } });
+    }
+
+    return phoneNumber;
   }
 
   /**
@@ -193,4 +421,4 @@ class TwilioNumberService {
   }
 }
 
-module.exports = { TwilioNumberService };
\ No newline at end of file
+module.exports = { TwilioNumberService, validatePhoneNumberRouting };
\ No newline at end of file
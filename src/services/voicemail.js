@@ -0,0 +1,143 @@
+const EventEmitter = require('events');
+const { getDatabase } = require('../config/database');
+const { createWavFromMulaw, frameLevel, mulawDurationMs } = require('./audio');
+
+const DEFAULT_VOICEMAIL_PROMPT = "Please leave your name, number and a short message after the tone, and we'll get back to you as soon as we can. Hang up when you're done.";
+
+const DEFAULTS = {
+  MAX_DURATION_MS: 120000, // two minute cap per message
+  END_SILENCE_MS: 5000, // stop after 5s of silence once the caller has spoken
+  SILENCE_LEVEL: 300 // RMS below this counts as silence (line noise sits well under it)
+};
+
+/**
+ * Buffers caller mulaw frames for a voicemail and decides when the message is over
+ *
+ * Emits 'complete' once with { audio, reason, durationMs } where reason is one of
+ * 'silence', 'max_duration' or whatever the caller of finish() passes (e.g. 'hangup').
+ */
+class VoicemailRecorder extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.maxDurationMs = options.maxDurationMs || DEFAULTS.MAX_DURATION_MS;
+    this.endSilenceMs = options.endSilenceMs || DEFAULTS.END_SILENCE_MS;
+    this.silenceLevel = options.silenceLevel || DEFAULTS.SILENCE_LEVEL;
+
+    this.frames = [];
+    this.recording = false;
+    this.heardSpeech = false;
+    this.silentMs = 0;
+    this.maxDurationTimer = null;
+  }
+
+  start() {
+    if (this.recording) return;
+
+    console.log('📼 Voicemail recording started');
+    this.recording = true;
+    this.startedAt = Date.now();
+    this.maxDurationTimer = setTimeout(() => this.finish('max_duration'), this.maxDurationMs);
+  }
+
+  addFrame(frame) {
+    if (!this.recording) return;
+
+    this.frames.push(frame);
+
+    if (frameLevel(frame) > this.silenceLevel) {
+      this.heardSpeech = true;
+      this.silentMs = 0;
+    } else if (this.heardSpeech) {
+      this.silentMs += mulawDurationMs(frame.length);
+      if (this.silentMs >= this.endSilenceMs) {
+        this.finish('silence');
+      }
+    }
+  }
+
+  finish(reason = 'stopped') {
+    if (!this.recording) return null;
+
+    this.recording = false;
+    if (this.maxDurationTimer) {
+      clearTimeout(this.maxDurationTimer);
+      this.maxDurationTimer = null;
+    }
+
+    const audio = Buffer.concat(this.frames);
+    const result = {
+      audio,
+      reason,
+      durationMs: mulawDurationMs(audio.length),
+      heardSpeech: this.heardSpeech
+    };
+
+    console.log('📼 Voicemail recording finished:', { reason, durationMs: result.durationMs });
+    this.emit('complete', result);
+    return result;
+  }
+}
+
+/**
+ * Prompt played before the tone, configurable per organization via scripts.voicemail
+ */
+const getVoicemailPrompt = (businessConfig) => {
+  return businessConfig?.scripts?.voicemail || DEFAULT_VOICEMAIL_PROMPT;
+};
+
+/**
+ * Transcribe and persist a recorded voicemail
+ * @param {object} params - organizationId, callSid, callerPhone, audio (raw mulaw) and
+ *                          sttService (anything with getTranscription(buffer))
+ * @returns {object|null} - The stored voicemail (without audio) or null on failure
+ */
+const saveVoicemail = async ({ organizationId, callSid, callerPhone, audio, sttService }) => {
+  const wav = createWavFromMulaw(audio);
+  const durationSeconds = Math.round(mulawDurationMs(audio.length) / 1000);
+
+  let transcript = null;
+  try {
+    transcript = await sttService.getTranscription(wav);
+    console.log('📝 Voicemail transcribed:', transcript ? transcript.substring(0, 80) : '(empty)');
+  } catch (error) {
+    // Keep the audio even if transcription fails; staff can still listen to it
+    console.error('❌ Voicemail transcription failed:', error.message);
+  }
+
+  try {
+    const prisma = await getDatabase();
+    const voicemail = await prisma.voicemail.create({
+      data: {
+        organizationId: organizationId || null,
+        twilioCallSid: callSid,
+        callerPhone,
+        transcript,
+        audio: wav,
+        durationSeconds
+      },
+      select: { id: true, organizationId: true, callerPhone: true, transcript: true, durationSeconds: true, createdAt: true }
+    });
+
+    const { upsertCallBySid } = require('./db');
+    await upsertCallBySid(callSid, {
+      status: 'voicemail',
+      metadata: { voicemail: { id: voicemail.id, durationSeconds } }
+    }, {
+      organizationId: organizationId || null,
+      callerPhone
+    });
+
+    console.log('✅ Voicemail saved:', voicemail.id);
+    return voicemail;
+  } catch (error) {
+    console.error('❌ Failed to save voicemail:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  VoicemailRecorder,
+  getVoicemailPrompt,
+  saveVoicemail,
+  DEFAULT_VOICEMAIL_PROMPT
+};
@@ -0,0 +1,321 @@
+/**
+ * Call Simulator
+ *
+ * Plays the Twilio side of a call against the `/` media-stream websocket: sends
+ * start/media/dtmf/stop events and collects what the agent says. Caller speech is
+ * either scripted text (understood by the stand-in STT) or audio from a WAV file
+ * (understood by the real Deepgram STT).
+ *
+ * Usage:
+ *   const call = new CallSimulator({ url: 'ws://localhost:3001/' });
+ *   await call.start();
+ *   await call.nextAgentUtterance();          // greeting
+ *   call.say('I need a haircut tomorrow');
+ *   const reply = await call.nextAgentUtterance();
+ *   await call.hangup();
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const WebSocket = require('ws');
+const { wavToMulaw } = require('../services/audio');
+const { encodeTextFrame, decodeTextFrame, toFrames, FRAME_MS, twilioMessages } = require('./protocol');
+
+// Without text frames (real TTS), a gap this long in agent audio starts a new utterance
+const UTTERANCE_GAP_MS = 700;
+// A caller waiting for their turn speaks once agent audio has stopped for this long
+const AGENT_QUIET_MS = 150;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const randomSid = (prefix) => `${prefix}sim${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+
+class CallSimulator extends EventEmitter {
+  /**
+   * @param {object} options - { url, callSid, from, to, parameters, realtime }
+   *   parameters: extra <Stream> custom parameters (e.g. { mode: 'voicemail' })
+   *   realtime: pace WAV audio at 20ms per frame, as Twilio does (needed for real STT)
+   */
+  constructor({ url, callSid, from = '+15555550100', to = '+15555550199', parameters = {}, realtime = false } = {}) {
+    super();
+    if (!url) throw new Error('CallSimulator requires the media stream websocket url');
+
+    this.url = url;
+    this.callSid = callSid || randomSid('CA');
+    this.streamSid = randomSid('MZ');
+    this.from = from;
+    this.to = to;
+    this.parameters = parameters;
+    this.realtime = realtime;
+
+    this.ws = null;
+    this.sequenceNumber = 0;
+    this.mediaTimestamp = 0;
+    this.transcript = []; // [{ speaker: 'caller'|'agent', text, at, dtmf?, audioBytes? }]
+    this.agentUtterances = [];
+    this.consumed = 0;
+    this.lastAgentAudioAt = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Open the websocket and send Twilio's connected + start events
+   */
+  async start() {
+    this.ws = new WebSocket(this.url);
+    this.ws.on('message', (message) => this.handleMessage(message));
+    this.ws.on('close', () => {
+      this.closed = true;
+      this.emit('closed');
+    });
+
+    await new Promise((resolve, reject) => {
+      this.ws.once('open', resolve);
+      this.ws.once('error', reject);
+    });
+
+    this.send(twilioMessages.connected());
+    this.send(twilioMessages.start({
+      streamSid: this.streamSid,
+      callSid: this.callSid,
+      parameters: { to: this.to, from: this.from, ...this.parameters }
+    }));
+    return this;
+  }
+
+  send(message) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('Simulated call is not connected');
+    }
+    this.ws.send(JSON.stringify(message));
+  }
+
+  sendMedia(frame) {
+    this.sequenceNumber++;
+    this.send(twilioMessages.media({
+      streamSid: this.streamSid,
+      payload: frame,
+      sequenceNumber: this.sequenceNumber,
+      timestamp: this.mediaTimestamp
+    }));
+    this.mediaTimestamp += FRAME_MS;
+  }
+
+  handleMessage(message) {
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch (error) {
+      return;
+    }
+
+    if (data.event === 'media' && data.media?.payload) {
+      const audio = Buffer.from(data.media.payload, 'base64');
+      const text = decodeTextFrame(audio);
+      const now = Date.now();
+
+      if (text !== null) {
+        this.addAgentUtterance(text, now);
+      } else {
+        const current = this.agentUtterances[this.agentUtterances.length - 1];
+        if (!current || now - this.lastAgentAudioAt > UTTERANCE_GAP_MS) {
+          this.addAgentUtterance(null, now);
+        }
+        this.agentUtterances[this.agentUtterances.length - 1].audioBytes += audio.length;
+      }
+      this.lastAgentAudioAt = now;
+    } else if (data.event) {
+      // Audio is "played" the moment it arrives, so marks come straight back
+      if (data.event === 'mark' && data.mark?.name && this.ws.readyState === WebSocket.OPEN) {
+        this.sequenceNumber++;
+        this.send(twilioMessages.mark({ streamSid: this.streamSid, name: data.mark.name, sequenceNumber: this.sequenceNumber }));
+      }
+      // mark, clear and anything else the server sends
+      this.emit(data.event, data);
+    }
+  }
+
+  addAgentUtterance(text, at) {
+    const utterance = { speaker: 'agent', text, at, audioBytes: 0 };
+    this.agentUtterances.push(utterance);
+    this.transcript.push(utterance);
+    this.emit('agentUtterance', utterance);
+  }
+
+  /**
+   * Caller speech as text (stand-in STT). Optionally preceded by real audio.
+   */
+  say(text, { audio } = {}) {
+    if (audio) {
+      for (const frame of toFrames(audio)) this.sendMedia(frame);
+    }
+    this.sendMedia(encodeTextFrame(text));
+    this.transcript.push({ speaker: 'caller', text, at: Date.now() });
+  }
+
+  /**
+   * Stream a WAV file as caller audio; `text` adds a text frame for the stand-in STT
+   */
+  async playWav(file, { text } = {}) {
+    const audio = wavToMulaw(Buffer.isBuffer(file) ? file : fs.readFileSync(file));
+    for (const frame of toFrames(audio)) {
+      this.sendMedia(frame);
+      if (this.realtime) await new Promise(resolve => setTimeout(resolve, FRAME_MS));
+    }
+    if (text) {
+      this.sendMedia(encodeTextFrame(text));
+    }
+    this.transcript.push({ speaker: 'caller', text: text || null, audio: typeof file === 'string' ? file : 'buffer', at: Date.now() });
+  }
+
+  /**
+   * Keypad presses, one Twilio dtmf event per digit
+   */
+  pressKeys(digits) {
+    for (const digit of String(digits)) {
+      this.sequenceNumber++;
+      this.send(twilioMessages.dtmf({ streamSid: this.streamSid, digit, sequenceNumber: this.sequenceNumber }));
+    }
+    this.transcript.push({ speaker: 'caller', text: null, dtmf: String(digits), at: Date.now() });
+  }
+
+  /**
+   * Resolve with the next agent utterance not yet returned (optionally the next one matching)
+   * @param {object} options - { match: string|RegExp, timeoutMs }
+   */
+  nextAgentUtterance({ match, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const isMatch = (utterance) => {
+      if (!match) return true;
+      if (match instanceof RegExp) return match.test(utterance.text || '');
+      return (utterance.text || '').toLowerCase().includes(String(match).toLowerCase());
+    };
+
+    const take = () => {
+      while (this.consumed < this.agentUtterances.length) {
+        const utterance = this.agentUtterances[this.consumed++];
+        if (isMatch(utterance)) return utterance;
+      }
+      return null;
+    };
+
+    const ready = take();
+    if (ready) return Promise.resolve(ready);
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.off('agentUtterance', onUtterance);
+        this.off('closed', onClosed);
+      };
+      const onUtterance = () => {
+        const utterance = take();
+        if (utterance) {
+          cleanup();
+          resolve(utterance);
+        }
+      };
+      const onClosed = () => {
+        cleanup();
+        reject(new Error('Call ended before the agent spoke'));
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`No agent utterance${match ? ` matching ${match}` : ''} within ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      this.on('agentUtterance', onUtterance);
+      this.on('closed', onClosed);
+    });
+  }
+
+  /**
+   * Resolve once the agent has sent no audio for `quietMs` (it finished its reply)
+   * @param {object} options - { quietMs, timeoutMs }
+   */
+  async agentFinished({ quietMs = AGENT_QUIET_MS, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (!this.closed && Date.now() - this.lastAgentAudioAt < quietMs) {
+      if (Date.now() > deadline) throw new Error(`Agent still speaking after ${timeoutMs}ms`);
+      await new Promise(resolve => setTimeout(resolve, quietMs / 3));
+    }
+  }
+
+  /**
+   * Send Twilio's stop event and close the socket
+   */
+  async hangup() {
+    if (this.closed || !this.ws) return;
+    this.sequenceNumber++;
+    this.send(twilioMessages.stop({ streamSid: this.streamSid, callSid: this.callSid, sequenceNumber: this.sequenceNumber }));
+
+    await new Promise((resolve) => {
+      this.ws.once('close', resolve);
+      this.ws.close();
+    });
+  }
+}
+
+/**
+ * Run a call script against a simulator
+ * Steps: { say, wait? }, { wav, text?, wait? }, { dtmf, wait? }, { pause: ms }, { expect: string|RegExp }, { hangup: true }
+ *   wait (default true for say/wav, false for dtmf) waits for the agent's reply to finish before
+ *   the next step; use wait: false to talk over the agent (barge-in)
+ * @param {object} options - { timeoutMs, onUtterance(agentUtterance), onStep(step) }
+ * @returns {Array} - The call transcript
+ */
+const runScript = async (call, steps, { timeoutMs = DEFAULT_TIMEOUT_MS, onUtterance, onStep } = {}) => {
+  if (onUtterance) call.on('agentUtterance', onUtterance);
+
+  const awaitReply = async () => {
+    await call.nextAgentUtterance({ timeoutMs });
+    await call.agentFinished({ timeoutMs });
+  };
+
+  // Replies arrive a sentence at a time; everything said before the caller's step has been heard,
+  // so the reply to that step is whatever comes after it
+  const markHeard = () => {
+    call.consumed = call.agentUtterances.length;
+  };
+
+  // Greeting first, unless the script starts by talking over it
+  if (steps[0]?.wait !== false) {
+    await awaitReply();
+  }
+
+  for (const step of steps) {
+    if (onStep) onStep(step);
+
+    if (step.say !== undefined) {
+      markHeard();
+      call.say(step.say);
+      if (step.wait !== false) await awaitReply();
+    } else if (step.wav) {
+      markHeard();
+      await call.playWav(step.wav, { text: step.text });
+      if (step.wait !== false) await awaitReply();
+    } else if (step.dtmf !== undefined) {
+      markHeard();
+      call.pressKeys(step.dtmf);
+      if (step.wait) await awaitReply();
+    } else if (step.pause) {
+      await new Promise(resolve => setTimeout(resolve, step.pause));
+    } else if (step.expect) {
+      const expected = step.expect instanceof RegExp ? step.expect : String(step.expect);
+      const spoken = call.agentUtterances.slice(0, call.consumed).some(utterance =>
+        expected instanceof RegExp ? expected.test(utterance.text || '') : (utterance.text || '').toLowerCase().includes(expected.toLowerCase()));
+      if (!spoken) {
+        await call.nextAgentUtterance({ match: expected, timeoutMs });
+      }
+    } else if (step.hangup) {
+      break;
+    }
+  }
+
+  await call.hangup();
+  if (onUtterance) call.off('agentUtterance', onUtterance);
+  return call.transcript;
+};
+
+module.exports = {
+  CallSimulator,
+  runScript
+};
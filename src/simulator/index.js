@@ -0,0 +1,17 @@
+const { CallSimulator, runScript } = require('./callSimulator');
+const { SimulatedTTS, ScriptedLLM, createSimulatedProviders } = require('./providers');
+const { ScriptedSTTProvider } = require('../services/sttScripted');
+const { startSimulatedServer } = require('./server');
+const { encodeTextFrame, decodeTextFrame } = require('./protocol');
+
+module.exports = {
+  CallSimulator,
+  runScript,
+  startSimulatedServer,
+  createSimulatedProviders,
+  ScriptedSTTProvider,
+  SimulatedTTS,
+  ScriptedLLM,
+  encodeTextFrame,
+  decodeTextFrame
+};
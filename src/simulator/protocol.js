@@ -0,0 +1,92 @@
+/**
+ * Simulator wire helpers
+ *
+ * The simulator speaks the Twilio Media Streams protocol. With the local stand-in
+ * providers, "speech" travels in-band: a media frame starting with TEXT_FRAME_PREFIX
+ * carries the words instead of audio. The stand-in STT transcribes those frames and the
+ * stand-in TTS sends one ahead of each utterance, so the client can read what the agent
+ * said without real speech recognition.
+ */
+
+const TEXT_FRAME_PREFIX = Buffer.from('SIMTEXT:', 'ascii');
+const FRAME_BYTES = 160; // 20ms of 8kHz mu-law, Twilio's frame size
+const FRAME_MS = 20;
+const MULAW_SILENCE = 0xff;
+
+const encodeTextFrame = (text) => Buffer.concat([TEXT_FRAME_PREFIX, Buffer.from(String(text), 'utf8')]);
+
+/**
+ * @returns {string|null} - The text carried by a text frame, or null for real audio
+ */
+const decodeTextFrame = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < TEXT_FRAME_PREFIX.length) return null;
+  if (!buffer.subarray(0, TEXT_FRAME_PREFIX.length).equals(TEXT_FRAME_PREFIX)) return null;
+  return buffer.subarray(TEXT_FRAME_PREFIX.length).toString('utf8');
+};
+
+const silence = (durationMs) => Buffer.alloc(Math.ceil(durationMs / FRAME_MS) * FRAME_BYTES, MULAW_SILENCE);
+
+/**
+ * Split raw mu-law audio into Twilio-sized frames
+ */
+const toFrames = (audio) => {
+  const frames = [];
+  for (let offset = 0; offset < audio.length; offset += FRAME_BYTES) {
+    frames.push(audio.subarray(offset, offset + FRAME_BYTES));
+  }
+  return frames;
+};
+
+// Twilio media stream messages, as Twilio sends them to our websocket
+const twilioMessages = {
+  connected: () => ({ event: 'connected', protocol: 'Call', version: '1.0.0' }),
+  start: ({ streamSid, callSid, parameters }) => ({
+    event: 'start',
+    sequenceNumber: '1',
+    streamSid,
+    start: {
+      streamSid,
+      callSid,
+      accountSid: 'ACsimulator',
+      tracks: ['inbound'],
+      mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+      customParameters: parameters
+    }
+  }),
+  media: ({ streamSid, payload, sequenceNumber, timestamp }) => ({
+    event: 'media',
+    sequenceNumber: String(sequenceNumber),
+    streamSid,
+    media: { track: 'inbound', chunk: String(sequenceNumber), timestamp: String(timestamp), payload: payload.toString('base64') }
+  }),
+  dtmf: ({ streamSid, digit, sequenceNumber }) => ({
+    event: 'dtmf',
+    sequenceNumber: String(sequenceNumber),
+    streamSid,
+    dtmf: { track: 'inbound_track', digit }
+  }),
+  // Echo of a mark we sent, once Twilio has played the audio before it
+  mark: ({ streamSid, name, sequenceNumber }) => ({
+    event: 'mark',
+    sequenceNumber: String(sequenceNumber),
+    streamSid,
+    mark: { name }
+  }),
+  stop: ({ streamSid, callSid, sequenceNumber }) => ({
+    event: 'stop',
+    sequenceNumber: String(sequenceNumber),
+    streamSid,
+    stop: { accountSid: 'ACsimulator', callSid }
+  })
+};
+
+module.exports = {
+  TEXT_FRAME_PREFIX,
+  FRAME_BYTES,
+  FRAME_MS,
+  encodeTextFrame,
+  decodeTextFrame,
+  silence,
+  toFrames,
+  twilioMessages
+};
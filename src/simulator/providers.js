@@ -0,0 +1,266 @@
+/**
+ * Local stand-in voice providers for the call simulator
+ *
+ * Drop-in replacements for the STT provider, TTSService and the fast LLM service that
+ * never touch the network:
+ *   - ScriptedSTTProvider (services/sttScripted.js) "transcribes" the text frames the
+ *     simulator sends (see protocol.js)
+ *   - SimulatedTTS streams a text frame plus silence sized to the utterance, so barge-in
+ *     and playback timing behave like the real thing
+ *   - ScriptedLLM answers from caller-supplied rules, falling back to a small rule-based
+ *     booking assistant that fills service, time and contact slots
+ */
+
+const EventEmitter = require('events');
+const { createSTTProvider } = require('../services/sttProviders');
+const { truncateToPlayed } = require('../services/playback');
+const { encodeTextFrame, silence, toFrames, FRAME_MS } = require('./protocol');
+
+const delay = (ms) => new Promise(resolve => (ms > 0 ? setTimeout(resolve, ms) : setImmediate(resolve)));
+
+class SimulatedTTS extends EventEmitter {
+  constructor({ msPerWord = 300, frameIntervalMs = 1 } = {}) {
+    super();
+    this.msPerWord = msPerWord;
+    this.frameIntervalMs = frameIntervalMs;
+    this.isStreaming = false;
+    this.interrupted = false;
+    this.utterances = [];
+  }
+
+  async generateAndStream(text, twilioWs, options = {}) {
+    const ttsOptions = options.ttsConfig || options;
+    if (options.signal?.aborted) {
+      return { audioBuffer: Buffer.alloc(0), aborted: true, metrics: { generationTime: 0, streamingTime: 0, totalTime: 0, audioSize: 0 } };
+    }
+    const words = String(text || '').split(/\s+/).filter(Boolean).length;
+    const utterance = {
+      text,
+      voice: ttsOptions.model || null,
+      language: ttsOptions.language || null,
+      replyId: options.replyId || null,
+      durationMs: Math.max(FRAME_MS, words * this.msPerWord),
+      playedMs: 0,
+      interrupted: false
+    };
+    this.utterances.push(utterance);
+
+    const startTime = Date.now();
+    const streamId = options.streamId || twilioWs.streamSid || 'unknown';
+    const send = (frame) => {
+      if (twilioWs.readyState !== 1) return false;
+      twilioWs.send(JSON.stringify({ event: 'media', streamSid: streamId, media: { payload: frame.toString('base64') } }));
+      return true;
+    };
+
+    this.isStreaming = true;
+    this.interrupted = false;
+    send(encodeTextFrame(text));
+
+    const sent = [];
+    for (const frame of toFrames(silence(utterance.durationMs))) {
+      if (this.interrupted || !send(frame)) break;
+      sent.push(frame);
+      utterance.playedMs += FRAME_MS;
+      this.emit('audioSent', frame);
+      await delay(this.frameIntervalMs);
+    }
+
+    utterance.interrupted = this.interrupted;
+    this.isStreaming = false;
+    const audioBuffer = Buffer.concat(sent);
+
+    return {
+      audioBuffer,
+      metrics: {
+        generationTime: 0,
+        streamingTime: Date.now() - startTime,
+        totalTime: Date.now() - startTime,
+        audioSize: audioBuffer.length
+      }
+    };
+  }
+
+  interruptStream() {
+    if (!this.isStreaming) return false;
+    this.interrupted = true;
+    this.utterances[this.utterances.length - 1].interrupted = true;
+    this.emit('interrupt');
+    return true;
+  }
+
+  async prerender() {}
+
+  // Frames are paced in real time, so what was sent is what was heard: no marks needed
+  handleMark() {
+    return false;
+  }
+
+  /**
+   * @returns {object} - { text, interrupted }, as TTSService.getHeardText
+   */
+  getHeardText(replyId) {
+    const heard = [];
+    for (const utterance of this.utterances.filter(entry => entry.replyId === replyId)) {
+      if (utterance.interrupted) {
+        const partial = truncateToPlayed(utterance.text, utterance.playedMs / utterance.durationMs);
+        if (partial) heard.push(partial);
+        return { text: heard.join(' '), interrupted: true };
+      }
+      heard.push(utterance.text);
+    }
+    return { text: heard.join(' '), interrupted: false };
+  }
+
+  resetBargeInDetection() {}
+}
+
+const YES = /^(?:yes|yeah|yep|sure|correct|that's right|sounds good|please do)\b/i;
+const NO = /^(?:no|nope|nah)\b/i;
+const HUMAN = /\b(?:person|human|representative|operator|someone real)\b/i;
+const BOOKING = /\b(?:book|appointment|schedule|reserve)\b/i;
+const TIME = /\b(?:today|tomorrow|tonight|monday|tuesday|wednesday|thursday|friday|saturday|sunday|next week)\b(?:[^.?!]*?\b\d{1,2}(?::\d{2})?\s*(?:am|pm)\b)?|\b\d{1,2}(?::\d{2})?\s*(?:am|pm)\b/i;
+const PHONE = /(?:\+?1[-. ]?)?\(?\d{3}\)?[-. ]?\d{3}[-. ]?\d{4}/;
+
+/**
+ * Rule-based stand-in for the fast LLM: extracts entities with regexes and asks for
+ * the next missing slot, returning the same shape as llm_fast.processMessage
+ */
+const defaultResponder = (transcript, context = {}) => {
+  const slots = context.slots || {};
+  const services = (context.businessConfig?.services || []).filter(s => s.active !== false).map(s => s.name);
+  const lower = transcript.toLowerCase();
+
+  if (HUMAN.test(transcript)) {
+    return { intent: 'escalation_request', entities: {}, escalate: 'transfer', reply: 'Of course, let me get someone for you.' };
+  }
+
+  const entities = {};
+  const service = services.find(name => lower.includes(name.toLowerCase()));
+  if (service) entities.service = service;
+  const time = TIME.exec(transcript);
+  if (time) entities.timeWindow = time[0];
+  const phone = PHONE.exec(transcript);
+  if (phone) entities.contact = phone[0];
+
+  const known = { ...slots, ...Object.fromEntries(Object.entries(entities).filter(([, value]) => value)) };
+  const complete = known.service && known.timeWindow && known.contact;
+
+  let intent;
+  if (context.state === 'confirm' && YES.test(transcript)) intent = 'confirmation_yes';
+  else if (context.state === 'confirm' && NO.test(transcript)) intent = 'confirmation_no';
+  else if ((context.state === 'idle' || !context.state) && (BOOKING.test(transcript) || Object.keys(entities).length > 0)) intent = 'booking';
+  else if (entities.contact) intent = 'contact_provided';
+  else if (entities.timeWindow) intent = 'time_provided';
+  else if (entities.service) intent = 'service_provided';
+  else intent = 'unclear';
+
+  let reply;
+  if (intent === 'confirmation_yes') reply = "You're all set. We'll see you then!";
+  else if (intent === 'confirmation_no') reply = 'No problem, what should we change?';
+  else if (!known.service) reply = services.length ? `Which service would you like? We offer ${services.slice(0, 3).join(', ')}.` : 'What can we help you with?';
+  else if (!known.timeWindow) reply = `Great, a ${known.service}. What day and time work for you?`;
+  else if (!known.contact) reply = "What's the best phone number to reach you?";
+  else if (complete) reply = `To confirm, a ${known.service} ${known.timeWindow}, and we'll reach you at ${known.contact}. Shall I book it?`;
+
+  return { intent, entities, escalate: null, reply };
+};
+
+const matches = (match, transcript, context) => {
+  if (typeof match === 'function') return match(transcript, context);
+  if (match instanceof RegExp) return match.test(transcript);
+  return transcript.toLowerCase().includes(String(match).toLowerCase());
+};
+
+class ScriptedLLM {
+  /**
+   * @param {object} options - { rules: [{ match, reply, intent, entities, escalate }], latencyMs, tokenDelayMs }
+   *   match: string (substring), RegExp or (transcript, context) => boolean
+   *   reply: string or (transcript, context) => string
+   */
+  constructor({ rules = [], latencyMs = 0, tokenDelayMs = 0 } = {}) {
+    this.rules = rules;
+    this.latencyMs = latencyMs;
+    this.tokenDelayMs = tokenDelayMs; // pause between streamed words
+    this.calls = [];
+    this.replies = []; // { sessionId, replyId, text, interrupted }, as the caller heard them
+  }
+
+  recordReply(sessionId, replyId, text, { interrupted = false } = {}) {
+    const reply = { sessionId, replyId, text, interrupted };
+    const index = this.replies.findIndex(entry => entry.sessionId === sessionId && entry.replyId === replyId);
+    if (index >= 0) this.replies[index] = reply;
+    else this.replies.push(reply);
+  }
+
+  async processMessage({ transcript, sessionId = 'default', context = {}, stream = false, onTextStart, onTextDelta, onTextDone, signal } = {}) {
+    const startTime = Date.now();
+    this.calls.push({ transcript, sessionId, context });
+    await delay(this.latencyMs);
+
+    const rule = this.rules.find(candidate => matches(candidate.match, transcript, context));
+    const result = rule
+      ? {
+          intent: rule.intent || 'unclear',
+          entities: rule.entities || {},
+          escalate: rule.escalate || null,
+          reply: typeof rule.reply === 'function' ? rule.reply(transcript, context) : rule.reply
+        }
+      : defaultResponder(transcript, context);
+
+    const frame = { intent: result.intent, confidence: 0.9, entities: result.entities, escalate: result.escalate };
+
+    if (stream && onTextStart) onTextStart();
+    if (stream && onTextDelta && result.reply) {
+      // Word by word, like OpenAI's token stream
+      for (const word of result.reply.match(/\S+\s*/g)) {
+        if (signal?.aborted) break;
+        onTextDelta(word);
+        if (this.tokenDelayMs) await delay(this.tokenDelayMs);
+      }
+    }
+    if (signal?.aborted) {
+      return { response: '', intent: 'unclear', confidence: 0, entities: {}, frame: null, aborted: true, processingTime: { total: Date.now() - startTime, llm: 0, stream }, usage: { tokens: 0 } };
+    }
+    if (stream && onTextDone) onTextDone(result.reply);
+
+    return {
+      response: result.reply,
+      intent: result.intent,
+      confidence: frame.confidence,
+      entities: result.entities,
+      frame,
+      processingTime: { total: Date.now() - startTime, llm: 0, stream },
+      usage: { tokens: 0 }
+    };
+  }
+}
+
+/**
+ * Factories for services/providers.setProviders, keeping every instance they build
+ * so tests can inspect what each call heard and said
+ * @param {object} options - { stt, tts, llm } constructor options for each stand-in
+ */
+const createSimulatedProviders = ({ stt = {}, tts = {}, llm = {} } = {}) => {
+  const instances = { stt: [], tts: [], llm: [] };
+  const track = (list, instance) => {
+    list.push(instance);
+    return instance;
+  };
+
+  return {
+    instances,
+    factories: {
+      createSTT: () => track(instances.stt, createSTTProvider({ ...stt, provider: 'scripted' })),
+      createTTS: () => track(instances.tts, new SimulatedTTS(tts)),
+      createLLM: () => track(instances.llm, new ScriptedLLM(llm))
+    }
+  };
+};
+
+module.exports = {
+  SimulatedTTS,
+  ScriptedLLM,
+  defaultResponder,
+  createSimulatedProviders
+};
@@ -0,0 +1,34 @@
+/**
+ * Boot the real Fastify app in-process with the local stand-in providers, listening
+ * on a random local port, for the simulator CLI and tests.
+ */
+
+const { setProviders, resetProviders } = require('../services/providers');
+const { createSimulatedProviders } = require('./providers');
+const { CallSimulator } = require('./callSimulator');
+
+/**
+ * @param {object} options - Stand-in options, { stt, tts, llm } (see createSimulatedProviders)
+ * @returns {object} - { url, instances, placeCall(options), close() }
+ */
+const startSimulatedServer = async (options = {}) => {
+  const simulated = createSimulatedProviders(options);
+  setProviders(simulated.factories);
+
+  const { fastify } = require('../index');
+  await fastify.listen({ port: 0, host: '127.0.0.1' });
+  const url = `ws://127.0.0.1:${fastify.server.address().port}/`;
+  console.log('🧪 Simulated call server listening on', url);
+
+  return {
+    url,
+    instances: simulated.instances,
+    placeCall: (callOptions = {}) => new CallSimulator({ url, ...callOptions }).start(),
+    close: async () => {
+      await fastify.close();
+      resetProviders();
+    }
+  };
+};
+
+module.exports = { startSimulatedServer };
@@ -0,0 +1,50 @@
+/**
+ * Helpers for driving simulated calls through the real media stream websocket
+ * (see src/simulator). The app can only listen once per test file, so start the
+ * server in beforeAll and close it in afterAll.
+ */
+
+const { startSimulatedServer, runScript } = require('../../src/simulator');
+
+/**
+ * Boot the app with offline stand-in providers
+ * @param {object} options - { stt, tts, llm } stand-in options
+ */
+const startCallServer = (options = {}) => startSimulatedServer({
+  // Short frames keep a 10-word reply to ~100ms of wall time
+  tts: { frameIntervalMs: 1, ...options.tts },
+  stt: options.stt,
+  llm: options.llm
+});
+
+/**
+ * Place one call, run the script and return what happened on both sides
+ * @param {object} server - From startCallServer
+ * @param {Array} steps - runScript steps
+ * @param {object} options - CallSimulator options plus { timeoutMs }
+ * @returns {object} - { call, transcript, agent (reply texts), stt, tts, llm }
+ */
+const simulateCall = async (server, steps, { timeoutMs, ...callOptions } = {}) => {
+  const created = {
+    stt: server.instances.stt.length,
+    tts: server.instances.tts.length,
+    llm: server.instances.llm.length
+  };
+
+  const call = await server.placeCall(callOptions);
+  const transcript = await runScript(call, steps, { timeoutMs });
+
+  return {
+    call,
+    transcript,
+    agent: transcript.filter(entry => entry.speaker === 'agent').map(entry => entry.text),
+    stt: server.instances.stt[created.stt],
+    tts: server.instances.tts[created.tts],
+    llm: server.instances.llm[created.llm]
+  };
+};
+
+module.exports = {
+  startCallServer,
+  simulateCall
+};
@@ -0,0 +1,174 @@
+/**
+ * Simulated calls through the real media stream websocket: greeting, barge-in (on the
+ * greeting and on a streamed reply) and a full booking, with the offline stand-in
+ * STT/TTS/LLM providers and no network
+ */
+
+// The twilio client validates the account sid format when the routes load
+process.env.TWILIO_ACCOUNT_SID = 'AC00000000000000000000000000000000';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+jest.mock('../../src/config/database', () => ({
+  getDatabase: jest.fn().mockResolvedValue({}),
+  healthCheck: jest.fn().mockResolvedValue({ status: 'healthy' }),
+  prewarmDatabase: jest.fn().mockResolvedValue()
+}));
+jest.mock('../../src/services/db', () => ({
+  createAppointment: jest.fn(async (data) => ({ id: 'appt-1', ...data })),
+  createCall: jest.fn(async (data) => ({ id: 'call-1', ...data })),
+  updateCall: jest.fn(async () => ({})),
+  getCallBySid: jest.fn(async () => null),
+  upsertCallBySid: jest.fn(async (callSid, data) => ({ id: 'call-1', callSid, ...data })),
+  mergeCallMetadata: jest.fn(jest.requireActual('../../src/services/db').mergeCallMetadata),
+  createTurn: jest.fn(async () => ({ id: 'turn-1' })),
+  updateTurn: jest.fn(async () => ({}))
+}));
+
+const { OrganizationContextService } = require('../../src/services/organizationContext');
+const db = require('../../src/services/db');
+const { startCallServer, simulateCall } = require('../helpers/callSimulator');
+
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describe('Call simulator', () => {
+  let server;
+  let storageDir;
+
+  beforeAll(async () => {
+    // Each call's recording is written here instead of the repo's storage/
+    storageDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'call-simulator-'));
+    process.env.STORAGE_LOCAL_PATH = storageDir;
+
+    jest.spyOn(OrganizationContextService.prototype, 'getOrganizationContext').mockImplementation(async function () {
+      const context = this.getDefaultContext();
+      return {
+        ...context,
+        organizationName: 'Simulated Salon',
+        twilioNumber: '+15555550199',
+        businessConfig: {
+          ...context.businessConfig,
+          greeting: 'Thanks for calling Simulated Salon, how can I help you today?',
+          services: [{ id: 'svc-1', name: 'Haircut', duration: 30, active: true }],
+          enhancedVoiceConfig: { enabled: false }
+        }
+      };
+    });
+
+    server = await startCallServer({
+      llm: {
+        rules: [{
+          match: /opening hours/i,
+          reply: 'We open at nine on weekdays. We close at six in the evening. On Saturdays we open at ten.'
+        }]
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await server.close();
+    await fs.promises.rm(storageDir, { recursive: true, force: true });
+    delete process.env.STORAGE_LOCAL_PATH;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('greets the caller with the organization greeting', async () => {
+    const { agent, tts } = await simulateCall(server, [{ hangup: true }]);
+
+    expect(agent[0]).toBe('Thanks for calling Simulated Salon, how can I help you today?');
+    expect(tts.utterances[0].interrupted).toBe(false);
+  });
+
+  test('keeps earlier call metadata when the stream closes', async () => {
+    const { mergeCallMetadata } = jest.requireActual('../../src/services/db');
+    let metadata = { transfer: { status: 'no-answer' }, voicemail: { id: 'vm-1' } };
+    db.upsertCallBySid.mockImplementation(async (callSid, data) => {
+      if (data.metadata) metadata = mergeCallMetadata(metadata, data.metadata);
+      return { id: 'call-1', callSid, ...data, metadata };
+    });
+
+    await simulateCall(server, [{ hangup: true }]);
+    await waitFor(() => metadata.turnDetection);
+
+    expect(metadata.transfer).toEqual({ status: 'no-answer' });
+    expect(metadata.voicemail).toEqual({ id: 'vm-1' });
+    expect(db.updateCall).not.toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ metadata: expect.anything() }));
+  });
+
+  test('stops the agent mid-reply when the caller talks over it', async () => {
+    const call = await server.placeCall();
+    await call.nextAgentUtterance(); // greeting has started playing
+
+    call.say('Sorry, do you do haircuts?');
+    const reply = await call.nextAgentUtterance();
+    await call.hangup();
+
+    const tts = server.instances.tts[server.instances.tts.length - 1];
+    expect(tts.utterances[0].interrupted).toBe(true);
+    expect(tts.utterances[0].playedMs).toBeLessThan(tts.utterances[0].durationMs);
+    expect(reply.text).toMatch(/haircut/i);
+  });
+
+  test('drops the rest of a streamed reply when the caller talks over it', async () => {
+    const call = await server.placeCall();
+    await call.nextAgentUtterance();
+    await call.agentFinished();
+
+    call.say('What are your opening hours?');
+    const first = await call.nextAgentUtterance();
+    call.say('Sorry, just Saturdays');
+    await call.agentFinished();
+    await call.hangup();
+
+    const tts = server.instances.tts[server.instances.tts.length - 1];
+    const spoken = tts.utterances.map(utterance => utterance.text);
+    expect(first.text).toBe('We open at nine on weekdays.');
+    expect(spoken).toContain('We open at nine on weekdays.');
+    expect(spoken).not.toContain('On Saturdays we open at ten.');
+    expect(tts.utterances.find(utterance => utterance.text === first.text).interrupted).toBe(true);
+
+    // Only the words played before the barge-in are remembered and stored
+    const llm = server.instances.llm[server.instances.llm.length - 1];
+    const [heard] = llm.replies;
+    expect(heard.interrupted).toBe(true);
+    expect(heard.text.length).toBeLessThan(first.text.length);
+    expect(first.text.startsWith(heard.text)).toBe(true);
+    expect(db.updateTurn).toHaveBeenCalledWith('turn-1', expect.objectContaining({ transcriptOut: heard.text }));
+  });
+
+  test('books an appointment end to end', async () => {
+    const { agent, llm } = await simulateCall(server, [
+      { say: "I'd like to book a haircut" },
+      { say: 'Tomorrow at 3pm' },
+      { say: 'My number is 555-123-4567' },
+      { expect: 'Shall I book it' },
+      { say: 'Yes please' }
+    ]);
+
+    expect(llm.calls.map(entry => entry.context.state)).toEqual(['idle', 'collectTimeWindow', 'collectContact', 'confirm']);
+    // Replies are spoken sentence by sentence as the LLM streams them
+    expect(agent.slice(1, 4)).toEqual([
+      'Great, a Haircut.',
+      'What day and time work for you?',
+      "What's the best phone number to reach you?"
+    ]);
+
+    await waitFor(() => db.createAppointment.mock.calls.length > 0);
+    expect(db.createAppointment).toHaveBeenCalledWith(expect.objectContaining({
+      service: 'Haircut',
+      contactPhone: '555-123-4567'
+    }));
+  }, 30000); // each turn waits out the end-of-turn detector's settle time
+});
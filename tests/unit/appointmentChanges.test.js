@@ -0,0 +1,222 @@
+jest.mock('../../src/services/db', () => ({
+  createAppointment: jest.fn()
+}));
+
+const { createActor, fromPromise, waitFor } = require('xstate');
+const { AppointmentChangeService } = require('../../src/services/appointmentChanges');
+const { bookingMachine } = require('../../src/services/stateMachine');
+const { createAppointment } = require('../../src/services/db');
+
+// Monday 10 March 2025, 10:00 in New York
+const now = new Date('2025-03-10T14:00:00Z');
+
+const businessConfig = {
+  timezone: 'America/New_York',
+  services: [{ name: 'Haircut', duration: 45, active: true }, { name: 'Color Treatment', duration: 120, active: true }]
+};
+
+const haircut = {
+  id: 'appt-1',
+  organizationId: 'org-1',
+  service: 'Haircut',
+  contactPhone: '555-123-4567',
+  notes: null,
+  status: 'scheduled',
+  externalId: 'event-1',
+  calendarProvider: 'google-calendar',
+  startAt: new Date('2025-03-11T18:00:00Z'), // tomorrow at 2 PM
+  endAt: new Date('2025-03-11T18:45:00Z')
+};
+const color = {
+  ...haircut,
+  id: 'appt-2',
+  service: 'Color Treatment',
+  externalId: null,
+  startAt: new Date('2025-03-14T14:00:00Z'), // Friday at 10 AM
+  endAt: new Date('2025-03-14T16:00:00Z')
+};
+
+const createService = ({ checkWindow, messages } = {}) => {
+  const prisma = {
+    appointment: {
+      findMany: jest.fn().mockResolvedValue([haircut, color]),
+      update: jest.fn(({ where, data }) => Promise.resolve({ ...haircut, id: where.id, ...data }))
+    }
+  };
+  const availability = { checkWindow: checkWindow || jest.fn() };
+  const calendarSync = { syncAppointment: jest.fn(appointment => Promise.resolve(appointment)) };
+  const client = { messages: { create: messages || jest.fn().mockResolvedValue({ sid: 'SM1' }) } };
+  return { prisma, availability, calendarSync, client, service: new AppointmentChangeService({ prisma, availability, calendarSync, client }) };
+};
+
+describe('AppointmentChangeService', () => {
+  it('finds upcoming appointments under any format of the caller number', async () => {
+    const { service, prisma } = createService();
+    await service.findUpcoming({ organizationId: 'org-1', phone: '+15551234567', now });
+
+    const { where, orderBy } = prisma.appointment.findMany.mock.calls[0][0];
+    expect(where.contactPhone.in).toEqual(expect.arrayContaining(['+15551234567', '555-123-4567']));
+    expect(where.startAt).toEqual({ gte: now });
+    expect(where.OR[1].status.notIn).toContain('cancelled');
+    expect(orderBy).toEqual({ startAt: 'asc' });
+  });
+
+  it('narrows appointments by service, day or position', () => {
+    const { service } = createService();
+    const appointments = [haircut, color];
+
+    expect(service.matchAppointments(appointments, { service: 'color' }, businessConfig, now)).toEqual([color]);
+    expect(service.matchAppointments(appointments, { timeWindow: 'tomorrow' }, businessConfig, now)).toEqual([haircut]);
+    expect(service.matchAppointments(appointments, { speech: 'the second one' }, businessConfig, now)).toEqual([color]);
+    expect(service.matchAppointments(appointments, { service: 'massage' }, businessConfig, now)).toEqual([]);
+  });
+
+  it('moves an appointment to a free time, syncs the calendar and texts a confirmation', async () => {
+    const slot = { start: new Date('2025-03-12T19:00:00Z'), end: new Date('2025-03-12T19:45:00Z'), label: 'Wednesday at 3 PM', exact: true };
+    const checkWindow = jest.fn().mockResolvedValue({ available: true, checked: true, slot });
+    const { service, prisma, calendarSync, client } = createService({ checkWindow });
+
+    const result = await service.reschedule({
+      appointment: haircut, timeWindow: 'Wednesday at 3pm', businessConfig, from: '+15555550199', organizationName: 'Salon', now
+    });
+
+    expect(checkWindow.mock.calls[0][0]).toMatchObject({ durationMinutes: 45, exclude: haircut });
+    expect(prisma.appointment.update).toHaveBeenCalledWith({
+      where: { id: 'appt-1' },
+      data: expect.objectContaining({ startAt: slot.start, endAt: slot.end, status: 'scheduled', notes: 'Rescheduled by phone from Haircut tomorrow at 2 PM' })
+    });
+    expect(calendarSync.syncAppointment).toHaveBeenCalled();
+    expect(client.messages.create).toHaveBeenCalledWith({
+      to: '+15551234567',
+      from: '+15555550199',
+      body: 'Salon: your Haircut has been moved to Wednesday, March 12 at 3:00 PM.'
+    });
+    expect(result.success).toBe(true);
+    expect(result.message).toBe("All set, your Haircut is now Wednesday at 3 PM. I've texted you a confirmation. Is there anything else I can help with?");
+  });
+
+  it('offers other times instead of moving onto a taken one', async () => {
+    const checkWindow = jest.fn().mockResolvedValue({ available: false, reason: 'busy', alternatives: [], message: 'Sorry, Wednesday at 3 PM is already booked.' });
+    const { service, prisma } = createService({ checkWindow });
+
+    const result = await service.reschedule({ appointment: haircut, timeWindow: 'Wednesday at 3pm', businessConfig, now });
+
+    expect(result).toEqual({ success: false, alternatives: [], message: 'Sorry, Wednesday at 3 PM is already booked.' });
+    expect(prisma.appointment.update).not.toHaveBeenCalled();
+  });
+
+  it('cancels an appointment even when the confirmation text fails', async () => {
+    const messages = jest.fn().mockRejectedValue(new Error('unverified number'));
+    const { service, prisma, calendarSync } = createService({ messages });
+
+    const result = await service.cancel({ appointment: haircut, businessConfig, from: '+15555550199', now });
+
+    expect(prisma.appointment.update.mock.calls[0][0].data).toEqual({ status: 'cancelled', notes: 'Cancelled by phone' });
+    expect(calendarSync.syncAppointment).toHaveBeenCalledWith(expect.objectContaining({ status: 'cancelled' }));
+    expect(result.message).toBe('Done, your Haircut tomorrow at 2 PM is cancelled. Is there anything else I can help with?');
+  });
+});
+
+describe('bookingMachine appointment changes', () => {
+  const say = (actor, originalSpeech, extra = {}) => actor.send({
+    type: 'PROCESS_INTENT',
+    intent: 'unclear',
+    confidence: 0.9,
+    response: 'One moment.',
+    originalSpeech,
+    businessConfig,
+    callerPhone: '+15551234567',
+    calledNumber: '+15555550199',
+    organizationId: 'org-1',
+    ...extra
+  });
+
+  const start = (appointments, overrides = {}) => {
+    const actors = {
+      findAppointments: fromPromise(async () => appointments),
+      rescheduleAppointment: fromPromise(async ({ input }) => ({ success: true, message: `Moved to ${input.newTime}.` })),
+      cancelAppointment: fromPromise(async () => ({ success: true, message: 'Cancelled.' })),
+      ...overrides
+    };
+    return createActor(bookingMachine.provide({ actors })).start();
+  };
+
+  const settle = (actor) => waitFor(actor, snapshot => !snapshot.hasTag('working'));
+
+  it('cancels the caller\'s only upcoming appointment once they confirm it', async () => {
+    const actor = start([haircut]);
+
+    say(actor, 'I need to cancel my appointment', { intent: 'cancel_appointment' });
+    let snapshot = await settle(actor);
+    expect(snapshot.value).toBe('confirmChangeTarget');
+    expect(snapshot.context.currentResponse).toMatch(/^I see your Haircut .* Is that the one you'd like to cancel\?$/);
+
+    say(actor, 'yes', { intent: 'confirmation_yes' });
+    snapshot = await settle(actor);
+    expect(snapshot.value).toBe('changeComplete');
+    expect(snapshot.context.currentResponse).toBe('Cancelled.');
+    actor.stop();
+  });
+
+  it('asks which appointment to move, then for the new time', async () => {
+    const actor = start([haircut, color]);
+
+    say(actor, 'can I move my appointment', { intent: 'reschedule' });
+    let snapshot = await settle(actor);
+    expect(snapshot.value).toBe('chooseAppointment');
+    expect(snapshot.context.currentResponse).toMatch(/^I see a Haircut .* and a Color Treatment .* Which one would you like to move\?$/);
+
+    say(actor, 'the color one', { entities: { service: 'color' } });
+    snapshot = await settle(actor);
+    expect(snapshot.value).toBe('confirmChangeTarget');
+    expect(snapshot.context.changeTarget.id).toBe('appt-2');
+
+    say(actor, 'yes', { intent: 'confirmation_yes' });
+    snapshot = await settle(actor);
+    expect(snapshot.value).toBe('collectNewTime');
+    expect(snapshot.context.currentResponse).toBe('What day and time would you like instead?');
+
+    say(actor, 'Thursday at 11', { intent: 'time_provided', entities: { timeWindow: 'Thursday at 11 AM' } });
+    snapshot = await settle(actor);
+    expect(snapshot.value).toBe('changeComplete');
+    expect(snapshot.context.currentResponse).toBe('Moved to Thursday at 11 AM.');
+    actor.stop();
+  });
+
+  it('offers other times when the new one is taken', async () => {
+    const actor = start([haircut], {
+      rescheduleAppointment: fromPromise(async () => ({ success: false, alternatives: [], message: 'That time is booked. How about 4 PM?' }))
+    });
+
+    say(actor, 'reschedule my haircut', { intent: 'reschedule' });
+    await settle(actor);
+    say(actor, 'yes, to Friday at 3', { intent: 'confirmation_yes', entities: { timeWindow: 'Friday at 3 PM' } });
+    const snapshot = await settle(actor);
+
+    expect(snapshot.value).toBe('collectNewTime');
+    expect(snapshot.context.currentResponse).toBe('That time is booked. How about 4 PM?');
+    actor.stop();
+  });
+
+  it('asks for the number it was booked under, then hands off to a callback', async () => {
+    createAppointment.mockImplementation(async data => ({ id: 'callback-1', ...data }));
+    const actor = start([]);
+
+    say(actor, 'cancel my appointment', { intent: 'cancel_appointment' });
+    let snapshot = await settle(actor);
+    expect(snapshot.value).toBe('identifyAppointment');
+
+    say(actor, 'it was under 555-987-6543', { entities: { contact: '555-987-6543' } });
+    snapshot = await waitFor(actor, state => state.matches('callbackScheduled'));
+    expect(snapshot.context.lookupPhone).toBe('555-987-6543');
+    expect(snapshot.context.currentResponse).toMatch(/^I wasn't able to find that appointment/);
+
+    // Only Appointment columns, with the hour we promised to call back in as its span
+    const data = createAppointment.mock.calls[0][0];
+    expect(Object.keys(data).sort()).toEqual(['contactPhone', 'endAt', 'notes', 'organizationId', 'service', 'startAt', 'status']);
+    expect(data).toMatchObject({ organizationId: 'org-1', contactPhone: '555-987-6543', status: 'pending_callback' });
+    expect(data.endAt - data.startAt).toBe(60 * 60 * 1000);
+    expect(data.notes).toMatch(/Reason: appointment_not_found, Call back by: /);
+    actor.stop();
+  });
+});
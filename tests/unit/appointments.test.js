@@ -0,0 +1,164 @@
+jest.mock('../../src/config/database', () => ({
+  getDatabase: jest.fn()
+}));
+jest.mock('../../src/services/calendar', () => ({
+  calendarSync: { syncAppointment: jest.fn(appointment => Promise.resolve(appointment)) }
+}));
+
+const supertest = require('supertest');
+const { getDatabase } = require('../../src/config/database');
+const { calendarSync } = require('../../src/services/calendar');
+const appointmentRoutes = require('../../src/routes/appointments');
+
+const haircut = {
+  id: 'appt-1',
+  organizationId: 'org-1',
+  service: 'Haircut',
+  contactPhone: '555-123-4567',
+  status: 'scheduled',
+  externalId: null,
+  calendarProvider: null,
+  startAt: new Date('2025-03-11T18:00:00Z'),
+  endAt: new Date('2025-03-11T18:45:00Z')
+};
+
+describe('/api/appointments', () => {
+  const fastify = require('fastify')();
+  let prisma;
+  let role;
+
+  fastify.register(async function (fastify) {
+    fastify.addHook('preHandler', async (request) => {
+      request.user = { organizationId: 'org-1', userId: 'user-1', role };
+    });
+    await fastify.register(appointmentRoutes, { prefix: '/api/appointments' });
+  });
+
+  beforeAll(async () => {
+    await fastify.ready();
+  });
+
+  afterAll(async () => {
+    await fastify.close();
+  });
+
+  beforeEach(() => {
+    role = 'operator';
+    prisma = {
+      appointment: {
+        findMany: jest.fn().mockResolvedValue([]),
+        findFirst: jest.fn().mockResolvedValue(haircut),
+        count: jest.fn().mockResolvedValue(0),
+        create: jest.fn(({ data }) => Promise.resolve({ id: 'appt-2', ...data })),
+        update: jest.fn(({ where, data }) => Promise.resolve({ ...haircut, id: where.id, ...data }))
+      },
+      integration: { findMany: jest.fn().mockResolvedValue([]) },
+      businessConfig: { findUnique: jest.fn().mockResolvedValue({ services: [{ name: 'Haircut', duration: 45 }] }) }
+    };
+    getDatabase.mockResolvedValue(prisma);
+    calendarSync.syncAppointment.mockClear();
+  });
+
+  it('lists appointments filtered by date range, service, provider and status', async () => {
+    prisma.appointment.findMany.mockResolvedValue([haircut]);
+    prisma.appointment.count.mockResolvedValue(1);
+
+    const response = await supertest(fastify.server)
+      .get('/api/appointments')
+      .query({ from: '2025-03-10T00:00:00Z', to: '2025-03-17T00:00:00Z', service: 'hair', provider: 'Sam', status: 'scheduled,confirmed' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.appointments).toHaveLength(1);
+    expect(response.body.pagination.total).toBe(1);
+    expect(prisma.appointment.findMany.mock.calls[0][0].where).toEqual({
+      organizationId: 'org-1',
+      startAt: { gte: new Date('2025-03-10T00:00:00Z'), lt: new Date('2025-03-17T00:00:00Z') },
+      service: { contains: 'hair', mode: 'insensitive' },
+      provider: { contains: 'Sam', mode: 'insensitive' },
+      status: { in: ['scheduled', 'confirmed'] }
+    });
+  });
+
+  it('books for the service duration and syncs the calendar', async () => {
+    const response = await supertest(fastify.server)
+      .post('/api/appointments')
+      .send({ startAt: '2025-03-12T15:00:00Z', service: 'Haircut', contactPhone: '555-987-6543' });
+
+    expect(response.status).toBe(201);
+    expect(prisma.appointment.create).toHaveBeenCalledWith({
+      data: {
+        organizationId: 'org-1',
+        startAt: new Date('2025-03-12T15:00:00Z'),
+        endAt: new Date('2025-03-12T15:45:00Z'),
+        status: 'scheduled',
+        service: 'Haircut',
+        contactPhone: '555-987-6543'
+      }
+    });
+    expect(calendarSync.syncAppointment).toHaveBeenCalledWith(expect.objectContaining({ id: 'appt-2' }));
+  });
+
+  it('refuses a time that overlaps another appointment', async () => {
+    prisma.appointment.findMany.mockResolvedValue([{ id: 'appt-1', startAt: haircut.startAt, endAt: haircut.endAt }]);
+
+    const response = await supertest(fastify.server)
+      .post('/api/appointments')
+      .send({ startAt: '2025-03-11T18:30:00Z', endAt: '2025-03-11T19:00:00Z', service: 'Haircut' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.conflicts[0].appointmentId).toBe('appt-1');
+    expect(prisma.appointment.create).not.toHaveBeenCalled();
+  });
+
+  it('moves an appointment, keeping its length and leaving its own slot out of the check', async () => {
+    const response = await supertest(fastify.server)
+      .put('/api/appointments/appt-1')
+      .send({ startAt: '2025-03-11T18:30:00Z' });
+
+    expect(response.status).toBe(200);
+    expect(prisma.appointment.findMany.mock.calls[0][0].where.id).toEqual({ not: 'appt-1' });
+    expect(prisma.appointment.update).toHaveBeenCalledWith({
+      where: { id: 'appt-1' },
+      data: { startAt: new Date('2025-03-11T18:30:00Z'), endAt: new Date('2025-03-11T19:15:00Z') }
+    });
+  });
+
+  it('marks an appointment completed without a conflict check', async () => {
+    const response = await supertest(fastify.server)
+      .put('/api/appointments/appt-1')
+      .send({ status: 'completed' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('completed');
+    expect(prisma.appointment.findMany).not.toHaveBeenCalled();
+
+    const invalid = await supertest(fastify.server)
+      .put('/api/appointments/appt-1')
+      .send({ status: 'done' });
+    expect(invalid.status).toBe(400);
+  });
+
+  it('cancels an appointment and removes it from the calendar', async () => {
+    const response = await supertest(fastify.server).delete('/api/appointments/appt-1');
+
+    expect(response.status).toBe(200);
+    expect(prisma.appointment.update).toHaveBeenCalledWith({ where: { id: 'appt-1' }, data: { status: 'cancelled' } });
+    expect(calendarSync.syncAppointment).toHaveBeenCalledWith(expect.objectContaining({ status: 'cancelled' }));
+  });
+
+  it('only lets admins and operators change appointments', async () => {
+    role = 'viewer';
+    const response = await supertest(fastify.server).delete('/api/appointments/appt-1');
+
+    expect(response.status).toBe(403);
+    expect(prisma.appointment.update).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for an appointment in another organization', async () => {
+    prisma.appointment.findFirst.mockResolvedValue(null);
+    const response = await supertest(fastify.server).get('/api/appointments/appt-9');
+
+    expect(response.status).toBe(404);
+    expect(prisma.appointment.findFirst).toHaveBeenCalledWith({ where: { id: 'appt-9', organizationId: 'org-1' } });
+  });
+});
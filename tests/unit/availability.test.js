@@ -0,0 +1,198 @@
+jest.mock('../../src/services/db', () => ({
+  createAppointment: jest.fn(data => Promise.resolve({ id: 'appt-1', ...data }))
+}));
+
+const { AvailabilityService } = require('../../src/services/availability');
+const { resolveTimeWindow } = require('../../src/services/dateResolver');
+const { ToolExecutor } = require('../../src/services/tools');
+const { createAppointment } = require('../../src/services/db');
+const { createActor, waitFor } = require('xstate');
+const { bookingMachine } = require('../../src/services/stateMachine');
+
+// Monday 10 March 2025, 10:00 in New York
+const now = new Date('2025-03-10T14:00:00Z');
+
+const businessConfig = {
+  timezone: 'America/New_York',
+  businessHours: {
+    monday: { start: '09:00', end: '17:00', enabled: true },
+    tuesday: { start: '09:00', end: '17:00', enabled: true },
+    wednesday: { start: '09:00', end: '17:00', enabled: true },
+    thursday: { start: '09:00', end: '17:00', enabled: true },
+    friday: { start: '09:00', end: '17:00', enabled: true },
+    saturday: { start: '10:00', end: '14:00', enabled: true }
+  },
+  services: [{ name: 'Haircut', duration: 45, active: true }]
+};
+
+const createPrisma = ({ appointments = [], integrations = [] } = {}) => ({
+  appointment: { findMany: jest.fn().mockResolvedValue(appointments) },
+  integration: { findMany: jest.fn().mockResolvedValue(integrations) }
+});
+
+const check = (service, phrase, durationMinutes = 60) => service.checkWindow({
+  organizationId: 'org-1',
+  businessConfig,
+  window: resolveTimeWindow(phrase, { businessConfig, now }),
+  durationMinutes,
+  now
+});
+
+describe('AvailabilityService', () => {
+  it('confirms a free time as asked', async () => {
+    const service = new AvailabilityService({ prisma: createPrisma() });
+    const result = await check(service, 'tomorrow at 2pm');
+
+    expect(result.available).toBe(true);
+    expect(result.checked).toBe(true);
+    expect(result.slot.start.toISOString()).toBe('2025-03-11T18:00:00.000Z');
+    expect(result.slot.end.toISOString()).toBe('2025-03-11T19:00:00.000Z');
+    expect(result.slot.label).toBe('tomorrow at 2 PM');
+  });
+
+  it('offers the three nearest open slots when the time is booked', async () => {
+    const prisma = createPrisma({
+      appointments: [{ startAt: new Date('2025-03-11T18:00:00Z'), endAt: new Date('2025-03-11T19:00:00Z') }]
+    });
+    const service = new AvailabilityService({ prisma });
+    const result = await check(service, 'tomorrow at 2pm');
+
+    expect(result.available).toBe(false);
+    expect(result.reason).toBe('busy');
+    expect(result.alternatives.map(slot => slot.label)).toEqual(['tomorrow at 12 PM', 'tomorrow at 1 PM', 'tomorrow at 3 PM']);
+    expect(result.message).toBe("I'm sorry, tomorrow at 2 PM is already booked. The closest openings are tomorrow at 12 PM, tomorrow at 1 PM or tomorrow at 3 PM. Would any of those work?");
+
+    // Cancelled appointments and callback requests don't hold a slot
+    const { where } = prisma.appointment.findMany.mock.calls[0][0];
+    expect(where.organizationId).toBe('org-1');
+    expect(where.OR[1].status.notIn).toContain('cancelled');
+  });
+
+  it('books the first open slot of a window', async () => {
+    const prisma = createPrisma({
+      appointments: [{ startAt: new Date('2025-03-11T13:00:00Z'), endAt: new Date('2025-03-11T14:30:00Z') }]
+    });
+    const service = new AvailabilityService({ prisma });
+    const result = await check(service, 'tomorrow morning', 45);
+
+    expect(result.available).toBe(true);
+    expect(result.slot.label).toBe('tomorrow at 10:30 AM');
+    expect(result.slot.end.toISOString()).toBe('2025-03-11T15:15:00.000Z');
+  });
+
+  it('counts busy blocks on connected calendars and skips ones it cannot reach', async () => {
+    const calendar = {
+      getBusyTimes: jest.fn()
+        .mockRejectedValueOnce(new Error('invalid_grant'))
+        .mockResolvedValueOnce([{ start: '2025-03-11T18:00:00Z', end: '2025-03-11T20:00:00Z' }])
+    };
+    const prisma = createPrisma({
+      integrations: [
+        { type: 'google-calendar', oauthTokens: { access_token: 'expired' } },
+        { type: 'google-calendar', oauthTokens: { access_token: 'token' } }
+      ]
+    });
+    const service = new AvailabilityService({ prisma, calendar });
+    const result = await check(service, 'tomorrow at 3pm');
+
+    expect(calendar.getBusyTimes).toHaveBeenCalledTimes(2);
+    expect(result.available).toBe(false);
+    expect(result.alternatives.map(slot => slot.label)).toContain('tomorrow at 4 PM');
+  });
+
+  it('offers opening times when the business is closed', async () => {
+    const service = new AvailabilityService({ prisma: createPrisma() });
+    const result = await check(service, 'Sunday at 2pm');
+
+    expect(result.available).toBe(false);
+    expect(result.reason).toBe('closed');
+    expect(result.message).toMatch(/^I'm sorry, we're not open Sunday at 2 PM\. The closest openings are/);
+    expect(result.alternatives[0].start.toISOString()).toBe('2025-03-17T13:00:00.000Z');
+  });
+
+  it('treats the window as open when appointments cannot be read', async () => {
+    const prisma = createPrisma();
+    prisma.appointment.findMany.mockRejectedValue(new Error('connection refused'));
+    const service = new AvailabilityService({ prisma });
+    const result = await check(service, 'tomorrow at 2pm');
+
+    expect(result.available).toBe(true);
+    expect(result.checked).toBe(false);
+    expect(result.slot.label).toBe('tomorrow at 2 PM');
+  });
+});
+
+describe('ToolExecutor.scheduleAppointment availability', () => {
+  const booking = { service: 'Haircut', time_window: 'tomorrow at 2pm', contact: '555-123-4567' };
+
+  const calendarSync = { syncAppointment: jest.fn(appointment => Promise.resolve({ ...appointment, externalId: 'event-1' })) };
+
+  beforeEach(() => {
+    createAppointment.mockClear();
+    calendarSync.syncAppointment.mockClear();
+  });
+
+  it('offers alternatives instead of booking a taken slot', async () => {
+    const alternatives = [{ start: new Date('2025-03-11T19:00:00Z'), end: new Date('2025-03-11T19:45:00Z'), label: 'tomorrow at 3 PM' }];
+    const availability = {
+      checkWindow: jest.fn().mockResolvedValue({ available: false, reason: 'busy', alternatives, message: 'Sorry, that is taken.' })
+    };
+    const executor = new ToolExecutor({ organizationId: 'org-1', businessConfig, availability, calendarSync });
+    const result = await executor.scheduleAppointment(booking);
+
+    expect(createAppointment).not.toHaveBeenCalled();
+    expect(availability.checkWindow.mock.calls[0][0].durationMinutes).toBe(45);
+    expect(result).toMatchObject({
+      success: false,
+      unavailable: true,
+      prompt: 'Sorry, that is taken.',
+      alternatives: [{ start_at: '2025-03-11T19:00:00.000Z', end_at: '2025-03-11T19:45:00.000Z', label: 'tomorrow at 3 PM' }]
+    });
+  });
+
+  it('books the checked slot', async () => {
+    const slot = { start: new Date('2025-03-11T18:00:00Z'), end: new Date('2025-03-11T18:45:00Z'), label: 'tomorrow at 2 PM', exact: true };
+    const availability = { checkWindow: jest.fn().mockResolvedValue({ available: true, checked: true, slot }) };
+    const executor = new ToolExecutor({ organizationId: 'org-1', businessConfig, availability, calendarSync });
+    const result = await executor.scheduleAppointment(booking);
+
+    expect(result.success).toBe(true);
+    expect(createAppointment).toHaveBeenCalledWith(expect.objectContaining({ startAt: slot.start, endAt: slot.end }));
+    expect(calendarSync.syncAppointment).toHaveBeenCalledWith(expect.objectContaining({ id: 'appt-1' }));
+    expect(result.calendar_event_id).toBe('event-1');
+  });
+});
+
+describe('bookingMachine availability', () => {
+  beforeEach(() => {
+    createAppointment.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('checks and books the slot in the calling organization', async () => {
+    const slot = { start: new Date('2025-03-11T18:00:00Z'), end: new Date('2025-03-11T18:45:00Z'), label: 'tomorrow at 2 PM', exact: true };
+    const checkWindow = jest.spyOn(AvailabilityService.prototype, 'checkWindow').mockResolvedValue({ available: true, checked: true, slot });
+    const actor = createActor(bookingMachine).start();
+
+    actor.send({
+      type: 'PROCESS_INTENT',
+      intent: 'booking',
+      confidence: 0.9,
+      organizationId: 'org-2',
+      businessConfig,
+      entities: { service: 'Haircut', timeWindow: 'tomorrow at 2pm', contact: '555-123-4567' },
+      bookingData: { serviceValidated: true }
+    });
+    expect(actor.getSnapshot().value).toBe('confirm');
+
+    actor.send({ type: 'PROCESS_INTENT', intent: 'confirmation_yes', confidence: 0.9 });
+    await waitFor(actor, snapshot => snapshot.matches('success'));
+
+    expect(checkWindow.mock.calls[0][0].organizationId).toBe('org-2');
+    expect(createAppointment).toHaveBeenCalledWith(expect.objectContaining({ organizationId: 'org-2', startAt: slot.start, endAt: slot.end }));
+    actor.stop();
+  });
+});
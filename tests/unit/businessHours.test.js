@@ -0,0 +1,138 @@
+jest.mock('../../src/services/organizationContext', () => ({
+  OrganizationContextService: jest.fn()
+}));
+
+const supertest = require('supertest');
+const { OrganizationContextService } = require('../../src/services/organizationContext');
+const { getBusinessHoursStatus, formatBusinessHours } = require('../../src/services/businessHours');
+const { evaluateAfterHours } = require('../../src/services/afterHours');
+const { handleIncomingCall } = require('../../src/services/telephony');
+
+const weekdays = { start: '09:00', end: '17:00', enabled: true };
+const businessConfig = {
+  timezone: 'America/Los_Angeles',
+  businessHours: {
+    monday: weekdays,
+    tuesday: weekdays,
+    wednesday: weekdays,
+    thursday: weekdays,
+    friday: weekdays,
+    saturday: { start: '10:00', end: '14:00', enabled: true },
+    sunday: { start: '10:00', end: '14:00', enabled: false }
+  },
+  holidays: ['2025-07-04', { date: '12-25', name: 'Christmas' }]
+};
+
+describe('getBusinessHoursStatus', () => {
+  it('evaluates hours in the business timezone', () => {
+    // 16:30 UTC on a Wednesday is 09:30 in Los Angeles
+    expect(getBusinessHoursStatus(businessConfig, new Date('2025-08-20T16:30:00Z'))).toMatchObject({
+      isOpen: true,
+      reason: 'open'
+    });
+    // 15:30 UTC is 08:30 local
+    expect(getBusinessHoursStatus(businessConfig, new Date('2025-08-20T15:30:00Z'))).toMatchObject({
+      isOpen: false,
+      reason: 'before_hours',
+      nextOpening: { date: '2025-08-20', label: 'today at 9 AM' }
+    });
+  });
+
+  it('skips closed days and holidays when finding the next opening', () => {
+    // Saturday 15:00 local -> closed Sunday -> Monday
+    expect(getBusinessHoursStatus(businessConfig, new Date('2025-08-23T22:00:00Z')).nextOpening).toMatchObject({
+      date: '2025-08-25',
+      label: 'Monday at 9 AM'
+    });
+
+    // Recurring Christmas holiday on a Thursday
+    const christmas = getBusinessHoursStatus(businessConfig, new Date('2025-12-25T18:00:00Z'));
+    expect(christmas).toMatchObject({ isOpen: false, reason: 'holiday', holiday: { name: 'Christmas' } });
+    expect(christmas.nextOpening.label).toBe('tomorrow at 9 AM');
+  });
+
+  it('handles hours that run past midnight', () => {
+    const lateNight = {
+      timezone: 'UTC',
+      businessHours: { friday: { start: '18:00', end: '02:00', enabled: true } }
+    };
+
+    expect(getBusinessHoursStatus(lateNight, new Date('2025-08-23T01:00:00Z')).isOpen).toBe(true);
+    expect(getBusinessHoursStatus(lateNight, new Date('2025-08-23T03:00:00Z')).isOpen).toBe(false);
+  });
+});
+
+describe('formatBusinessHours', () => {
+  it('groups consecutive days with the same hours', () => {
+    expect(formatBusinessHours(businessConfig.businessHours)).toBe('Monday to Friday 9 AM to 5 PM, and Saturday 10 AM to 2 PM');
+    expect(formatBusinessHours(null)).toBeNull();
+  });
+});
+
+describe('evaluateAfterHours', () => {
+  const closedAt = new Date('2025-08-20T05:00:00Z');
+
+  it('defaults to booking the next available slot', () => {
+    expect(evaluateAfterHours(businessConfig, closedAt)).toMatchObject({ afterHours: true, mode: 'book_next_available' });
+    expect(evaluateAfterHours(businessConfig, new Date('2025-08-20T17:00:00Z'))).toMatchObject({ afterHours: false, mode: null });
+  });
+
+  it('takes a message when forwarding has no number to ring', () => {
+    const config = { ...businessConfig, rules: { afterHours: { mode: 'forward' } } };
+    expect(evaluateAfterHours(config, closedAt).mode).toBe('message');
+  });
+});
+
+describe('handleIncomingCall after hours', () => {
+  const fastify = require('fastify')();
+  fastify.addContentTypeParser('application/x-www-form-urlencoded', { parseAs: 'string' }, (req, payload, done) => {
+    done(null, Object.fromEntries(new URLSearchParams(payload)));
+  });
+  fastify.post('/voice', handleIncomingCall);
+
+  const alwaysClosed = {
+    ...businessConfig,
+    businessHours: { monday: { start: '09:00', end: '17:00', enabled: false } }
+  };
+
+  const mockOrganization = (config) => {
+    OrganizationContextService.mockImplementation(() => ({
+      getOrganizationContext: jest.fn().mockResolvedValue({
+        organizationName: 'Acme Plumbing',
+        twilioNumber: '+15550001111',
+        businessConfig: config
+      })
+    }));
+  };
+
+  const placeCall = () => supertest(fastify.server)
+    .post('/voice')
+    .set('Host', 'voice.example.com')
+    .type('form')
+    .send({ CallSid: 'CA1', To: '+15550001111', From: '+15551234567' });
+
+  beforeAll(async () => {
+    await fastify.ready();
+  });
+
+  afterAll(async () => {
+    await fastify.close();
+  });
+
+  it('forwards to the on-call number', async () => {
+    mockOrganization({ ...alwaysClosed, rules: { afterHours: { mode: 'forward', forwardNumber: '+15559990000' } } });
+
+    const response = await placeCall();
+    expect(response.text).toContain('<Dial');
+    expect(response.text).toContain('+15559990000');
+    expect(response.text).not.toContain('<Stream');
+  });
+
+  it('sends message mode straight to voicemail', async () => {
+    mockOrganization({ ...alwaysClosed, rules: { afterHours: { mode: 'message' } } });
+
+    const response = await placeCall();
+    expect(response.text).toContain('<Parameter name="afterHours" value="message"/>');
+    expect(response.text).toContain('<Parameter name="mode" value="voicemail"/>');
+  });
+});
@@ -1,24 +1,167 @@
-
-const { createEvent } = require('../src/services/calendar');
-const { google } = require('googleapis');
-
-jest.mock('googleapis', () => ({
-  google: {
-    auth: {
-      OAuth2: jest.fn(),
-    },
-    calendar: jest.fn(() => ({
-      events: {
-        insert: jest.fn().mockResolvedValue({ data: { id: 'test-event-id' } }),
-      },
-    })),
-  },
+jest.mock('../../src/services/db', () => ({
+  createAppointment: jest.fn(data => Promise.resolve({ id: 'appt-1', externalId: null, calendarProvider: null, ...data }))
+}));
+jest.mock('../../src/config/database', () => ({
+  getDatabase: jest.fn()
+}));
+jest.mock('../../src/services/googleCalendar', () => ({
+  createEvent: jest.fn()
 }));
 
-describe('Calendar Service', () => {
-  it('should create a calendar event', async () => {
-    const event = await createEvent({ summary: 'Test Event' });
-    expect(event).toBeDefined();
-    expect(event.id).toBe('test-event-id');
+const { createActor, waitFor } = require('xstate');
+const { CalendarSyncService } = require('../../src/services/calendar');
+const { AvailabilityService } = require('../../src/services/availability');
+const { bookingMachine } = require('../../src/services/stateMachine');
+const { getDatabase } = require('../../src/config/database');
+const googleCalendar = require('../../src/services/googleCalendar');
+
+const appointment = {
+  id: 'appt-1',
+  organizationId: 'org-1',
+  service: 'Haircut',
+  contactPhone: '555-123-4567',
+  notes: 'First visit',
+  status: 'scheduled',
+  startAt: new Date('2025-03-11T18:00:00Z'),
+  endAt: new Date('2025-03-11T18:45:00Z'),
+  externalId: null,
+  calendarProvider: null
+};
+
+const createPrisma = ({ integration = { type: 'google-calendar', status: 'active', oauthTokens: { access_token: 'token' } } } = {}) => ({
+  integration: { findFirst: jest.fn().mockResolvedValue(integration) },
+  businessConfig: { findUnique: jest.fn().mockResolvedValue({ timezone: 'America/Chicago' }) },
+  appointment: { update: jest.fn(({ where, data }) => Promise.resolve({ ...appointment, id: where.id, ...data })) }
+});
+
+const createCalendar = () => ({
+  createEvent: jest.fn().mockResolvedValue({ id: 'event-1' }),
+  updateEvent: jest.fn().mockResolvedValue({ id: 'event-1' }),
+  deleteEvent: jest.fn().mockResolvedValue({ success: true })
+});
+
+describe('CalendarSyncService', () => {
+  it('creates an event for a new booking and saves its id', async () => {
+    const prisma = createPrisma();
+    const calendar = createCalendar();
+    const sync = new CalendarSyncService({ prisma, calendar });
+
+    const result = await sync.syncAppointment(appointment);
+
+    expect(calendar.createEvent).toHaveBeenCalledWith({ access_token: 'token' }, 'primary', {
+      summary: 'Haircut - 555-123-4567',
+      description: 'First visit\n\nBooked by phone',
+      startTime: '2025-03-11T18:00:00.000Z',
+      endTime: '2025-03-11T18:45:00.000Z',
+      timezone: 'America/Chicago'
+    });
+    expect(prisma.appointment.update).toHaveBeenCalledWith({
+      where: { id: 'appt-1' },
+      data: { externalId: 'event-1', calendarProvider: 'google-calendar' }
+    });
+    expect(result.externalId).toBe('event-1');
+  });
+
+  it('updates the existing event when the appointment changes', async () => {
+    const prisma = createPrisma();
+    const calendar = createCalendar();
+    const sync = new CalendarSyncService({ prisma, calendar });
+    const moved = { ...appointment, externalId: 'event-1', calendarProvider: 'google-calendar', startAt: new Date('2025-03-12T15:00:00Z'), endAt: new Date('2025-03-12T15:45:00Z') };
+
+    await sync.syncAppointment(moved);
+
+    expect(calendar.updateEvent).toHaveBeenCalledWith({ access_token: 'token' }, 'primary', 'event-1', expect.objectContaining({
+      startTime: '2025-03-12T15:00:00.000Z',
+      endTime: '2025-03-12T15:45:00.000Z'
+    }));
+    expect(calendar.createEvent).not.toHaveBeenCalled();
+    expect(prisma.appointment.update).not.toHaveBeenCalled();
+  });
+
+  it('deletes the event when the appointment is cancelled', async () => {
+    const prisma = createPrisma();
+    const calendar = createCalendar();
+    const sync = new CalendarSyncService({ prisma, calendar });
+
+    const result = await sync.syncAppointment({ ...appointment, status: 'cancelled', externalId: 'event-1', calendarProvider: 'google-calendar' });
+
+    expect(calendar.deleteEvent).toHaveBeenCalledWith({ access_token: 'token' }, 'primary', 'event-1');
+    expect(result.externalId).toBeNull();
+  });
+
+  it('keeps tentative bookings off the calendar', async () => {
+    const prisma = createPrisma();
+    const calendar = createCalendar();
+    const sync = new CalendarSyncService({ prisma, calendar });
+
+    const result = await sync.syncAppointment({ ...appointment, status: 'pending_confirmation' });
+
+    expect(result.status).toBe('pending_confirmation');
+    expect(prisma.integration.findFirst).not.toHaveBeenCalled();
+    expect(calendar.createEvent).not.toHaveBeenCalled();
+  });
+
+  it('keeps the event of a completed or missed appointment', async () => {
+    const prisma = createPrisma();
+    const calendar = createCalendar();
+    const sync = new CalendarSyncService({ prisma, calendar });
+
+    for (const status of ['completed', 'no_show']) {
+      await sync.syncAppointment({ ...appointment, status, externalId: 'event-1', calendarProvider: 'google-calendar' });
+    }
+
+    expect(calendar.deleteEvent).not.toHaveBeenCalled();
+    expect(calendar.updateEvent).not.toHaveBeenCalled();
+  });
+
+  it('leaves the booking as it is when no calendar is connected or the calendar fails', async () => {
+    const calendar = createCalendar();
+    const unconnected = new CalendarSyncService({ prisma: createPrisma({ integration: null }), calendar });
+    expect(await unconnected.syncAppointment(appointment)).toBe(appointment);
+    expect(calendar.createEvent).not.toHaveBeenCalled();
+
+    calendar.createEvent.mockRejectedValue(new Error('Failed to create calendar event'));
+    const failing = new CalendarSyncService({ prisma: createPrisma(), calendar });
+    expect(await failing.syncAppointment(appointment)).toBe(appointment);
+  });
+});
+
+describe('bookingMachine calendar sync', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('puts a phone booking on the calling organization\'s calendar', async () => {
+    const slot = { start: new Date('2025-03-11T18:00:00Z'), end: new Date('2025-03-11T18:45:00Z'), label: 'tomorrow at 2 PM', exact: true };
+    jest.spyOn(AvailabilityService.prototype, 'checkWindow').mockResolvedValue({ available: true, checked: true, slot });
+    const prisma = createPrisma();
+    getDatabase.mockResolvedValue(prisma);
+    googleCalendar.createEvent.mockResolvedValue({ id: 'event-1' });
+
+    const actor = createActor(bookingMachine).start();
+    actor.send({
+      type: 'PROCESS_INTENT',
+      intent: 'booking',
+      confidence: 0.9,
+      organizationId: 'org-2',
+      businessConfig: { timezone: 'America/Chicago', services: [{ name: 'Haircut', duration: 45, active: true }] },
+      entities: { service: 'Haircut', timeWindow: 'tomorrow at 2pm', contact: '555-123-4567' },
+      bookingData: { serviceValidated: true }
+    });
+    actor.send({ type: 'PROCESS_INTENT', intent: 'confirmation_yes', confidence: 0.9 });
+    await waitFor(actor, snapshot => snapshot.matches('success'));
+
+    expect(prisma.integration.findFirst).toHaveBeenCalledWith({
+      where: { organizationId: 'org-2', type: 'google-calendar', status: 'active' }
+    });
+    expect(googleCalendar.createEvent).toHaveBeenCalledWith({ access_token: 'token' }, 'primary', expect.objectContaining({
+      startTime: '2025-03-11T18:00:00.000Z',
+      endTime: '2025-03-11T18:45:00.000Z'
+    }));
+    expect(prisma.appointment.update).toHaveBeenCalledWith({
+      where: { id: 'appt-1' },
+      data: { externalId: 'event-1', calendarProvider: 'google-calendar' }
+    });
+    actor.stop();
   });
 });
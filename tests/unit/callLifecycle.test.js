@@ -0,0 +1,118 @@
+jest.mock('../../src/services/db', () => ({
+  getCallBySid: jest.fn(),
+  upsertCallBySid: jest.fn().mockResolvedValue({ id: 'call-1' })
+}));
+
+const supertest = require('supertest');
+const twilio = require('twilio');
+const { getCallBySid, upsertCallBySid } = require('../../src/services/db');
+const { buildCallUpdates } = require('../../src/services/callLifecycle');
+const callStatusRoutes = require('../../src/routes/call-status');
+const { twilioSignatureMiddleware } = require('../../src/middleware/twilioSignature');
+
+describe('buildCallUpdates', () => {
+  const receivedAt = new Date('2025-08-20T15:00:00Z');
+
+  it('creates a ringing call with a start time', () => {
+    const updates = buildCallUpdates(null, { CallSid: 'CA1', CallStatus: 'ringing' }, receivedAt);
+
+    expect(updates.status).toBe('ringing');
+    expect(updates.startedAt).toEqual(receivedAt);
+    expect(updates.endedAt).toBeUndefined();
+    expect(updates.metadata.lifecycle.ringing).toBe(receivedAt.toISOString());
+  });
+
+  it('records duration and end time on completion', () => {
+    const existing = { status: 'in_progress', startedAt: new Date('2025-08-20T14:58:00Z') };
+    const updates = buildCallUpdates(existing, { CallSid: 'CA1', CallStatus: 'completed', CallDuration: '95' }, receivedAt);
+
+    expect(updates.status).toBe('completed');
+    expect(updates.durationSeconds).toBe(95);
+    expect(updates.endedAt).toEqual(receivedAt);
+    expect(updates.startedAt).toBeUndefined();
+  });
+
+  it.each([
+    ['busy', 'busy'],
+    ['no-answer', 'no_answer'],
+    ['failed', 'failed'],
+    ['canceled', 'canceled']
+  ])('maps %s to a terminal %s status', (twilioStatus, status) => {
+    const updates = buildCallUpdates(null, { CallSid: 'CA1', CallStatus: twilioStatus, CallDuration: '0' }, receivedAt);
+
+    expect(updates.status).toBe(status);
+    expect(updates.durationSeconds).toBe(0);
+    expect(updates.endedAt).toEqual(receivedAt);
+  });
+
+  it('never moves a call backwards when callbacks arrive out of order', () => {
+    const updates = buildCallUpdates({ status: 'completed', startedAt: receivedAt }, { CallSid: 'CA1', CallStatus: 'ringing' }, receivedAt);
+
+    expect(updates.status).toBeUndefined();
+  });
+
+  it('keeps outcomes written by the voice pipeline', () => {
+    const updates = buildCallUpdates({ status: 'voicemail', startedAt: receivedAt }, { CallSid: 'CA1', CallStatus: 'completed', CallDuration: '61' }, receivedAt);
+
+    expect(updates.status).toBeUndefined();
+    expect(updates.durationSeconds).toBe(61);
+  });
+});
+
+describe('POST /api/calls/status', () => {
+  const fastify = require('fastify')();
+  const body = { CallSid: 'CA1', CallStatus: 'completed', CallDuration: '30', From: '+15551234567', To: '+15550001111' };
+
+  fastify.addContentTypeParser('application/x-www-form-urlencoded', { parseAs: 'string' }, (req, payload, done) => {
+    done(null, Object.fromEntries(new URLSearchParams(payload)));
+  });
+  fastify.register(async function (fastify) {
+    fastify.addHook('preHandler', twilioSignatureMiddleware);
+    await fastify.register(callStatusRoutes, { prefix: '/api/calls' });
+  });
+
+  beforeAll(async () => {
+    await fastify.ready();
+  });
+
+  afterAll(async () => {
+    await fastify.close();
+  });
+
+  beforeEach(() => {
+    getCallBySid.mockResolvedValue({ id: 'call-1', status: 'in_progress', startedAt: new Date() });
+    upsertCallBySid.mockClear();
+  });
+
+  const signatureFor = (path) => {
+    const url = `http://127.0.0.1${path}`;
+    return twilio.getExpectedTwilioSignature(process.env.TWILIO_AUTH_TOKEN, url, body);
+  };
+
+  it('reconciles a signed status callback', async () => {
+    const response = await supertest(fastify.server)
+      .post('/api/calls/status?org=org-1')
+      .set('Host', '127.0.0.1')
+      .set('X-Twilio-Signature', signatureFor('/api/calls/status?org=org-1'))
+      .type('form')
+      .send(body);
+
+    expect(response.status).toBe(204);
+    expect(upsertCallBySid).toHaveBeenCalledWith('CA1', expect.objectContaining({
+      status: 'completed',
+      durationSeconds: 30
+    }), expect.any(Object));
+  });
+
+  it('rejects callbacks without a valid signature', async () => {
+    const response = await supertest(fastify.server)
+      .post('/api/calls/status')
+      .set('Host', '127.0.0.1')
+      .set('X-Twilio-Signature', 'forged')
+      .type('form')
+      .send(body);
+
+    expect(response.status).toBe(403);
+    expect(upsertCallBySid).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+jest.mock('../../src/services/db', () => ({
+  upsertCallBySid: jest.fn().mockResolvedValue({ id: 'call-1' })
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { upsertCallBySid } = require('../../src/services/db');
+const { CallRecorder, saveCallRecording } = require('../../src/services/callRecording');
+const { LocalStorageBackend, openObject } = require('../../src/services/storage');
+
+const WAV_HEADER_BYTES = 58;
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+describe('CallRecorder', () => {
+  it('muxes caller and agent audio into a dual-channel WAV', () => {
+    let now = 1000;
+    const recorder = new CallRecorder({ now: () => now });
+    recorder.start();
+
+    // 4ms of caller audio, then 2ms of agent audio sent 1ms into the call
+    recorder.addInbound(Buffer.alloc(32, 0x10));
+    now = 1001;
+    recorder.addOutbound(Buffer.alloc(16, 0x20));
+
+    const { wav, durationMs } = recorder.stop();
+    const data = wav.subarray(WAV_HEADER_BYTES);
+
+    expect(durationMs).toBe(4);
+    expect(wav.readUInt16LE(22)).toBe(2);
+    expect(data.length).toBe(64);
+    // Channel 1 (caller) is interleaved first
+    expect(data[0]).toBe(0x10);
+    // Agent audio starts 8 samples (1ms) in, silence before it
+    expect(data[1]).toBe(0xff);
+    expect(data[8 * 2 + 1]).toBe(0x20);
+    expect(data[23 * 2 + 1]).toBe(0x20);
+    expect(data[24 * 2 + 1]).toBe(0xff);
+    expect(recorder.stop()).toBeNull();
+  });
+
+  it('queues agent audio generated faster than real time back to back', () => {
+    const recorder = new CallRecorder({ now: () => 0 });
+    recorder.start();
+
+    recorder.addOutbound(Buffer.alloc(8, 0x01));
+    recorder.addOutbound(Buffer.alloc(8, 0x02));
+
+    const data = recorder.stop().wav.subarray(WAV_HEADER_BYTES);
+    expect(data.length).toBe(32);
+    expect(data[7 * 2 + 1]).toBe(0x01);
+    expect(data[8 * 2 + 1]).toBe(0x02);
+    expect(data[0]).toBe(0xff);
+  });
+});
+
+describe('recording storage', () => {
+  let root;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    process.env.STORAGE_LOCAL_PATH = root;
+  });
+
+  afterAll(() => {
+    delete process.env.STORAGE_LOCAL_PATH;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('stores the WAV locally and records its locator on the call', async () => {
+    const wav = Buffer.from('RIFF-test-recording');
+    const locator = await saveCallRecording({ callSid: 'CA123', organizationId: 'org-1', wav });
+
+    expect(locator).toBe('local:recordings/org-1/CA123.wav');
+    expect(upsertCallBySid).toHaveBeenCalledWith('CA123', { recordingUrl: locator }, { organizationId: 'org-1' });
+
+    const whole = await openObject(locator);
+    expect(await readStream(whole.stream)).toEqual(wav);
+
+    const partial = await openObject(locator, { start: 5, end: 8 });
+    expect(partial).toMatchObject({ size: wav.length, start: 5, end: 8 });
+    expect((await readStream(partial.stream)).toString()).toBe('test');
+
+    await expect(openObject(locator, { start: 100 })).rejects.toMatchObject({ code: 'RANGE_NOT_SATISFIABLE' });
+  });
+
+  it('refuses keys outside the storage root', () => {
+    const storage = new LocalStorageBackend({ root });
+    expect(() => storage.resolvePath('../escape.wav')).toThrow('Invalid storage key');
+  });
+});
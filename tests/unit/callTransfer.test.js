@@ -0,0 +1,94 @@
+jest.mock('../../src/services/db', () => ({
+  upsertCallBySid: jest.fn().mockResolvedValue({ id: 'call-1' })
+}));
+
+const { upsertCallBySid } = require('../../src/services/db');
+const { CallTransferService, transferStore } = require('../../src/services/callTransfer');
+const { MemoryStateStore, setStateStore } = require('../../src/services/stateStore');
+
+describe('CallTransferService', () => {
+  let twilioClient;
+  let service;
+  let store;
+
+  beforeEach(() => {
+    const update = jest.fn().mockResolvedValue({});
+    twilioClient = { calls: jest.fn(() => ({ update })), update };
+    service = new CallTransferService({ client: twilioClient });
+    store = new MemoryStateStore();
+    setStateStore(store);
+    upsertCallBySid.mockClear();
+  });
+
+  afterAll(() => {
+    setStateStore(null);
+  });
+
+  it('redirects the live call into a Dial with whisper and action URLs', async () => {
+    const result = await service.startTransfer({
+      callSid: 'CA123',
+      escalationNumber: '+15550001111',
+      baseUrl: 'https://example.com',
+      callerPhone: '+15551234567',
+      slots: { service: 'haircut', timeWindow: 'tomorrow at 3' },
+      reason: 'caller asked for a person'
+    });
+
+    expect(result.success).toBe(true);
+    expect(twilioClient.calls).toHaveBeenCalledWith('CA123');
+    const { twiml } = twilioClient.update.mock.calls[0][0];
+    expect(twiml).toContain('<Dial action="https://example.com/voice/transfer/status"');
+    expect(twiml).toContain('<Number url="https://example.com/voice/transfer/whisper" method="POST">+15550001111</Number>');
+    expect((await transferStore.get('CA123')).whisper).toContain('They asked about haircut.');
+    expect(upsertCallBySid).toHaveBeenCalledWith('CA123', expect.objectContaining({
+      status: 'transferring',
+      metadata: { transfer: expect.objectContaining({ status: 'transferring', to: '+15550001111' }) }
+    }), expect.any(Object));
+  });
+
+  it('plays the captured summary as the whisper', async () => {
+    await transferStore.save('CA123', { whisper: 'Caller wants a haircut tomorrow.' });
+
+    expect(await service.buildWhisperTwiml('CA123')).toContain('<Say>Caller wants a haircut tomorrow.</Say>');
+  });
+
+  it('shares the whisper with other instances and expires it if the dial never reports back', async () => {
+    const set = jest.spyOn(store, 'set');
+    await service.buildForwardTwiml({
+      callSid: 'CA123',
+      forwardNumber: '+15550001111',
+      baseUrl: 'https://example.com',
+      organizationName: 'Salon',
+      reason: 'after hours'
+    });
+
+    // The whisper webhook may reach a different instance with its own service
+    expect(await new CallTransferService().buildWhisperTwiml('CA123')).toContain('Reason: after hours.');
+    expect(set).toHaveBeenCalledWith('transfer:CA123', expect.any(Object), { ttlMs: expect.any(Number) });
+  });
+
+  it('hangs up the caller leg after a connected transfer', async () => {
+    const twiml = await service.handleDialResult({ CallSid: 'CA123', DialCallStatus: 'completed', DialCallDuration: '42' });
+
+    expect(twiml).toContain('<Hangup/>');
+    expect(twiml).not.toContain('<Stream');
+    expect(await transferStore.get('CA123')).toBeNull();
+    expect(upsertCallBySid).toHaveBeenCalledWith('CA123', expect.objectContaining({
+      status: 'transferred',
+      metadata: { transfer: expect.objectContaining({ status: 'connected', durationSeconds: 42 }) }
+    }), expect.any(Object));
+  });
+
+  it('falls back to voicemail when nobody answers', async () => {
+    const twiml = await service.handleDialResult(
+      { CallSid: 'CA123', DialCallStatus: 'no-answer', To: '+15550002222', From: '+15551234567' },
+      { baseUrl: 'https://example.com' }
+    );
+
+    expect(twiml).toContain('<Stream url="wss://example.com">');
+    expect(twiml).toContain('<Parameter name="mode" value="voicemail"/>');
+    expect(upsertCallBySid).toHaveBeenCalledWith('CA123', expect.objectContaining({
+      status: 'transfer_failed'
+    }), expect.any(Object));
+  });
+});
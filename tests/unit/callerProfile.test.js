@@ -0,0 +1,100 @@
+const {
+  CallerProfileService,
+  getPhoneVariants,
+  renderGreeting,
+  getGreeting
+} = require('../../src/services/callerProfile');
+
+const organizationContext = {
+  organizationId: 'org-1',
+  organizationName: 'Salon',
+  twilioNumber: '+15555550199',
+  businessConfig: {
+    timezone: 'America/New_York',
+    greeting: 'Thanks for calling {{organizationName}}!',
+    scripts: { returningGreeting: 'Welcome back {{firstName|there}}! See you {{nextAppointment}}.' }
+  },
+  integrations: [{ type: 'hubspot', status: 'active' }]
+};
+
+// Wednesday 20 August 2025, 10:00 in New York
+const now = new Date('2025-08-20T14:00:00Z');
+
+const createPrisma = ({ calls = [], upcoming = [], past = [] } = {}) => ({
+  call: { findMany: jest.fn().mockResolvedValue(calls) },
+  appointment: {
+    findMany: jest.fn(({ where }) => Promise.resolve(where.startAt.gte ? upcoming : past))
+  },
+  integration: {
+    findMany: jest.fn().mockResolvedValue([{ type: 'hubspot', oauthTokens: { access_token: 'token' } }])
+  }
+});
+
+describe('CallerProfileService', () => {
+  it('builds a profile from call history, appointments and the CRM', async () => {
+    const prisma = createPrisma({
+      calls: [{ createdAt: new Date('2025-08-14T15:00:00Z'), status: 'completed', finalContext: { service: 'Color' } }],
+      upcoming: [{ id: 'appt-1', startAt: new Date('2025-08-22T19:00:00Z'), service: 'Haircut', provider: null }]
+    });
+    const hubspot = jest.fn().mockResolvedValue({ id: '42', firstName: 'Jane', name: 'Jane Smith', email: null });
+    const service = new CallerProfileService({ prisma, crmLookups: { hubspot } });
+
+    const profile = await service.getProfile({ organizationContext, callerPhone: '+15555550123', callSid: 'CA2', now });
+
+    expect(hubspot).toHaveBeenCalledWith({ access_token: 'token' }, '5555550123');
+    expect(prisma.call.findMany.mock.calls[0][0].where.callerPhone.in).toEqual(expect.arrayContaining(['+15555550123', '555-555-0123']));
+    expect(profile).toEqual(expect.objectContaining({
+      name: 'Jane Smith',
+      firstName: 'Jane',
+      crm: { type: 'hubspot', id: '42' },
+      previousCalls: 1,
+      lastService: 'Color'
+    }));
+    expect(profile.upcomingAppointments[0].label).toBe('Friday at 3 PM');
+    expect(profile.summary).toBe(
+      'Returning caller. Name: Jane Smith. Has called once before, last on Thursday the 14th. ' +
+      'Upcoming: Haircut Friday at 3 PM. Last service: Color. ' +
+      'Use what you know instead of asking again; confirm details rather than re-collecting them.'
+    );
+  });
+
+  it('returns null for first-time callers and unknown organizations', async () => {
+    const service = new CallerProfileService({ prisma: createPrisma(), crmLookups: { hubspot: jest.fn().mockResolvedValue(null) } });
+
+    expect(await service.getProfile({ organizationContext, callerPhone: '+15555550123', now })).toBeNull();
+    expect(await service.getProfile({ organizationContext: { organizationId: 'default' }, callerPhone: '+15555550123', now })).toBeNull();
+  });
+
+  it('gives up on a slow lookup instead of delaying the greeting', async () => {
+    const prisma = createPrisma();
+    prisma.call.findMany = jest.fn(() => new Promise(() => {}));
+    const service = new CallerProfileService({ prisma, timeoutMs: 10, crmLookups: { hubspot: jest.fn().mockResolvedValue(null) } });
+
+    expect(await service.getProfile({ organizationContext, callerPhone: '+15555550123', now })).toBeNull();
+  });
+});
+
+describe('greetings', () => {
+  it('fills variables and their fallbacks', () => {
+    expect(renderGreeting('Hi {{firstName|there}}!', {})).toEqual({ text: 'Hi there!', personalized: false });
+    expect(renderGreeting('Hi {{ firstName }}!', { firstName: 'Jane' })).toEqual({ text: 'Hi Jane!', personalized: true });
+    expect(renderGreeting('See you {{nextAppointment}}.', {})).toBeNull();
+  });
+
+  it('greets recognized callers with the returning greeting', () => {
+    const profile = { firstName: 'Jane', upcomingAppointments: [{ label: 'Friday at 3 PM', service: 'Haircut' }] };
+
+    expect(getGreeting({ organizationContext, profile, fallback: 'Hello' }))
+      .toEqual({ text: 'Welcome back Jane! See you Friday at 3 PM.', personalized: true });
+    // Known caller without an upcoming appointment: the returning greeting can't be filled
+    expect(getGreeting({ organizationContext, profile: { upcomingAppointments: [] }, fallback: 'Hello' }).text)
+      .toBe('Thanks for calling Salon!');
+    expect(getGreeting({ organizationContext, profile: null, fallback: 'Hello' }).text).toBe('Thanks for calling Salon!');
+  });
+
+  it('matches the number however it was stored', () => {
+    expect(getPhoneVariants('+15555550123')).toEqual([
+      '+15555550123', '15555550123', '5555550123', '555-555-0123', '555.555.0123', '(555) 555-0123'
+    ]);
+  });
+});
@@ -0,0 +1,71 @@
+const { MemoryStateStore } = require('../../src/services/stateStore');
+const {
+  CallConcurrency,
+  getPlanCallLimit,
+  getOverflowConfig,
+  getOverflowMessage
+} = require('../../src/services/concurrency');
+
+describe('CallConcurrency', () => {
+  const originalLimit = process.env.MAX_CONCURRENT_CALLS;
+
+  afterEach(() => {
+    if (originalLimit === undefined) delete process.env.MAX_CONCURRENT_CALLS;
+    else process.env.MAX_CONCURRENT_CALLS = originalLimit;
+  });
+
+  it('admits calls up to the plan limit and frees the slot when a call ends', async () => {
+    const concurrency = new CallConcurrency({ store: new MemoryStateStore() });
+    const call = (callSid) => ({ callSid, organizationId: 'org-1', plan: 'starter' });
+
+    expect(await concurrency.acquire(call('CA1'))).toEqual({ allowed: true });
+    expect(await concurrency.acquire(call('CA2'))).toEqual({ allowed: true });
+    expect(await concurrency.acquire(call('CA3'))).toEqual({ allowed: false, scope: 'organization', active: 2, limit: 2 });
+    expect(await concurrency.getUsage('org-1', 'starter')).toEqual({ active: 2, limit: 2, plan: 'starter' });
+
+    expect(await concurrency.release('CA1')).toBe(true);
+    expect(await concurrency.release('CA1')).toBe(false);
+    expect(await concurrency.acquire(call('CA3'))).toEqual({ allowed: true });
+  });
+
+  it('counts organizations separately against one platform cap', async () => {
+    process.env.MAX_CONCURRENT_CALLS = '2';
+    const concurrency = new CallConcurrency({ store: new MemoryStateStore() });
+
+    await concurrency.acquire({ callSid: 'CA1', organizationId: 'org-1', plan: 'pro' });
+    await concurrency.acquire({ callSid: 'CA2', organizationId: 'org-2', plan: 'pro' });
+    const refused = await concurrency.acquire({ callSid: 'CA3', organizationId: 'org-3', plan: 'pro' });
+
+    expect(refused).toEqual({ allowed: false, scope: 'platform', active: 2, limit: 2 });
+    // The refused call doesn't linger in its organization's count
+    expect((await concurrency.getUsage('org-3', 'pro')).active).toBe(0);
+    expect(await concurrency.getPlatformUsage()).toEqual({ active: 2, limit: 2 });
+  });
+
+  it('lets slots of calls that were never released expire', async () => {
+    jest.useFakeTimers();
+    try {
+      const concurrency = new CallConcurrency({ store: new MemoryStateStore() });
+      await concurrency.acquire({ callSid: 'CA1', organizationId: 'org-1', plan: 'starter' });
+
+      jest.advanceTimersByTime(2 * 60 * 60 * 1000);
+      expect((await concurrency.getUsage('org-1', 'starter')).active).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('plan limits and overflow settings', () => {
+  it('treats unknown plans as starter', () => {
+    expect(getPlanCallLimit('enterprise')).toBe(25);
+    expect(getPlanCallLimit('legacy')).toBe(getPlanCallLimit('starter'));
+  });
+
+  it('forwards to the escalation number or falls back to a message', () => {
+    expect(getOverflowConfig({ escalationNumber: '+15555550100', rules: { overflow: { mode: 'forward' } } }))
+      .toEqual({ mode: 'forward', forwardNumber: '+15555550100', message: null });
+    expect(getOverflowConfig({ rules: { overflow: { mode: 'forward' } } }).mode).toBe('message');
+    expect(getOverflowMessage({ organizationName: 'Salon', businessConfig: {} })).toMatch(/Thanks for calling Salon. All of our lines are busy/);
+  });
+});
@@ -0,0 +1,191 @@
+const { resolveTimeWindow, getServiceDuration, describeInstant, toInstant } = require('../../src/services/dateResolver');
+const { getLocalTime } = require('../../src/services/businessHours');
+
+const weekdays = { start: '09:00', end: '17:00', enabled: true };
+const businessConfig = {
+  timezone: 'America/New_York',
+  businessHours: {
+    monday: weekdays,
+    tuesday: weekdays,
+    wednesday: weekdays,
+    thursday: weekdays,
+    friday: weekdays,
+    saturday: { start: '10:00', end: '14:00', enabled: true },
+    sunday: { start: '10:00', end: '14:00', enabled: false }
+  },
+  services: [
+    { name: 'Haircut', duration: 45, active: true },
+    { name: 'Color Treatment', duration: 120, active: true }
+  ]
+};
+
+// Monday, March 10th 2025, 10:00 in New York
+const now = new Date('2025-03-10T14:00:00Z');
+
+const resolve = (phrase, options = {}) => resolveTimeWindow(phrase, { businessConfig, now, ...options });
+
+// Wall-clock time in New York, e.g. '2025-03-11 15:00'
+const local = (instant) => {
+  const { date, minutes } = getLocalTime(instant, 'America/New_York');
+  return `${date} ${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+describe('resolveTimeWindow', () => {
+  test.each([
+    // Relative days
+    ['tomorrow', '2025-03-11 09:00', '2025-03-11 17:00', 'tomorrow'],
+    ['the day after tomorrow', '2025-03-12 09:00', '2025-03-12 17:00', 'Wednesday'],
+    ['in 2 days', '2025-03-12 09:00', '2025-03-12 17:00', 'Wednesday'],
+    ['in a week', '2025-03-17 09:00', '2025-03-17 17:00', 'Monday the 17th'],
+    ['today', '2025-03-10 10:00', '2025-03-10 17:00', 'today'],
+
+    // Times of day
+    ['tomorrow at 3', '2025-03-11 15:00', '2025-03-11 16:00', 'tomorrow at 3 PM'],
+    ['tomorrow at 9', '2025-03-11 09:00', '2025-03-11 10:00', 'tomorrow at 9 AM'],
+    ['3pm', '2025-03-10 15:00', '2025-03-10 16:00', 'today at 3 PM'],
+    ['at 3:30 p.m. on thursday', '2025-03-13 15:30', '2025-03-13 16:30', 'Thursday at 3:30 PM'],
+    ['half past two tomorrow', '2025-03-11 14:30', '2025-03-11 15:30', 'tomorrow at 2:30 PM'],
+    ['quarter to three on friday', '2025-03-14 14:45', '2025-03-14 15:45', 'Friday at 2:45 PM'],
+    ['wednesday at four thirty', '2025-03-12 16:30', '2025-03-12 17:30', 'Wednesday at 4:30 PM'],
+    ['tomorrow at noon', '2025-03-11 12:00', '2025-03-11 13:00', 'tomorrow at 12 PM'],
+    ['three o\'clock tomorrow', '2025-03-11 15:00', '2025-03-11 16:00', 'tomorrow at 3 PM'],
+    ['tomorrow at 14:00', '2025-03-11 14:00', '2025-03-11 15:00', 'tomorrow at 2 PM'],
+    ['3 in the afternoon on friday', '2025-03-14 15:00', '2025-03-14 16:00', 'Friday at 3 PM'],
+    ['tonight at 7', '2025-03-10 19:00', '2025-03-10 20:00', 'today at 7 PM'],
+    ['at 8', '2025-03-11 08:00', '2025-03-11 09:00', 'tomorrow at 8 AM'],
+    ['first thing tomorrow', '2025-03-11 09:00', '2025-03-11 10:00', 'tomorrow first thing'],
+
+    // Time ranges
+    ['between 1 and 5 pm tomorrow', '2025-03-11 13:00', '2025-03-11 17:00', 'tomorrow between 1 PM and 5 PM'],
+    ['from 10 to 2 on wednesday', '2025-03-12 10:00', '2025-03-12 14:00', 'Wednesday between 10 AM and 2 PM'],
+    ['after 3 on thursday', '2025-03-13 15:00', '2025-03-13 17:00', 'Thursday after 3 PM'],
+    ['before noon wednesday', '2025-03-12 09:00', '2025-03-12 12:00', 'Wednesday before 12 PM'],
+    ['before 9:30 tomorrow', '2025-03-11 09:00', '2025-03-11 09:30', 'tomorrow before 9:30 AM'],
+
+    // Parts of the day, clipped to opening hours
+    ['tomorrow morning', '2025-03-11 09:00', '2025-03-11 12:00', 'tomorrow morning'],
+    ['this afternoon', '2025-03-10 12:00', '2025-03-10 17:00', 'this afternoon'],
+    ['sometime this morning', '2025-03-10 10:00', '2025-03-10 12:00', 'this morning'],
+    ['thursday after lunch', '2025-03-13 13:00', '2025-03-13 17:00', 'Thursday after lunch'],
+    ['wednesday before lunch', '2025-03-12 09:00', '2025-03-12 12:00', 'Wednesday before lunch'],
+    ['friday around lunch', '2025-03-14 12:00', '2025-03-14 13:30', 'Friday around lunch'],
+    ['late afternoon tomorrow', '2025-03-11 15:00', '2025-03-11 17:00', 'tomorrow late afternoon'],
+    ['saturday morning', '2025-03-15 10:00', '2025-03-15 12:00', 'Saturday morning'],
+
+    // Weekdays and dates
+    ['friday', '2025-03-14 09:00', '2025-03-14 17:00', 'Friday'],
+    ['monday', '2025-03-17 09:00', '2025-03-17 17:00', 'Monday the 17th'],
+    ['next monday', '2025-03-17 09:00', '2025-03-17 17:00', 'Monday the 17th'],
+    ['tuesday next week', '2025-03-18 09:00', '2025-03-18 17:00', 'Tuesday the 18th'],
+    ['the 14th at 3', '2025-03-14 15:00', '2025-03-14 16:00', 'Friday at 3 PM'],
+    ['friday the 14th', '2025-03-14 09:00', '2025-03-14 17:00', 'Friday'],
+    ['a week from friday', '2025-03-21 09:00', '2025-03-21 17:00', 'Friday the 21st'],
+    ['a week from friday at 3', '2025-03-21 15:00', '2025-03-21 16:00', 'Friday the 21st at 3 PM'],
+    ['friday after next', '2025-03-21 09:00', '2025-03-21 17:00', 'Friday the 21st'],
+    ['a week from tomorrow', '2025-03-18 09:00', '2025-03-18 17:00', 'Tuesday the 18th'],
+    ['a week from the 14th', '2025-03-21 09:00', '2025-03-21 17:00', 'Friday the 21st'],
+    ['the twentieth in the morning', '2025-03-20 09:00', '2025-03-20 12:00', 'Thursday the 20th in the morning'],
+    ['the 5th', '2025-04-05 10:00', '2025-04-05 14:00', 'Saturday the 5th'],
+    ['the second', '2025-04-02 09:00', '2025-04-02 17:00', 'Wednesday the 2nd'],
+    ['march 21st at 10am', '2025-03-21 10:00', '2025-03-21 11:00', 'Friday the 21st at 10 AM'],
+    ['the 21st of march', '2025-03-21 09:00', '2025-03-21 17:00', 'Friday the 21st'],
+    ['3/21 at 10', '2025-03-21 10:00', '2025-03-21 11:00', 'Friday the 21st at 10 AM'],
+    ['april 22nd', '2025-04-22 09:00', '2025-04-22 17:00', 'Tuesday, April 22nd'],
+    ['january 5th', '2026-01-05 09:00', '2026-01-05 17:00', 'Monday, January 5th'],
+
+    // Several days
+    ['early next week', '2025-03-17 09:00', '2025-03-18 17:00', 'early next week'],
+    ['the middle of next week', '2025-03-18 09:00', '2025-03-20 17:00', 'the middle of next week'],
+    ['late next week', '2025-03-20 09:00', '2025-03-22 14:00', 'late next week'],
+    ['next week', '2025-03-17 09:00', '2025-03-22 14:00', 'next week'],
+    ['later this week', '2025-03-11 09:00', '2025-03-15 14:00', 'later this week'],
+    ['this weekend', '2025-03-15 10:00', '2025-03-15 14:00', 'this weekend']
+  ])('%s', (phrase, start, end, label) => {
+    const result = resolve(phrase);
+
+    expect(result).toMatchObject({ status: 'resolved', label });
+    expect(local(result.start)).toBe(start);
+    expect(local(result.end)).toBe(end);
+  });
+
+  test.each([
+    // "next Tuesday" on a Monday: tomorrow, or Tuesday of next week?
+    ['next tuesday after lunch', 'next_weekday', 'Do you mean tomorrow after lunch or Tuesday the 18th after lunch?', ['tomorrow after lunch', 'Tuesday the 18th after lunch']],
+    ['next friday at 2', 'next_weekday', 'Do you mean Friday the 14th at 2 PM or Friday the 21st at 2 PM?', ['Friday at 2 PM', 'Friday the 21st at 2 PM']],
+    ['friday the 15th', 'weekday_mismatch', 'The 15th is a Saturday. Do you mean Saturday the 15th or Friday the 14th?', ['Saturday', 'Friday']],
+    ['today at 9', 'past', 'That\'s already passed. Would tomorrow at 9 AM work instead?', ['tomorrow at 9 AM']],
+    ['this morning at 8', 'past', 'That\'s already passed. Would tomorrow at 8 AM work instead?', ['tomorrow at 8 AM']],
+    ['february 30th', 'invalid_date', 'There\'s no February 30th. Which day did you mean?', []],
+    ['early next week at 3', 'day_needed', 'Which day early next week works best for you?', ['Monday the 17th at 3 PM', 'Tuesday the 18th at 3 PM']]
+  ])('%s is ambiguous', (phrase, reason, question, labels) => {
+    const result = resolve(phrase);
+
+    expect(result).toMatchObject({ status: 'ambiguous', reason, question });
+    expect(result.options.map(option => option.label)).toEqual(labels);
+  });
+
+  test.each([
+    'hello there',
+    'I need a haircut',
+    'at 5 main street',
+    'my number is 555 123 4567',
+    '',
+    null
+  ])('%s is unresolved', (phrase) => {
+    expect(resolve(phrase)).toEqual({ status: 'unresolved' });
+  });
+
+  it('asks whether an hour is morning or evening when the business is open at both', () => {
+    const longHours = { ...businessConfig, businessHours: { tuesday: { start: '07:00', end: '21:00' } } };
+
+    const result = resolve('tuesday at 8', { businessConfig: longHours });
+    expect(result).toMatchObject({ status: 'ambiguous', reason: 'am_pm', question: 'Is that 8 in the morning or 8 in the evening?' });
+    expect(result.options.map(option => local(option.start))).toEqual(['2025-03-11 08:00', '2025-03-11 20:00']);
+    expect(resolve('tuesday at 8 in the evening', { businessConfig: longHours })).toMatchObject({ label: 'tomorrow at 8 PM' });
+  });
+
+  it('resolves each label back to the same window', () => {
+    const phrases = ['tomorrow at 3', 'thursday after lunch', 'the twentieth in the morning', 'april 22nd', 'early next week', 'this afternoon', 'between 1 and 5 pm tomorrow'];
+
+    for (const phrase of phrases) {
+      const first = resolve(phrase);
+      const again = resolve(first.label);
+      expect([again.label, again.start, again.end]).toEqual([first.label, first.start, first.end]);
+    }
+  });
+
+  it('uses the business timezone and the service length', () => {
+    const pacific = { ...businessConfig, timezone: 'America/Los_Angeles' };
+
+    const result = resolve('tomorrow at 9', { businessConfig: pacific, durationMinutes: 45 });
+    expect(result.start.toISOString()).toBe('2025-03-11T16:00:00.000Z');
+    expect(result.end.toISOString()).toBe('2025-03-11T16:45:00.000Z');
+    expect(result.startTime).toBe('09:00');
+  });
+
+  it('falls back to weekdays from 9 to 5 without configured hours', () => {
+    const result = resolve('next week', { businessConfig: { timezone: 'America/New_York' } });
+    expect([local(result.start), local(result.end)]).toEqual(['2025-03-17 09:00', '2025-03-21 17:00']);
+    expect(resolve('tomorrow at 7', { businessConfig: null, timezone: 'America/New_York' })).toMatchObject({ label: 'tomorrow at 7 AM' });
+  });
+});
+
+describe('date helpers', () => {
+  it('converts wall-clock times across daylight saving changes', () => {
+    expect(toInstant('2025-03-08', 9 * 60, 'America/New_York').toISOString()).toBe('2025-03-08T14:00:00.000Z');
+    expect(toInstant('2025-03-10', 9 * 60, 'America/New_York').toISOString()).toBe('2025-03-10T13:00:00.000Z');
+    expect(toInstant('2025-11-02', 9 * 60, 'America/New_York').toISOString()).toBe('2025-11-02T14:00:00.000Z');
+  });
+
+  it('reads back a booked time relative to today', () => {
+    expect(describeInstant(new Date('2025-03-11T13:00:00Z'), { timezone: 'America/New_York', now })).toBe('tomorrow at 9 AM');
+    expect(describeInstant(new Date('2025-03-21T18:30:00Z'), { timezone: 'America/New_York', now })).toBe('Friday the 21st at 2:30 PM');
+  });
+
+  it('looks up how long a service takes', () => {
+    expect(getServiceDuration(businessConfig, 'haircut')).toBe(45);
+    expect(getServiceDuration(businessConfig, 'color')).toBe(120);
+    expect(getServiceDuration(businessConfig, 'massage')).toBe(60);
+    expect(getServiceDuration(null, 'haircut')).toBe(60);
+  });
+});
@@ -0,0 +1,136 @@
+const {
+  DtmfCollector,
+  getKeypadMenu,
+  buildMenuPrompt,
+  isImmediateKey,
+  resolveKeypadInput,
+  buildKeypadEvent
+} = require('../../src/services/dtmf');
+
+const businessConfig = {
+  rules: {
+    keypadMenu: {
+      options: {
+        '1': { action: 'booking' },
+        '2': 'hours',
+        '9': { action: 'voicemail', label: 'to leave us a message' },
+        '5': { action: 'not-a-real-action' }
+      }
+    }
+  }
+};
+
+describe('getKeypadMenu', () => {
+  it('keeps valid options and defaults the operator key to 0', () => {
+    const menu = getKeypadMenu(businessConfig);
+
+    expect(menu.enabled).toBe(true);
+    expect(menu.operatorKey).toBe('0');
+    expect(Object.keys(menu.options)).toEqual(['1', '2', '9']);
+    expect(menu.options['2'].label).toBe('for our hours');
+  });
+
+  it('still offers the operator key without a menu', () => {
+    const menu = getKeypadMenu(null);
+
+    expect(menu.enabled).toBe(false);
+    expect(resolveKeypadInput('0', { menu })).toEqual({ type: 'escalate', kind: 'transfer', digits: '0' });
+    expect(buildMenuPrompt(menu)).toBeNull();
+  });
+
+  it('builds a spoken menu from option labels', () => {
+    expect(buildMenuPrompt(getKeypadMenu(businessConfig))).toBe(
+      'You can also use your keypad: press 1 to book an appointment, press 2 for our hours, press 9 to leave us a message, press 0 to speak with someone.'
+    );
+  });
+});
+
+describe('resolveKeypadInput', () => {
+  const menu = getKeypadMenu(businessConfig);
+
+  it('maps menu keys to intents and escalations outside entry states', () => {
+    expect(resolveKeypadInput('1', { menu, state: 'idle' })).toMatchObject({ type: 'menu', action: 'booking' });
+    expect(resolveKeypadInput('9', { menu, state: 'idle' })).toMatchObject({ type: 'escalate', kind: 'voicemail' });
+    expect(isImmediateKey('2', { menu, state: 'idle' })).toBe(true);
+    expect(isImmediateKey('2', { menu, state: 'collectContact' })).toBe(false);
+  });
+
+  it('fills the contact slot from callback numbers and confirmation codes', () => {
+    expect(resolveKeypadInput('15551234567', { menu, state: 'collectContact' })).toMatchObject({
+      type: 'contact',
+      kind: 'phone',
+      contact: '555-123-4567'
+    });
+    expect(resolveKeypadInput('4821', { menu, state: 'collectContact' })).toMatchObject({
+      type: 'contact',
+      kind: 'code',
+      contact: 'confirmation code 4821'
+    });
+  });
+
+  it('answers the booking confirmation with 1 and 2', () => {
+    expect(resolveKeypadInput('1', { menu, state: 'confirm' }).type).toBe('confirm');
+    expect(resolveKeypadInput('2', { menu, state: 'confirm' }).type).toBe('reject');
+  });
+});
+
+describe('buildKeypadEvent', () => {
+  it('creates a PROCESS_INTENT event carrying the keyed contact', () => {
+    const input = resolveKeypadInput('5551234567', { state: 'collectContact' });
+    const event = buildKeypadEvent(input, { sessionId: 'session-1' });
+
+    expect(event).toMatchObject({
+      type: 'PROCESS_INTENT',
+      source: 'dtmf',
+      intent: 'booking',
+      entities: { contact: '555-123-4567' },
+      bookingData: { contact: '555-123-4567', sessionId: 'session-1' }
+    });
+    expect(buildKeypadEvent({ type: 'unrecognized', digits: '7' })).toBeNull();
+  });
+});
+
+describe('DtmfCollector', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('completes an entry on # or after a pause between digits', () => {
+    const collector = new DtmfCollector({ interDigitTimeoutMs: 1000 });
+    const onInput = jest.fn();
+    collector.on('input', onInput);
+
+    '555#'.split('').forEach(digit => collector.addDigit(digit));
+    expect(onInput).toHaveBeenLastCalledWith({ digits: '555', terminator: 'pound' });
+
+    '12'.split('').forEach(digit => collector.addDigit(digit));
+    jest.advanceTimersByTime(1000);
+    expect(onInput).toHaveBeenLastCalledWith({ digits: '12', terminator: 'timeout' });
+  });
+
+  it('acts on immediate keys only when no entry is in progress', () => {
+    const collector = new DtmfCollector({ isImmediateKey: digit => digit === '0' });
+    const onInput = jest.fn();
+    collector.on('input', onInput);
+
+    collector.addDigit('0');
+    expect(onInput).toHaveBeenCalledWith({ digits: '0', terminator: 'key' });
+
+    '2060#'.split('').forEach(digit => collector.addDigit(digit));
+    expect(onInput).toHaveBeenLastCalledWith({ digits: '2060', terminator: 'pound' });
+  });
+
+  it('clears the entry on *', () => {
+    const collector = new DtmfCollector();
+    const onInput = jest.fn();
+    collector.on('input', onInput);
+
+    '12*34#'.split('').forEach(digit => collector.addDigit(digit));
+    expect(onInput).toHaveBeenCalledTimes(1);
+    expect(onInput).toHaveBeenCalledWith({ digits: '34', terminator: 'pound' });
+  });
+});
@@ -0,0 +1,151 @@
+const {
+  EndOfTurnDetector,
+  getTurnDetectionSettings,
+  validateTurnDetection,
+  looksIncomplete
+} = require('../../src/services/endOfTurn');
+
+describe('looksIncomplete', () => {
+  test.each([
+    ["I'd like to book a haircut and", true],
+    ['Can I come in on, um', true],
+    ['Tomorrow at 3pm,', true],
+    ['Quiero una cita para', true],
+    ["I'd like to book a haircut.", false],
+    ['Tomorrow at 3pm', false]
+  ])('%s -> %s', (text, expected) => {
+    expect(looksIncomplete(text, { language: /quiero/i.test(text) ? 'es' : 'en' })).toBe(expected);
+  });
+
+  it('waits for the rest of a phone number while collecting contact details', () => {
+    expect(looksIncomplete('My number is 555 123', { expecting: 'phone' })).toBe(true);
+    expect(looksIncomplete('My number is 555 123 4567', { expecting: 'phone' })).toBe(false);
+    expect(looksIncomplete('My number is 555 123')).toBe(false);
+  });
+});
+
+describe('turn detection settings', () => {
+  it('starts from the mode and applies overrides', () => {
+    expect(getTurnDetectionSettings(undefined)).toEqual({ mode: 'balanced', completeMs: 400, settleMs: 1000, incompleteMs: 2000 });
+    expect(getTurnDetectionSettings({ turnDetection: { mode: 'patient', settleMs: 1200 } }))
+      .toEqual({ mode: 'patient', completeMs: 700, settleMs: 1200, incompleteMs: 3000 });
+  });
+
+  it('rejects unknown modes and out-of-range waits', () => {
+    expect(validateTurnDetection({ mode: 'fast', completeMs: 300 })).toBeNull();
+    expect(validateTurnDetection({ mode: 'sloth' })).toMatch(/mode must be one of/);
+    expect(validateTurnDetection({ settleMs: 0 })).toMatch(/settleMs/);
+    expect(validateTurnDetection('fast')).toMatch(/must be an object/);
+  });
+});
+
+describe('EndOfTurnDetector', () => {
+  let detector;
+  let turns;
+  let expecting;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    expecting = null;
+    detector = new EndOfTurnDetector({ getExpectation: () => expecting });
+    turns = [];
+    detector.on('endOfTurn', turn => turns.push(turn));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('commits a finished sentence quickly once the STT hears the end of speech', () => {
+    detector.addFinal({ text: "I'd like to book a haircut.", confidence: 0.9, speechFinal: true });
+
+    jest.advanceTimersByTime(399);
+    expect(turns).toHaveLength(0);
+    jest.advanceTimersByTime(1);
+    expect(turns).toEqual([expect.objectContaining({ text: "I'd like to book a haircut.", confidence: 0.9, reason: 'complete', waitedMs: 400 })]);
+  });
+
+  it('merges fragments and waits longer while the caller is mid-thought', () => {
+    detector.addFinal({ text: 'I need a haircut and', speechFinal: true });
+    jest.advanceTimersByTime(1500);
+    expect(turns).toHaveLength(0);
+
+    detector.addFinal({ text: 'a beard trim.', speechFinal: true });
+    jest.advanceTimersByTime(400);
+    expect(turns.map(turn => turn.text)).toEqual(['I need a haircut and a beard trim.']);
+  });
+
+  it('holds the turn while a phone number is still being read out', () => {
+    expecting = 'phone';
+    detector.addFinal({ text: 'It is 555 123', speechFinal: true });
+    jest.advanceTimersByTime(1000);
+    expect(turns).toHaveLength(0);
+
+    detector.addFinal({ text: '4567.', speechFinal: true });
+    jest.advanceTimersByTime(400);
+    expect(turns.map(turn => turn.text)).toEqual(['It is 555 123 4567.']);
+  });
+
+  it('pushes the commit back while interim speech keeps arriving', () => {
+    detector.addFinal({ text: 'Tomorrow works' });
+    jest.advanceTimersByTime(900);
+    detector.noteSpeech();
+    jest.advanceTimersByTime(900);
+    expect(turns).toHaveLength(0);
+    jest.advanceTimersByTime(100);
+    expect(turns).toHaveLength(1);
+  });
+
+  it('commits soon after an utterance end unless the caller seems mid-thought', () => {
+    detector.addFinal({ text: 'Tomorrow works' });
+    jest.advanceTimersByTime(100);
+    detector.utteranceEnd();
+    jest.advanceTimersByTime(400);
+    expect(turns).toHaveLength(1);
+
+    detector.addFinal({ text: 'Actually, maybe' });
+    detector.utteranceEnd();
+    jest.advanceTimersByTime(1000);
+    expect(turns).toHaveLength(1);
+  });
+
+  it('counts false cutoffs, stretches its waits and reports metrics', () => {
+    const onCutoff = jest.fn();
+    detector.on('falseCutoff', onCutoff);
+
+    detector.addFinal({ text: 'I was hoping to come by', speechFinal: true });
+    jest.advanceTimersByTime(1000);
+    expect(turns).toHaveLength(1);
+
+    // The caller was only pausing
+    jest.advanceTimersByTime(300);
+    detector.noteSpeech();
+    expect(onCutoff).toHaveBeenCalledWith({ afterMs: 300, stretch: 1.25 });
+
+    // Later speech isn't a cutoff
+    jest.advanceTimersByTime(5000);
+    detector.addFinal({ text: 'Friday morning.', speechFinal: true });
+    jest.advanceTimersByTime(499);
+    expect(turns).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(turns).toHaveLength(2);
+
+    expect(detector.getMetrics()).toEqual({
+      mode: 'balanced',
+      turns: 2,
+      falseCutoffs: 1,
+      falseCutoffRate: 0.5,
+      averageAddedLatencyMs: 750,
+      maxAddedLatencyMs: 1000,
+      reasons: { settled: 1, complete: 1 },
+      stretch: 1.25
+    });
+  });
+
+  it('drops a buffered turn on clear', () => {
+    detector.addFinal({ text: 'Hello' });
+    detector.clear();
+    jest.advanceTimersByTime(5000);
+    expect(turns).toHaveLength(0);
+  });
+});
@@ -0,0 +1,71 @@
+const {
+  FillerPicker,
+  getFillerSettings,
+  validateFillers,
+  chooseFillerCategory
+} = require('../../src/services/fillers');
+
+const orgContext = (voiceSettings, enhancedVoiceConfig) => ({ businessConfig: { voiceSettings, enhancedVoiceConfig } });
+
+describe('chooseFillerCategory', () => {
+  test.each([
+    ['What time do you close on Saturday', 'lookup'],
+    ['Do you do color', 'lookup'],
+    ['¿Tienen citas el sábado?', 'lookup'],
+    ['Tomorrow at 3pm works', 'schedule'],
+    ['el sábado por la tarde', 'schedule'],
+    ["I'd like a haircut", 'general']
+  ])('%s -> %s', (transcript, expected) => {
+    expect(chooseFillerCategory(transcript)).toBe(expected);
+  });
+
+  it('leans on the booking state when the words are ambiguous', () => {
+    expect(chooseFillerCategory('Whenever suits', { state: 'collectTimeWindow' })).toBe('schedule');
+  });
+});
+
+describe('getFillerSettings', () => {
+  it('uses the LLM latency budget and built-in phrases by default', () => {
+    const settings = getFillerSettings(undefined);
+    expect(settings.enabled).toBe(true);
+    expect(settings.budgetMs).toBe(800);
+    expect(settings.phrases.general).toContain('Sure, one moment.');
+    expect(getFillerSettings(undefined, 'es').phrases.general).toContain('Claro, un momento.');
+  });
+
+  it('applies per-organization opt-out, budget and phrases', () => {
+    const context = orgContext(
+      { languages: ['en', 'es'], fillers: { enabled: false, phrases: { general: ['Hang tight.'] } } },
+      { performance: { maxLLMLatency: 1200 } }
+    );
+
+    const settings = getFillerSettings(context, 'en');
+    expect(settings).toEqual(expect.objectContaining({ enabled: false, budgetMs: 1200 }));
+    expect(settings.phrases.general).toEqual(['Hang tight.']);
+    expect(settings.phrases.lookup).toContain('Let me check that.');
+    // Custom phrases are in the default language only
+    expect(getFillerSettings(context, 'es').phrases.general).toContain('Claro, un momento.');
+  });
+});
+
+describe('validateFillers', () => {
+  it('accepts opt-outs and phrase lists and rejects anything else', () => {
+    expect(validateFillers({ enabled: false })).toBeNull();
+    expect(validateFillers({ phrases: { lookup: ['Let me see.'] } })).toBeNull();
+    expect(validateFillers('off')).toMatch(/must be an object/);
+    expect(validateFillers({ enabled: 'no' })).toMatch(/true or false/);
+    expect(validateFillers({ phrases: { small_talk: ['Hi'] } })).toMatch(/category must be one of/);
+    expect(validateFillers({ phrases: { general: ['  '] } })).toMatch(/non-empty/);
+  });
+});
+
+describe('FillerPicker', () => {
+  it('rotates through the phrases of the chosen category', () => {
+    const picker = new FillerPicker();
+    const settings = getFillerSettings(undefined);
+
+    const picked = [1, 2, 3, 4].map(() => picker.next(settings, 'What are your prices?').text);
+    expect(picked).toEqual([...settings.phrases.lookup, settings.phrases.lookup[0]]);
+    expect(picker.next(settings, 'A trim please')).toEqual({ text: settings.phrases.general[0], category: 'general' });
+  });
+});
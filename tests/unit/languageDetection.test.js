@@ -0,0 +1,62 @@
+const {
+  LanguageDetector,
+  detectLanguage,
+  getSupportedLanguages,
+  getSttOptions,
+  getLanguageGreetingHint
+} = require('../../src/services/languageDetection');
+const { resolveVoiceModel } = require('../../src/services/tts');
+
+describe('detectLanguage', () => {
+  const candidates = ['en', 'es'];
+
+  it('scores transcripts by common words', () => {
+    expect(detectLanguage('Hola, buenos días, quiero hacer una cita para mañana', { candidates }))
+      .toMatchObject({ language: 'es', explicit: false });
+    expect(detectLanguage('Hi, I need to book an appointment for tomorrow', { candidates }))
+      .toMatchObject({ language: 'en', explicit: false });
+    expect(detectLanguage('yes', { candidates })).toBeNull();
+  });
+
+  it('honors explicit requests and Deepgram language tags', () => {
+    expect(detectLanguage('¿Habla español?', { candidates })).toMatchObject({ language: 'es', explicit: true });
+    expect(detectLanguage('I have a Spanish tile roof', { candidates }).language).toBe('en');
+    expect(detectLanguage('okay', { candidates, reported: ['es'] }).language).toBe('es');
+  });
+});
+
+describe('LanguageDetector', () => {
+  it('settles on the caller language and only reports changes', () => {
+    const detector = new LanguageDetector({ languages: ['en', 'es'] });
+
+    expect(detector.observe('um, okay')).toBeNull();
+    expect(detector.observe('necesito una cita para el lunes')).toBe('es');
+    expect(detector.observe('the kitchen sink')).toBeNull();
+    expect(detector.observe('can we speak English?')).toBe('en');
+  });
+
+  it('falls back to the default language after the detection window', () => {
+    const detector = new LanguageDetector({ languages: ['es', 'en'], maxTurns: 2 });
+
+    expect(detector.observe('mm')).toBeNull();
+    expect(detector.observe('okay')).toBe('es');
+    expect(new LanguageDetector().observe('hola, buenos días')).toBeNull();
+  });
+});
+
+describe('language configuration', () => {
+  it('reads supported languages from voice settings', () => {
+    expect(getSupportedLanguages({ voiceSettings: { languages: ['es-MX', 'en', 'fr', 'es'] } })).toEqual(['es', 'en']);
+    expect(getSupportedLanguages(null)).toEqual(['en']);
+    expect(getLanguageGreetingHint(['en', 'es'])).toContain('español');
+    expect(getLanguageGreetingHint(['en'])).toBeNull();
+  });
+
+  it('maps languages to STT models and TTS voices', () => {
+    expect(getSttOptions('multi')).toEqual({ model: 'nova-3', language: 'multi' });
+    expect(getSttOptions('es')).toEqual({ model: 'nova-2', language: 'es' });
+    expect(resolveVoiceModel('harmonia', 'es')).toBe('aura-2-celeste-es');
+    expect(resolveVoiceModel('zeus')).toBe('aura-2-zeus-en');
+    expect(resolveVoiceModel('aura-2-estrella-es', 'en')).toBe('aura-2-estrella-es');
+  });
+});
@@ -0,0 +1,63 @@
+const { MemoryStateStore } = require('../../src/services/stateStore');
+const { LiveCallMonitor, MAX_TRANSCRIPT_LINES } = require('../../src/services/liveCalls');
+
+describe('LiveCallMonitor', () => {
+  let monitor;
+  let messages;
+
+  beforeEach(() => {
+    monitor = new LiveCallMonitor({ store: new MemoryStateStore() });
+    messages = [];
+    monitor.subscribe('org-1', (message) => messages.push(message));
+  });
+
+  it('publishes a call only once it belongs to an organization', async () => {
+    const call = monitor.track({ callSid: 'CA1', callerPhone: '+15555550123', calledNumber: '+15555550199' });
+    await call.addTranscript('assistant', 'Thanks for calling!');
+    await call.interim('I need');
+    expect(messages).toEqual([]);
+
+    await call.attach('org-1');
+    expect(messages).toEqual([{ type: 'call', call: expect.objectContaining({ callSid: 'CA1', state: 'greeting' }) }]);
+    expect((await monitor.getCalls('org-1'))[0].transcript).toEqual([
+      expect.objectContaining({ speaker: 'assistant', text: 'Thanks for calling!' })
+    ]);
+    expect(await monitor.getCalls('org-2')).toEqual([]);
+  });
+
+  it('streams transcripts, state and latency until the call ends', async () => {
+    const call = monitor.track({ callSid: 'CA1' });
+    await call.attach('org-1');
+
+    await call.interim('I need a hair');
+    await call.addTranscript('caller', 'I need a haircut', { confidence: 0.92 });
+    await call.update({ state: 'collectTimeWindow', slots: { service: 'Haircut' }, latency: { llmMs: 420, totalMs: 1300 }, turns: 1 });
+
+    expect(messages[1]).toEqual({ type: 'interim', callSid: 'CA1', text: 'I need a hair' });
+    const [live] = await monitor.getCalls('org-1');
+    expect(live).toEqual(expect.objectContaining({
+      state: 'collectTimeWindow',
+      slots: { service: 'Haircut' },
+      latency: { llmMs: 420, totalMs: 1300 },
+      turns: 1
+    }));
+    expect(live.transcript[0]).toEqual(expect.objectContaining({ speaker: 'caller', text: 'I need a haircut', confidence: 0.92 }));
+
+    await call.end();
+    await call.update({ state: 'confirm' });
+    expect(messages.slice(-1)).toEqual([{ type: 'ended', callSid: 'CA1' }]);
+    expect(await monitor.getCalls('org-1')).toEqual([]);
+  });
+
+  it('keeps only the latest transcript lines', async () => {
+    const call = monitor.track({ callSid: 'CA1' });
+    await call.attach('org-1');
+    for (let i = 0; i < MAX_TRANSCRIPT_LINES + 5; i++) {
+      await call.addTranscript('caller', `line ${i}`);
+    }
+
+    const [live] = await monitor.getCalls('org-1');
+    expect(live.transcript).toHaveLength(MAX_TRANSCRIPT_LINES);
+    expect(live.transcript[0].text).toBe('line 5');
+  });
+});
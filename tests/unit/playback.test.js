@@ -0,0 +1,109 @@
+const { PlaybackTracker, truncateToPlayed, MARK_INTERVAL_BYTES } = require('../../src/services/playback');
+const { TTSService } = require('../../src/services/tts');
+const { StubTTSEngine } = require('../../src/services/ttsStub');
+
+const sentMessages = (ws) => ws.send.mock.calls.map(([message]) => JSON.parse(message));
+
+describe('truncateToPlayed', () => {
+  test.each([
+    [1, 'We open at nine on weekdays.'],
+    [0.5, 'We open at'],
+    [0.1, ''],
+    [0, '']
+  ])('keeps %s of the words', (fraction, expected) => {
+    expect(truncateToPlayed('We open at nine on weekdays.', fraction)).toBe(expected);
+  });
+});
+
+describe('PlaybackTracker', () => {
+  it('reports a reply in full until Twilio is told to clear it', () => {
+    const tracker = new PlaybackTracker();
+    const first = tracker.start({ text: 'We open at nine on weekdays.', replyId: 'reply-1' });
+    const mark = tracker.sent(first, 1000);
+    tracker.finish(first);
+    const second = tracker.start({ text: 'We close at six.', replyId: 'reply-1' });
+    tracker.sent(second, 1000);
+
+    expect(tracker.getHeardText('reply-1')).toEqual({ text: 'We open at nine on weekdays. We close at six.', interrupted: false });
+
+    tracker.acknowledge(mark);
+    expect(tracker.clear()).toEqual([second]);
+    expect(tracker.getHeardText('reply-1')).toEqual({ text: 'We open at nine on weekdays.', interrupted: true });
+  });
+
+  it('ignores marks that come back after a clear', () => {
+    const tracker = new PlaybackTracker();
+    const utterance = tracker.start({ text: 'one two three four', replyId: 'reply-1' });
+    const marks = [tracker.sent(utterance, 100), tracker.sent(utterance, 100)];
+
+    tracker.acknowledge(marks[0]);
+    tracker.clear();
+    expect(tracker.acknowledge(marks[1])).toBe(false);
+    expect(tracker.hasUnplayed).toBe(false);
+    expect(tracker.getHeardText('reply-1')).toEqual({ text: 'one two', interrupted: true });
+  });
+
+  it('keeps only the latest replies', () => {
+    const tracker = new PlaybackTracker({ maxReplies: 2 });
+    for (const replyId of ['reply-1', 'reply-2', 'reply-3']) {
+      tracker.finish(tracker.start({ text: replyId, replyId }));
+    }
+    expect(tracker.getHeardText('reply-1').text).toBe('');
+    expect(tracker.getHeardText('reply-3').text).toBe('reply-3');
+  });
+});
+
+describe('TTSService playback marks', () => {
+  const createService = () => {
+    const ttsService = new TTSService({ engine: new StubTTSEngine(), phraseCache: null });
+    const ws = { readyState: 1, send: jest.fn() };
+    return { ttsService, ws };
+  };
+
+  it('follows every slice of audio with a mark', async () => {
+    const { ttsService, ws } = createService();
+    const { audioBuffer } = await ttsService.generateAndStream('We open at nine on weekdays.', ws, { streamId: 'MZ1', replyId: 'reply-1' });
+
+    const messages = sentMessages(ws);
+    const media = messages.filter(message => message.event === 'media');
+    const marks = messages.filter(message => message.event === 'mark');
+    expect(media).toHaveLength(Math.ceil(audioBuffer.length / MARK_INTERVAL_BYTES));
+    expect(marks).toHaveLength(media.length);
+    expect(messages.map(message => message.event)).toEqual(media.flatMap(() => ['media', 'mark']));
+    expect(marks[0]).toEqual({ event: 'mark', streamSid: 'MZ1', mark: { name: expect.any(String) } });
+  });
+
+  it('clears unplayed audio on barge-in and truncates the reply to what was heard', async () => {
+    const { ttsService, ws } = createService();
+    await ttsService.generateAndStream('We open at nine on weekdays. We close at six in the evening.', ws, { streamId: 'MZ1', replyId: 'reply-1' });
+
+    const marks = sentMessages(ws).filter(message => message.event === 'mark').map(message => message.mark.name);
+    expect(marks.length).toBeGreaterThan(1);
+    // Twilio has played about half of it
+    marks.slice(0, Math.floor(marks.length / 2)).forEach(name => ttsService.handleMark(name));
+
+    ws.send.mockClear();
+    expect(ttsService.interruptStream()).toBe(true);
+    expect(sentMessages(ws)).toEqual([{ event: 'clear', streamSid: 'MZ1' }]);
+
+    const heard = ttsService.getHeardText('reply-1');
+    expect(heard.interrupted).toBe(true);
+    expect(heard.text.length).toBeGreaterThan(0);
+    expect('We open at nine on weekdays. We close at six in the evening.'.startsWith(heard.text)).toBe(true);
+    expect(heard.text.length).toBeLessThan(40);
+
+    // Nothing left to clear
+    ws.send.mockClear();
+    expect(ttsService.interruptStream()).toBe(false);
+    expect(ws.send).not.toHaveBeenCalled();
+  });
+
+  it('keeps the whole reply once Twilio has played it', async () => {
+    const { ttsService, ws } = createService();
+    await ttsService.generateAndStream('Sure thing.', ws, { streamId: 'MZ1', replyId: 'reply-1' });
+    sentMessages(ws).filter(message => message.event === 'mark').forEach(message => ttsService.handleMark(message.mark.name));
+
+    expect(ttsService.interruptStream()).toBe(false);
+    expect(ttsService.getHeardText('reply-1')).toEqual({ text: 'Sure thing.', interrupted: false });
+  });
+});
@@ -0,0 +1,162 @@
+const mockCreate = jest.fn();
+jest.mock('openai', () => jest.fn().mockImplementation(() => ({ chat: { completions: { create: mockCreate } } })));
+
+const { SentenceChunker, SpeechQueue } = require('../../src/services/speechQueue');
+const { TTSService } = require('../../src/services/tts');
+const { StubTTSEngine } = require('../../src/services/ttsStub');
+const { FastLLMService } = require('../../src/services/llm_fast');
+
+const chunk = (text, pieces = text.match(/\S+\s*/g), options) => {
+  const chunker = new SentenceChunker(options);
+  const sentences = pieces.flatMap(piece => chunker.push(piece));
+  const rest = chunker.flush();
+  return rest ? [...sentences, rest] : sentences;
+};
+
+// OpenAI streaming response yielding one delta per piece; stops like the SDK when aborted
+const completionStream = (pieces, signal) => ({
+  async *[Symbol.asyncIterator]() {
+    for (const content of pieces) {
+      if (signal?.aborted) throw new Error('Request was aborted.');
+      yield { choices: [{ delta: { content } }] };
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+});
+
+describe('SentenceChunker', () => {
+  it('cuts streamed text into sentences', () => {
+    expect(chunk('Great, a haircut! What day works for you? We have openings tomorrow.')).toEqual([
+      'Great, a haircut!',
+      'What day works for you?',
+      'We have openings tomorrow.'
+    ]);
+  });
+
+  it('keeps abbreviations, decimals and short sentences together', () => {
+    expect(chunk('Dr. Smith is in at 3 p.m. tomorrow. A trim is $25.50 total. Sure. Anything else?')).toEqual([
+      'Dr. Smith is in at 3 p.m. tomorrow.',
+      'A trim is $25.50 total.',
+      'Sure. Anything else?'
+    ]);
+  });
+
+  it('waits for the space after a period before ending a sentence', () => {
+    const chunker = new SentenceChunker();
+    expect(chunker.push('That costs 3.')).toEqual([]);
+    expect(chunker.push('5 dollars. ')).toEqual(['That costs 3.5 dollars.']);
+  });
+
+  it('splits run-on text at a clause boundary', () => {
+    const text = 'We have openings on Monday morning, Tuesday afternoon and Wednesday evening, and there is also a slot on Friday';
+    expect(chunk(text, undefined, { maxChars: 60 })).toEqual([
+      'We have openings on Monday morning,',
+      'Tuesday afternoon and Wednesday evening,',
+      'and there is also a slot on Friday'
+    ]);
+  });
+});
+
+describe('SpeechQueue', () => {
+  const createQueue = (engineOptions) => {
+    const engine = new StubTTSEngine(engineOptions);
+    const ttsService = new TTSService({ engine, phraseCache: null });
+    const ws = { readyState: 1, send: jest.fn() };
+    return { engine, ws, speech: new SpeechQueue({ ttsService, ws, streamId: 'MZ1', ttsConfig: { model: 'harmonia' } }) };
+  };
+
+  it('starts speaking the first sentence before the reply is complete', async () => {
+    const { engine, ws, speech } = createQueue();
+
+    speech.push('Sure thing, a haircut. What ');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(engine.requests.map(request => request.text)).toEqual(['Sure thing, a haircut.']);
+    expect(ws.send).toHaveBeenCalled();
+
+    speech.push('day works best?');
+    const result = await speech.finish();
+
+    expect(engine.requests.map(request => request.text)).toEqual(['Sure thing, a haircut.', 'What day works best?']);
+    expect(engine.requests[1].options).toEqual({ model: 'harmonia' });
+    expect(result).toEqual(expect.objectContaining({
+      spokenText: 'Sure thing, a haircut. What day works best?',
+      sentences: 2,
+      interrupted: false
+    }));
+  });
+
+  it('drops queued sentences on cancel', async () => {
+    const { engine, ws, speech } = createQueue({ latencyMs: 20 });
+
+    speech.push('We open at nine on weekdays. We close at six. On Saturdays we open at ten. ');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(speech.cancel()).toBe(true);
+    speech.push('Anything else? ');
+
+    const result = await speech.finish();
+    expect(engine.requests.map(request => request.text)).toEqual(['We open at nine on weekdays.']);
+    expect(ws.send).not.toHaveBeenCalled(); // rendered after the barge-in, so never streamed
+    expect(result.interrupted).toBe(true);
+    expect(result.spokenText).toBe('');
+  });
+
+  it('plays a filler ahead of a slow reply, never once the reply has started', async () => {
+    const { engine, speech } = createQueue({ latencyMs: 10 });
+
+    expect(speech.playFiller('Sure, one moment.')).toBe(true);
+    speech.push('We open at nine. ');
+    expect(speech.playFiller('Let me check that.')).toBe(false);
+
+    const result = await speech.finish();
+    expect(engine.requests.map(request => request.text)).toEqual(['Sure, one moment.', 'We open at nine.']);
+    expect(result).toEqual(expect.objectContaining({ spokenText: 'We open at nine.', sentences: 1, filler: 'Sure, one moment.' }));
+  });
+});
+
+describe('FastLLMService streaming', () => {
+  beforeEach(() => {
+    mockCreate.mockReset();
+  });
+
+  it('never streams the frame marker, even when it is split across deltas', async () => {
+    mockCreate.mockImplementation(async () => completionStream([
+      'We have openings ', 'on Friday.', ' <fr', 'ame>{"intent":"booking","confidence":0.8,"entities":{}}</fr', 'ame>'
+    ]));
+    const deltas = [];
+
+    const result = await new FastLLMService().processMessage({
+      transcript: 'When can I come in for a color appointment',
+      stream: true,
+      onTextDelta: (text) => deltas.push(text)
+    });
+
+    expect(deltas.join('')).toBe('We have openings on Friday. ');
+    expect(result.response).toBe('We have openings on Friday.');
+    expect(result.intent).toBe('booking');
+  });
+
+  it('stops the OpenAI stream when the signal aborts', async () => {
+    mockCreate.mockImplementation(async (params, { signal }) => completionStream([
+      'We open at nine. ', 'We close at six. ', 'On Saturdays ', 'we open at ten.', '<frame>{"intent":"unclear"}</frame>'
+    ], signal));
+    const controller = new AbortController();
+    const deltas = [];
+
+    const llm = new FastLLMService();
+    const result = await llm.processMessage({
+      transcript: 'What are your opening hours on the weekend',
+      sessionId: 'barge-in',
+      stream: true,
+      signal: controller.signal,
+      onTextDelta: (text) => {
+        deltas.push(text);
+        if (deltas.length === 2) controller.abort();
+      }
+    });
+
+    expect(mockCreate).toHaveBeenCalledWith(expect.objectContaining({ stream: true }), { signal: controller.signal });
+    expect(deltas).toEqual(['We open at nine. ', 'We close at six. ']);
+    expect(result).toEqual(expect.objectContaining({ aborted: true, frame: null, response: 'We open at nine. We close at six.' }));
+    expect(llm.getSession('barge-in').summary).toBe('');
+  });
+});
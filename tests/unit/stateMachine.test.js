@@ -706,40 +706,26 @@ describe('State Machine Service', () => {
     });
 
     describe('parseDateTime', () => {
-      it('should parse various time expressions', () => {
-        const now = new Date();
-        const tomorrow = new Date(now);
-        tomorrow.setDate(now.getDate() + 1);
-        tomorrow.setHours(10, 0, 0, 0);
+      it('should resolve time expressions in the business timezone', () => {
+        const businessConfig = { timezone: 'America/New_York' };
+        const now = new Date('2025-03-10T14:00:00Z'); // Monday 10:00 in New York
 
         const testCases = [
-          { input: 'tomorrow', shouldBeTomorrow: true },
-          { input: 'Tomorrow morning', shouldBeTomorrow: true },
-          { input: 'Monday', shouldBeNextWeek: true },
-          { input: 'next Tuesday', shouldBeNextWeek: true },
-          { input: 'random text', shouldBeDefault: true },
-          { input: '', shouldBeDefault: true },
-          { input: null, shouldBeDefault: true }
+          { input: 'tomorrow at 3pm', expected: '2025-03-11T19:00:00.000Z' },
+          { input: 'Tomorrow morning', expected: '2025-03-11T12:00:00.000Z' },
+          { input: 'Friday', expected: '2025-03-14T13:00:00.000Z' },
+          // ambiguous (tomorrow or the 18th): the first reading
+          { input: 'next Tuesday', expected: '2025-03-11T13:00:00.000Z' },
+          // unrecognizable: tomorrow at 10 AM
+          { input: 'random text', expected: '2025-03-11T14:00:00.000Z' },
+          { input: '', expected: now.toISOString() },
+          { input: null, expected: now.toISOString() }
         ];
 
-        testCases.forEach(({ input, shouldBeTomorrow, shouldBeNextWeek, shouldBeDefault }) => {
-          const result = parseDateTime(input);
+        testCases.forEach(({ input, expected }) => {
+          const result = parseDateTime(input, businessConfig, now);
           expect(result).toBeInstanceOf(Date);
-          
-          if (shouldBeTomorrow) {
-            expect(result.getDate()).toBe(tomorrow.getDate());
-            expect(result.getHours()).toBe(10);
-          }
-          
-          if (shouldBeNextWeek) {
-            expect(result.getTime()).toBeGreaterThan(now.getTime());
-            expect(result.getHours()).toBe(10);
-          }
-          
-          if (shouldBeDefault) {
-            expect(result.getDate()).toBe(tomorrow.getDate());
-            expect(result.getHours()).toBe(10);
-          }
+          expect(result.toISOString()).toBe(expected);
         });
       });
     });
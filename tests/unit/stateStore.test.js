@@ -0,0 +1,236 @@
+const EventEmitter = require('events');
+const { MemoryStateStore, RedisStateStore, setStateStore } = require('../../src/services/stateStore');
+
+// Just enough of an ioredis client, with the data and channels shared like a real server
+class FakeRedis extends EventEmitter {
+  constructor(server = { data: new Map(), bus: new EventEmitter() }) {
+    super();
+    this.server = server;
+    this.server.bus.setMaxListeners(0);
+    this.commands = [];
+  }
+
+  async get(key) {
+    this.commands.push(['get', key]);
+    return this.server.data.get(key) ?? null;
+  }
+
+  async set(key, value, ...options) {
+    this.commands.push(['set', key, value, ...options]);
+    this.server.data.set(key, value);
+    return 'OK';
+  }
+
+  async getdel(key) {
+    const value = await this.get(key);
+    this.server.data.delete(key);
+    return value;
+  }
+
+  async del(key) {
+    return this.server.data.delete(key) ? 1 : 0;
+  }
+
+  async zadd(key, score, member) {
+    const members = this.server.data.get(key) || new Map();
+    members.set(member, Number(score));
+    this.server.data.set(key, members);
+    return 1;
+  }
+
+  async zrem(key, member) {
+    return this.server.data.get(key)?.delete(member) ? 1 : 0;
+  }
+
+  async zremrangebyscore(key, min, max) {
+    const members = this.server.data.get(key) || new Map();
+    for (const [member, score] of members) {
+      if (score <= max) members.delete(member);
+    }
+  }
+
+  async zcard(key) {
+    return this.server.data.get(key)?.size || 0;
+  }
+
+  async zrange(key) {
+    return [...(this.server.data.get(key)?.keys() || [])];
+  }
+
+  async publish(channel, message) {
+    this.server.bus.emit('message', channel, message);
+    return 1;
+  }
+
+  async subscribe(channel) {
+    this.server.bus.on('message', (published, message) => {
+      if (published === channel) this.emit('message', channel, message);
+    });
+  }
+
+  duplicate() {
+    return new FakeRedis(this.server);
+  }
+
+  async quit() {}
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('MemoryStateStore', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('stores JSON values until they expire', async () => {
+    jest.useFakeTimers();
+    const store = new MemoryStateStore();
+
+    await store.set('call:CA1', { to: '+15555550199' }, { ttlMs: 1000 });
+    await store.set('forever', 1);
+    expect(await store.get('call:CA1')).toEqual({ to: '+15555550199' });
+
+    jest.advanceTimersByTime(1000);
+    expect(await store.get('call:CA1')).toBeNull();
+    expect(await store.get('forever')).toBe(1);
+  });
+
+  it('hands a value to exactly one taker', async () => {
+    const store = new MemoryStateStore();
+    await store.set('call:CA1', { to: '+15555550199' });
+
+    expect(await store.take('call:CA1')).toEqual({ to: '+15555550199' });
+    expect(await store.take('call:CA1')).toBeNull();
+  });
+
+  it('delivers published messages to subscribers', async () => {
+    const store = new MemoryStateStore();
+    const handler = jest.fn();
+    const unsubscribe = store.subscribe('org-context:invalidate', handler);
+
+    await store.publish('org-context:invalidate', { all: true });
+    unsubscribe();
+    await store.publish('org-context:invalidate', { all: true });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ all: true });
+  });
+});
+
+describe('RedisStateStore', () => {
+  it('namespaces keys and sets expiry in milliseconds', async () => {
+    const client = new FakeRedis();
+    const store = new RedisStateStore({ client, prefix: 'test:' });
+
+    await store.set('llm-session:abc', { summary: 'service=Haircut' }, { ttlMs: 5000 });
+    expect(client.commands[0]).toEqual(['set', 'test:llm-session:abc', '{"summary":"service=Haircut"}', 'PX', 5000]);
+    expect(await store.get('llm-session:abc')).toEqual({ summary: 'service=Haircut' });
+    expect(await store.take('llm-session:abc')).toEqual({ summary: 'service=Haircut' });
+    expect(await store.get('llm-session:abc')).toBeNull();
+  });
+
+  it('shares state and invalidations between instances', async () => {
+    const first = new RedisStateStore({ client: new FakeRedis() });
+    const second = new RedisStateStore({ client: first.client.duplicate() });
+    const onInvalidate = jest.fn();
+    second.subscribe('org-context:invalidate', onInvalidate);
+    await flush();
+
+    await first.set('call:CA1', { to: '+15555550199' });
+    expect(await second.take('call:CA1')).toEqual({ to: '+15555550199' });
+    expect(await first.take('call:CA1')).toBeNull();
+
+    await first.publish('org-context:invalidate', { phoneNumbers: ['+15555550199'] });
+    expect(onInvalidate).toHaveBeenCalledWith({ phoneNumbers: ['+15555550199'] });
+  });
+
+  it('counts set members across instances until they expire', async () => {
+    const first = new RedisStateStore({ client: new FakeRedis() });
+    const second = new RedisStateStore({ client: first.client.duplicate() });
+
+    await first.addMember('active-calls:org:org-1', 'CA1', { ttlMs: 60000 });
+    await second.addMember('active-calls:org:org-1', 'CA2', { ttlMs: -1 });
+    expect(await second.countMembers('active-calls:org:org-1')).toBe(1);
+    expect(await second.listMembers('active-calls:org:org-1')).toEqual(['CA1']);
+
+    await second.removeMember('active-calls:org:org-1', 'CA1');
+    expect(await first.countMembers('active-calls:org:org-1')).toBe(0);
+  });
+
+  it('falls back to process memory while Redis is unreachable', async () => {
+    const client = new FakeRedis();
+    const down = () => Promise.reject(new Error('Stream isn\'t writeable and enableOfflineQueue options is false'));
+    client.get = client.set = client.getdel = client.publish = down;
+    const store = new RedisStateStore({ client });
+    const handler = jest.fn();
+    store.subscribe('org-context:invalidate', handler);
+
+    await store.set('call:CA1', { to: '+15555550199' });
+    expect(await store.get('call:CA1')).toEqual({ to: '+15555550199' });
+    expect(await store.take('call:CA1')).toEqual({ to: '+15555550199' });
+
+    await store.publish('org-context:invalidate', { all: true });
+    expect(handler).toHaveBeenCalledWith({ all: true });
+    expect(store.degraded).toBe(true);
+  });
+});
+
+describe('OrganizationContextService shared cache', () => {
+  let server;
+
+  beforeEach(() => {
+    jest.resetModules();
+    server = { data: new Map(), bus: new EventEmitter() };
+  });
+
+  afterEach(() => {
+    setStateStore(null);
+  });
+
+  // Each "instance" is a fresh module registry with its own Redis connection
+  const startInstance = (organization) => {
+    let service;
+    jest.isolateModules(() => {
+      jest.doMock('../../src/config/database', () => ({
+        getDatabase: jest.fn().mockResolvedValue({
+          phoneNumber: { findFirst: jest.fn(async () => null) },
+          organization: {
+            findFirst: jest.fn(async () => organization()),
+            findUnique: jest.fn(async () => ({ twilioNumber: '+15555550199' }))
+          }
+        })
+      }));
+      const stateStore = require('../../src/services/stateStore');
+      stateStore.setStateStore(new stateStore.RedisStateStore({ client: new FakeRedis(server) }));
+      const { OrganizationContextService } = require('../../src/services/organizationContext');
+      service = new OrganizationContextService();
+    });
+    return service;
+  };
+
+  it('serves every instance from one lookup and invalidates them all', async () => {
+    let greeting = 'Welcome to the salon';
+    const organization = jest.fn(() => ({
+      id: 'org-1',
+      name: 'Salon',
+      plan: 'pro',
+      twilioNumber: '+15555550199',
+      businessConfig: { greeting, services: [] },
+      integrations: []
+    }));
+    const first = startInstance(organization);
+    const second = startInstance(organization);
+    await flush();
+
+    expect((await first.getOrganizationContext('+15555550199')).businessConfig.greeting).toBe('Welcome to the salon');
+    expect((await second.getOrganizationContext('+15555550199')).businessConfig.greeting).toBe('Welcome to the salon');
+    expect(organization).toHaveBeenCalledTimes(1);
+
+    greeting = 'Thanks for calling';
+    await first.invalidateOrganizationCache('org-1');
+    await flush();
+
+    expect((await second.getOrganizationContext('+15555550199')).businessConfig.greeting).toBe('Thanks for calling');
+    expect(organization).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,138 @@
+const EventEmitter = require('events');
+const {
+  createSTTProvider,
+  getSttProviderName,
+  getSelectableSttProviders,
+  moveSttListeners
+} = require('../../src/services/sttProviders');
+const { ScriptedSTTProvider } = require('../../src/services/sttScripted');
+const { LocalSTTProvider } = require('../../src/services/sttLocal');
+const { generateTone } = require('../../src/services/audio');
+const { encodeTextFrame, silence, toFrames } = require('../../src/simulator/protocol');
+
+// 400ms of "speech" followed by enough silence to end the utterance
+const utteranceFrames = () => toFrames(Buffer.concat([generateTone({ durationMs: 400 }), silence(800)]));
+
+const nextTranscript = (stt) => new Promise(resolve => stt.once('transcript', resolve));
+
+describe('STT provider registry', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('creates providers by name and rejects unknown ones', () => {
+    const stt = createSTTProvider({ provider: 'scripted', script: ['hello'] });
+
+    expect(stt).toBeInstanceOf(ScriptedSTTProvider);
+    expect(stt.providerName).toBe('scripted');
+    expect(() => createSTTProvider({ provider: 'carrier-pigeon' })).toThrow('Unknown STT provider: carrier-pigeon');
+  });
+
+  it('uses the organization choice, then STT_PROVIDER, then whatever is configured', () => {
+    expect(getSttProviderName({ sttProvider: 'local' })).toBe('local');
+    expect(getSttProviderName({})).toBe('deepgram');
+
+    process.env.STT_PROVIDER = 'local';
+    expect(getSttProviderName({ sttProvider: 'bogus' })).toBe('local');
+
+    delete process.env.STT_PROVIDER;
+    delete process.env.DEEPGRAM_API_KEY;
+    process.env.LOCAL_STT_COMMAND = '/usr/bin/whisper-cli';
+    expect(getSttProviderName(undefined)).toBe('local');
+  });
+
+  it('only offers production providers to organizations', () => {
+    expect(getSelectableSttProviders().map(provider => provider.id)).toEqual(['deepgram', 'local']);
+  });
+
+  it('hands event handlers over to a replacement provider', () => {
+    const previous = new EventEmitter();
+    const replacement = new EventEmitter();
+    const onTranscript = jest.fn();
+    previous.on('transcript', onTranscript);
+
+    moveSttListeners(previous, replacement);
+    previous.emit('transcript', { text: 'old' });
+    replacement.emit('transcript', { text: 'new' });
+
+    expect(onTranscript).toHaveBeenCalledTimes(1);
+    expect(onTranscript).toHaveBeenCalledWith({ text: 'new' });
+    expect(() => previous.emit('error', new Error('closing'))).not.toThrow();
+  });
+});
+
+describe('ScriptedSTTProvider', () => {
+  it('transcribes simulator text frames', async () => {
+    const stt = new ScriptedSTTProvider();
+    const bargeIn = jest.fn();
+    stt.on('bargeIn', bargeIn);
+    stt.startListening();
+
+    const transcript = nextTranscript(stt);
+    stt.sendAudio(encodeTextFrame('I need a haircut'));
+
+    await expect(transcript).resolves.toMatchObject({ text: 'I need a haircut', isFinal: true });
+    expect(bargeIn).toHaveBeenCalled();
+  });
+
+  it('hears each utterance of real audio as the next script line', async () => {
+    const stt = new ScriptedSTTProvider({ script: ['first line', 'second line'] });
+    stt.startListening();
+
+    let transcript = nextTranscript(stt);
+    utteranceFrames().forEach(frame => stt.sendAudio(frame));
+    await expect(transcript).resolves.toMatchObject({ text: 'first line' });
+
+    transcript = nextTranscript(stt);
+    utteranceFrames().forEach(frame => stt.sendAudio(frame));
+    await expect(transcript).resolves.toMatchObject({ text: 'second line' });
+    expect(stt.heard).toEqual(['first line', 'second line']);
+  });
+});
+
+describe('LocalSTTProvider', () => {
+  // Stand-in recognizer: prints the language it was given and the size of the WAV file
+  const args = ['-e', "process.stdout.write(process.argv[2] + ' ' + require('fs').statSync(process.argv[1]).size)", '{file}', '{language}'];
+
+  it('requires a recognizer command', () => {
+    delete process.env.LOCAL_STT_COMMAND;
+    expect(() => new LocalSTTProvider()).toThrow('LOCAL_STT_COMMAND');
+  });
+
+  it('runs the recognizer once per utterance with the call language', async () => {
+    const stt = new LocalSTTProvider({ command: process.execPath, args });
+    const speechStarted = jest.fn();
+    stt.on('speechStarted', speechStarted);
+    stt.startListening({ language: 'es' });
+
+    const transcript = nextTranscript(stt);
+    utteranceFrames().forEach(frame => stt.sendAudio(frame));
+    const { text, isFinal } = await transcript;
+
+    // 16kHz 16-bit PCM: header plus four bytes per 8kHz input sample
+    const [language, size] = text.split(' ');
+    expect(language).toBe('es');
+    expect(Number(size)).toBeGreaterThan(44 + 400 * 8 * 4);
+    expect(isFinal).toBe(true);
+    expect(speechStarted).toHaveBeenCalledTimes(1);
+    stt.stopListening();
+  });
+
+  it('ignores silence and reports recognizer failures as errors', async () => {
+    const stt = new LocalSTTProvider({ command: process.execPath, args: ['-e', 'process.exit(3)'] });
+    const transcript = jest.fn();
+    stt.on('transcript', transcript);
+    stt.startListening();
+
+    toFrames(silence(2000)).forEach(frame => stt.sendAudio(frame));
+    expect(stt.segmenter.inSpeech).toBe(false);
+
+    const error = new Promise(resolve => stt.once('error', resolve));
+    utteranceFrames().forEach(frame => stt.sendAudio(frame));
+
+    await expect(error).resolves.toThrow('Local STT command failed');
+    expect(transcript).not.toHaveBeenCalled();
+  });
+});
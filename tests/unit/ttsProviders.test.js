@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TTSService } = require('../../src/services/tts');
+const { createTTSEngine, getTtsProviderName, getSelectableTtsProviders } = require('../../src/services/ttsProviders');
+const { StubTTSEngine } = require('../../src/services/ttsStub');
+const { LocalTTSEngine } = require('../../src/services/ttsLocal');
+const { PhraseCache } = require('../../src/services/phraseCache');
+const { LocalStorageBackend } = require('../../src/services/storage');
+
+const AUDIO_MODULE = path.resolve(__dirname, '../../src/services/audio.js');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+describe('TTS provider registry', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('creates engines by name and picks the organization choice or default', () => {
+    expect(createTTSEngine({ provider: 'stub' })).toBeInstanceOf(StubTTSEngine);
+    expect(() => createTTSEngine({ provider: 'gramophone' })).toThrow('Unknown TTS provider: gramophone');
+
+    expect(getTtsProviderName({ ttsProvider: 'local' })).toBe('local');
+    expect(getTtsProviderName({})).toBe('deepgram');
+
+    delete process.env.DEEPGRAM_API_KEY;
+    process.env.LOCAL_TTS_COMMAND = 'espeak-ng';
+    expect(getTtsProviderName(undefined)).toBe('local');
+
+    expect(getSelectableTtsProviders().map(provider => provider.id)).toEqual(['deepgram', 'local']);
+  });
+});
+
+describe('TTSService phrase cache', () => {
+  let root;
+  let storage;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'phrase-cache-'));
+    storage = new LocalStorageBackend({ root });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('renders a cached phrase once and survives a restart', async () => {
+    const engine = new StubTTSEngine();
+    const tts = new TTSService({ engine, phraseCache: new PhraseCache({ storage }) });
+    const greeting = 'Thanks for calling, how can I help?';
+
+    const first = await readAll(await tts.getSpeech(greeting, { model: 'harmonia', cache: true }));
+    const second = await readAll(await tts.getSpeech(greeting, { model: 'harmonia', cache: true }));
+    expect(second.equals(first)).toBe(true);
+    expect(engine.requests).toHaveLength(1);
+
+    // A new process: empty memory, same storage
+    const restartedEngine = new StubTTSEngine();
+    const restarted = new TTSService({ engine: restartedEngine, phraseCache: new PhraseCache({ storage }) });
+    const onStarted = jest.fn();
+    restarted.on('ttsStarted', onStarted);
+
+    const afterRestart = await readAll(await restarted.getSpeech(greeting, { model: 'harmonia', cache: true }));
+    expect(afterRestart.equals(first)).toBe(true);
+    expect(restartedEngine.requests).toHaveLength(0);
+    expect(onStarted).toHaveBeenCalledWith(expect.objectContaining({ cached: true }));
+  });
+
+  it('keys audio by text, voice and speed and leaves uncached replies alone', async () => {
+    const engine = new StubTTSEngine();
+    const tts = new TTSService({ engine, phraseCache: new PhraseCache({ storage }) });
+
+    await tts.getSpeech('Goodbye!', { model: 'harmonia', cache: true });
+    await tts.getSpeech('Goodbye!', { model: 'zeus', cache: true });
+    await tts.getSpeech('Goodbye!', { model: 'harmonia', speed: 1.2, cache: true });
+    await tts.getSpeech('  Goodbye! ', { model: 'harmonia', cache: true });
+    await tts.getSpeech('Your number is 555-0100', { model: 'harmonia' });
+    await tts.getSpeech('Your number is 555-0100', { model: 'harmonia' });
+
+    expect(engine.requests.map(request => request.text)).toEqual([
+      'Goodbye!', 'Goodbye!', 'Goodbye!', 'Your number is 555-0100', 'Your number is 555-0100'
+    ]);
+    expect(fs.readdirSync(path.join(root, 'tts-cache'), { recursive: true }).filter(name => name.endsWith('.ulaw'))).toHaveLength(3);
+  });
+
+  it('pre-renders phrases so their first use is a cache hit', async () => {
+    const engine = new StubTTSEngine();
+    const tts = new TTSService({ engine, phraseCache: new PhraseCache({ storage }) });
+
+    await tts.prerender(['One moment.', 'Let me check that.'], { model: 'harmonia', language: 'en' });
+    expect(engine.requests).toHaveLength(2);
+
+    await tts.getSpeech('One moment.', { model: 'harmonia', language: 'en', cache: true });
+    expect(engine.requests).toHaveLength(2);
+  });
+
+  it('synthesizes concurrent requests for the same phrase once', async () => {
+    const engine = new StubTTSEngine({ latencyMs: 20 });
+    const cache = new PhraseCache({ storage });
+    const phrase = { text: 'Please hold', voice: 'stub:harmonia' };
+
+    const results = await Promise.all([1, 2, 3].map(() => cache.getOrRender(phrase, () => engine.synthesize(phrase.text))));
+
+    expect(engine.requests).toHaveLength(1);
+    expect(results.every(result => result.audio.equals(results[0].audio))).toBe(true);
+  });
+
+  it('evicts the least recently used phrases from memory', () => {
+    const cache = new PhraseCache({ storage, maxMemoryBytes: 250 });
+    cache.remember('a', Buffer.alloc(100));
+    cache.remember('b', Buffer.alloc(100));
+    cache.remember('c', Buffer.alloc(100));
+
+    expect([...cache.memory.keys()]).toEqual(['b', 'c']);
+    expect(cache.memoryBytes).toBe(200);
+  });
+});
+
+describe('LocalTTSEngine', () => {
+  // Stand-in synthesizer: reads the text on stdin and renders 10ms of tone per character
+  const script = `const audio = require(${JSON.stringify(AUDIO_MODULE)});
+    let text = '';
+    process.stdin.on('data', chunk => { text += chunk; }).on('end', () => {
+      const wav = audio.createPcmWavFromMulaw(audio.generateTone({ durationMs: text.length * 10 }));
+      if (process.argv[1] === '-') process.stdout.write(wav);
+      else require('fs').writeFileSync(process.argv[1], wav);
+    });`;
+
+  it('requires a synthesizer command', () => {
+    delete process.env.LOCAL_TTS_COMMAND;
+    expect(() => new LocalTTSEngine()).toThrow('LOCAL_TTS_COMMAND');
+  });
+
+  it('reads the rendered WAV from the output file and converts it to mu-law', async () => {
+    const engine = new LocalTTSEngine({ command: process.execPath, args: ['-e', script, '{file}'] });
+    const audio = await engine.synthesize('Hello there');
+
+    // 11 characters -> 110ms of 8kHz audio
+    expect(audio.length).toBeGreaterThanOrEqual(870);
+    expect(audio.length).toBeLessThanOrEqual(890);
+  });
+
+  it('reads WAV from stdout when the arguments have no {file}', async () => {
+    const engine = new LocalTTSEngine({ command: process.execPath, args: ['-e', script, '-'] });
+    const audio = await engine.synthesize('Hi');
+
+    expect(audio.length).toBeGreaterThanOrEqual(150);
+    expect(audio.length).toBeLessThanOrEqual(170);
+  });
+});
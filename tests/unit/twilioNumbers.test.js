@@ -0,0 +1,99 @@
+const { TwilioNumberService, validatePhoneNumberRouting } = require('../../src/services/twilioNumbers');
+const { applyNumberRouting } = require('../../src/services/organizationContext');
+
+// In-memory stand-in for the PhoneNumber and Organization tables
+const createPrisma = (rows = []) => {
+  const organization = { twilioNumber: null };
+  let nextId = rows.length + 1;
+  const matches = (row, where = {}) => Object.entries(where).every(([key, value]) => row[key] === value);
+
+  return {
+    rows,
+    organization: {
+      findUnique: jest.fn(async () => organization),
+      update: jest.fn(async ({ data }) => Object.assign(organization, data))
+    },
+    phoneNumber: {
+      findMany: jest.fn(async ({ where }) => rows.filter(row => matches(row, where))),
+      findFirst: jest.fn(async ({ where }) => rows.find(row => matches(row, where)) || null),
+      create: jest.fn(async ({ data }) => {
+        const row = { id: `pn-${nextId++}`, isPrimary: false, ...data };
+        rows.push(row);
+        return row;
+      }),
+      update: jest.fn(async ({ where, data }) => Object.assign(rows.find(row => row.id === where.id), data)),
+      updateMany: jest.fn(async ({ where, data }) => rows.filter(row => matches(row, where)).forEach(row => Object.assign(row, data))),
+      delete: jest.fn(async ({ where }) => rows.splice(rows.findIndex(row => row.id === where.id), 1)[0])
+    },
+    state: organization
+  };
+};
+
+describe('TwilioNumberService phone numbers', () => {
+  const originalEnv = { ...process.env };
+  let service;
+  let prisma;
+
+  beforeEach(() => {
+    process.env.TWILIO_ACCOUNT_SID = 'AC00000000000000000000000000000000';
+    process.env.TWILIO_AUTH_TOKEN = 'token';
+    process.env.TWILIO_MOCK_NUMBERS = 'true';
+    service = new TwilioNumberService();
+    prisma = createPrisma();
+    service.getPrisma = async () => prisma;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('makes the first purchased number primary and routes the rest as configured', async () => {
+    const main = await service.purchaseNumber('org-1', '+15555550101');
+    const downtown = await service.purchaseNumber('org-1', '+15555550102', { location: 'Downtown', language: 'es', greeting: '' });
+
+    expect(main.isPrimary).toBe(true);
+    expect(prisma.state.twilioNumber).toBe('+15555550101');
+    expect(downtown).toEqual(expect.objectContaining({ isPrimary: false, location: 'Downtown', language: 'es', greeting: null, twilioSid: null }));
+  });
+
+  it('switches the primary number and promotes another when it is released', async () => {
+    await service.purchaseNumber('org-1', '+15555550101');
+    const second = await service.purchaseNumber('org-1', '+15555550102');
+
+    await service.reassignNumber('org-1', second.id, { isPrimary: true, label: 'Uptown' });
+    expect(prisma.rows.map(row => row.isPrimary)).toEqual([false, true]);
+    expect(prisma.state.twilioNumber).toBe('+15555550102');
+
+    expect(await service.reassignNumber('org-2', second.id, { label: 'Stolen' })).toBeNull();
+    expect(await service.releaseOrganizationNumber('org-1', second.id)).toEqual(expect.objectContaining({ label: 'Uptown' }));
+    expect(prisma.rows).toEqual([expect.objectContaining({ number: '+15555550101', isPrimary: true })]);
+    expect(prisma.state.twilioNumber).toBe('+15555550101');
+  });
+});
+
+describe('per-number routing', () => {
+  it('rejects malformed routing', () => {
+    expect(validatePhoneNumberRouting({ location: 'Downtown', language: 'es' })).toBeNull();
+    expect(validatePhoneNumberRouting({ language: 'fr' })).toMatch(/Language must be one of/);
+    expect(validatePhoneNumberRouting({ greeting: 'x'.repeat(501) })).toMatch(/at most 500/);
+    expect(validatePhoneNumberRouting({ voiceSettings: ['aura'] })).toBe('Voice settings must be an object');
+  });
+
+  it('layers a number\'s greeting, language and voice over the organization settings', () => {
+    const businessConfig = {
+      greeting: 'Thanks for calling',
+      voiceSettings: { voiceModel: 'aura-asteria-en', speed: 1.0, languages: ['en', 'es'] }
+    };
+
+    const routed = applyNumberRouting(businessConfig, {
+      greeting: 'Gracias por llamar',
+      language: 'es',
+      voiceSettings: { voiceModel: 'aura-2-celeste-es' }
+    });
+
+    expect(routed.greeting).toBe('Gracias por llamar');
+    expect(routed.voiceSettings).toEqual({ voiceModel: 'aura-2-celeste-es', speed: 1.0, languages: ['es', 'en'] });
+    expect(businessConfig.greeting).toBe('Thanks for calling');
+    expect(applyNumberRouting(businessConfig, null)).toBe(businessConfig);
+  });
+});
@@ -0,0 +1,94 @@
+const twilio = require('twilio');
+const { twilioSignatureMiddleware, isValidTwilioRequest } = require('../../src/middleware/twilioSignature');
+
+const body = { CallSid: 'CA1', From: '+15551234567', To: '+15550001111' };
+
+const sign = (url) => twilio.getExpectedTwilioSignature(process.env.TWILIO_AUTH_TOKEN, url, body);
+
+const buildRequest = ({ url = '/voice', headers = {}, protocol = 'http' } = {}) => ({
+  url,
+  protocol,
+  body,
+  headers: { host: 'localhost:3000', ...headers }
+});
+
+const buildReply = () => {
+  const reply = {};
+  reply.code = jest.fn(() => reply);
+  reply.send = jest.fn(() => reply);
+  return reply;
+};
+
+describe('isValidTwilioRequest', () => {
+  it('accepts a signature for the public URL behind a proxy', () => {
+    const request = buildRequest({
+      headers: {
+        'x-forwarded-proto': 'https',
+        'x-forwarded-host': 'abc123.ngrok.io',
+        'x-twilio-signature': sign('https://abc123.ngrok.io/voice')
+      }
+    });
+
+    expect(isValidTwilioRequest(request)).toBe(true);
+  });
+
+  it('accepts a signature for the configured webhook base URL', () => {
+    process.env.TWILIO_WEBHOOK_BASE_URL = 'https://voice.example.com/';
+    const request = buildRequest({
+      url: '/api/calls/status?org=org-1',
+      headers: { 'x-twilio-signature': sign('https://voice.example.com/api/calls/status?org=org-1') }
+    });
+
+    try {
+      expect(isValidTwilioRequest(request)).toBe(true);
+    } finally {
+      delete process.env.TWILIO_WEBHOOK_BASE_URL;
+    }
+  });
+
+  it('rejects a signature for a different URL or a missing header', () => {
+    expect(isValidTwilioRequest(buildRequest({
+      headers: { 'x-twilio-signature': sign('https://attacker.example.com/voice') }
+    }))).toBe(false);
+    expect(isValidTwilioRequest(buildRequest())).toBe(false);
+  });
+});
+
+describe('twilioSignatureMiddleware', () => {
+  const originalEnv = process.env.NODE_ENV;
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+    delete process.env.TWILIO_SKIP_SIGNATURE_VALIDATION;
+  });
+
+  it('responds 403 to unsigned requests', async () => {
+    const reply = buildReply();
+    await twilioSignatureMiddleware(buildRequest(), reply);
+
+    expect(reply.code).toHaveBeenCalledWith(403);
+  });
+
+  it('lets signed requests through', async () => {
+    const reply = buildReply();
+    await twilioSignatureMiddleware(buildRequest({
+      headers: { 'x-twilio-signature': sign('http://localhost:3000/voice') }
+    }), reply);
+
+    expect(reply.code).not.toHaveBeenCalled();
+  });
+
+  it('only honours the bypass flag in development', async () => {
+    process.env.TWILIO_SKIP_SIGNATURE_VALIDATION = 'true';
+
+    process.env.NODE_ENV = 'production';
+    const productionReply = buildReply();
+    await twilioSignatureMiddleware(buildRequest(), productionReply);
+    expect(productionReply.code).toHaveBeenCalledWith(403);
+
+    process.env.NODE_ENV = 'development';
+    const developmentReply = buildReply();
+    await twilioSignatureMiddleware(buildRequest(), developmentReply);
+    expect(developmentReply.code).not.toHaveBeenCalled();
+  });
+});
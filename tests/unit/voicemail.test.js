@@ -0,0 +1,64 @@
+jest.mock('../../src/config/database', () => ({
+  getDatabase: jest.fn()
+}));
+
+const { VoicemailRecorder, getVoicemailPrompt, DEFAULT_VOICEMAIL_PROMPT } = require('../../src/services/voicemail');
+const { createWavFromMulaw, generateTone } = require('../../src/services/audio');
+
+// 20ms Twilio frames: 160 bytes of mu-law
+const silentFrame = () => Buffer.alloc(160, 0xff);
+const speechFrame = () => generateTone({ durationMs: 20 });
+
+describe('VoicemailRecorder', () => {
+  it('finishes after sustained silence once the caller has spoken', () => {
+    const recorder = new VoicemailRecorder({ endSilenceMs: 100 });
+    const onComplete = jest.fn();
+    recorder.on('complete', onComplete);
+    recorder.start();
+
+    // Leading silence alone never ends the message
+    for (let i = 0; i < 10; i++) recorder.addFrame(silentFrame());
+    expect(onComplete).not.toHaveBeenCalled();
+
+    for (let i = 0; i < 5; i++) recorder.addFrame(speechFrame());
+    for (let i = 0; i < 5; i++) recorder.addFrame(silentFrame());
+
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    const result = onComplete.mock.calls[0][0];
+    expect(result.reason).toBe('silence');
+    expect(result.heardSpeech).toBe(true);
+    expect(result.audio.length).toBe(20 * 160);
+    expect(result.durationMs).toBe(400);
+  });
+
+  it('keeps what was recorded when the caller hangs up', () => {
+    const recorder = new VoicemailRecorder();
+    recorder.start();
+    recorder.addFrame(speechFrame());
+
+    const result = recorder.finish('hangup');
+    expect(result.reason).toBe('hangup');
+    expect(result.audio.length).toBe(160);
+    expect(recorder.finish('hangup')).toBeNull();
+  });
+
+  it('uses the organization voicemail script when configured', () => {
+    expect(getVoicemailPrompt({ scripts: { voicemail: 'Leave it at the beep.' } })).toBe('Leave it at the beep.');
+    expect(getVoicemailPrompt(null)).toBe(DEFAULT_VOICEMAIL_PROMPT);
+  });
+});
+
+describe('createWavFromMulaw', () => {
+  it('writes a mu-law WAV header in front of the samples', () => {
+    const wav = createWavFromMulaw(Buffer.alloc(800, 0xff), { channels: 2 });
+
+    expect(wav.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(wav.toString('ascii', 8, 12)).toBe('WAVE');
+    expect(wav.readUInt16LE(20)).toBe(7);
+    expect(wav.readUInt16LE(22)).toBe(2);
+    expect(wav.readUInt32LE(24)).toBe(8000);
+    expect(wav.readUInt32LE(46)).toBe(400);
+    expect(wav.readUInt32LE(54)).toBe(800);
+    expect(wav.length).toBe(858);
+  });
+});